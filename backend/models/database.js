@@ -2,10 +2,14 @@ const Database = require('better-sqlite3');
 const bcrypt = require('bcryptjs');
 const path = require('path');
 const fs = require('fs');
+const { MIGRATIONS } = require('./migrations');
 
 const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
 const DB_PATH = path.join(DATA_DIR, 'rpo-monitor.db');
 
+// Schema version this build expects: the highest known migration
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
 let db = null;
 
 /**
@@ -20,8 +24,10 @@ function getDb() {
 
 /**
  * Initializes the SQLite database: creates the data directory if missing,
- * opens the connection, enables WAL mode, and creates all tables.
- * Seeds the default admin user on first run.
+ * opens the connection, enables WAL mode, and applies pending schema
+ * migrations. Seeds the default admin user on first run.
+ *
+ * @throws {Error} If a migration fails or the schema version does not match
  */
 function initDatabase() {
   // Ensure the data directory exists
@@ -36,7 +42,13 @@ function initDatabase() {
   db.pragma('journal_mode = WAL');
   db.pragma('foreign_keys = ON');
 
-  createTables();
+  try {
+    runMigrations();
+  } catch (err) {
+    db.close();
+    db = null;
+    throw err;
+  }
   seedDefaults();
 
   console.log(`[database] SQLite database initialized at ${DB_PATH}`);
@@ -45,133 +57,125 @@ function initDatabase() {
 }
 
 /**
- * Creates all required tables if they do not already exist.
+ * Returns the schema version of a database (0 for an empty database).
+ *
+ * @param {import('better-sqlite3').Database} [conn] - Defaults to the app database
+ * @returns {number}
  */
-function createTables() {
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      username TEXT NOT NULL UNIQUE,
-      password_hash TEXT NOT NULL,
-      must_change_password INTEGER NOT NULL DEFAULT 0,
-      created_at TEXT NOT NULL DEFAULT (datetime('now')),
-      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
-    );
+function getSchemaVersion(conn = db) {
+  const table = conn.prepare(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'"
+  ).get();
+  if (!table) return 0;
+
+  const row = conn.prepare('SELECT MAX(version) as version FROM schema_version').get();
+  return row && row.version ? row.version : 0;
+}
 
-    CREATE TABLE IF NOT EXISTS api_config (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      host TEXT NOT NULL,
-      port INTEGER NOT NULL DEFAULT 23451,
-      use_ssl INTEGER NOT NULL DEFAULT 1,
-      accept_self_signed INTEGER NOT NULL DEFAULT 0,
-      created_at TEXT NOT NULL DEFAULT (datetime('now')),
-      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+/**
+ * Checks that the applied migrations match the ones this build knows about.
+ * A database written by a newer build, or whose history disagrees with ours,
+ * must not be touched.
+ *
+ * @param {import('better-sqlite3').Database} [conn] - Defaults to the app database
+ * @throws {Error} On any version mismatch
+ */
+function verifySchemaHistory(conn = db) {
+  const current = getSchemaVersion(conn);
+  if (current > SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema version ${current} is newer than this build supports (${SCHEMA_VERSION}). ` +
+      'Upgrade the application or restore a matching backup.'
     );
-
-    CREATE TABLE IF NOT EXISTS storage_credentials (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      storage_device_id TEXT NOT NULL UNIQUE,
-      model TEXT,
-      serial_number TEXT,
-      username TEXT,
-      encrypted_password TEXT,
-      iv TEXT,
-      auth_tag TEXT,
-      is_authenticated INTEGER NOT NULL DEFAULT 0,
-      created_at TEXT NOT NULL DEFAULT (datetime('now')),
-      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  }
+  if (current === 0) return;
+
+  const applied = conn.prepare('SELECT version, name FROM schema_version ORDER BY version').all();
+  const known = new Map(MIGRATIONS.map((m) => [m.version, m.name]));
+  for (const row of applied) {
+    if (known.get(row.version) !== row.name) {
+      throw new Error(
+        `Database schema history does not match this build: version ${row.version} ` +
+        `was applied as "${row.name}", expected "${known.get(row.version) || 'unknown'}".`
+      );
+    }
+  }
+  if (applied.length !== current) {
+    throw new Error(
+      `Database schema history has gaps: ${applied.length} migration(s) recorded up to version ${current}.`
     );
+  }
+}
 
-    CREATE TABLE IF NOT EXISTS consistency_groups (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      cg_id INTEGER NOT NULL,
-      name TEXT,
-      source_storage_id TEXT NOT NULL,
-      target_storage_id TEXT NOT NULL,
-      is_monitored INTEGER NOT NULL DEFAULT 1,
-      created_at TEXT NOT NULL DEFAULT (datetime('now'))
-    );
+/**
+ * Applies every pending migration in order, each in its own transaction,
+ * and verifies the database ends at SCHEMA_VERSION.
+ *
+ * @throws {Error} If a migration fails or the schema version does not match
+ */
+function runMigrations() {
+  const hasTables = db.prepare(
+    "SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table' AND name = 'users'"
+  ).get().count > 0;
 
-    CREATE TABLE IF NOT EXISTS rpo_history (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      cg_id INTEGER NOT NULL,
-      journal_id INTEGER,
-      mu_number INTEGER,
-      usage_rate INTEGER,
-      q_count INTEGER,
-      q_marker TEXT,
-      pending_data_bytes INTEGER,
-      estimated_rpo_seconds REAL,
-      block_delta_bytes INTEGER,
-      copy_speed INTEGER,
-      journal_status TEXT,
-      pair_status TEXT,
-      timestamp TEXT NOT NULL DEFAULT (datetime('now'))
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now')),
+      duration_ms INTEGER
     );
+  `);
 
-    CREATE TABLE IF NOT EXISTS alerts (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      cg_id INTEGER,
-      alert_type TEXT NOT NULL,
-      severity TEXT NOT NULL,
-      message TEXT NOT NULL,
-      is_acknowledged INTEGER NOT NULL DEFAULT 0,
-      created_at TEXT NOT NULL DEFAULT (datetime('now'))
-    );
+  verifySchemaHistory();
 
-    CREATE TABLE IF NOT EXISTS settings (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      key TEXT NOT NULL UNIQUE,
-      value TEXT,
-      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
-    );
+  const current = getSchemaVersion();
+  const pending = MIGRATIONS.filter((m) => m.version > current);
 
-    CREATE TABLE IF NOT EXISTS cg_volumes (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      cg_id INTEGER NOT NULL,
-      source_storage_id TEXT NOT NULL,
-      pvol_ldev_id INTEGER,
-      svol_ldev_id INTEGER,
-      pvol_journal_id INTEGER,
-      svol_journal_id INTEGER,
-      pvol_status TEXT,
-      svol_status TEXT,
-      fence_level TEXT,
-      copy_group_name TEXT,
-      copy_progress_rate INTEGER,
-      target_storage_id TEXT,
-      discovered_at TEXT NOT NULL DEFAULT (datetime('now'))
-    );
-  `);
+  if (current === 0 && hasTables) {
+    console.log('[database] Adopting a database created before schema versioning.');
+  }
+  if (pending.length === 0) {
+    console.log(`[database] Schema is up to date (version ${current}).`);
+    return;
+  }
 
-  // Create indexes for frequently queried columns
-  db.exec(`
-    CREATE INDEX IF NOT EXISTS idx_rpo_history_cg_id ON rpo_history(cg_id);
-    CREATE INDEX IF NOT EXISTS idx_rpo_history_timestamp ON rpo_history(timestamp);
-    CREATE INDEX IF NOT EXISTS idx_rpo_history_cg_timestamp ON rpo_history(cg_id, timestamp);
-    CREATE INDEX IF NOT EXISTS idx_alerts_cg_id ON alerts(cg_id);
-    CREATE INDEX IF NOT EXISTS idx_alerts_created_at ON alerts(created_at);
-    CREATE INDEX IF NOT EXISTS idx_settings_key ON settings(key);
-    CREATE INDEX IF NOT EXISTS idx_cg_volumes_cg_id ON cg_volumes(cg_id);
-  `);
+  console.log(
+    `[database] Migrating schema from version ${current} to ${SCHEMA_VERSION} ` +
+    `(${pending.length} migration(s))...`
+  );
+
+  const recordVersion = db.prepare(
+    'INSERT INTO schema_version (version, name, duration_ms) VALUES (?, ?, ?)'
+  );
+
+  for (const migration of pending) {
+    const startTime = Date.now();
+    try {
+      db.transaction(() => {
+        migration.up(db);
+        recordVersion.run(migration.version, migration.name, Date.now() - startTime);
+      })();
+    } catch (err) {
+      throw new Error(
+        `Migration ${migration.version} (${migration.name}) failed and was rolled back: ${err.message}`
+      );
+    }
+    console.log(
+      `[database] Applied migration ${migration.version} (${migration.name}) in ${Date.now() - startTime}ms.`
+    );
+  }
 
-  // Add columns to existing tables if they don't exist (migration)
-  const migrations = [
-    'ALTER TABLE consistency_groups ADD COLUMN volume_count INTEGER DEFAULT 0',
-    'ALTER TABLE api_config ADD COLUMN protector_host TEXT',
-    'ALTER TABLE api_config ADD COLUMN protector_port INTEGER DEFAULT 20964',
-    'ALTER TABLE api_config ADD COLUMN protector_username TEXT',
-    'ALTER TABLE api_config ADD COLUMN protector_encrypted_password TEXT',
-    'ALTER TABLE api_config ADD COLUMN protector_iv TEXT',
-    'ALTER TABLE api_config ADD COLUMN protector_auth_tag TEXT',
-  ];
-  for (const sql of migrations) {
-    try { db.exec(sql); } catch (_e) { /* column already exists */ }
+  const finalVersion = getSchemaVersion();
+  if (finalVersion !== SCHEMA_VERSION) {
+    throw new Error(
+      `Schema version mismatch after migrating: database is at ${finalVersion}, expected ${SCHEMA_VERSION}.`
+    );
   }
 }
 
 /**
- * Seeds the default admin user and default settings on first run.
+ * Seeds the default admin user on first run and any missing default settings.
  */
 function seedDefaults() {
   // Seed default admin user if no users exist
@@ -185,30 +189,45 @@ function seedDefaults() {
     console.log('[database] Default admin user created (admin/admin). Password change required on first login.');
   }
 
-  // Seed default settings if settings table is empty
-  const settingsCount = db.prepare('SELECT COUNT(*) as count FROM settings').get();
-  if (settingsCount.count === 0) {
-    const defaultSettings = [
-      ['polling_interval_seconds', '300'],      // 5 minutes
-      ['session_timeout_minutes', '30'],         // 30 minutes UI session
-      ['data_retention_days', '30'],             // 30 days raw data retention
-      ['rpo_threshold_warning_percent', '5'],    // usageRate warning threshold
-      ['rpo_threshold_critical_percent', '20'],  // usageRate critical threshold
-      ['auto_refresh_enabled', 'true'],
-    ];
-
-    const insertSetting = db.prepare(
-      'INSERT INTO settings (key, value) VALUES (?, ?)'
-    );
-
-    const insertMany = db.transaction((settings) => {
-      for (const [key, value] of settings) {
-        insertSetting.run(key, value);
-      }
-    });
+  // Seed every default setting that is missing, so a database created by an
+  // older version also gets the keys added since. Stored values are kept.
+  const defaultSettings = [
+    ['polling_interval_seconds', '300'],      // 5 minutes
+    ['poll_concurrency', '4'],                 // storages polled in parallel
+    ['poll_storage_concurrency', '4'],         // parallel API requests per storage
+    ['poll_storage_timeout_seconds', '120'],   // per-storage poll time limit
+    ['incident_poll_interval_seconds', '30'],  // cadence while a CG is degraded
+    ['incident_cooldown_minutes', '15'],       // normal time before leaving incident cadence
+    ['session_timeout_minutes', '30'],         // 30 minutes UI session
+    ['data_retention_days', '30'],             // 30 days raw data retention
+    ['rollup_hourly_retention_days', '90'],    // hourly rollups
+    ['rollup_daily_retention_days', '730'],    // daily rollups
+    ['backup_nightly_enabled', 'false'],
+    ['backup_nightly_time', '02:00'],          // local server time
+    ['backup_retention_count', '7'],           // backup files kept
+    ['rpo_threshold_warning_percent', '5'],    // usageRate warning threshold
+    ['rpo_threshold_critical_percent', '20'],  // usageRate critical threshold
+    ['alert_auto_resolve_polls', '3'],         // clear polls before an alert resolves
+    ['collector_unreachable_polls', '2'],      // failed polls before a storage is unreachable
+    ['collector_stale_minutes', '15'],         // time without a successful poll before alerting
+    ['auto_refresh_enabled', 'true'],
+  ];
 
-    insertMany(defaultSettings);
-    console.log('[database] Default settings seeded.');
+  const insertSetting = db.prepare(
+    'INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)'
+  );
+
+  const insertMany = db.transaction((settings) => {
+    let inserted = 0;
+    for (const [key, value] of settings) {
+      inserted += insertSetting.run(key, value).changes;
+    }
+    return inserted;
+  });
+
+  const inserted = insertMany(defaultSettings);
+  if (inserted > 0) {
+    console.log(`[database] ${inserted} default setting(s) seeded.`);
   }
 }
 
@@ -227,4 +246,9 @@ module.exports = {
   getDb,
   initDatabase,
   closeDatabase,
+  getSchemaVersion,
+  verifySchemaHistory,
+  SCHEMA_VERSION,
+  DATA_DIR,
+  DB_PATH,
 };
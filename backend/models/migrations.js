@@ -0,0 +1,591 @@
+/**
+ * Schema Migrations
+ *
+ * Numbered, up-only schema changes for the SQLite database. Each migration
+ * runs inside a transaction together with its schema_version row, so a
+ * failing migration leaves the database at the previous version.
+ *
+ * Rules for adding a migration:
+ *   - Append it with the next version number; never edit or reorder one
+ *     that has shipped.
+ *   - Keep it self-contained: use SQL and the helpers below, not the
+ *     application services, since those change over time.
+ *
+ * Migrations 1-11 reproduce the schema that existed before versioning. They
+ * are written to tolerate tables and columns that already exist, so a
+ * database created by an older build is adopted by replaying them.
+ */
+
+/**
+ * Returns true if a table has the given column.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} table
+ * @param {string} column
+ * @returns {boolean}
+ */
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some((c) => c.name === column);
+}
+
+/**
+ * Adds a column unless it already exists.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition - Column type and constraints
+ */
+function addColumn(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Returns the CREATE TABLE statement for an RPO rollup table.
+ *
+ * @param {string} table
+ * @returns {string}
+ */
+function rollupTableSql(table) {
+  return `
+    CREATE TABLE IF NOT EXISTS ${table} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      cg_id INTEGER NOT NULL,
+      bucket_start TEXT NOT NULL,
+      sample_count INTEGER NOT NULL DEFAULT 0,
+      usage_rate_min INTEGER,
+      usage_rate_max INTEGER,
+      usage_rate_avg REAL,
+      usage_rate_p95 INTEGER,
+      q_count_min INTEGER,
+      q_count_max INTEGER,
+      q_count_avg REAL,
+      q_count_p95 INTEGER,
+      pending_bytes_min INTEGER,
+      pending_bytes_max INTEGER,
+      pending_bytes_avg REAL,
+      pending_bytes_p95 INTEGER,
+      rpo_seconds_min REAL,
+      rpo_seconds_max REAL,
+      rpo_seconds_avg REAL,
+      rpo_seconds_p95 REAL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (cg_id, bucket_start)
+    );
+    CREATE INDEX IF NOT EXISTS idx_${table}_bucket ON ${table}(bucket_start);
+  `;
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT NOT NULL UNIQUE,
+          password_hash TEXT NOT NULL,
+          must_change_password INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS api_config (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          host TEXT NOT NULL,
+          port INTEGER NOT NULL DEFAULT 23451,
+          use_ssl INTEGER NOT NULL DEFAULT 1,
+          accept_self_signed INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS storage_credentials (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          storage_device_id TEXT NOT NULL UNIQUE,
+          model TEXT,
+          serial_number TEXT,
+          username TEXT,
+          encrypted_password TEXT,
+          iv TEXT,
+          auth_tag TEXT,
+          is_authenticated INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS consistency_groups (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          cg_id INTEGER NOT NULL,
+          name TEXT,
+          source_storage_id TEXT NOT NULL,
+          target_storage_id TEXT NOT NULL,
+          is_monitored INTEGER NOT NULL DEFAULT 1,
+          created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS rpo_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          cg_id INTEGER NOT NULL,
+          journal_id INTEGER,
+          mu_number INTEGER,
+          usage_rate INTEGER,
+          q_count INTEGER,
+          q_marker TEXT,
+          pending_data_bytes INTEGER,
+          estimated_rpo_seconds REAL,
+          block_delta_bytes INTEGER,
+          copy_speed INTEGER,
+          journal_status TEXT,
+          pair_status TEXT,
+          timestamp TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS alerts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          cg_id INTEGER,
+          alert_type TEXT NOT NULL,
+          severity TEXT NOT NULL,
+          message TEXT NOT NULL,
+          is_acknowledged INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS settings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          key TEXT NOT NULL UNIQUE,
+          value TEXT,
+          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS cg_volumes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          cg_id INTEGER NOT NULL,
+          source_storage_id TEXT NOT NULL,
+          pvol_ldev_id INTEGER,
+          svol_ldev_id INTEGER,
+          pvol_journal_id INTEGER,
+          svol_journal_id INTEGER,
+          pvol_status TEXT,
+          svol_status TEXT,
+          fence_level TEXT,
+          copy_group_name TEXT,
+          copy_progress_rate INTEGER,
+          target_storage_id TEXT,
+          discovered_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_rpo_history_cg_id ON rpo_history(cg_id);
+        CREATE INDEX IF NOT EXISTS idx_rpo_history_timestamp ON rpo_history(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_rpo_history_cg_timestamp ON rpo_history(cg_id, timestamp);
+        CREATE INDEX IF NOT EXISTS idx_alerts_cg_id ON alerts(cg_id);
+        CREATE INDEX IF NOT EXISTS idx_alerts_created_at ON alerts(created_at);
+        CREATE INDEX IF NOT EXISTS idx_settings_key ON settings(key);
+        CREATE INDEX IF NOT EXISTS idx_cg_volumes_cg_id ON cg_volumes(cg_id);
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'protector_config_and_volume_count',
+    up(db) {
+      addColumn(db, 'consistency_groups', 'volume_count', 'INTEGER DEFAULT 0');
+      addColumn(db, 'api_config', 'protector_host', 'TEXT');
+      addColumn(db, 'api_config', 'protector_port', 'INTEGER DEFAULT 20964');
+      addColumn(db, 'api_config', 'protector_username', 'TEXT');
+      addColumn(db, 'api_config', 'protector_encrypted_password', 'TEXT');
+      addColumn(db, 'api_config', 'protector_iv', 'TEXT');
+      addColumn(db, 'api_config', 'protector_auth_tag', 'TEXT');
+    },
+  },
+  {
+    version: 3,
+    name: 'poll_runs',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS poll_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          trigger TEXT NOT NULL,
+          status TEXT NOT NULL,
+          started_at TEXT NOT NULL,
+          finished_at TEXT,
+          duration_ms INTEGER,
+          storage_count INTEGER NOT NULL DEFAULT 0,
+          failed_storage_count INTEGER NOT NULL DEFAULT 0,
+          storage_results TEXT,
+          error TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_poll_runs_started_at ON poll_runs(started_at);
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: 'dr_journal_q_marker_delta',
+    up(db) {
+      addColumn(db, 'rpo_history', 'q_marker_delta', 'INTEGER');
+      addColumn(db, 'rpo_history', 'dr_journal_id', 'INTEGER');
+      addColumn(db, 'rpo_history', 'dr_q_marker', 'TEXT');
+    },
+  },
+  {
+    version: 5,
+    name: 'lag_seconds',
+    up(db) {
+      addColumn(db, 'rpo_history', 'lag_seconds', 'REAL');
+    },
+  },
+  {
+    version: 6,
+    name: 'volume_history',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS volume_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          cg_id INTEGER NOT NULL,
+          source_storage_id TEXT NOT NULL,
+          target_storage_id TEXT,
+          journal_id INTEGER,
+          pvol_ldev_id INTEGER,
+          svol_ldev_id INTEGER,
+          pvol_used_blocks INTEGER,
+          svol_used_blocks INTEGER,
+          block_delta_bytes INTEGER,
+          pvol_status TEXT,
+          svol_status TEXT,
+          timestamp TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_volume_history_cg_timestamp ON volume_history(cg_id, timestamp);
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: 'poll_run_api_calls',
+    up(db) {
+      addColumn(db, 'poll_runs', 'api_call_count', 'INTEGER');
+      addColumn(db, 'poll_runs', 'api_calls', 'TEXT');
+    },
+  },
+  {
+    version: 8,
+    name: 'poll_interval_overrides',
+    up(db) {
+      addColumn(db, 'storage_credentials', 'poll_interval_seconds', 'INTEGER');
+      addColumn(db, 'consistency_groups', 'poll_interval_seconds', 'INTEGER');
+    },
+  },
+  {
+    version: 9,
+    name: 'poll_cadence_events',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS poll_cadence_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          storage_device_id TEXT NOT NULL,
+          from_cadence TEXT NOT NULL,
+          to_cadence TEXT NOT NULL,
+          interval_seconds INTEGER,
+          reason TEXT,
+          cg_ids TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_poll_cadence_events_created_at ON poll_cadence_events(created_at);
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: 'poll_snapshot_ids',
+    up(db) {
+      addColumn(db, 'rpo_history', 'poll_snapshot_id', 'INTEGER');
+      addColumn(db, 'volume_history', 'poll_snapshot_id', 'INTEGER');
+
+      // Rows written before snapshot IDs existed get one synthetic snapshot per
+      // timestamp. Offsetting the epoch keeps them negative, so they sort before
+      // every real snapshot (poll_runs.id) and in time order among themselves.
+      db.exec(`
+        UPDATE rpo_history
+        SET poll_snapshot_id = CAST(strftime('%s', timestamp) AS INTEGER) - 2000000000
+        WHERE poll_snapshot_id IS NULL;
+        UPDATE volume_history
+        SET poll_snapshot_id = CAST(strftime('%s', timestamp) AS INTEGER) - 2000000000
+        WHERE poll_snapshot_id IS NULL;
+        CREATE INDEX IF NOT EXISTS idx_rpo_history_cg_snapshot ON rpo_history(cg_id, poll_snapshot_id);
+        CREATE INDEX IF NOT EXISTS idx_volume_history_cg_snapshot ON volume_history(cg_id, poll_snapshot_id);
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: 'rpo_history_rollups',
+    up(db) {
+      db.exec(rollupTableSql('rpo_history_hourly'));
+      db.exec(rollupTableSql('rpo_history_daily'));
+    },
+  },
+  {
+    version: 12,
+    name: 'alert_lifecycle',
+    up(db) {
+      addColumn(db, 'alerts', 'status', "TEXT NOT NULL DEFAULT 'open'");
+      addColumn(db, 'alerts', 'acknowledged_by', 'TEXT');
+      addColumn(db, 'alerts', 'acknowledged_at', 'TEXT');
+      addColumn(db, 'alerts', 'resolved_at', 'TEXT');
+      addColumn(db, 'alerts', 'resolved_by', 'TEXT');
+      addColumn(db, 'alerts', 'storage_device_id', 'TEXT');
+      addColumn(db, 'alerts', 'last_seen_at', 'TEXT');
+      addColumn(db, 'alerts', 'clear_poll_count', 'INTEGER NOT NULL DEFAULT 0');
+
+      // Acknowledged alerts keep their state; when they were acknowledged
+      // (and by whom) was never recorded
+      db.exec(`
+        UPDATE alerts SET status = 'acknowledged' WHERE is_acknowledged = 1;
+        UPDATE alerts SET last_seen_at = created_at WHERE last_seen_at IS NULL;
+        CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status);
+        CREATE INDEX IF NOT EXISTS idx_alerts_cg_type_status ON alerts(cg_id, alert_type, status);
+      `);
+    },
+  },
+  {
+    version: 13,
+    name: 'cg_threshold_overrides',
+    up(db) {
+      // NULL means "use the global rpo_threshold_* setting"
+      addColumn(db, 'consistency_groups', 'usage_rate_warning', 'REAL');
+      addColumn(db, 'consistency_groups', 'usage_rate_critical', 'REAL');
+      addColumn(db, 'consistency_groups', 'rpo_seconds_warning', 'INTEGER');
+      addColumn(db, 'consistency_groups', 'rpo_seconds_critical', 'INTEGER');
+      addColumn(db, 'consistency_groups', 'target_rpo_seconds', 'INTEGER');
+    },
+  },
+  {
+    version: 14,
+    name: 'pair_status_events',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS pair_status_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          cg_id INTEGER NOT NULL,
+          storage_device_id TEXT NOT NULL,
+          remote_storage_id TEXT,
+          pvol_ldev_id INTEGER,
+          svol_ldev_id INTEGER,
+          volume TEXT NOT NULL,
+          from_status TEXT,
+          to_status TEXT,
+          severity TEXT NOT NULL,
+          poll_snapshot_id INTEGER,
+          created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_pair_status_events_cg_created ON pair_status_events(cg_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_volume_history_pair ON volume_history(source_storage_id, pvol_ldev_id);
+      `);
+    },
+  },
+  {
+    version: 15,
+    name: 'notification_channels',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS notification_channels (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL,
+          is_enabled INTEGER NOT NULL DEFAULT 1,
+          config TEXT NOT NULL DEFAULT '{}',
+          encrypted_secret TEXT,
+          secret_iv TEXT,
+          secret_auth_tag TEXT,
+          severities TEXT NOT NULL DEFAULT 'warning,critical',
+          cg_ids TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS notification_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          channel_id INTEGER NOT NULL REFERENCES notification_channels(id) ON DELETE CASCADE,
+          alert_id INTEGER,
+          event TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          response TEXT,
+          last_error TEXT,
+          next_attempt_at TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          sent_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_notification_deliveries_status ON notification_deliveries(status, next_attempt_at);
+        CREATE INDEX IF NOT EXISTS idx_notification_deliveries_channel ON notification_deliveries(channel_id, created_at);
+      `);
+    },
+  },
+  {
+    version: 16,
+    name: 'maintenance_windows',
+    up(db) {
+      // Alerts raised during a maintenance window or silence are still
+      // recorded, but flagged and not notified
+      addColumn(db, 'alerts', 'suppressed', 'INTEGER NOT NULL DEFAULT 0');
+      addColumn(db, 'alerts', 'suppression_reason', 'TEXT');
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS maintenance_windows (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          reason TEXT,
+          storage_device_ids TEXT,
+          cg_ids TEXT,
+          starts_at TEXT NOT NULL,
+          ends_at TEXT NOT NULL,
+          recurrence TEXT NOT NULL DEFAULT 'none',
+          recurrence_until TEXT,
+          created_by TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS alert_silences (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          cg_id INTEGER,
+          storage_device_id TEXT,
+          alert_type TEXT,
+          reason TEXT NOT NULL,
+          created_by TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          expires_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_alert_silences_expires ON alert_silences(expires_at);
+      `);
+    },
+  },
+  {
+    version: 17,
+    name: 'alert_rules',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS alert_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          description TEXT,
+          is_enabled INTEGER NOT NULL DEFAULT 1,
+          severity TEXT NOT NULL DEFAULT 'warning',
+          condition TEXT NOT NULL,
+          cg_ids TEXT,
+          created_by TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+      `);
+    },
+  },
+  {
+    version: 18,
+    name: 'escalation_policies',
+    up(db) {
+      // Escalation state of an alert under a policy: the level reached, when
+      // level 1 was notified, when it escalated and when it was last sent
+      addColumn(db, 'alerts', 'escalation_policy_id', 'INTEGER');
+      addColumn(db, 'alerts', 'escalation_level', 'INTEGER');
+      addColumn(db, 'alerts', 'escalation_started_at', 'TEXT');
+      addColumn(db, 'alerts', 'escalated_at', 'TEXT');
+      addColumn(db, 'alerts', 'last_notified_at', 'TEXT');
+      addColumn(db, 'alerts', 'reminder_count', 'INTEGER NOT NULL DEFAULT 0');
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS escalation_policies (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          is_enabled INTEGER NOT NULL DEFAULT 1,
+          severities TEXT NOT NULL DEFAULT 'critical',
+          cg_ids TEXT,
+          level1_channel_ids TEXT NOT NULL,
+          level2_channel_ids TEXT,
+          escalate_after_minutes INTEGER,
+          repeat_interval_minutes INTEGER,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_alerts_escalation ON alerts(escalation_policy_id, status);
+      `);
+    },
+  },
+  {
+    version: 19,
+    name: 'alert_events',
+    up(db) {
+      addColumn(db, 'alerts', 'assigned_to', 'TEXT');
+      addColumn(db, 'alerts', 'assigned_at', 'TEXT');
+
+      // Append-only history of every alert: state changes, assignments and
+      // comments. The triggers keep recorded entries from being rewritten;
+      // a history can only be deleted together with its alert.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS alert_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          alert_id INTEGER NOT NULL,
+          event_type TEXT NOT NULL,
+          username TEXT,
+          comment TEXT,
+          details TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_alert_events_alert ON alert_events(alert_id, id);
+
+        CREATE TRIGGER IF NOT EXISTS alert_events_no_update
+        BEFORE UPDATE ON alert_events
+        BEGIN
+          SELECT RAISE(ABORT, 'alert_events is append-only');
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS alert_events_no_delete
+        BEFORE DELETE ON alert_events
+        WHEN EXISTS (SELECT 1 FROM alerts WHERE id = OLD.alert_id)
+        BEGIN
+          SELECT RAISE(ABORT, 'alert_events is append-only');
+        END;
+      `);
+
+      // Seed the history of existing alerts from their lifecycle columns
+      db.exec(`
+        INSERT INTO alert_events (alert_id, event_type, created_at)
+        SELECT id, 'created', created_at FROM alerts;
+
+        INSERT INTO alert_events (alert_id, event_type, username, created_at)
+        SELECT id, 'acknowledged', acknowledged_by, acknowledged_at FROM alerts
+        WHERE acknowledged_at IS NOT NULL;
+
+        INSERT INTO alert_events (alert_id, event_type, username, created_at)
+        SELECT id, 'resolved', resolved_by, resolved_at FROM alerts
+        WHERE resolved_at IS NOT NULL;
+      `);
+    },
+  },
+  {
+    version: 20,
+    name: 'rpo_history_storage',
+    up(db) {
+      // The master and DR storages of a group write rows for the same cg_id,
+      // often in different poll snapshots. Tagging each row with the storage
+      // that reported it lets readers take each storage's latest snapshot.
+      // Older rows stay untagged; readers use them only until tagged rows exist.
+      addColumn(db, 'rpo_history', 'storage_device_id', 'TEXT');
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_rpo_history_cg_storage_snapshot
+          ON rpo_history(cg_id, storage_device_id, poll_snapshot_id);
+        CREATE INDEX IF NOT EXISTS idx_volume_history_cg_storage_snapshot
+          ON volume_history(cg_id, source_storage_id, poll_snapshot_id);
+      `);
+    },
+  },
+];
+
+module.exports = {
+  MIGRATIONS,
+  hasColumn,
+  addColumn,
+};
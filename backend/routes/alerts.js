@@ -1,6 +1,9 @@
 const express = require('express');
 const { getDb } = require('../models/database');
 const { authenticateToken } = require('./auth');
+const { parseTimestamp, toSqliteTimestamp } = require('../utils/sqlite');
+const alertRules = require('../services/alertRules');
+const alertEvents = require('../services/alertEvents');
 
 const router = express.Router();
 
@@ -17,77 +20,270 @@ const DEFAULT_THRESHOLDS = {
   rpo_seconds_critical: 7200,   // 2 hours
 };
 
+// Alert lifecycle states: open → acknowledged → resolved
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Alert scope filter: collector health alerts have no consistency group
+const ALERT_SCOPES = {
+  system: 'cg_id IS NULL',
+  group: 'cg_id IS NOT NULL',
+};
+
+// Incident duration: until resolution, or until now while still unresolved
+const DURATION_SQL = `CAST(ROUND((julianday(COALESCE(resolved_at, datetime('now'))) - julianday(created_at)) * 86400) AS INTEGER)`;
+
+// Number of comments in an alert's history
+const COMMENT_COUNT_SQL = `(SELECT COUNT(*) FROM alert_events e WHERE e.alert_id = alerts.id AND e.event_type = 'comment')`;
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Reads the optional comment of a request body.
+ * Returns { comment } (null when empty) or { error } for a 400 response.
+ */
+function parseComment(value) {
+  if (value === undefined || value === null) return { comment: null };
+  const comment = String(value).trim();
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    return { error: `Yorum en fazla ${MAX_COMMENT_LENGTH} karakter olabilir.` };
+  }
+  return { comment: comment || null };
+}
+
+// ---------------------------------------------------------------------------
+// Alert search
+// ---------------------------------------------------------------------------
+
+const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+
+// Sortable list columns; severity sorts by rank rather than alphabetically
+const SORT_COLUMNS = {
+  created_at: 'created_at',
+  severity: "CASE severity WHEN 'critical' THEN 3 WHEN 'warning' THEN 2 ELSE 1 END",
+  status: "CASE status WHEN 'open' THEN 1 WHEN 'acknowledged' THEN 2 ELSE 3 END",
+  cg_id: 'cg_id',
+  alert_type: 'alert_type',
+  duration_seconds: 'duration_seconds',
+};
+
+// Filter keys understood by buildAlertFilter (query string or bulk body)
+const FILTER_KEYS = [
+  'severity', 'status', 'acknowledged', 'cg_id', 'scope', 'suppressed',
+  'assigned_to', 'alert_type', 'storage_device_id', 'from', 'to', 'q',
+];
+
+// Upper bound on the alerts a single bulk action may touch
+const MAX_BULK_ALERTS = 1000;
+
+// A from / to filter value without a time of day ('YYYY-MM-DD')
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Splits a comma-separated filter value (or an array of values).
+ */
+function parseFilterList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map((v) => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Builds the WHERE clause of an alert search. Used by the list and by the
+ * bulk actions, so "acknowledge everything matching" hits exactly the
+ * alerts the list shows.
+ * Returns { where, params } or { error } for a 400 response.
+ *
+ * @param {Object} filter - Query string or bulk body filter (see GET /)
+ * @returns {{ where: string, params: Array }|{ error: string }}
+ */
+function buildAlertFilter(filter) {
+  const {
+    severity,
+    status,
+    acknowledged,
+    cg_id,
+    scope,
+    suppressed,
+    assigned_to,
+    alert_type,
+    storage_device_id,
+    from,
+    to,
+    q,
+  } = filter;
+
+  const conditions = [];
+  const params = [];
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+  if (isSet(severity)) {
+    const severities = parseFilterList(severity);
+    if (severities.some((s) => !ALERT_SEVERITIES.includes(s))) {
+      return { error: `Geçersiz önem derecesi. Geçerli değerler: ${ALERT_SEVERITIES.join(', ')}` };
+    }
+    conditions.push(`severity IN (${severities.map(() => '?').join(', ')})`);
+    params.push(...severities);
+  }
+
+  if (isSet(status)) {
+    const statuses = parseFilterList(status);
+    if (statuses.some((s) => !ALERT_STATUSES.includes(s))) {
+      return { error: 'Geçersiz uyarı durumu.' };
+    }
+    conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+
+  if (isSet(acknowledged)) {
+    conditions.push('is_acknowledged = ?');
+    params.push(String(acknowledged) === 'true' ? 1 : 0);
+  }
+
+  if (isSet(cg_id)) {
+    const cgId = parseInt(cg_id, 10);
+    if (!Number.isInteger(cgId)) {
+      return { error: 'Geçersiz tutarlılık grubu ID.' };
+    }
+    conditions.push('cg_id = ?');
+    params.push(cgId);
+  }
+
+  if (isSet(scope)) {
+    if (!ALERT_SCOPES[scope]) {
+      return { error: 'Geçersiz uyarı kapsamı. Geçerli değerler: system, group' };
+    }
+    conditions.push(ALERT_SCOPES[scope]);
+  }
+
+  if (isSet(suppressed)) {
+    conditions.push('suppressed = ?');
+    params.push(String(suppressed) === 'true' ? 1 : 0);
+  }
+
+  if (isSet(assigned_to)) {
+    if (assigned_to === 'none') {
+      conditions.push('assigned_to IS NULL');
+    } else {
+      conditions.push('assigned_to = ?');
+      params.push(String(assigned_to));
+    }
+  }
+
+  if (isSet(alert_type)) {
+    const types = parseFilterList(alert_type);
+    conditions.push(`alert_type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+
+  // A storage's alerts: its own collector alerts and those of every group
+  // replicating from or to it
+  if (isSet(storage_device_id)) {
+    const storageId = String(storage_device_id);
+    conditions.push(`(storage_device_id = ? OR cg_id IN (
+      SELECT cg_id FROM consistency_groups WHERE source_storage_id = ? OR target_storage_id = ?))`);
+    params.push(storageId, storageId, storageId);
+  }
+
+  const fromAt = isSet(from) ? parseTimestamp(from) : null;
+  const toAt = isSet(to) ? parseTimestamp(to) : null;
+  if (Number.isNaN(fromAt) || Number.isNaN(toAt)) {
+    return { error: 'Geçersiz tarih aralığı.' };
+  }
+  if (fromAt !== null && toAt !== null && toAt < fromAt) {
+    return { error: 'Bitiş tarihi başlangıç tarihinden önce olamaz.' };
+  }
+  if (fromAt !== null) {
+    conditions.push('created_at >= ?');
+    params.push(toSqliteTimestamp(fromAt));
+  }
+  if (toAt !== null) {
+    // A date-only bound includes that whole day
+    if (DATE_ONLY.test(String(to).trim())) {
+      conditions.push('created_at < ?');
+      params.push(toSqliteTimestamp(toAt + DAY_MS));
+    } else {
+      conditions.push('created_at <= ?');
+      params.push(toSqliteTimestamp(toAt));
+    }
+  }
+
+  // Free-text search in the message and the alert type
+  if (isSet(q)) {
+    const pattern = `%${String(q).trim().replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+    conditions.push("(message LIKE ? ESCAPE '\\' OR alert_type LIKE ? ESCAPE '\\')");
+    params.push(pattern, pattern);
+  }
+
+  return {
+    where: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
 // ---------------------------------------------------------------------------
 // Routes
 // ---------------------------------------------------------------------------
 
 /**
  * GET /api/alerts
- * List alerts with optional filters.
+ * Search alerts. Each alert carries duration_seconds: how long the incident
+ * lasted, or has lasted so far if unresolved, and comment_count. The
+ * response's pagination.total counts every match, not just the page.
  * Query params:
- *   - severity: filter by severity level (info, warning, critical)
+ *   - severity: filter by severity level (info, warning, critical);
+ *     comma-separated for several
+ *   - status: filter by lifecycle state (open, acknowledged, resolved);
+ *     comma-separated for several
  *   - acknowledged: filter by acknowledgement status (true/false)
  *   - cg_id: filter by consistency group ID
+ *   - scope: system (collector health alerts, not tied to a group) or group
+ *   - suppressed: true for alerts raised during a maintenance window or
+ *     silence, false for the others
+ *   - assigned_to: username, or 'none' for unassigned alerts
+ *   - alert_type: filter by alert type; comma-separated for several
+ *   - storage_device_id: alerts of a storage, including those of the groups
+ *     replicating from or to it
+ *   - from / to: creation time range (UTC timestamp or ISO string); a
+ *     date-only to includes that whole day
+ *   - q: text searched in the message and alert type
+ *   - sort: created_at (default), severity, status, cg_id, alert_type or
+ *     duration_seconds
+ *   - order: asc or desc (default)
  *   - limit: max number of results (default: 100)
  *   - offset: pagination offset (default: 0)
  */
 router.get('/', (req, res) => {
   try {
-    const {
-      severity,
-      acknowledged,
-      cg_id,
-      limit = '100',
-      offset = '0',
-    } = req.query;
-
-    let query = 'SELECT * FROM alerts WHERE 1=1';
-    const params = [];
+    const { sort = 'created_at', order = 'desc', limit = '100', offset = '0' } = req.query;
 
-    if (severity) {
-      query += ' AND severity = ?';
-      params.push(severity);
+    const filter = buildAlertFilter(req.query);
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
     }
-
-    if (acknowledged !== undefined) {
-      query += ' AND is_acknowledged = ?';
-      params.push(acknowledged === 'true' ? 1 : 0);
+    if (!SORT_COLUMNS[sort]) {
+      return res.status(400).json({
+        error: `Geçersiz sıralama alanı. Geçerli değerler: ${Object.keys(SORT_COLUMNS).join(', ')}`,
+      });
     }
-
-    if (cg_id) {
-      query += ' AND cg_id = ?';
-      params.push(parseInt(cg_id, 10));
+    if (!['asc', 'desc'].includes(String(order).toLowerCase())) {
+      return res.status(400).json({ error: 'Geçersiz sıralama yönü. Geçerli değerler: asc, desc' });
     }
-
-    query += ' ORDER BY created_at DESC';
+    const direction = String(order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
 
     // Apply pagination
     const limitNum = Math.min(parseInt(limit, 10) || 100, 1000);
-    const offsetNum = parseInt(offset, 10) || 0;
-    query += ' LIMIT ? OFFSET ?';
-    params.push(limitNum, offsetNum);
+    const offsetNum = Math.max(parseInt(offset, 10) || 0, 0);
 
     const db = getDb();
-    const alerts = db.prepare(query).all(...params);
-
-    // Get total count for pagination (same filters, no limit/offset)
-    let countQuery = 'SELECT COUNT(*) as total FROM alerts WHERE 1=1';
-    const countParams = [];
-
-    if (severity) {
-      countQuery += ' AND severity = ?';
-      countParams.push(severity);
-    }
-    if (acknowledged !== undefined) {
-      countQuery += ' AND is_acknowledged = ?';
-      countParams.push(acknowledged === 'true' ? 1 : 0);
-    }
-    if (cg_id) {
-      countQuery += ' AND cg_id = ?';
-      countParams.push(parseInt(cg_id, 10));
-    }
+    const alerts = db.prepare(`
+      SELECT *, ${DURATION_SQL} as duration_seconds, ${COMMENT_COUNT_SQL} as comment_count
+      FROM alerts${filter.where}
+      ORDER BY ${SORT_COLUMNS[sort]} ${direction}, id ${direction}
+      LIMIT ? OFFSET ?
+    `).all(...filter.params, limitNum, offsetNum);
 
-    const total = db.prepare(countQuery).get(...countParams);
+    // Total count for pagination (same filters, no limit/offset)
+    const total = db.prepare(`SELECT COUNT(*) as total FROM alerts${filter.where}`).get(...filter.params);
 
     res.json({
       alerts,
@@ -103,32 +299,236 @@ router.get('/', (req, res) => {
   }
 });
 
+/**
+ * GET /api/alerts/types
+ * Alert types that occur in the alert log, for the search filter.
+ */
+router.get('/types', (_req, res) => {
+  try {
+    const db = getDb();
+    const types = db.prepare(`
+      SELECT alert_type, COUNT(*) as count FROM alerts
+      GROUP BY alert_type ORDER BY alert_type
+    `).all();
+    res.json({ types });
+  } catch (err) {
+    console.error('[alerts] List alert types error:', err.message);
+    res.status(500).json({ error: 'Uyarı türleri alınırken bir hata oluştu.' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Bulk actions
+// ---------------------------------------------------------------------------
+
+/**
+ * Selects the alerts a bulk action applies to, from either an ID list or
+ * a search filter (exactly one of the two), limited to the given statuses.
+ * Returns { ids, matched } or { error } for a 400 response.
+ *
+ * @param {Object} body - { ids?: number[], filter?: Object }
+ * @param {Array<string>} statuses - States the action can change
+ */
+function selectBulkAlerts(body, statuses) {
+  const { ids, filter } = body;
+  const hasIds = ids !== undefined && ids !== null;
+  const hasFilter = filter !== undefined && filter !== null;
+  if (hasIds === hasFilter) {
+    return { error: 'Uyarı ID listesi (ids) veya filtre (filter) alanlarından yalnızca biri gereklidir.' };
+  }
+
+  const db = getDb();
+  const statusSql = `status IN (${statuses.map(() => '?').join(', ')})`;
+
+  if (hasIds) {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some((id) => !Number.isInteger(Number(id)))) {
+      return { error: 'ids bir uyarı ID listesi olmalıdır.' };
+    }
+    const unique = [...new Set(ids.map(Number))];
+    if (unique.length > MAX_BULK_ALERTS) {
+      return { error: `Tek seferde en fazla ${MAX_BULK_ALERTS} uyarı işlenebilir.` };
+    }
+    const rows = db.prepare(`
+      SELECT id FROM alerts
+      WHERE id IN (${unique.map(() => '?').join(', ')}) AND ${statusSql}
+    `).all(...unique, ...statuses);
+    return { ids: rows.map((r) => r.id), matched: unique.length };
+  }
+
+  // An empty filter would take every alert; ask for it explicitly instead
+  if (typeof filter !== 'object' || Array.isArray(filter) ||
+      !FILTER_KEYS.some((key) => filter[key] !== undefined && filter[key] !== null && filter[key] !== '')) {
+    return { error: `Filtre en az bir alan içermelidir: ${FILTER_KEYS.join(', ')}` };
+  }
+  const built = buildAlertFilter(filter);
+  if (built.error) {
+    return { error: built.error };
+  }
+  const matched = db.prepare(`SELECT COUNT(*) as total FROM alerts${built.where}`).get(...built.params).total;
+  const rows = db.prepare(`
+    SELECT id FROM alerts${built.where}${built.where ? ' AND' : ' WHERE'} ${statusSql}
+    ORDER BY id LIMIT ?
+  `).all(...built.params, ...statuses, MAX_BULK_ALERTS + 1);
+  if (rows.length > MAX_BULK_ALERTS) {
+    return { error: `Filtre ${MAX_BULK_ALERTS} uyarıdan fazlasını kapsıyor; lütfen daraltın.` };
+  }
+  return { ids: rows.map((r) => r.id), matched };
+}
+
+/**
+ * POST /api/alerts/bulk/acknowledge
+ * Acknowledge many alerts at once, picked by ID or by a search filter.
+ * Only open alerts change; the others are counted as skipped. Each
+ * acknowledged alert gets a history entry and its escalation stops.
+ * Body: { ids?: number[], filter?: { ...GET /api/alerts filters }, comment? }
+ */
+router.post('/bulk/acknowledge', (req, res) => {
+  try {
+    const body = req.body || {};
+    const { comment, error } = parseComment(body.comment);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const selection = selectBulkAlerts(body, ['open']);
+    if (selection.error) {
+      return res.status(400).json({ error: selection.error });
+    }
+
+    const db = getDb();
+    const acknowledge = db.prepare(`
+      UPDATE alerts
+      SET status = 'acknowledged', is_acknowledged = 1,
+          acknowledged_by = ?, acknowledged_at = datetime('now')
+      WHERE id = ? AND status = 'open'
+    `);
+    let updated = 0;
+    db.transaction(() => {
+      for (const alertId of selection.ids) {
+        if (acknowledge.run(req.user.username, alertId).changes === 0) continue;
+        alertEvents.recordAlertEvent(alertId, 'acknowledged', {
+          username: req.user.username,
+          comment,
+          details: { bulk: true },
+        });
+        updated++;
+      }
+    })();
+
+    console.log(`[alerts] ${updated} alert(s) acknowledged in bulk by ${req.user.username}.`);
+    res.json({
+      message: `${updated} uyarı onaylandı.`,
+      matched: selection.matched,
+      updated,
+      skipped: selection.matched - updated,
+    });
+  } catch (err) {
+    console.error('[alerts] Bulk acknowledge error:', err.message);
+    res.status(500).json({ error: 'Uyarılar toplu onaylanırken bir hata oluştu.' });
+  }
+});
+
+/**
+ * POST /api/alerts/bulk/resolve
+ * Resolve many alerts at once, picked by ID or by a search filter.
+ * Already resolved alerts are counted as skipped.
+ * Body: { ids?: number[], filter?: { ...GET /api/alerts filters }, comment? }
+ */
+router.post('/bulk/resolve', (req, res) => {
+  try {
+    const body = req.body || {};
+    const { comment, error } = parseComment(body.comment);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const selection = selectBulkAlerts(body, ['open', 'acknowledged']);
+    if (selection.error) {
+      return res.status(400).json({ error: selection.error });
+    }
+
+    const db = getDb();
+    const resolve = db.prepare(`
+      UPDATE alerts
+      SET status = 'resolved', resolved_at = datetime('now'), resolved_by = ?
+      WHERE id = ? AND status != 'resolved'
+    `);
+    let updated = 0;
+    db.transaction(() => {
+      for (const alertId of selection.ids) {
+        if (resolve.run(req.user.username, alertId).changes === 0) continue;
+        alertEvents.recordAlertEvent(alertId, 'resolved', {
+          username: req.user.username,
+          comment,
+          details: { bulk: true },
+        });
+        updated++;
+      }
+    })();
+
+    console.log(`[alerts] ${updated} alert(s) resolved in bulk by ${req.user.username}.`);
+    res.json({
+      message: `${updated} uyarı çözüldü olarak işaretlendi.`,
+      matched: selection.matched,
+      updated,
+      skipped: selection.matched - updated,
+    });
+  } catch (err) {
+    console.error('[alerts] Bulk resolve error:', err.message);
+    res.status(500).json({ error: 'Uyarılar toplu çözülürken bir hata oluştu.' });
+  }
+});
+
 /**
  * POST /api/alerts/:alertId/acknowledge
- * Acknowledge a specific alert.
+ * Acknowledge a specific alert, recording who acknowledged it and when.
+ * The alert stays acknowledged until its condition clears or it is resolved.
+ * Acknowledging stops the alert's escalation policy: no further escalation
+ * or repeat notifications are sent.
+ * Body (optional): { comment } - why, kept in the alert's history
  */
 router.post('/:alertId/acknowledge', (req, res) => {
   try {
-    const { alertId } = req.params;
+    const alertId = parseInt(req.params.alertId, 10);
+    const { comment, error } = parseComment((req.body || {}).comment);
+    if (error) {
+      return res.status(400).json({ error });
+    }
     const db = getDb();
 
-    const alert = db.prepare('SELECT * FROM alerts WHERE id = ?').get(parseInt(alertId, 10));
+    const alert = db.prepare('SELECT * FROM alerts WHERE id = ?').get(alertId);
 
     if (!alert) {
       return res.status(404).json({ error: 'Uyarı bulunamadı.' });
     }
 
-    if (alert.is_acknowledged) {
-      return res.json({ message: 'Uyarı zaten onaylanmış.', alert_id: parseInt(alertId, 10) });
+    if (alert.status === 'resolved') {
+      return res.json({ message: 'Uyarı zaten çözülmüş.', alert_id: alertId, status: alert.status });
+    }
+
+    if (alert.status === 'acknowledged') {
+      return res.json({ message: 'Uyarı zaten onaylanmış.', alert_id: alertId, status: alert.status });
     }
 
     db.prepare(
-      'UPDATE alerts SET is_acknowledged = 1 WHERE id = ?'
-    ).run(parseInt(alertId, 10));
+      `UPDATE alerts
+       SET status = 'acknowledged', is_acknowledged = 1,
+           acknowledged_by = ?, acknowledged_at = datetime('now')
+       WHERE id = ?`
+    ).run(req.user.username, alertId);
+    alertEvents.recordAlertEvent(alertId, 'acknowledged', { username: req.user.username, comment });
+
+    const escalationStopped = alert.escalation_policy_id !== null;
+    if (escalationStopped) {
+      console.log(
+        `[alerts] Alert ${alertId} acknowledged by ${req.user.username} at escalation level ` +
+        `${alert.escalation_level}; escalation stopped.`
+      );
+    }
 
     res.json({
       message: 'Uyarı onaylandı.',
-      alert_id: parseInt(alertId, 10),
+      alert_id: alertId,
+      status: 'acknowledged',
+      escalation_stopped: escalationStopped,
     });
   } catch (err) {
     console.error('[alerts] Acknowledge error:', err.message);
@@ -136,6 +536,148 @@ router.post('/:alertId/acknowledge', (req, res) => {
   }
 });
 
+/**
+ * POST /api/alerts/:alertId/resolve
+ * Resolve an alert by hand. Alerts also resolve on their own once the
+ * condition has been clear for alert_auto_resolve_polls consecutive polls.
+ * Body (optional): { comment } - kept in the alert's history
+ */
+router.post('/:alertId/resolve', (req, res) => {
+  try {
+    const alertId = parseInt(req.params.alertId, 10);
+    const { comment, error } = parseComment((req.body || {}).comment);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const db = getDb();
+
+    const alert = db.prepare('SELECT * FROM alerts WHERE id = ?').get(alertId);
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Uyarı bulunamadı.' });
+    }
+
+    if (alert.status === 'resolved') {
+      return res.json({ message: 'Uyarı zaten çözülmüş.', alert_id: alertId, status: alert.status });
+    }
+
+    db.prepare(
+      `UPDATE alerts
+       SET status = 'resolved', resolved_at = datetime('now'), resolved_by = ?
+       WHERE id = ?`
+    ).run(req.user.username, alertId);
+    alertEvents.recordAlertEvent(alertId, 'resolved', { username: req.user.username, comment });
+
+    res.json({
+      message: 'Uyarı çözüldü olarak işaretlendi.',
+      alert_id: alertId,
+      status: 'resolved',
+    });
+  } catch (err) {
+    console.error('[alerts] Resolve error:', err.message);
+    res.status(500).json({ error: 'Uyarı çözülürken bir hata oluştu.' });
+  }
+});
+
+/**
+ * GET /api/alerts/assignees
+ * Usernames alerts can be assigned to.
+ */
+router.get('/assignees', (_req, res) => {
+  try {
+    const db = getDb();
+    const users = db.prepare('SELECT username FROM users ORDER BY username').all();
+    res.json({ assignees: users.map((u) => u.username) });
+  } catch (err) {
+    console.error('[alerts] List assignees error:', err.message);
+    res.status(500).json({ error: 'Kullanıcılar listelenirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * POST /api/alerts/:alertId/assign
+ * Assign an alert to a user, or clear the assignment.
+ * Body: { username: string|null, comment? }
+ */
+router.post('/:alertId/assign', (req, res) => {
+  try {
+    const alertId = parseInt(req.params.alertId, 10);
+    const body = req.body || {};
+    const { comment, error } = parseComment(body.comment);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (body.username === undefined) {
+      return res.status(400).json({ error: 'Atanacak kullanıcı belirtilmelidir (atamayı kaldırmak için null).' });
+    }
+
+    const db = getDb();
+    const alert = db.prepare('SELECT * FROM alerts WHERE id = ?').get(alertId);
+    if (!alert) {
+      return res.status(404).json({ error: 'Uyarı bulunamadı.' });
+    }
+
+    const assignee = body.username ? String(body.username).trim() : null;
+    if (assignee && !db.prepare('SELECT id FROM users WHERE username = ?').get(assignee)) {
+      return res.status(400).json({ error: 'Kullanıcı bulunamadı.' });
+    }
+    if (assignee === alert.assigned_to) {
+      return res.json({ message: 'Uyarı atanmış kullanıcı değişmedi.', alert_id: alertId, assigned_to: assignee });
+    }
+
+    db.prepare(
+      `UPDATE alerts SET assigned_to = ?, assigned_at = ${assignee ? "datetime('now')" : 'NULL'} WHERE id = ?`
+    ).run(assignee, alertId);
+    alertEvents.recordAlertEvent(alertId, assignee ? 'assigned' : 'unassigned', {
+      username: req.user.username,
+      comment,
+      details: { from: alert.assigned_to, to: assignee },
+    });
+
+    res.json({
+      message: assignee ? `Uyarı ${assignee} kullanıcısına atandı.` : 'Uyarı ataması kaldırıldı.',
+      alert_id: alertId,
+      assigned_to: assignee,
+    });
+  } catch (err) {
+    console.error('[alerts] Assign error:', err.message);
+    res.status(500).json({ error: 'Uyarı atanırken bir hata oluştu.' });
+  }
+});
+
+/**
+ * POST /api/alerts/:alertId/comments
+ * Add a comment to an alert's history. Comments can be added in any state,
+ * including after resolution.
+ * Body: { comment }
+ */
+router.post('/:alertId/comments', (req, res) => {
+  try {
+    const alertId = parseInt(req.params.alertId, 10);
+    const { comment, error } = parseComment((req.body || {}).comment);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!comment) {
+      return res.status(400).json({ error: 'Yorum boş olamaz.' });
+    }
+
+    const db = getDb();
+    if (!db.prepare('SELECT id FROM alerts WHERE id = ?').get(alertId)) {
+      return res.status(404).json({ error: 'Uyarı bulunamadı.' });
+    }
+
+    const eventId = alertEvents.recordAlertEvent(alertId, 'comment', { username: req.user.username, comment });
+    res.status(201).json({
+      message: 'Yorum eklendi.',
+      event: db.prepare('SELECT * FROM alert_events WHERE id = ?').get(eventId),
+    });
+  } catch (err) {
+    console.error('[alerts] Add comment error:', err.message);
+    res.status(500).json({ error: 'Yorum eklenirken bir hata oluştu.' });
+  }
+});
+
 /**
  * GET /api/alerts/thresholds
  * Get current threshold settings for alert generation.
@@ -264,4 +806,316 @@ router.post('/thresholds', (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Alert rules
+// ---------------------------------------------------------------------------
+
+const DEFAULT_DRY_RUN_HOURS = 24;
+const MAX_DRY_RUN_HOURS = 168;
+
+/**
+ * Shapes an alert_rules row for the API, with a readable condition summary.
+ */
+function formatRule(row) {
+  const rule = alertRules.parseRule(row);
+  return {
+    ...rule,
+    alert_type: alertRules.getRuleAlertType(rule.id),
+    summary: alertRules.describeCondition(rule.condition),
+  };
+}
+
+/**
+ * Validates a rule request body merged over the stored rule (if any).
+ * Returns the column values to write, or { error } for a 400 response.
+ *
+ * Body: { name, description?, is_enabled?, severity?, condition, cg_ids? }
+ */
+function buildRuleValues(body, existing = null) {
+  const current = existing ? formatRule(existing) : {};
+  const name = body.name !== undefined ? String(body.name || '').trim() : current.name;
+  const severity = body.severity !== undefined ? body.severity : (current.severity || 'warning');
+  const cgIds = body.cg_ids !== undefined ? (body.cg_ids || []) : (current.cg_ids || []);
+
+  if (!name) {
+    return { error: 'Kural adı gereklidir.' };
+  }
+  if (!alertRules.RULE_SEVERITIES.includes(severity)) {
+    return { error: `Geçersiz önem seviyesi. Geçerli değerler: ${alertRules.RULE_SEVERITIES.join(', ')}` };
+  }
+  if (!Array.isArray(cgIds) || cgIds.some((id) => !Number.isInteger(Number(id)))) {
+    return { error: 'Tutarlılık grubu filtresi bir CG ID listesi olmalıdır.' };
+  }
+
+  let condition;
+  try {
+    condition = alertRules.validateCondition(body.condition !== undefined ? body.condition : current.condition);
+  } catch (err) {
+    if (err.code === 'INVALID_RULE') return { error: err.message };
+    throw err;
+  }
+
+  const description = body.description !== undefined
+    ? (String(body.description || '').trim() || null)
+    : (existing ? existing.description : null);
+
+  return {
+    values: {
+      name,
+      description,
+      is_enabled: body.is_enabled !== undefined ? (body.is_enabled ? 1 : 0) : (existing ? existing.is_enabled : 1),
+      severity,
+      condition,
+      cg_ids: cgIds.length > 0 ? [...new Set(cgIds.map(Number))].join(',') : null,
+    },
+  };
+}
+
+/**
+ * Resolves the open alerts of a rule that was disabled or deleted, since
+ * nothing evaluates them any more.
+ *
+ * @returns {number} Number of alerts resolved
+ */
+function resolveRuleAlerts(ruleId, username) {
+  const db = getDb();
+  const open = db.prepare(
+    "SELECT id FROM alerts WHERE alert_type = ? AND status != 'resolved'"
+  ).all(alertRules.getRuleAlertType(ruleId));
+
+  const resolve = db.prepare(`
+    UPDATE alerts
+    SET status = 'resolved', resolved_at = datetime('now'), resolved_by = ?
+    WHERE id = ?
+  `);
+  for (const alert of open) {
+    resolve.run(username, alert.id);
+    alertEvents.recordAlertEvent(alert.id, 'resolved', { username, details: { rule_id: ruleId } });
+  }
+  return open.length;
+}
+
+/**
+ * Replays a validated rule over the requested number of hours of history.
+ */
+function sendDryRun(res, values, hoursParam) {
+  const hours = hoursParam === undefined ? DEFAULT_DRY_RUN_HOURS : Number(hoursParam);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_DRY_RUN_HOURS) {
+    return res.status(400).json({ error: `Geçmiş süresi 1-${MAX_DRY_RUN_HOURS} saat arasında olmalıdır.` });
+  }
+
+  const rule = { ...values, cg_ids: values.cg_ids ? values.cg_ids.split(',').map(Number) : [] };
+  const result = alertRules.dryRun(rule, hours);
+  res.json({
+    hours,
+    summary: alertRules.describeCondition(values.condition),
+    would_fire: result.total_firing_samples > 0,
+    ...result,
+  });
+}
+
+/**
+ * GET /api/alerts/rules
+ * List alert rules, with the number of open alerts each has raised.
+ */
+router.get('/rules', (_req, res) => {
+  try {
+    const db = getDb();
+    const rows = db.prepare('SELECT * FROM alert_rules ORDER BY id').all();
+    const openAlerts = db.prepare(
+      "SELECT COUNT(*) as count FROM alerts WHERE alert_type = ? AND status != 'resolved'"
+    );
+
+    res.json({
+      rules: rows.map((row) => ({
+        ...formatRule(row),
+        open_alerts: openAlerts.get(alertRules.getRuleAlertType(row.id)).count,
+      })),
+      metrics: Object.keys(alertRules.METRICS),
+      operators: Object.keys(alertRules.OPERATORS),
+      condition_types: alertRules.CONDITION_TYPES,
+      relative_to: alertRules.RELATIVE_TO,
+    });
+  } catch (err) {
+    console.error('[alerts] List rules error:', err.message);
+    res.status(500).json({ error: 'Uyarı kuralları listelenirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * POST /api/alerts/rules
+ * Create an alert rule. It is evaluated after every poll cycle against the
+ * groups polled in that cycle, raising alerts of type rule_<id>.
+ * Body: { name, description?, severity?: info|warning|critical (default
+ *         warning), is_enabled?, cg_ids? (empty for all groups), condition }
+ *
+ * Conditions:
+ *   - { type: 'threshold', metric, operator, value, relative_to?,
+ *       for_polls? | for_minutes? }
+ *   - { type: 'trend', metric, direction: increasing|decreasing, polls }
+ *   - { type: 'change', metric, window_minutes, operator, value,
+ *       unit?: percent|absolute }
+ * Metrics: usage_rate, q_count, pending_data_bytes, estimated_rpo_seconds,
+ * lag_seconds, block_delta_bytes, q_marker_delta. Operators: > >= < <=.
+ */
+router.post('/rules', (req, res) => {
+  try {
+    const { values, error } = buildRuleValues(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const db = getDb();
+    const info = db.prepare(`
+      INSERT INTO alert_rules (name, description, is_enabled, severity, condition, cg_ids, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      values.name, values.description, values.is_enabled, values.severity,
+      JSON.stringify(values.condition), values.cg_ids, req.user.username
+    );
+
+    const row = db.prepare('SELECT * FROM alert_rules WHERE id = ?').get(info.lastInsertRowid);
+    res.status(201).json({
+      message: 'Uyarı kuralı oluşturuldu.',
+      rule: formatRule(row),
+    });
+  } catch (err) {
+    console.error('[alerts] Create rule error:', err.message);
+    res.status(500).json({ error: 'Uyarı kuralı oluşturulurken bir hata oluştu.' });
+  }
+});
+
+/**
+ * POST /api/alerts/rules/dry-run
+ * Replay an unsaved rule over stored history without raising alerts.
+ * Body: the rule, as for POST /rules. Query: hours (default 24, max 168).
+ * Returns, per group, the periods during which the rule would have fired.
+ */
+router.post('/rules/dry-run', (req, res) => {
+  try {
+    const { values, error } = buildRuleValues(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    sendDryRun(res, values, req.query.hours);
+  } catch (err) {
+    console.error('[alerts] Rule dry-run error:', err.message);
+    res.status(500).json({ error: 'Kural geçmiş veride denenirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * PUT /api/alerts/rules/:id
+ * Update an alert rule. Fields that are omitted keep their value. Disabling
+ * a rule resolves its open alerts.
+ */
+router.put('/rules/:id', (req, res) => {
+  try {
+    const db = getDb();
+    const existing = db.prepare('SELECT * FROM alert_rules WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Uyarı kuralı bulunamadı.' });
+    }
+
+    const { values, error } = buildRuleValues(req.body || {}, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    db.prepare(`
+      UPDATE alert_rules
+      SET name = ?, description = ?, is_enabled = ?, severity = ?, condition = ?, cg_ids = ?,
+          updated_at = datetime('now')
+      WHERE id = ?
+    `).run(
+      values.name, values.description, values.is_enabled, values.severity,
+      JSON.stringify(values.condition), values.cg_ids, existing.id
+    );
+
+    const resolved = values.is_enabled ? 0 : resolveRuleAlerts(existing.id, req.user.username);
+    const row = db.prepare('SELECT * FROM alert_rules WHERE id = ?').get(existing.id);
+    res.json({
+      message: 'Uyarı kuralı güncellendi.',
+      rule: formatRule(row),
+      resolved_alerts: resolved,
+    });
+  } catch (err) {
+    console.error('[alerts] Update rule error:', err.message);
+    res.status(500).json({ error: 'Uyarı kuralı güncellenirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * DELETE /api/alerts/rules/:id
+ * Delete an alert rule and resolve its open alerts. Alert history is kept.
+ */
+router.delete('/rules/:id', (req, res) => {
+  try {
+    const db = getDb();
+    const info = db.prepare('DELETE FROM alert_rules WHERE id = ?').run(req.params.id);
+    if (info.changes === 0) {
+      return res.status(404).json({ error: 'Uyarı kuralı bulunamadı.' });
+    }
+    const resolved = resolveRuleAlerts(parseInt(req.params.id, 10), req.user.username);
+    res.json({ message: 'Uyarı kuralı silindi.', resolved_alerts: resolved });
+  } catch (err) {
+    console.error('[alerts] Delete rule error:', err.message);
+    res.status(500).json({ error: 'Uyarı kuralı silinirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * POST /api/alerts/rules/:id/dry-run
+ * Replay a saved rule over stored history, as POST /rules/dry-run. A body
+ * may override fields of the stored rule to try a change before saving it.
+ */
+router.post('/rules/:id/dry-run', (req, res) => {
+  try {
+    const db = getDb();
+    const existing = db.prepare('SELECT * FROM alert_rules WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Uyarı kuralı bulunamadı.' });
+    }
+
+    const { values, error } = buildRuleValues(req.body || {}, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    sendDryRun(res, values, req.query.hours);
+  } catch (err) {
+    console.error('[alerts] Rule dry-run error:', err.message);
+    res.status(500).json({ error: 'Kural geçmiş veride denenirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * GET /api/alerts/:alertId
+ * An alert with its group name, duration and full history: state changes,
+ * assignments, escalations and comments, oldest first. Registered last so
+ * that it does not shadow /rules, /thresholds and /assignees.
+ */
+router.get('/:alertId', (req, res) => {
+  try {
+    const alertId = parseInt(req.params.alertId, 10);
+    if (!Number.isInteger(alertId)) {
+      return res.status(404).json({ error: 'Uyarı bulunamadı.' });
+    }
+
+    const db = getDb();
+    const alert = db.prepare(`
+      SELECT alerts.*, ${DURATION_SQL} as duration_seconds,
+             (SELECT name FROM consistency_groups cg WHERE cg.cg_id = alerts.cg_id LIMIT 1) as group_name
+      FROM alerts WHERE id = ?
+    `).get(alertId);
+    if (!alert) {
+      return res.status(404).json({ error: 'Uyarı bulunamadı.' });
+    }
+
+    res.json({ alert, events: alertEvents.getAlertEvents(alertId) });
+  } catch (err) {
+    console.error('[alerts] Get alert error:', err.message);
+    res.status(500).json({ error: 'Uyarı alınırken bir hata oluştu.' });
+  }
+});
+
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { getDb } = require('../models/database');
 
 const router = express.Router();
@@ -43,6 +44,32 @@ function authenticateToken(req, res, next) {
   }
 }
 
+/**
+ * Middleware factory: protect a machine-to-machine endpoint (Prometheus,
+ * Grafana) with a fixed bearer token from the environment instead of a
+ * user session. When the token is empty the endpoint is left open.
+ * Tokens are compared in constant time.
+ *
+ * @param {string} expectedToken
+ * @param {string} realm - Reported in the WWW-Authenticate header
+ * @returns {import('express').RequestHandler}
+ */
+function staticTokenAuth(expectedToken, realm) {
+  const expected = crypto.createHash('sha256').update(expectedToken || '').digest();
+
+  return (req, res, next) => {
+    if (!expectedToken) return next();
+
+    const authHeader = req.headers['authorization'] || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+    const actual = crypto.createHash('sha256').update(token).digest();
+    if (token && crypto.timingSafeEqual(expected, actual)) return next();
+
+    res.set('WWW-Authenticate', `Bearer realm="${realm}"`);
+    return res.status(401).json({ error: 'Geçersiz veya eksik erişim tokenı.' });
+  };
+}
+
 /**
  * POST /api/auth/login
  * Validate username and password with bcrypt, return JWT token.
@@ -186,3 +213,4 @@ router.get('/me', authenticateToken, (req, res) => {
 
 module.exports = router;
 module.exports.authenticateToken = authenticateToken;
+module.exports.staticTokenAuth = staticTokenAuth;
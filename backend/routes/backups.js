@@ -0,0 +1,98 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const backup = require('../services/backup');
+
+const router = express.Router();
+
+// All backup routes require authentication
+router.use(authenticateToken);
+
+// ---------------------------------------------------------------------------
+// Error mapping
+// ---------------------------------------------------------------------------
+
+// Backup service error code → HTTP status and user-facing message
+const ERROR_RESPONSES = {
+  INVALID_NAME: [400, 'Geçersiz yedek dosyası adı.'],
+  NOT_FOUND: [404, 'Yedek bulunamadı.'],
+  INVALID_BACKUP: [400, 'Yedek dosyası geçerli bir veritabanı değil.'],
+  SCHEMA_MISMATCH: [409, 'Yedeğin şema sürümü bu uygulama sürümüyle uyumlu değil.'],
+  IN_PROGRESS: [409, 'Başka bir yedekleme veya geri yükleme işlemi sürüyor.'],
+  BUSY: [503, 'Yoklama döngüsü tamamlanmadığı için geri yükleme yapılamadı. Tekrar deneyin.'],
+};
+
+/**
+ * Sends the response for a backup service error.
+ *
+ * @param {import('express').Response} res
+ * @param {Error} err
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendBackupError(res, err, fallbackMessage) {
+  const mapped = ERROR_RESPONSES[err.code];
+  if (mapped) {
+    const [status, error] = mapped;
+    return res.status(status).json({ error, details: err.message });
+  }
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/backups
+ * List existing backups (newest first) with the backup settings and the
+ * last backup/restore.
+ */
+router.get('/', (_req, res) => {
+  try {
+    res.json({
+      backups: backup.listBackups(),
+      status: backup.getStatus(),
+    });
+  } catch (err) {
+    console.error('[backups] List backups error:', err.message);
+    res.status(500).json({ error: 'Yedekler listelenirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * POST /api/backups
+ * Take an online backup of the database now. Older backups beyond
+ * backup_retention_count are deleted afterwards.
+ */
+router.post('/', async (_req, res) => {
+  try {
+    const created = await backup.createBackup('manual');
+    res.status(201).json({
+      message: 'Yedek oluşturuldu.',
+      backup: created,
+    });
+  } catch (err) {
+    console.error('[backups] Create backup error:', err.message);
+    sendBackupError(res, err, 'Yedek oluşturulurken bir hata oluştu.');
+  }
+});
+
+/**
+ * POST /api/backups/:name/restore
+ * Restore the named backup over the live database after validating its
+ * integrity and schema version. The current database is saved as a
+ * pre_restore backup first. Polling pauses while the restore runs.
+ */
+router.post('/:name/restore', async (req, res) => {
+  try {
+    const result = await backup.restoreBackup(req.params.name);
+    res.json({
+      message: 'Yedek geri yüklendi.',
+      restore: result,
+    });
+  } catch (err) {
+    console.error('[backups] Restore error:', err.message);
+    sendBackupError(res, err, 'Yedek geri yüklenirken bir hata oluştu.');
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,8 @@ const { getDb } = require('../models/database');
 const { authenticateToken } = require('./auth');
 const { encrypt } = require('../utils/encryption');
 const protectorApi = require('../services/protectorApi');
+const poller = require('../services/poller');
+const backup = require('../services/backup');
 
 const router = express.Router();
 
@@ -166,6 +168,10 @@ router.get('/settings', (_req, res) => {
  * PUT /api/config/settings
  * Update one or more application settings.
  * Body: { "key1": "value1", "key2": "value2" }
+ *
+ * A change to polling_interval_seconds or incident_poll_interval_seconds
+ * re-arms the poll scheduler at once; a change to a backup_* setting
+ * re-arms the nightly backup.
  */
 router.put('/settings', (req, res) => {
   try {
@@ -188,8 +194,35 @@ router.put('/settings', (req, res) => {
       }
     });
 
+    const intervalKeys = ['polling_interval_seconds', 'incident_poll_interval_seconds']
+      .filter((key) => updates[key] !== undefined);
+
+    for (const key of intervalKeys) {
+      const seconds = parseInt(updates[key], 10);
+      if (!Number.isFinite(seconds) || seconds < 5) {
+        return res.status(400).json({ error: 'Yoklama aralığı en az 5 saniye olmalıdır.' });
+      }
+    }
+
+    if (updates.backup_nightly_time !== undefined && !backup.isValidNightlyTime(updates.backup_nightly_time)) {
+      return res.status(400).json({ error: 'Yedekleme saati SS:DD biçiminde olmalıdır.' });
+    }
+    if (updates.backup_retention_count !== undefined) {
+      const count = parseInt(updates.backup_retention_count, 10);
+      if (!Number.isFinite(count) || count < 1) {
+        return res.status(400).json({ error: 'Saklanacak yedek sayısı en az 1 olmalıdır.' });
+      }
+    }
+
     upsertMany(Object.entries(updates));
 
+    if (intervalKeys.length > 0) {
+      poller.reschedule();
+    }
+    if (Object.keys(updates).some((key) => key.startsWith('backup_'))) {
+      backup.rescheduleNightly();
+    }
+
     // Return all settings after update
     const rows = db.prepare('SELECT key, value FROM settings').all();
     const settings = {};
@@ -351,7 +384,8 @@ router.post('/protector/test', async (req, res) => {
 
 /**
  * POST /api/config/clear-discovery
- * Kesif verilerini temizler (consistency groups, volumes, RPO gecmisi, uyarilar).
+ * Kesif verilerini temizler (consistency groups, volumes, RPO gecmisi ve ozetleri,
+ * volume ve pair durum gecmisi, uyarilar ve uyarilarin bildirim kayitlari).
  * Kullanici, API ve depolama kimlik bilgilerini KORUR.
  */
 router.post('/clear-discovery', (_req, res) => {
@@ -362,19 +396,33 @@ router.post('/clear-discovery', (_req, res) => {
     counts.consistency_groups = db.prepare('SELECT COUNT(*) as c FROM consistency_groups').get().c;
     counts.cg_volumes = db.prepare('SELECT COUNT(*) as c FROM cg_volumes').get().c;
     counts.rpo_history = db.prepare('SELECT COUNT(*) as c FROM rpo_history').get().c;
+    counts.rpo_history_hourly = db.prepare('SELECT COUNT(*) as c FROM rpo_history_hourly').get().c;
+    counts.rpo_history_daily = db.prepare('SELECT COUNT(*) as c FROM rpo_history_daily').get().c;
+    counts.volume_history = db.prepare('SELECT COUNT(*) as c FROM volume_history').get().c;
+    counts.pair_status_events = db.prepare('SELECT COUNT(*) as c FROM pair_status_events').get().c;
     counts.alerts = db.prepare('SELECT COUNT(*) as c FROM alerts').get().c;
+    counts.notification_deliveries = db.prepare(
+      'SELECT COUNT(*) as c FROM notification_deliveries WHERE alert_id IS NOT NULL'
+    ).get().c;
 
     db.exec(`
       DELETE FROM consistency_groups;
       DELETE FROM cg_volumes;
       DELETE FROM rpo_history;
+      DELETE FROM rpo_history_hourly;
+      DELETE FROM rpo_history_daily;
+      DELETE FROM volume_history;
+      DELETE FROM pair_status_events;
       DELETE FROM alerts;
+      DELETE FROM alert_events;
+      DELETE FROM notification_deliveries WHERE alert_id IS NOT NULL;
     `);
 
     console.log(
       `[config] Kesif verileri temizlendi: ` +
       `${counts.consistency_groups} CG, ${counts.cg_volumes} volume, ` +
-      `${counts.rpo_history} RPO kaydi, ${counts.alerts} uyari silindi.`
+      `${counts.rpo_history} RPO kaydi, ${counts.volume_history} volume kaydi, ` +
+      `${counts.pair_status_events} pair olayi, ${counts.alerts} uyari silindi.`
     );
 
     res.json({
@@ -0,0 +1,75 @@
+const express = require('express');
+const { authenticateToken, staticTokenAuth } = require('./auth');
+const grafana = require('../services/grafana');
+
+const router = express.Router();
+
+// Grafana cannot hold a user session, so the datasource authenticates with
+// the GRAFANA_TOKEN bearer token. Without it the endpoints require a user
+// session token (JWT) like the rest of the API and are never left open.
+router.use(process.env.GRAFANA_TOKEN
+  ? staticTokenAuth(process.env.GRAFANA_TOKEN, 'grafana')
+  : authenticateToken);
+
+/**
+ * Sends the result of a datasource call, mapping validation errors to 400.
+ *
+ * @param {import('express').Response} res
+ * @param {string} action - For the log line
+ * @param {Function} fn - Returns the response body
+ */
+function respond(res, action, fn) {
+  try {
+    res.json(fn());
+  } catch (err) {
+    if (err.code === 'INVALID_GRAFANA_REQUEST') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error(`[grafana] ${action} error:`, err.message);
+    res.status(500).json({ error: 'Grafana isteği işlenirken bir hata oluştu.' });
+  }
+}
+
+/**
+ * GET /api/grafana
+ * Connection test used by the datasource's "Save & test".
+ */
+router.get('/', (_req, res) => {
+  res.json({ status: 'ok' });
+});
+
+/**
+ * POST /api/grafana/search
+ * Queryable targets ({ text, value }), one per consistency group and
+ * metric plus "*:<metric>" for all groups.
+ * Body: { target?: string } - optional search text
+ */
+router.post('/search', (req, res) => {
+  respond(res, 'Search', () => grafana.search((req.body || {}).target));
+});
+
+/**
+ * POST /api/grafana/query
+ * RPO history series for the requested targets and time range.
+ * Body: { range: { from, to }, targets: [{ target, refId, type? }], maxDataPoints? }
+ *   - target: cg<id>:<metric>[:<stat>] or *:<metric>[:<stat>]; stat (avg,
+ *     min, max, p95) applies when the range is served from rollups
+ *   - type: 'table' for a table instead of a time series
+ */
+router.post('/query', (req, res) => {
+  respond(res, 'Query', () => grafana.query(req.body || {}));
+});
+
+/**
+ * POST /api/grafana/annotations
+ * Alerts (regions from creation to resolution) and pair status changes
+ * within the time range.
+ * Body: { range: { from, to }, annotation: { query? } }
+ *   - query: alerts, pairs, cg:<id>, severity:<level>; both sources when
+ *     neither alerts nor pairs is given
+ */
+router.post('/annotations', (req, res) => {
+  respond(res, 'Annotations', () => grafana.annotations(req.body || {}));
+});
+
+module.exports = router;
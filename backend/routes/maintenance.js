@@ -0,0 +1,350 @@
+const express = require('express');
+const { getDb } = require('../models/database');
+const { authenticateToken } = require('./auth');
+const maintenance = require('../services/maintenance');
+const { parseTimestamp, toSqliteTimestamp } = require('../utils/sqlite');
+
+const router = express.Router();
+
+// All maintenance routes require authentication
+router.use(authenticateToken);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Shapes a maintenance_windows row for the API, with its running and next
+ * occurrence.
+ */
+function formatWindow(row, now = Date.now()) {
+  const current = maintenance.getCurrentOccurrence(row, now);
+  const next = maintenance.getNextOccurrence(row, now);
+  const formatOccurrence = (occurrence) => (occurrence
+    ? {
+        starts_at: toSqliteTimestamp(occurrence.startsAt),
+        ends_at: toSqliteTimestamp(occurrence.endsAt),
+      }
+    : null);
+
+  return {
+    id: row.id,
+    name: row.name,
+    reason: row.reason,
+    storage_device_ids: row.storage_device_ids ? row.storage_device_ids.split(',') : [],
+    cg_ids: row.cg_ids ? row.cg_ids.split(',').map(Number) : [],
+    starts_at: row.starts_at,
+    ends_at: row.ends_at,
+    recurrence: row.recurrence,
+    recurrence_until: row.recurrence_until,
+    created_by: row.created_by,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    is_active: !!current,
+    current_occurrence: formatOccurrence(current),
+    next_occurrence: formatOccurrence(next),
+  };
+}
+
+/**
+ * Parses an API timestamp (ISO 8601 or 'YYYY-MM-DD HH:MM:SS', UTC unless an
+ * offset is given) into a SQLite UTC timestamp, or null when invalid.
+ */
+function normalizeTimestamp(value) {
+  const ms = parseTimestamp(value);
+  return Number.isFinite(ms) ? toSqliteTimestamp(ms) : null;
+}
+
+/**
+ * Validates a window request body merged over the stored window (if any).
+ * Returns the column values to write, or { error } for a 400 response.
+ *
+ * Body: { name, reason?, storage_device_ids?, cg_ids?, starts_at, ends_at,
+ *         recurrence?: none|daily|weekly, recurrence_until? }
+ */
+function buildWindowValues(body, existing = null) {
+  const current = existing ? formatWindow(existing) : {};
+  const pick = (field, fallback) => (body[field] !== undefined ? body[field] : (current[field] ?? fallback));
+
+  const name = String(pick('name', '') || '').trim();
+  const reason = pick('reason', null);
+  const storageIds = pick('storage_device_ids', []);
+  const cgIds = pick('cg_ids', []);
+  const recurrence = pick('recurrence', 'none');
+  const startsAt = normalizeTimestamp(pick('starts_at', null));
+  const endsAt = normalizeTimestamp(pick('ends_at', null));
+  const untilValue = pick('recurrence_until', null);
+  const recurrenceUntil = untilValue ? normalizeTimestamp(untilValue) : null;
+
+  if (!name) {
+    return { error: 'Bakım penceresi adı gereklidir.' };
+  }
+  if (!startsAt || !endsAt) {
+    return { error: 'Geçerli başlangıç ve bitiş zamanları gereklidir.' };
+  }
+  if (endsAt <= startsAt) {
+    return { error: 'Bitiş zamanı başlangıç zamanından sonra olmalıdır.' };
+  }
+  if (!maintenance.RECURRENCES.includes(recurrence)) {
+    return { error: `Geçersiz tekrar. Geçerli değerler: ${maintenance.RECURRENCES.join(', ')}` };
+  }
+  const period = maintenance.RECURRENCE_PERIODS_MS[recurrence];
+  if (period && parseTimestamp(endsAt) - parseTimestamp(startsAt) > period) {
+    return { error: 'Tekrarlanan bir pencere tekrar aralığından uzun olamaz.' };
+  }
+  if (untilValue && (!recurrenceUntil || recurrenceUntil < startsAt)) {
+    return { error: 'Tekrar bitişi başlangıç zamanından sonra geçerli bir zaman olmalıdır.' };
+  }
+  if (!Array.isArray(storageIds) || storageIds.some((id) => !id || typeof id !== 'string')) {
+    return { error: 'Depolama filtresi bir depolama ID listesi olmalıdır.' };
+  }
+  if (!Array.isArray(cgIds) || cgIds.some((id) => !Number.isInteger(Number(id)))) {
+    return { error: 'Tutarlılık grubu filtresi bir CG ID listesi olmalıdır.' };
+  }
+
+  return {
+    values: {
+      name,
+      reason: reason ? String(reason).trim() : null,
+      storage_device_ids: storageIds.length > 0 ? [...new Set(storageIds)].join(',') : null,
+      cg_ids: cgIds.length > 0 ? [...new Set(cgIds.map(Number))].join(',') : null,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      recurrence,
+      recurrence_until: period ? recurrenceUntil : null,
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Maintenance windows
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/maintenance/windows
+ * List maintenance windows with whether each is running now, and the
+ * running and next occurrence.
+ */
+router.get('/windows', (_req, res) => {
+  try {
+    const db = getDb();
+    const now = Date.now();
+    const rows = db.prepare('SELECT * FROM maintenance_windows ORDER BY starts_at DESC').all();
+    res.json({
+      windows: rows.map((row) => formatWindow(row, now)),
+      recurrences: maintenance.RECURRENCES,
+    });
+  } catch (err) {
+    console.error('[maintenance] List windows error:', err.message);
+    res.status(500).json({ error: 'Bakım pencereleri listelenirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * POST /api/maintenance/windows
+ * Create a maintenance window.
+ * Body: { name, reason?, storage_device_ids?, cg_ids?, starts_at, ends_at,
+ *         recurrence?, recurrence_until? }
+ *   - storage_device_ids / cg_ids: scope; both empty covers everything. A
+ *     storage covers every group replicating from or to it.
+ *   - starts_at / ends_at: first occurrence (UTC unless an offset is given)
+ *   - recurrence: none (default), daily or weekly
+ *   - recurrence_until: no occurrence starts after this time
+ */
+router.post('/windows', (req, res) => {
+  try {
+    const { values, error } = buildWindowValues(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const db = getDb();
+    const info = db.prepare(`
+      INSERT INTO maintenance_windows
+        (name, reason, storage_device_ids, cg_ids, starts_at, ends_at,
+         recurrence, recurrence_until, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      values.name, values.reason, values.storage_device_ids, values.cg_ids,
+      values.starts_at, values.ends_at, values.recurrence, values.recurrence_until,
+      req.user.username
+    );
+
+    const row = db.prepare('SELECT * FROM maintenance_windows WHERE id = ?').get(info.lastInsertRowid);
+    console.log(`[maintenance] Window "${row.name}" created by ${req.user.username}.`);
+    res.status(201).json({
+      message: 'Bakım penceresi oluşturuldu.',
+      window: formatWindow(row),
+    });
+  } catch (err) {
+    console.error('[maintenance] Create window error:', err.message);
+    res.status(500).json({ error: 'Bakım penceresi oluşturulurken bir hata oluştu.' });
+  }
+});
+
+/**
+ * PUT /api/maintenance/windows/:id
+ * Update a maintenance window. Fields that are omitted keep their value.
+ */
+router.put('/windows/:id', (req, res) => {
+  try {
+    const db = getDb();
+    const existing = db.prepare('SELECT * FROM maintenance_windows WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Bakım penceresi bulunamadı.' });
+    }
+
+    const { values, error } = buildWindowValues(req.body || {}, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    db.prepare(`
+      UPDATE maintenance_windows
+      SET name = ?, reason = ?, storage_device_ids = ?, cg_ids = ?, starts_at = ?, ends_at = ?,
+          recurrence = ?, recurrence_until = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(
+      values.name, values.reason, values.storage_device_ids, values.cg_ids,
+      values.starts_at, values.ends_at, values.recurrence, values.recurrence_until,
+      existing.id
+    );
+
+    const row = db.prepare('SELECT * FROM maintenance_windows WHERE id = ?').get(existing.id);
+    res.json({
+      message: 'Bakım penceresi güncellendi.',
+      window: formatWindow(row),
+    });
+  } catch (err) {
+    console.error('[maintenance] Update window error:', err.message);
+    res.status(500).json({ error: 'Bakım penceresi güncellenirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * DELETE /api/maintenance/windows/:id
+ * Delete a maintenance window. Alerts it suppressed keep their flag.
+ */
+router.delete('/windows/:id', (req, res) => {
+  try {
+    const db = getDb();
+    const info = db.prepare('DELETE FROM maintenance_windows WHERE id = ?').run(req.params.id);
+    if (info.changes === 0) {
+      return res.status(404).json({ error: 'Bakım penceresi bulunamadı.' });
+    }
+    res.json({ message: 'Bakım penceresi silindi.' });
+  } catch (err) {
+    console.error('[maintenance] Delete window error:', err.message);
+    res.status(500).json({ error: 'Bakım penceresi silinirken bir hata oluştu.' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Silences
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/maintenance/silences
+ * List active silences, soonest to expire first.
+ * Query params:
+ *   - include_expired: also list expired silences (true/false, default: false)
+ */
+router.get('/silences', (req, res) => {
+  try {
+    const db = getDb();
+    const silences = req.query.include_expired === 'true'
+      ? db.prepare(`
+          SELECT *, expires_at > datetime('now') as is_active
+          FROM alert_silences ORDER BY expires_at DESC LIMIT 200
+        `).all()
+      : maintenance.getActiveSilences().map((s) => ({ ...s, is_active: 1 }));
+
+    res.json({
+      silences: silences.map((s) => ({ ...s, is_active: !!s.is_active })),
+    });
+  } catch (err) {
+    console.error('[maintenance] List silences error:', err.message);
+    res.status(500).json({ error: 'Sessize alma kayıtları listelenirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * POST /api/maintenance/silences
+ * Silence matching alerts until the silence expires.
+ * Body: { reason, duration_minutes | expires_at, cg_id?, storage_device_id?, alert_type? }
+ *   - Every match field that is set must match; none set silences all alerts
+ */
+router.post('/silences', (req, res) => {
+  try {
+    const body = req.body || {};
+    const reason = body.reason ? String(body.reason).trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'Sessize alma nedeni gereklidir.' });
+    }
+
+    let expiresAt = null;
+    if (body.duration_minutes !== undefined) {
+      const minutes = Number(body.duration_minutes);
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > 60 * 24 * 30) {
+        return res.status(400).json({ error: 'Süre 1 dakika ile 30 gün arasında olmalıdır.' });
+      }
+      expiresAt = toSqliteTimestamp(Date.now() + minutes * 60 * 1000);
+    } else {
+      expiresAt = normalizeTimestamp(body.expires_at);
+      if (!expiresAt || parseTimestamp(expiresAt) <= Date.now()) {
+        return res.status(400).json({ error: 'Gelecekte geçerli bir bitiş zamanı veya süre gereklidir.' });
+      }
+    }
+
+    const cgId = body.cg_id !== undefined && body.cg_id !== null && body.cg_id !== '' ? Number(body.cg_id) : null;
+    if (cgId !== null && !Number.isInteger(cgId)) {
+      return res.status(400).json({ error: 'Geçersiz CG ID.' });
+    }
+
+    const db = getDb();
+    const info = db.prepare(`
+      INSERT INTO alert_silences (cg_id, storage_device_id, alert_type, reason, created_by, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      cgId,
+      body.storage_device_id ? String(body.storage_device_id) : null,
+      body.alert_type ? String(body.alert_type) : null,
+      reason,
+      req.user.username,
+      expiresAt
+    );
+
+    const silence = db.prepare('SELECT * FROM alert_silences WHERE id = ?').get(info.lastInsertRowid);
+    console.log(`[maintenance] Silence ${silence.id} created by ${req.user.username} until ${expiresAt}.`);
+    res.status(201).json({
+      message: 'Uyarılar sessize alındı.',
+      silence: { ...silence, is_active: true },
+    });
+  } catch (err) {
+    console.error('[maintenance] Create silence error:', err.message);
+    res.status(500).json({ error: 'Sessize alma oluşturulurken bir hata oluştu.' });
+  }
+});
+
+/**
+ * POST /api/maintenance/silences/:id/expire
+ * End a silence now. The record is kept for the history.
+ */
+router.post('/silences/:id/expire', (req, res) => {
+  try {
+    const db = getDb();
+    const info = db.prepare(`
+      UPDATE alert_silences SET expires_at = datetime('now')
+      WHERE id = ? AND expires_at > datetime('now')
+    `).run(req.params.id);
+    if (info.changes === 0) {
+      return res.status(404).json({ error: 'Aktif bir sessize alma bulunamadı.' });
+    }
+    res.json({ message: 'Sessize alma sonlandırıldı.' });
+  } catch (err) {
+    console.error('[maintenance] Expire silence error:', err.message);
+    res.status(500).json({ error: 'Sessize alma sonlandırılırken bir hata oluştu.' });
+  }
+});
+
+module.exports = router;
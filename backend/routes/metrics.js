@@ -0,0 +1,27 @@
+const express = require('express');
+const { staticTokenAuth } = require('./auth');
+const metrics = require('../services/metrics');
+
+const router = express.Router();
+
+// Optional scrape token. When set, GET /metrics requires
+// "Authorization: Bearer <METRICS_TOKEN>"; when unset, it is open.
+router.use(staticTokenAuth(process.env.METRICS_TOKEN, 'metrics'));
+
+/**
+ * GET /metrics
+ * Prometheus scrape endpoint (text exposition format). Protected by the
+ * METRICS_TOKEN bearer token when that variable is set.
+ */
+router.get('/', (_req, res) => {
+  try {
+    const body = metrics.renderMetrics();
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(body);
+  } catch (err) {
+    console.error('[metrics] Render error:', err.message);
+    res.status(500).json({ error: 'Metrikler oluşturulurken bir hata oluştu.' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const { getDb } = require('../models/database');
 const { authenticateToken } = require('./auth');
+const retention = require('../services/retention');
+const pairStatus = require('../services/pairStatus');
+const maintenance = require('../services/maintenance');
+const { LATEST_RPO_ROWS, LATEST_VOLUME_ROWS, loadGroupSeries } = require('../services/latestState');
 
 const router = express.Router();
 
@@ -11,19 +15,50 @@ router.use(authenticateToken);
 // Helpers
 // ---------------------------------------------------------------------------
 
+/**
+ * Per-snapshot history fields: rpo_history column and aggregation across
+ * the group's journals and storages.
+ */
+const HISTORY_METRICS = {
+  usageRate: { column: 'usage_rate', aggregate: 'MAX' },
+  qCount: { column: 'q_count', aggregate: 'MAX' },
+  pendingDataBytes: { column: 'pending_data_bytes', aggregate: 'SUM' },
+  estimatedRpoSeconds: { column: 'estimated_rpo_seconds', aggregate: 'MAX' },
+  lagSeconds: { column: 'lag_seconds', aggregate: 'MAX' },
+  blockDeltaBytes: { column: 'block_delta_bytes', aggregate: 'SUM' },
+  qMarkerDelta: { column: 'q_marker_delta', aggregate: 'MAX' },
+};
+
+/**
+ * Rolled-up history fields: rollup column prefix → history field.
+ */
+const ROLLUP_FIELDS = [
+  ['usage_rate', 'usageRate'],
+  ['q_count', 'qCount'],
+  ['pending_bytes', 'pendingDataBytes'],
+  ['rpo_seconds', 'estimatedRpoSeconds'],
+];
+
+/**
+ * Supported history timeframes: datetime('now', ...) modifier and length.
+ */
+const TIMEFRAMES = {
+  '1h':  { modifier: '-1 hours', seconds: 3600 },
+  '6h':  { modifier: '-6 hours', seconds: 6 * 3600 },
+  '24h': { modifier: '-24 hours', seconds: 24 * 3600 },
+  '7d':  { modifier: '-7 days', seconds: 7 * 86400 },
+  '30d': { modifier: '-30 days', seconds: 30 * 86400 },
+  '90d': { modifier: '-90 days', seconds: 90 * 86400 },
+  '1y':  { modifier: '-365 days', seconds: 365 * 86400 },
+};
+
 /**
  * Map a timeframe string to a SQLite datetime expression.
- * Supported values: 1h, 6h, 24h, 7d
+ * Supported values: 1h, 6h, 24h, 7d, 30d, 90d, 1y
  * Returns a datetime('now', ...) modifier string.
  */
 function getTimeframeModifier(timeframe) {
-  const mapping = {
-    '1h':  '-1 hours',
-    '6h':  '-6 hours',
-    '24h': '-24 hours',
-    '7d':  '-7 days',
-  };
-  return mapping[timeframe] || mapping['24h'];
+  return (TIMEFRAMES[timeframe] || TIMEFRAMES['24h']).modifier;
 }
 
 /**
@@ -39,6 +74,62 @@ function getUsageRateSeverity(usageRate, thresholds) {
   return 'normal';
 }
 
+/**
+ * Determine the severity for a time-based RPO value (estimated RPO or lag)
+ * in seconds. Returns null when the value is unknown.
+ */
+function getSecondsSeverity(seconds, thresholds) {
+  if (seconds === null || seconds === undefined) return null;
+  if (seconds >= thresholds.critical) return 'critical';
+  if (seconds >= thresholds.warning) return 'warning';
+  return 'normal';
+}
+
+/**
+ * Determine whether a group meets its target RPO (SLA). The achieved RPO is
+ * the measured lag when known, the estimated RPO otherwise. Returns null
+ * when the group has no target or no data.
+ */
+function getSlaSeverity(metrics, targetRpoSeconds) {
+  if (!targetRpoSeconds) return null;
+  const achieved = metrics.lag_seconds !== null && metrics.lag_seconds !== undefined
+    ? metrics.lag_seconds
+    : metrics.estimated_rpo_seconds;
+  if (achieved === null || achieved === undefined) return null;
+  return achieved > targetRpoSeconds ? 'critical' : 'normal';
+}
+
+const SEVERITY_ORDER = { normal: 0, warning: 1, critical: 2 };
+
+/**
+ * Determine a group's severity as the worst of its usage rate, estimated
+ * RPO and lag, so a group with low journal usage but a slow link still
+ * turns red. Dimensions without data are null and ignored.
+ *
+ * @returns {{ severity: string, dimensions: Object }}
+ */
+function getGroupSeverity(metrics, thresholds) {
+  const dimensions = {
+    usage_rate: metrics.usage_rate !== null && metrics.usage_rate !== undefined
+      ? getUsageRateSeverity(metrics.usage_rate, thresholds.usageRate)
+      : null,
+    rpo_seconds: getSecondsSeverity(metrics.estimated_rpo_seconds, thresholds.rpoSeconds),
+    lag_seconds: getSecondsSeverity(metrics.lag_seconds, thresholds.rpoSeconds),
+    sla: getSlaSeverity(metrics, thresholds.targetRpoSeconds),
+  };
+
+  const known = Object.values(dimensions).filter(Boolean);
+  if (known.length === 0) {
+    return { severity: 'unknown', dimensions };
+  }
+
+  const severity = known.reduce(
+    (worst, s) => (SEVERITY_ORDER[s] > SEVERITY_ORDER[worst] ? s : worst),
+    'normal'
+  );
+  return { severity, dimensions };
+}
+
 /**
  * Get the RPO thresholds from the settings table.
  */
@@ -60,6 +151,60 @@ function getRpoThresholds() {
       warning: settings.rpo_threshold_warning_seconds || 3600,
       critical: settings.rpo_threshold_critical_seconds || 7200,
     },
+    targetRpoSeconds: null,
+  };
+}
+
+/**
+ * Per-group threshold override columns on consistency_groups, with their
+ * allowed range. NULL means the global threshold applies.
+ */
+const GROUP_THRESHOLD_FIELDS = {
+  usage_rate_warning: { min: 0, max: 100, integer: false },
+  usage_rate_critical: { min: 0, max: 100, integer: false },
+  rpo_seconds_warning: { min: 1, max: null, integer: true },
+  rpo_seconds_critical: { min: 1, max: null, integer: true },
+  target_rpo_seconds: { min: 1, max: null, integer: true },
+};
+
+/**
+ * Returns a group's overrides as stored (null where the global value applies).
+ */
+function getThresholdOverrides(group) {
+  const overrides = {};
+  for (const field of Object.keys(GROUP_THRESHOLD_FIELDS)) {
+    overrides[field] = group[field] ?? null;
+  }
+  return overrides;
+}
+
+/**
+ * Merge a group's overrides into the global thresholds from getRpoThresholds().
+ */
+function getEffectiveThresholds(thresholds, group) {
+  return {
+    usageRate: {
+      warning: group.usage_rate_warning ?? thresholds.usageRate.warning,
+      critical: group.usage_rate_critical ?? thresholds.usageRate.critical,
+    },
+    rpoSeconds: {
+      warning: group.rpo_seconds_warning ?? thresholds.rpoSeconds.warning,
+      critical: group.rpo_seconds_critical ?? thresholds.rpoSeconds.critical,
+    },
+    targetRpoSeconds: group.target_rpo_seconds ?? null,
+  };
+}
+
+/**
+ * Flatten effective thresholds into the API field names.
+ */
+function formatThresholds(effective) {
+  return {
+    usage_rate_warning: effective.usageRate.warning,
+    usage_rate_critical: effective.usageRate.critical,
+    rpo_seconds_warning: effective.rpoSeconds.warning,
+    rpo_seconds_critical: effective.rpoSeconds.critical,
+    target_rpo_seconds: effective.targetRpoSeconds,
   };
 }
 
@@ -70,7 +215,10 @@ function getRpoThresholds() {
 /**
  * GET /api/monitoring/groups
  * List all monitored consistency groups with latest RPO data.
- * Returns aggregated group-level RPO (worst-case volume in each group).
+ * Returns aggregated group-level RPO (worst-case volume in each group) and
+ * a severity that is the worst of usage rate, estimated RPO and lag.
+ * `maintenance` lists the maintenance windows and silences that apply to
+ * the group right now, or is null.
  */
 router.get('/groups', (_req, res) => {
   try {
@@ -80,7 +228,10 @@ router.get('/groups', (_req, res) => {
     // Get all consistency groups (including volume_count from discovery)
     const groups = db.prepare(
       `SELECT cg.id, cg.cg_id, cg.name, cg.source_storage_id, cg.target_storage_id,
-              cg.is_monitored, cg.volume_count, cg.created_at
+              cg.is_monitored, cg.volume_count, cg.poll_interval_seconds,
+              cg.usage_rate_warning, cg.usage_rate_critical,
+              cg.rpo_seconds_warning, cg.rpo_seconds_critical, cg.target_rpo_seconds,
+              cg.created_at
        FROM consistency_groups cg
        ORDER BY cg.cg_id`
     ).all();
@@ -93,15 +244,14 @@ router.get('/groups', (_req, res) => {
          MAX(q_count) as q_count,
          SUM(pending_data_bytes) as pending_data_bytes,
          MAX(estimated_rpo_seconds) as estimated_rpo_seconds,
+         MAX(lag_seconds) as lag_seconds,
          SUM(block_delta_bytes) as block_delta_bytes,
+         MAX(q_marker_delta) as q_marker_delta,
          journal_status,
          pair_status,
-         timestamp
-       FROM rpo_history
-       WHERE cg_id = ?
-         AND timestamp = (
-           SELECT MAX(timestamp) FROM rpo_history WHERE cg_id = ?
-         )
+         MAX(poll_snapshot_id) as poll_snapshot_id,
+         MAX(timestamp) as timestamp
+       FROM (${LATEST_RPO_ROWS})
        GROUP BY cg_id`
     );
 
@@ -110,8 +260,14 @@ router.get('/groups', (_req, res) => {
       `SELECT COUNT(*) as volume_count FROM cg_volumes WHERE cg_id = ?`
     );
 
+    // Windows and silences running now, matched per group below
+    const active = {
+      windows: maintenance.getActiveWindows(),
+      silences: maintenance.getActiveSilences(),
+    };
+
     const result = groups.map((group) => {
-      const latestRpo = getLatestRpo.get(group.cg_id, group.cg_id);
+      const latestRpo = getLatestRpo.get({ cgId: group.cg_id });
 
       // Volume count: prefer the stored value from discovery, fall back to cg_volumes table, then rpo_history
       let volumeCount = group.volume_count || 0;
@@ -120,10 +276,10 @@ router.get('/groups', (_req, res) => {
         volumeCount = discoveryVolumes?.volume_count || 0;
       }
 
-      const usageRate = latestRpo?.usage_rate ?? null;
-      const severity = usageRate !== null
-        ? getUsageRateSeverity(usageRate, thresholds.usageRate)
-        : 'unknown';
+      const effective = getEffectiveThresholds(thresholds, group);
+      const { severity, dimensions } = latestRpo
+        ? getGroupSeverity(latestRpo, effective)
+        : { severity: 'unknown', dimensions: null };
 
       return {
         id: group.id,
@@ -133,19 +289,27 @@ router.get('/groups', (_req, res) => {
         target_storage_id: group.target_storage_id,
         is_monitored: !!group.is_monitored,
         volume_count: volumeCount,
+        poll_interval_seconds: group.poll_interval_seconds,
         latest_rpo: latestRpo
           ? {
               usage_rate: latestRpo.usage_rate,
               q_count: latestRpo.q_count,
               pending_data_bytes: latestRpo.pending_data_bytes,
               estimated_rpo_seconds: latestRpo.estimated_rpo_seconds,
+              lag_seconds: latestRpo.lag_seconds,
               block_delta_bytes: latestRpo.block_delta_bytes,
+              q_marker_delta: latestRpo.q_marker_delta,
               journal_status: latestRpo.journal_status,
               pair_status: latestRpo.pair_status,
+              poll_snapshot_id: latestRpo.poll_snapshot_id,
               timestamp: latestRpo.timestamp,
             }
           : null,
         severity,
+        severity_dimensions: dimensions,
+        thresholds: formatThresholds(effective),
+        threshold_overrides: getThresholdOverrides(group),
+        maintenance: maintenance.getGroupMaintenance(group.cg_id, active),
       };
     });
 
@@ -177,16 +341,11 @@ router.get('/groups/:cgId', (req, res) => {
       return res.status(404).json({ error: 'Tutarlılık grubu bulunamadı.' });
     }
 
-    // Get latest RPO data for all volumes in this group
+    // Get RPO data for all journals in each storage's latest poll snapshot
     const latestData = db.prepare(
-      `SELECT *
-       FROM rpo_history
-       WHERE cg_id = ?
-         AND timestamp = (
-           SELECT MAX(timestamp) FROM rpo_history WHERE cg_id = ?
-         )
-       ORDER BY journal_id, mu_number`
-    ).all(cgIdNum, cgIdNum);
+      `SELECT * FROM (${LATEST_RPO_ROWS})
+       ORDER BY storage_device_id, journal_id, mu_number`
+    ).all({ cgId: cgIdNum });
 
     // Calculate aggregated group-level metrics (worst-case for rates, sum for bytes)
     let aggregated = null;
@@ -196,39 +355,36 @@ router.get('/groups/:cgId', (req, res) => {
         q_count: Math.max(...latestData.map(d => d.q_count || 0)),
         pending_data_bytes: latestData.reduce((sum, d) => sum + (d.pending_data_bytes || 0), 0),
         estimated_rpo_seconds: Math.max(...latestData.map(d => d.estimated_rpo_seconds || 0)),
+        lag_seconds: latestData.some(d => d.lag_seconds !== null)
+          ? Math.max(...latestData.map(d => d.lag_seconds || 0))
+          : null,
         block_delta_bytes: latestData.reduce((sum, d) => sum + (d.block_delta_bytes || 0), 0),
+        q_marker_delta: latestData.some(d => d.q_marker_delta !== null)
+          ? Math.max(...latestData.map(d => d.q_marker_delta || 0))
+          : null,
         copy_speed: latestData[0]?.copy_speed || null,
-        timestamp: latestData[0]?.timestamp,
+        poll_snapshot_id: Math.max(...latestData.map(d => d.poll_snapshot_id)),
+        timestamp: latestData.reduce((max, d) => (d.timestamp > max ? d.timestamp : max), latestData[0].timestamp),
       };
     }
 
-    // Get previous data point for trend calculation
-    const previousTimestamp = db.prepare(
-      `SELECT DISTINCT timestamp FROM rpo_history
-       WHERE cg_id = ?
-         AND timestamp < (SELECT MAX(timestamp) FROM rpo_history WHERE cg_id = ?)
-       ORDER BY timestamp DESC LIMIT 1`
-    ).get(cgIdNum, cgIdNum);
+    // Trend: the group's qCount now against its state before the newest snapshot
+    const qCountSeries = aggregated
+      ? loadGroupSeries(cgIdNum, { qCount: { column: 'q_count', aggregate: 'MAX' } }, { limit: 2 })
+      : [];
 
     let trend = null;
-    if (previousTimestamp && aggregated) {
-      const previousData = db.prepare(
-        `SELECT MAX(q_count) as q_count, MAX(usage_rate) as usage_rate
-         FROM rpo_history
-         WHERE cg_id = ? AND timestamp = ?`
-      ).get(cgIdNum, previousTimestamp.timestamp);
-
-      if (previousData) {
-        const qCountDiff = (aggregated.q_count || 0) - (previousData.q_count || 0);
-        if (qCountDiff > 0) trend = 'increasing';
-        else if (qCountDiff < 0) trend = 'decreasing';
-        else trend = 'stable';
-      }
+    if (qCountSeries.length === 2) {
+      const qCountDiff = (aggregated.q_count || 0) - (qCountSeries[0].qCount || 0);
+      if (qCountDiff > 0) trend = 'increasing';
+      else if (qCountDiff < 0) trend = 'decreasing';
+      else trend = 'stable';
     }
 
-    const severity = aggregated
-      ? getUsageRateSeverity(aggregated.usage_rate, thresholds.usageRate)
-      : 'unknown';
+    const effective = getEffectiveThresholds(thresholds, group);
+    const { severity, dimensions } = aggregated
+      ? getGroupSeverity(aggregated, effective)
+      : { severity: 'unknown', dimensions: null };
 
     // Collect unique journal/pair statuses across all volumes
     const journalStatuses = [...new Set(latestData.map(d => d.journal_status).filter(Boolean))];
@@ -246,6 +402,10 @@ router.get('/groups/:cgId', (req, res) => {
       aggregated,
       trend,
       severity,
+      severity_dimensions: dimensions,
+      thresholds: formatThresholds(effective),
+      threshold_overrides: getThresholdOverrides(group),
+      maintenance: maintenance.getGroupMaintenance(cgIdNum),
       journal_statuses: journalStatuses,
       pair_statuses: pairStatuses,
       volume_count: latestData.length,
@@ -260,11 +420,16 @@ router.get('/groups/:cgId', (req, res) => {
  * GET /api/monitoring/groups/:cgId/history
  * Get historical RPO data for a specific consistency group.
  * Query params:
- *   - timeframe: 1h, 6h, 24h, 7d (default: 24h)
+ *   - timeframe: 1h, 6h, 24h, 7d, 30d, 90d, 1y (default: 24h)
+ *   - resolution: raw, hourly, daily (default: chosen from the timeframe)
  *
- * Returns data formatted for chart consumption:
- * Array of { timestamp, usageRate, qCount, pendingDataBytes,
- *            estimatedRpoSeconds, blockDeltaBytes }
+ * Raw data is one point per poll snapshot:
+ * Array of { snapshotId, timestamp, usageRate, qCount, pendingDataBytes,
+ *            estimatedRpoSeconds, lagSeconds, blockDeltaBytes, qMarkerDelta }
+ *
+ * Hourly/daily data is one point per bucket, with bucket averages in the
+ * same fields plus Min/Max/P95 variants (e.g. usageRateP95). Buckets not
+ * rolled up yet, including the current one, are built from raw samples.
  */
 router.get('/groups/:cgId/history', (req, res) => {
   try {
@@ -284,29 +449,51 @@ router.get('/groups/:cgId/history', (req, res) => {
     const modifier = getTimeframeModifier(timeframe);
     if (!modifier) {
       return res.status(400).json({
-        error: 'Geçersiz zaman dilimi. Geçerli değerler: 1h, 6h, 24h, 7d',
+        error: 'Geçersiz zaman dilimi. Geçerli değerler: 1h, 6h, 24h, 7d, 30d, 90d, 1y',
       });
     }
 
-    // Aggregate per-timestamp: worst-case usageRate and qCount, sum of bytes
-    const history = db.prepare(`
-      SELECT
-        timestamp,
-        MAX(usage_rate) as usageRate,
-        MAX(q_count) as qCount,
-        SUM(pending_data_bytes) as pendingDataBytes,
-        MAX(estimated_rpo_seconds) as estimatedRpoSeconds,
-        SUM(block_delta_bytes) as blockDeltaBytes
-      FROM rpo_history
-      WHERE cg_id = ?
-        AND timestamp >= datetime('now', ?)
-      GROUP BY timestamp
-      ORDER BY timestamp ASC
-    `).all(cgIdNum, modifier);
+    const resolution = req.query.resolution
+      || retention.pickResolution((TIMEFRAMES[timeframe] || TIMEFRAMES['24h']).seconds);
+
+    if (resolution !== 'raw') {
+      if (!retention.RESOLUTIONS[resolution]) {
+        return res.status(400).json({
+          error: 'Geçersiz çözünürlük. Geçerli değerler: raw, hourly, daily',
+        });
+      }
+
+      // Buckets not rolled up yet (and the current one) come from raw samples
+      const { since } = db.prepare("SELECT datetime('now', ?) as since").get(modifier);
+      const rollupHistory = retention.loadRollups(cgIdNum, resolution, { from: since })
+        .map((row) => {
+          const point = { timestamp: row.bucket_start, samples: row.sample_count };
+          for (const [prefix, field] of ROLLUP_FIELDS) {
+            point[field] = row[`${prefix}_avg`];
+            point[`${field}Min`] = row[`${prefix}_min`];
+            point[`${field}Max`] = row[`${prefix}_max`];
+            point[`${field}P95`] = row[`${prefix}_p95`];
+          }
+          return point;
+        });
+
+      return res.json({
+        cg_id: cgIdNum,
+        timeframe,
+        resolution,
+        data_points: rollupHistory.length,
+        history: rollupHistory,
+      });
+    }
+
+    // Aggregate per snapshot: worst-case usageRate and qCount, sum of bytes,
+    // each storage's latest values carried into the snapshots of the other
+    const history = loadGroupSeries(cgIdNum, HISTORY_METRICS, { since: modifier });
 
     res.json({
       cg_id: cgIdNum,
       timeframe,
+      resolution,
       data_points: history.length,
       history,
     });
@@ -316,10 +503,51 @@ router.get('/groups/:cgId/history', (req, res) => {
   }
 });
 
+/**
+ * GET /api/monitoring/groups/:cgId/pair-events
+ * Pair status transitions of a consistency group, newest first: every
+ * P-VOL/S-VOL status change seen between two polls.
+ * Query params:
+ *   - timeframe: 1h, 6h, 24h, 7d, 30d, 90d, 1y (default: all retained events)
+ *   - limit: max events (default: 100, max: 500)
+ */
+router.get('/groups/:cgId/pair-events', (req, res) => {
+  try {
+    const cgIdNum = parseInt(req.params.cgId, 10);
+    const db = getDb();
+
+    const group = db.prepare(
+      'SELECT cg_id FROM consistency_groups WHERE cg_id = ?'
+    ).get(cgIdNum);
+
+    if (!group) {
+      return res.status(404).json({ error: 'Tutarlılık grubu bulunamadı.' });
+    }
+
+    const { timeframe } = req.query;
+    if (timeframe !== undefined && !TIMEFRAMES[timeframe]) {
+      return res.status(400).json({
+        error: 'Geçersiz zaman dilimi. Geçerli değerler: 1h, 6h, 24h, 7d, 30d, 90d, 1y',
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const events = pairStatus.listEvents(cgIdNum, {
+      since: timeframe ? TIMEFRAMES[timeframe].modifier : null,
+      limit,
+    });
+
+    res.json({ cg_id: cgIdNum, events });
+  } catch (err) {
+    console.error('[monitoring] Pair events error:', err.message);
+    res.status(500).json({ error: 'Çift durum geçmişi alınırken bir hata oluştu.' });
+  }
+});
+
 /**
  * GET /api/monitoring/groups/:cgId/volumes
  * Get volume-level RPO details for a specific consistency group.
- * Returns per-volume data from the most recent poll.
+ * Returns per-journal data and per-LDEV block deltas from the most recent poll.
  */
 router.get('/groups/:cgId/volumes', (req, res) => {
   try {
@@ -343,20 +571,22 @@ router.get('/groups/:cgId/volumes', (req, res) => {
         usage_rate,
         q_count,
         q_marker,
+        q_marker_delta,
+        dr_journal_id,
+        dr_q_marker,
         pending_data_bytes,
         estimated_rpo_seconds,
+        lag_seconds,
         block_delta_bytes,
         copy_speed,
         journal_status,
         pair_status,
+        storage_device_id,
+        poll_snapshot_id,
         timestamp
-      FROM rpo_history
-      WHERE cg_id = ?
-        AND timestamp = (
-          SELECT MAX(timestamp) FROM rpo_history WHERE cg_id = ?
-        )
-      ORDER BY journal_id, mu_number
-    `).all(cgIdNum, cgIdNum);
+      FROM (${LATEST_RPO_ROWS})
+      ORDER BY storage_device_id, journal_id, mu_number
+    `).all({ cgId: cgIdNum });
 
     // If no rpo_history data yet, return discovered volumes from cg_volumes table
     if (rpoVolumes.length === 0) {
@@ -379,12 +609,35 @@ router.get('/groups/:cgId/volumes', (req, res) => {
       });
     }
 
+    // Per-volume block allocation delta (Method 2) from each storage's latest poll
+    const blockDeltas = db.prepare(`
+      SELECT
+        source_storage_id,
+        target_storage_id,
+        journal_id,
+        pvol_ldev_id,
+        svol_ldev_id,
+        pvol_used_blocks,
+        svol_used_blocks,
+        block_delta_bytes,
+        pvol_status,
+        svol_status,
+        poll_snapshot_id,
+        timestamp
+      FROM (${LATEST_VOLUME_ROWS})
+      ORDER BY source_storage_id, pvol_ldev_id
+    `).all({ cgId: cgIdNum });
+
+    const newest = rpoVolumes.reduce((a, b) => (b.poll_snapshot_id > a.poll_snapshot_id ? b : a));
+
     res.json({
       cg_id: cgIdNum,
       volume_count: rpoVolumes.length,
-      timestamp: rpoVolumes[0].timestamp,
+      poll_snapshot_id: newest.poll_snapshot_id,
+      timestamp: newest.timestamp,
       source: 'polling',
       volumes: rpoVolumes,
+      block_deltas: blockDeltas,
     });
   } catch (err) {
     console.error('[monitoring] Get volumes error:', err.message);
@@ -468,10 +721,10 @@ router.get('/status', (_req, res) => {
       'SELECT COUNT(*) as count FROM storage_credentials WHERE is_authenticated = 1'
     ).get();
 
-    // Count recent unacknowledged alerts (last 24h)
+    // Count recent open (unacknowledged, unresolved) alerts (last 24h)
     const recentAlerts = db.prepare(
       `SELECT COUNT(*) as count FROM alerts
-       WHERE is_acknowledged = 0
+       WHERE status = 'open'
          AND created_at >= datetime('now', '-24 hours')`
     ).get();
 
@@ -483,9 +736,18 @@ router.get('/status', (_req, res) => {
 
     // Check poller status (gracefully handle missing service)
     let pollerRunning = false;
+    let storageTimings = {};
     try {
       const poller = require('../services/poller');
-      pollerRunning = typeof poller.getStatus === 'function' ? poller.getStatus().isRunning : false;
+      if (typeof poller.getStatus === 'function') {
+        const pollerStatus = poller.getStatus();
+        pollerRunning = pollerStatus.isRunning;
+        storageTimings = pollerStatus.storages || {};
+        // The scheduler knows the real next poll, including per-storage/CG intervals
+        if (pollerStatus.nextPollAt) {
+          nextPoll = pollerStatus.nextPollAt;
+        }
+      }
     } catch (_e) {
       // Poller service not available yet
     }
@@ -500,6 +762,7 @@ router.get('/status', (_req, res) => {
       authenticated_storages: authenticatedStorages?.count || 0,
       unacknowledged_alerts: recentAlerts?.count || 0,
       data_points_24h: recentDataPoints?.count || 0,
+      storage_timings: storageTimings,
     });
   } catch (err) {
     console.error('[monitoring] Get status error:', err.message);
@@ -507,15 +770,95 @@ router.get('/status', (_req, res) => {
   }
 });
 
+/**
+ * GET /api/monitoring/poll-runs
+ * List the poll cycle journal, newest first.
+ * Query params:
+ *   - status: filter by run status (running, success, partial, failed, skipped)
+ *   - trigger: filter by trigger (scheduled, initial, manual)
+ *   - limit: max number of results (default: 50)
+ *   - offset: pagination offset (default: 0)
+ *
+ * Each run includes per-storage duration, step outcomes (cacheRefresh,
+ * journals, drJournals, pairs, ldevs), errors and the number of Ops Center
+ * API calls made during the cycle.
+ */
+router.get('/poll-runs', (req, res) => {
+  try {
+    const { status, trigger, limit = '50', offset = '0' } = req.query;
+
+    let where = ' WHERE 1=1';
+    const params = [];
+
+    if (status) {
+      where += ' AND status = ?';
+      params.push(status);
+    }
+
+    if (trigger) {
+      where += ' AND trigger = ?';
+      params.push(trigger);
+    }
+
+    const limitNum = Math.min(parseInt(limit, 10) || 50, 500);
+    const offsetNum = parseInt(offset, 10) || 0;
+
+    const db = getDb();
+    const rows = db.prepare(
+      `SELECT * FROM poll_runs${where} ORDER BY id DESC LIMIT ? OFFSET ?`
+    ).all(...params, limitNum, offsetNum);
+
+    const total = db.prepare(
+      `SELECT COUNT(*) as total FROM poll_runs${where}`
+    ).get(...params);
+
+    const parseJson = (value, fallback) => {
+      try {
+        return value ? JSON.parse(value) : fallback;
+      } catch (_e) {
+        // Corrupt JSON should not hide the rest of the journal
+        return fallback;
+      }
+    };
+
+    const runs = rows.map((row) => ({
+      ...row,
+      storage_results: parseJson(row.storage_results, []),
+      api_calls: parseJson(row.api_calls, null),
+    }));
+
+    res.json({
+      runs,
+      pagination: {
+        total: total.total,
+        limit: limitNum,
+        offset: offsetNum,
+      },
+    });
+  } catch (err) {
+    console.error('[monitoring] List poll runs error:', err.message);
+    res.status(500).json({ error: 'Yoklama geçmişi alınırken bir hata oluştu.' });
+  }
+});
+
 /**
  * PATCH /api/monitoring/groups/:cgId
- * Update group settings (enable/disable monitoring, rename).
- * Body: { is_monitored?: boolean, name?: string }
+ * Update group settings (enable/disable monitoring, rename, poll interval,
+ * thresholds).
+ * Body: { is_monitored?: boolean, name?: string, poll_interval_seconds?: number|null,
+ *         usage_rate_warning?: number|null, usage_rate_critical?: number|null,
+ *         rpo_seconds_warning?: number|null, rpo_seconds_critical?: number|null,
+ *         target_rpo_seconds?: number|null }
+ *
+ * poll_interval_seconds polls this group more often than its storage.
+ * The threshold fields override the global rpo_threshold_* settings for
+ * this group; target_rpo_seconds is its RPO SLA and raises an alert when
+ * exceeded. null clears an override.
  */
 router.patch('/groups/:cgId', (req, res) => {
   try {
     const cgIdNum = parseInt(req.params.cgId, 10);
-    const { is_monitored, name } = req.body;
+    const { is_monitored, name, poll_interval_seconds } = req.body;
     const db = getDb();
 
     const group = db.prepare(
@@ -540,6 +883,50 @@ router.patch('/groups/:cgId', (req, res) => {
       params.push(name);
     }
 
+    if (poll_interval_seconds !== undefined) {
+      const seconds = poll_interval_seconds === null ? null : parseInt(poll_interval_seconds, 10);
+      if (seconds !== null && (!Number.isFinite(seconds) || seconds < 5)) {
+        return res.status(400).json({ error: 'Yoklama aralığı en az 5 saniye olmalıdır.' });
+      }
+      updates.push('poll_interval_seconds = ?');
+      params.push(seconds);
+    }
+
+    // Threshold overrides: validate each value, then the resulting pairs
+    const merged = { ...group };
+    let thresholdsChanged = false;
+    for (const [field, range] of Object.entries(GROUP_THRESHOLD_FIELDS)) {
+      if (req.body[field] === undefined) continue;
+
+      let value = null;
+      if (req.body[field] !== null) {
+        value = range.integer ? parseInt(req.body[field], 10) : parseFloat(req.body[field]);
+        if (!Number.isFinite(value) || value < range.min || (range.max !== null && value > range.max)) {
+          return res.status(400).json({
+            error: `Geçersiz eşik değeri: ${field}.`,
+          });
+        }
+      }
+      updates.push(`${field} = ?`);
+      params.push(value);
+      merged[field] = value;
+      thresholdsChanged = true;
+    }
+
+    if (thresholdsChanged) {
+      const effective = getEffectiveThresholds(getRpoThresholds(), merged);
+      if (effective.usageRate.warning >= effective.usageRate.critical) {
+        return res.status(400).json({
+          error: 'Kullanım oranı uyarı eşiği, kritik eşiğinden küçük olmalıdır.',
+        });
+      }
+      if (effective.rpoSeconds.warning >= effective.rpoSeconds.critical) {
+        return res.status(400).json({
+          error: 'RPO süre uyarı eşiği, kritik eşiğinden küçük olmalıdır.',
+        });
+      }
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({ error: 'Güncellenecek alan belirtilmedi.' });
     }
@@ -550,6 +937,10 @@ router.patch('/groups/:cgId', (req, res) => {
       `UPDATE consistency_groups SET ${updates.join(', ')} WHERE cg_id = ?`
     ).run(...params);
 
+    if (is_monitored !== undefined || poll_interval_seconds !== undefined) {
+      require('../services/poller').reschedule();
+    }
+
     // Return the updated group
     const updatedGroup = db.prepare(
       'SELECT * FROM consistency_groups WHERE cg_id = ?'
@@ -564,6 +955,9 @@ router.patch('/groups/:cgId', (req, res) => {
         source_storage_id: updatedGroup.source_storage_id,
         target_storage_id: updatedGroup.target_storage_id,
         is_monitored: !!updatedGroup.is_monitored,
+        poll_interval_seconds: updatedGroup.poll_interval_seconds,
+        thresholds: formatThresholds(getEffectiveThresholds(getRpoThresholds(), updatedGroup)),
+        threshold_overrides: getThresholdOverrides(updatedGroup),
       },
     });
   } catch (err) {
@@ -0,0 +1,560 @@
+const express = require('express');
+const { getDb } = require('../models/database');
+const { authenticateToken } = require('./auth');
+const { encrypt } = require('../utils/encryption');
+const notificationChannels = require('../services/notificationChannels');
+const notifier = require('../services/notifier');
+
+const router = express.Router();
+
+// All notification routes require authentication
+router.use(authenticateToken);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const DELIVERY_STATUSES = ['pending', 'sent', 'failed'];
+
+/**
+ * Shapes a notification_channels row for the API. The secret is never
+ * returned; has_secret tells whether one is stored.
+ */
+function formatChannel(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    is_enabled: !!row.is_enabled,
+    config: JSON.parse(row.config || '{}'),
+    has_secret: !!row.encrypted_secret,
+    severities: row.severities ? row.severities.split(',') : [],
+    cg_ids: row.cg_ids ? row.cg_ids.split(',').map(Number) : [],
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Validates a channel request body merged over the stored channel (if any).
+ * Returns the column values to write, or { error } for a 400 response.
+ *
+ * Body: { name, type, is_enabled?, config, secret?, severities?, cg_ids? }
+ *   - secret: SMTP password or webhook Authorization header value;
+ *     omit to keep the stored one, null or '' to clear it
+ *   - severities: alert severities to send (default: warning, critical)
+ *   - cg_ids: consistency groups to send; empty for all groups and system alerts
+ */
+function buildChannelValues(body, existing = null) {
+  const current = existing ? formatChannel(existing) : {};
+  const name = body.name !== undefined ? String(body.name).trim() : current.name;
+  const type = body.type !== undefined ? body.type : current.type;
+  const config = body.config !== undefined ? body.config : current.config;
+  const severities = body.severities !== undefined ? body.severities : (current.severities || ['warning', 'critical']);
+  const cgIds = body.cg_ids !== undefined ? body.cg_ids : (current.cg_ids || []);
+
+  if (!name) {
+    return { error: 'Kanal adı gereklidir.' };
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { error: 'Kanal yapılandırması bir nesne olmalıdır.' };
+  }
+  try {
+    notificationChannels.validateConfig(type, config);
+  } catch (err) {
+    if (err.code === 'INVALID_CONFIG') return { error: err.message };
+    throw err;
+  }
+  if (!Array.isArray(severities) || severities.length === 0 || severities.some((s) => !SEVERITIES.includes(s))) {
+    return { error: 'Geçersiz önem seviyesi filtresi. Geçerli değerler: info, warning, critical' };
+  }
+  if (!Array.isArray(cgIds) || cgIds.some((id) => !Number.isInteger(Number(id)))) {
+    return { error: 'Tutarlılık grubu filtresi bir CG ID listesi olmalıdır.' };
+  }
+
+  const values = {
+    name,
+    type,
+    is_enabled: body.is_enabled !== undefined ? (body.is_enabled ? 1 : 0) : (existing ? existing.is_enabled : 1),
+    config: JSON.stringify(config),
+    severities: [...new Set(severities)].join(','),
+    cg_ids: cgIds.length > 0 ? [...new Set(cgIds.map(Number))].join(',') : null,
+    encrypted_secret: existing ? existing.encrypted_secret : null,
+    secret_iv: existing ? existing.secret_iv : null,
+    secret_auth_tag: existing ? existing.secret_auth_tag : null,
+  };
+
+  if (body.secret !== undefined) {
+    if (body.secret) {
+      const { encrypted, iv, authTag } = encrypt(String(body.secret));
+      values.encrypted_secret = encrypted;
+      values.secret_iv = iv;
+      values.secret_auth_tag = authTag;
+    } else {
+      values.encrypted_secret = null;
+      values.secret_iv = null;
+      values.secret_auth_tag = null;
+    }
+  }
+
+  return { values };
+}
+
+// ---------------------------------------------------------------------------
+// Channels
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/notifications/channels
+ * List notification channels with their filters and last delivery status.
+ */
+router.get('/channels', (_req, res) => {
+  try {
+    const db = getDb();
+    const rows = db.prepare('SELECT * FROM notification_channels ORDER BY id').all();
+    const lastDelivery = db.prepare(`
+      SELECT status, created_at, last_error FROM notification_deliveries
+      WHERE channel_id = ? ORDER BY id DESC LIMIT 1
+    `);
+
+    res.json({
+      channels: rows.map((row) => ({
+        ...formatChannel(row),
+        last_delivery: lastDelivery.get(row.id) || null,
+      })),
+      types: notificationChannels.CHANNEL_TYPES,
+    });
+  } catch (err) {
+    console.error('[notifications] List channels error:', err.message);
+    res.status(500).json({ error: 'Bildirim kanalları listelenirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * POST /api/notifications/channels
+ * Create a notification channel.
+ * Body: { name, type: smtp|webhook|syslog, config, secret?, is_enabled?,
+ *         severities?, cg_ids? }
+ *
+ * Config per type:
+ *   - smtp:    { host, port, secure?, username?, from, to, accept_self_signed? }
+ *   - webhook: { url, method?: POST|PUT, headers?, template?, accept_self_signed? }
+ *              template is a JSON string with {{field}} placeholders: id,
+ *              severity, alert_type, cg_id, storage_device_id, message,
+ *              created_at, title
+ *   - syslog:  { host, port, protocol?: udp|tcp, facility?: 0-23 }
+ */
+router.post('/channels', (req, res) => {
+  try {
+    const { values, error } = buildChannelValues(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const db = getDb();
+    const info = db.prepare(`
+      INSERT INTO notification_channels
+        (name, type, is_enabled, config, severities, cg_ids,
+         encrypted_secret, secret_iv, secret_auth_tag)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      values.name, values.type, values.is_enabled, values.config, values.severities, values.cg_ids,
+      values.encrypted_secret, values.secret_iv, values.secret_auth_tag
+    );
+
+    const row = db.prepare('SELECT * FROM notification_channels WHERE id = ?').get(info.lastInsertRowid);
+    res.status(201).json({
+      message: 'Bildirim kanalı oluşturuldu.',
+      channel: formatChannel(row),
+    });
+  } catch (err) {
+    console.error('[notifications] Create channel error:', err.message);
+    res.status(500).json({ error: 'Bildirim kanalı oluşturulurken bir hata oluştu.' });
+  }
+});
+
+/**
+ * PUT /api/notifications/channels/:id
+ * Update a notification channel. Fields that are omitted keep their value.
+ */
+router.put('/channels/:id', (req, res) => {
+  try {
+    const db = getDb();
+    const existing = db.prepare('SELECT * FROM notification_channels WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Bildirim kanalı bulunamadı.' });
+    }
+
+    const { values, error } = buildChannelValues(req.body || {}, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    db.prepare(`
+      UPDATE notification_channels
+      SET name = ?, type = ?, is_enabled = ?, config = ?, severities = ?, cg_ids = ?,
+          encrypted_secret = ?, secret_iv = ?, secret_auth_tag = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(
+      values.name, values.type, values.is_enabled, values.config, values.severities, values.cg_ids,
+      values.encrypted_secret, values.secret_iv, values.secret_auth_tag, existing.id
+    );
+
+    const row = db.prepare('SELECT * FROM notification_channels WHERE id = ?').get(existing.id);
+    res.json({
+      message: 'Bildirim kanalı güncellendi.',
+      channel: formatChannel(row),
+    });
+  } catch (err) {
+    console.error('[notifications] Update channel error:', err.message);
+    res.status(500).json({ error: 'Bildirim kanalı güncellenirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * DELETE /api/notifications/channels/:id
+ * Delete a notification channel and its delivery log, and take it out of
+ * the escalation policies that use it.
+ */
+router.delete('/channels/:id', (req, res) => {
+  try {
+    const db = getDb();
+    const channelId = parseInt(req.params.id, 10);
+    const info = db.prepare('DELETE FROM notification_channels WHERE id = ?').run(channelId);
+    if (info.changes === 0) {
+      return res.status(404).json({ error: 'Bildirim kanalı bulunamadı.' });
+    }
+
+    const without = (value) => {
+      const ids = (value ? value.split(',').map(Number) : []).filter((id) => id !== channelId);
+      return ids.length > 0 ? ids.join(',') : null;
+    };
+    const updatePolicy = db.prepare(
+      'UPDATE escalation_policies SET level1_channel_ids = ?, level2_channel_ids = ? WHERE id = ?'
+    );
+    for (const policy of db.prepare('SELECT * FROM escalation_policies').all()) {
+      // An emptied level 1 keeps '' (the column is NOT NULL); the policy then only escalates
+      updatePolicy.run(without(policy.level1_channel_ids) || '', without(policy.level2_channel_ids), policy.id);
+    }
+
+    res.json({ message: 'Bildirim kanalı silindi.' });
+  } catch (err) {
+    console.error('[notifications] Delete channel error:', err.message);
+    res.status(500).json({ error: 'Bildirim kanalı silinirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * POST /api/notifications/channels/:id/test
+ * Send a test notification through the channel now. The attempt is logged
+ * as a 'test' delivery; it is not retried.
+ */
+router.post('/channels/:id/test', async (req, res) => {
+  try {
+    const result = await notifier.sendTest(parseInt(req.params.id, 10));
+    if (result.success) {
+      return res.json({
+        success: true,
+        message: 'Test bildirimi gönderildi.',
+        response: result.response,
+      });
+    }
+    res.status(502).json({
+      success: false,
+      error: `Test bildirimi gönderilemedi: ${result.error}`,
+    });
+  } catch (err) {
+    if (err.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: 'Bildirim kanalı bulunamadı.' });
+    }
+    console.error('[notifications] Test channel error:', err.message);
+    res.status(500).json({ error: 'Test bildirimi gönderilirken bir hata oluştu.' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Delivery log
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/notifications/deliveries
+ * Delivery log, newest first.
+ * Query params:
+ *   - channel_id: filter by channel
+ *   - status: pending, sent or failed
+ *   - limit: max results (default: 100, max: 500)
+ */
+router.get('/deliveries', (req, res) => {
+  try {
+    const { channel_id, status } = req.query;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Geçersiz teslim durumu. Geçerli değerler: pending, sent, failed' });
+    }
+
+    let query = `
+      SELECT d.*, c.name as channel_name, c.type as channel_type,
+             a.cg_id, a.alert_type, a.severity
+      FROM notification_deliveries d
+      JOIN notification_channels c ON c.id = d.channel_id
+      LEFT JOIN alerts a ON a.id = d.alert_id
+      WHERE 1=1`;
+    const params = [];
+
+    if (channel_id) {
+      query += ' AND d.channel_id = ?';
+      params.push(parseInt(channel_id, 10));
+    }
+    if (status) {
+      query += ' AND d.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY d.id DESC LIMIT ?';
+    params.push(Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500));
+
+    const db = getDb();
+    res.json({
+      deliveries: db.prepare(query).all(...params),
+      max_attempts: notifier.MAX_ATTEMPTS,
+    });
+  } catch (err) {
+    console.error('[notifications] List deliveries error:', err.message);
+    res.status(500).json({ error: 'Bildirim geçmişi alınırken bir hata oluştu.' });
+  }
+});
+
+/**
+ * POST /api/notifications/deliveries/:id/retry
+ * Queue a failed alert, escalation or repeat delivery again with a fresh set
+ * of attempts.
+ */
+router.post('/deliveries/:id/retry', (req, res) => {
+  try {
+    if (!notifier.retryDelivery(parseInt(req.params.id, 10))) {
+      return res.status(404).json({ error: 'Yeniden denenebilecek başarısız bir teslim bulunamadı.' });
+    }
+    res.json({ message: 'Teslim yeniden kuyruğa alındı.' });
+  } catch (err) {
+    console.error('[notifications] Retry delivery error:', err.message);
+    res.status(500).json({ error: 'Teslim yeniden denenirken bir hata oluştu.' });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Escalation policies
+// ---------------------------------------------------------------------------
+
+const MAX_POLICY_MINUTES = 7 * 24 * 60;
+
+/**
+ * Shapes an escalation_policies row for the API.
+ */
+function formatPolicy(row) {
+  const toIds = (value) => (value ? value.split(',').map(Number) : []);
+  return {
+    id: row.id,
+    name: row.name,
+    is_enabled: !!row.is_enabled,
+    severities: row.severities ? row.severities.split(',') : [],
+    cg_ids: toIds(row.cg_ids),
+    level1_channel_ids: toIds(row.level1_channel_ids),
+    level2_channel_ids: toIds(row.level2_channel_ids),
+    escalate_after_minutes: row.escalate_after_minutes,
+    repeat_interval_minutes: row.repeat_interval_minutes,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Validates a policy request body merged over the stored policy (if any).
+ * Returns the column values to write, or { error } for a 400 response.
+ *
+ * Body: { name, is_enabled?, severities?, cg_ids?, level1_channel_ids,
+ *         level2_channel_ids?, escalate_after_minutes?, repeat_interval_minutes? }
+ */
+function buildPolicyValues(body, existing = null) {
+  const current = existing ? formatPolicy(existing) : {};
+  const pick = (field, fallback) => (body[field] !== undefined ? body[field] : (existing ? current[field] : fallback));
+
+  const name = body.name !== undefined ? String(body.name || '').trim() : current.name;
+  const severities = pick('severities', ['critical']);
+  const cgIds = pick('cg_ids', []) || [];
+  const level1 = pick('level1_channel_ids', []) || [];
+  const level2 = pick('level2_channel_ids', []) || [];
+  const escalateAfter = pick('escalate_after_minutes', null);
+  const repeatInterval = pick('repeat_interval_minutes', null);
+
+  if (!name) {
+    return { error: 'Politika adı gereklidir.' };
+  }
+  if (!Array.isArray(severities) || severities.length === 0 || severities.some((s) => !SEVERITIES.includes(s))) {
+    return { error: 'Geçersiz önem seviyesi filtresi. Geçerli değerler: info, warning, critical' };
+  }
+  const isIdList = (list) => Array.isArray(list) && list.every((id) => Number.isInteger(Number(id)));
+  if (!isIdList(cgIds)) {
+    return { error: 'Tutarlılık grubu filtresi bir CG ID listesi olmalıdır.' };
+  }
+  if (!isIdList(level1) || !isIdList(level2)) {
+    return { error: 'Seviye kanalları bir kanal ID listesi olmalıdır.' };
+  }
+  if (level1.length === 0) {
+    return { error: 'En az bir 1. seviye bildirim kanalı seçilmelidir.' };
+  }
+
+  const db = getDb();
+  const channelIds = [...new Set([...level1, ...level2].map(Number))];
+  const known = db.prepare(
+    `SELECT COUNT(*) as count FROM notification_channels WHERE id IN (${channelIds.map(() => '?').join(', ')})`
+  ).get(...channelIds).count;
+  if (known !== channelIds.length) {
+    return { error: 'Seçilen bildirim kanallarından biri bulunamadı.' };
+  }
+
+  const isMinutes = (value) => value === null || (Number.isInteger(value) && value >= 1 && value <= MAX_POLICY_MINUTES);
+  if (!isMinutes(escalateAfter) || !isMinutes(repeatInterval)) {
+    return { error: `Süreler 1-${MAX_POLICY_MINUTES} dakika arasında bir tam sayı olmalıdır.` };
+  }
+  if (level2.length > 0 && escalateAfter === null) {
+    return { error: '2. seviye kanallar için eskalasyon süresi gereklidir.' };
+  }
+
+  const toList = (list) => (list.length > 0 ? [...new Set(list.map(Number))].join(',') : null);
+  return {
+    values: {
+      name,
+      is_enabled: body.is_enabled !== undefined ? (body.is_enabled ? 1 : 0) : (existing ? existing.is_enabled : 1),
+      severities: [...new Set(severities)].join(','),
+      cg_ids: toList(cgIds),
+      level1_channel_ids: toList(level1),
+      level2_channel_ids: toList(level2),
+      escalate_after_minutes: level2.length > 0 ? escalateAfter : null,
+      repeat_interval_minutes: repeatInterval,
+    },
+  };
+}
+
+/**
+ * GET /api/notifications/escalation-policies
+ * List escalation policies with the number of unacknowledged alerts each is
+ * escalating.
+ */
+router.get('/escalation-policies', (_req, res) => {
+  try {
+    const db = getDb();
+    const rows = db.prepare('SELECT * FROM escalation_policies ORDER BY id').all();
+    const openAlerts = db.prepare(
+      "SELECT COUNT(*) as count FROM alerts WHERE escalation_policy_id = ? AND status = 'open'"
+    );
+
+    res.json({
+      policies: rows.map((row) => ({
+        ...formatPolicy(row),
+        open_alerts: openAlerts.get(row.id).count,
+      })),
+    });
+  } catch (err) {
+    console.error('[notifications] List escalation policies error:', err.message);
+    res.status(500).json({ error: 'Eskalasyon politikaları listelenirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * POST /api/notifications/escalation-policies
+ * Create an escalation policy. A new alert is taken by the first enabled
+ * policy (lowest ID) that matches its severity and group.
+ * Body: { name, severities? (default: critical), cg_ids? (empty for all
+ *         groups and system alerts), level1_channel_ids, level2_channel_ids?,
+ *         escalate_after_minutes? (required with level 2 channels),
+ *         repeat_interval_minutes?, is_enabled? }
+ */
+router.post('/escalation-policies', (req, res) => {
+  try {
+    const { values, error } = buildPolicyValues(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const db = getDb();
+    const info = db.prepare(`
+      INSERT INTO escalation_policies
+        (name, is_enabled, severities, cg_ids, level1_channel_ids, level2_channel_ids,
+         escalate_after_minutes, repeat_interval_minutes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      values.name, values.is_enabled, values.severities, values.cg_ids, values.level1_channel_ids,
+      values.level2_channel_ids, values.escalate_after_minutes, values.repeat_interval_minutes
+    );
+
+    const row = db.prepare('SELECT * FROM escalation_policies WHERE id = ?').get(info.lastInsertRowid);
+    res.status(201).json({
+      message: 'Eskalasyon politikası oluşturuldu.',
+      policy: formatPolicy(row),
+    });
+  } catch (err) {
+    console.error('[notifications] Create escalation policy error:', err.message);
+    res.status(500).json({ error: 'Eskalasyon politikası oluşturulurken bir hata oluştu.' });
+  }
+});
+
+/**
+ * PUT /api/notifications/escalation-policies/:id
+ * Update an escalation policy. Fields that are omitted keep their value.
+ * Alerts already under the policy follow the new settings.
+ */
+router.put('/escalation-policies/:id', (req, res) => {
+  try {
+    const db = getDb();
+    const existing = db.prepare('SELECT * FROM escalation_policies WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Eskalasyon politikası bulunamadı.' });
+    }
+
+    const { values, error } = buildPolicyValues(req.body || {}, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    db.prepare(`
+      UPDATE escalation_policies
+      SET name = ?, is_enabled = ?, severities = ?, cg_ids = ?, level1_channel_ids = ?,
+          level2_channel_ids = ?, escalate_after_minutes = ?, repeat_interval_minutes = ?,
+          updated_at = datetime('now')
+      WHERE id = ?
+    `).run(
+      values.name, values.is_enabled, values.severities, values.cg_ids, values.level1_channel_ids,
+      values.level2_channel_ids, values.escalate_after_minutes, values.repeat_interval_minutes, existing.id
+    );
+
+    const row = db.prepare('SELECT * FROM escalation_policies WHERE id = ?').get(existing.id);
+    res.json({
+      message: 'Eskalasyon politikası güncellendi.',
+      policy: formatPolicy(row),
+    });
+  } catch (err) {
+    console.error('[notifications] Update escalation policy error:', err.message);
+    res.status(500).json({ error: 'Eskalasyon politikası güncellenirken bir hata oluştu.' });
+  }
+});
+
+/**
+ * DELETE /api/notifications/escalation-policies/:id
+ * Delete an escalation policy. Alerts under it are no longer escalated or
+ * repeated; their delivery log is kept.
+ */
+router.delete('/escalation-policies/:id', (req, res) => {
+  try {
+    const db = getDb();
+    const info = db.prepare('DELETE FROM escalation_policies WHERE id = ?').run(req.params.id);
+    if (info.changes === 0) {
+      return res.status(404).json({ error: 'Eskalasyon politikası bulunamadı.' });
+    }
+    res.json({ message: 'Eskalasyon politikası silindi.' });
+  } catch (err) {
+    console.error('[notifications] Delete escalation policy error:', err.message);
+    res.status(500).json({ error: 'Eskalasyon politikası silinirken bir hata oluştu.' });
+  }
+});
+
+module.exports = router;
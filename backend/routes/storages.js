@@ -64,7 +64,7 @@ router.get('/', (_req, res) => {
     const db = getDb();
     const storages = db.prepare(
       `SELECT id, storage_device_id, model, serial_number, username,
-              is_authenticated, created_at, updated_at
+              is_authenticated, poll_interval_seconds, created_at, updated_at
        FROM storage_credentials
        ORDER BY storage_device_id`
     ).all();
@@ -126,7 +126,7 @@ router.post('/discover', async (_req, res) => {
     // Return the updated list
     const storages = db.prepare(
       `SELECT id, storage_device_id, model, serial_number, username,
-              is_authenticated, created_at, updated_at
+              is_authenticated, poll_interval_seconds, created_at, updated_at
        FROM storage_credentials
        ORDER BY storage_device_id`
     ).all();
@@ -263,6 +263,52 @@ router.post('/:storageDeviceId/authenticate', async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/storages/:storageDeviceId
+ * Update per-storage settings.
+ * Body: { poll_interval_seconds: number|null }
+ *
+ * poll_interval_seconds overrides the global polling interval for this
+ * storage; null clears the override. The poll scheduler is re-armed at once.
+ */
+router.patch('/:storageDeviceId', (req, res) => {
+  try {
+    const { storageDeviceId } = req.params;
+    const { poll_interval_seconds } = req.body || {};
+    const db = getDb();
+
+    if (poll_interval_seconds === undefined) {
+      return res.status(400).json({ error: 'Güncellenecek alan belirtilmedi.' });
+    }
+
+    const seconds = poll_interval_seconds === null ? null : parseInt(poll_interval_seconds, 10);
+    if (seconds !== null && (!Number.isFinite(seconds) || seconds < 5)) {
+      return res.status(400).json({ error: 'Yoklama aralığı en az 5 saniye olmalıdır.' });
+    }
+
+    const info = db.prepare(
+      `UPDATE storage_credentials
+       SET poll_interval_seconds = ?, updated_at = datetime('now')
+       WHERE storage_device_id = ?`
+    ).run(seconds, storageDeviceId);
+
+    if (info.changes === 0) {
+      return res.status(404).json({ error: 'Depolama sistemi bulunamadı.' });
+    }
+
+    require('../services/poller').reschedule();
+
+    res.json({
+      message: 'Depolama ayarları güncellendi.',
+      storage_device_id: storageDeviceId,
+      poll_interval_seconds: seconds,
+    });
+  } catch (err) {
+    console.error('[storages] Update error:', err.message);
+    res.status(500).json({ error: 'Depolama ayarları güncellenirken bir hata oluştu.' });
+  }
+});
+
 /**
  * GET /api/storages/:storageDeviceId/status
  * Get session/connection status for a specific storage.
@@ -299,7 +345,7 @@ router.get('/:storageDeviceId/status', (req, res) => {
        WHERE cg_id IN (
          SELECT cg_id FROM consistency_groups WHERE source_storage_id = ? OR target_storage_id = ?
        )
-       AND is_acknowledged = 0`
+       AND status = 'open'`
     ).get(storageDeviceId, storageDeviceId);
 
     res.json({
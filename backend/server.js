@@ -6,6 +6,12 @@ const helmet = require('helmet');
 const path = require('path');
 
 const { initDatabase, closeDatabase } = require('./models/database');
+const poller = require('./services/poller');
+const sessionManager = require('./services/sessionManager');
+const retention = require('./services/retention');
+const backup = require('./services/backup');
+const collectorHealth = require('./services/collectorHealth');
+const notifier = require('./services/notifier');
 
 // ---------------------------------------------------------------------------
 // Configuration
@@ -16,7 +22,23 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 // ---------------------------------------------------------------------------
 // Initialize database before starting the server
 // ---------------------------------------------------------------------------
-initDatabase();
+// A failed migration or a schema version mismatch must stop the process
+// before anything reads or writes the database.
+try {
+  initDatabase();
+} catch (err) {
+  console.error('[server] ==========================================================');
+  console.error(`[server] FATAL: database schema check failed: ${err.message}`);
+  console.error('[server] ==========================================================');
+  process.exit(1);
+}
+
+// `node server.js --migrate-only` applies pending migrations and exits
+if (process.argv.includes('--migrate-only')) {
+  closeDatabase();
+  console.log('[server] Migrations complete (--migrate-only). Exiting.');
+  process.exit(0);
+}
 
 // ---------------------------------------------------------------------------
 // Create Express app
@@ -73,6 +95,13 @@ app.use('/api/config', require('./routes/config'));
 app.use('/api/storages', require('./routes/storages'));
 app.use('/api/monitoring', require('./routes/monitoring'));
 app.use('/api/alerts', require('./routes/alerts'));
+app.use('/api/backups', require('./routes/backups'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/maintenance', require('./routes/maintenance'));
+app.use('/api/grafana', require('./routes/grafana'));
+
+// Prometheus scrape endpoint, outside /api like the convention scrapers expect
+app.use('/metrics', require('./routes/metrics'));
 
 // ---------------------------------------------------------------------------
 // Serve React SPA static files (production)
@@ -107,24 +136,55 @@ app.use((err, _req, res, _next) => {
 // ---------------------------------------------------------------------------
 const server = app.listen(PORT, () => {
   console.log(`[server] Hitachi RPO Monitor backend running on port ${PORT} (${NODE_ENV})`);
+
+  // The supervisor starts polling once API config and authenticated storages exist
+  poller.startSupervisor();
+  retention.start();
+  backup.startNightly();
+  collectorHealth.start();
+  notifier.start();
 });
 
 // ---------------------------------------------------------------------------
 // Graceful shutdown
 // ---------------------------------------------------------------------------
-function gracefulShutdown(signal) {
+let isShuttingDown = false;
+
+async function gracefulShutdown(signal) {
+  if (isShuttingDown) return;
+  isShuttingDown = true;
+
   console.log(`\n[server] ${signal} received. Shutting down gracefully...`);
-  server.close(() => {
-    console.log('[server] HTTP server closed.');
-    closeDatabase();
-    process.exit(0);
-  });
 
   // Force exit if graceful shutdown takes too long
   setTimeout(() => {
     console.error('[server] Forced shutdown after timeout.');
     process.exit(1);
   }, 10000);
+
+  // Stop accepting new connections while the poller drains
+  const httpClosed = new Promise((resolve) => {
+    server.close(() => {
+      console.log('[server] HTTP server closed.');
+      resolve();
+    });
+  });
+
+  retention.stop();
+  backup.stopNightly();
+  collectorHealth.stop();
+  notifier.stop();
+
+  try {
+    await poller.shutdown();
+    await sessionManager.cleanupAllSessions();
+  } catch (err) {
+    console.error(`[server] Error during shutdown: ${err.message}`);
+  }
+
+  await httpClosed;
+  closeDatabase();
+  process.exit(0);
 }
 
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
@@ -0,0 +1,56 @@
+const { getDb } = require('../models/database');
+
+/**
+ * Alert History
+ *
+ * Every alert keeps an append-only history in alert_events: when it was
+ * raised, acknowledged, assigned, escalated and resolved, by whom (NULL for
+ * the collector itself), and the comments written on it. Entries are never
+ * changed or deleted, so the history documents shift handovers.
+ */
+
+const EVENT_TYPES = [
+  'created',
+  'unsuppressed',
+  'acknowledged',
+  'assigned',
+  'unassigned',
+  'escalated',
+  'comment',
+  'resolved',
+];
+
+/**
+ * Appends an entry to an alert's history.
+ *
+ * @param {number} alertId
+ * @param {string} eventType - One of EVENT_TYPES
+ * @param {{ username?: string|null, comment?: string|null, details?: Object|null }} [entry]
+ * @returns {number} Event ID
+ */
+function recordAlertEvent(alertId, eventType, { username = null, comment = null, details = null } = {}) {
+  const db = getDb();
+  const info = db.prepare(`
+    INSERT INTO alert_events (alert_id, event_type, username, comment, details)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(alertId, eventType, username, comment, details ? JSON.stringify(details) : null);
+  return Number(info.lastInsertRowid);
+}
+
+/**
+ * Returns an alert's history, oldest first.
+ *
+ * @param {number} alertId
+ * @returns {Array<Object>} alert_events rows with details parsed
+ */
+function getAlertEvents(alertId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM alert_events WHERE alert_id = ? ORDER BY id').all(alertId)
+    .map((row) => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordAlertEvent,
+  getAlertEvents,
+};
@@ -0,0 +1,578 @@
+const { getDb } = require('../models/database');
+const { parseTimestamp } = require('../utils/sqlite');
+
+/**
+ * Rule-Based Alert Engine
+ *
+ * User-defined alert rules evaluated against a consistency group's
+ * rpo_history after each poll cycle. Unlike the fixed threshold checks,
+ * which fire on a single sample, a rule can require a condition to hold
+ * over several polls or minutes. Each poll snapshot of a group becomes one
+ * sample per storage, aggregated the same way as the history endpoint:
+ * worst-case usage rate, qCount, RPO and lag, summed pending and block delta
+ * bytes. The master and DR storages of a group are polled on their own
+ * schedules, so each storage's samples form a series of their own and a rule
+ * fires for the group when it holds on any of them.
+ *
+ * A rule's condition is one of:
+ *   - threshold: { metric, operator, value, relative_to?, for_polls? | for_minutes? }
+ *       e.g. usage_rate >= 10 for 15 minutes; lag_seconds > 0.8 x target RPO
+ *   - trend:     { metric, direction: increasing|decreasing, polls }
+ *       e.g. q_count increasing for 3 consecutive polls
+ *   - change:    { metric, window_minutes, operator, value, unit: percent|absolute }
+ *       e.g. pending_data_bytes grew more than 50% in 60 minutes
+ *
+ * relative_to multiplies the value by one of the group's effective
+ * thresholds (its override, or the global setting); the rule is skipped for
+ * groups where that threshold is unset (e.g. no target RPO).
+ */
+
+// Metric → aggregation across a snapshot's journals.
+const METRICS = {
+  usage_rate: { aggregate: 'MAX' },
+  q_count: { aggregate: 'MAX' },
+  pending_data_bytes: { aggregate: 'SUM' },
+  estimated_rpo_seconds: { aggregate: 'MAX' },
+  lag_seconds: { aggregate: 'MAX' },
+  block_delta_bytes: { aggregate: 'SUM' },
+  q_marker_delta: { aggregate: 'MAX' },
+};
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+};
+
+const CONDITION_TYPES = ['threshold', 'trend', 'change'];
+const TREND_DIRECTIONS = ['increasing', 'decreasing'];
+const CHANGE_UNITS = ['percent', 'absolute'];
+const RULE_SEVERITIES = ['info', 'warning', 'critical'];
+
+// Group thresholds a threshold value can be relative to
+const RELATIVE_TO = [
+  'usage_rate_warning',
+  'usage_rate_critical',
+  'rpo_seconds_warning',
+  'rpo_seconds_critical',
+  'target_rpo_seconds',
+];
+
+const MAX_POLLS = 100;
+const MAX_MINUTES = 7 * 24 * 60;
+
+// Extra history loaded before a time-based condition's window, so the sample
+// at or just before the window start is available
+const LOOKBACK_MARGIN_MINUTES = 60;
+
+const DEFAULT_THRESHOLD_SETTINGS = {
+  usage_rate_warning: ['rpo_threshold_warning_percent', 5],
+  usage_rate_critical: ['rpo_threshold_critical_percent', 20],
+  rpo_seconds_warning: ['rpo_threshold_warning_seconds', 3600],
+  rpo_seconds_critical: ['rpo_threshold_critical_seconds', 7200],
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds a rule validation error (reported as 400 by the routes).
+ *
+ * @param {string} message
+ * @returns {Error}
+ */
+function ruleError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_RULE';
+  return err;
+}
+
+/**
+ * Returns the alert type under which a rule's alerts are stored.
+ *
+ * @param {number} ruleId
+ * @returns {string}
+ */
+function getRuleAlertType(ruleId) {
+  return `rule_${ruleId}`;
+}
+
+/**
+ * Checks that a value is an integer within a range.
+ *
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {boolean}
+ */
+function isIntInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Returns the effective thresholds of a group: its overrides where set, the
+ * global settings otherwise, and its target RPO (null when unset).
+ *
+ * @param {number} cgId
+ * @returns {Object} Keyed by RELATIVE_TO names
+ */
+function getGroupThresholds(cgId) {
+  const db = getDb();
+  const group = db.prepare(
+    `SELECT usage_rate_warning, usage_rate_critical, rpo_seconds_warning,
+            rpo_seconds_critical, target_rpo_seconds
+     FROM consistency_groups WHERE cg_id = ? LIMIT 1`
+  ).get(cgId) || {};
+  const getSetting = db.prepare('SELECT value FROM settings WHERE key = ?');
+
+  const thresholds = { target_rpo_seconds: group.target_rpo_seconds ?? null };
+  for (const [field, [key, fallback]] of Object.entries(DEFAULT_THRESHOLD_SETTINGS)) {
+    if (group[field] !== null && group[field] !== undefined) {
+      thresholds[field] = group[field];
+    } else {
+      const row = getSetting.get(key);
+      thresholds[field] = (row && parseFloat(row.value)) || fallback;
+    }
+  }
+  return thresholds;
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Validates a rule condition and returns its normalized form.
+ *
+ * @param {Object} condition
+ * @returns {Object}
+ * @throws {Error} code INVALID_RULE
+ */
+function validateCondition(condition) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    throw ruleError('Kural koşulu bir nesne olmalıdır.');
+  }
+  const { type, metric } = condition;
+  if (!CONDITION_TYPES.includes(type)) {
+    throw ruleError(`Geçersiz koşul tipi. Geçerli değerler: ${CONDITION_TYPES.join(', ')}`);
+  }
+  if (!METRICS[metric]) {
+    throw ruleError(`Geçersiz metrik. Geçerli değerler: ${Object.keys(METRICS).join(', ')}`);
+  }
+
+  if (type === 'trend') {
+    if (!TREND_DIRECTIONS.includes(condition.direction)) {
+      throw ruleError('Eğilim yönü increasing veya decreasing olmalıdır.');
+    }
+    if (!isIntInRange(condition.polls, 1, MAX_POLLS)) {
+      throw ruleError(`Yoklama sayısı 1-${MAX_POLLS} arasında bir tam sayı olmalıdır.`);
+    }
+    return { type, metric, direction: condition.direction, polls: condition.polls };
+  }
+
+  if (!OPERATORS[condition.operator]) {
+    throw ruleError(`Geçersiz karşılaştırma. Geçerli değerler: ${Object.keys(OPERATORS).join(' ')}`);
+  }
+  if (typeof condition.value !== 'number' || !Number.isFinite(condition.value)) {
+    throw ruleError('Karşılaştırma değeri bir sayı olmalıdır.');
+  }
+
+  if (type === 'change') {
+    if (!isIntInRange(condition.window_minutes, 1, MAX_MINUTES)) {
+      throw ruleError(`Değişim penceresi 1-${MAX_MINUTES} dakika arasında olmalıdır.`);
+    }
+    const unit = condition.unit || 'percent';
+    if (!CHANGE_UNITS.includes(unit)) {
+      throw ruleError('Değişim birimi percent veya absolute olmalıdır.');
+    }
+    return {
+      type,
+      metric,
+      operator: condition.operator,
+      value: condition.value,
+      unit,
+      window_minutes: condition.window_minutes,
+    };
+  }
+
+  const normalized = { type, metric, operator: condition.operator, value: condition.value };
+  if (condition.relative_to !== undefined && condition.relative_to !== null) {
+    if (!RELATIVE_TO.includes(condition.relative_to)) {
+      throw ruleError(`Geçersiz göreli eşik. Geçerli değerler: ${RELATIVE_TO.join(', ')}`);
+    }
+    normalized.relative_to = condition.relative_to;
+  }
+  const hasPolls = condition.for_polls !== undefined && condition.for_polls !== null;
+  const hasMinutes = condition.for_minutes !== undefined && condition.for_minutes !== null;
+  if (hasPolls && hasMinutes) {
+    throw ruleError('for_polls ve for_minutes birlikte kullanılamaz.');
+  }
+  if (hasPolls) {
+    if (!isIntInRange(condition.for_polls, 1, MAX_POLLS)) {
+      throw ruleError(`Yoklama sayısı 1-${MAX_POLLS} arasında bir tam sayı olmalıdır.`);
+    }
+    normalized.for_polls = condition.for_polls;
+  }
+  if (hasMinutes) {
+    if (!isIntInRange(condition.for_minutes, 1, MAX_MINUTES)) {
+      throw ruleError(`Süre 1-${MAX_MINUTES} dakika arasında olmalıdır.`);
+    }
+    normalized.for_minutes = condition.for_minutes;
+  }
+  return normalized;
+}
+
+/**
+ * Describes a condition in plain (ASCII Turkish) words, for alert messages
+ * and the rule list.
+ *
+ * @param {Object} condition - Validated condition
+ * @returns {string}
+ */
+function describeCondition(condition) {
+  const { type, metric } = condition;
+  if (type === 'trend') {
+    const direction = condition.direction === 'increasing' ? 'artiyor' : 'azaliyor';
+    return `${metric} ${condition.polls} ardisik yoklamadir ${direction}`;
+  }
+  if (type === 'change') {
+    const amount = condition.unit === 'percent' ? `%${condition.value}` : `${condition.value}`;
+    return `${metric} ${condition.window_minutes} dk icindeki degisim ${condition.operator} ${amount}`;
+  }
+
+  const value = condition.relative_to ? `${condition.value} x ${condition.relative_to}` : `${condition.value}`;
+  let text = `${metric} ${condition.operator} ${value}`;
+  if (condition.for_polls) text += ` (${condition.for_polls} yoklama boyunca)`;
+  if (condition.for_minutes) text += ` (${condition.for_minutes} dk boyunca)`;
+  return text;
+}
+
+// ---------------------------------------------------------------------------
+// History
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns how much history a condition needs before its latest sample.
+ *
+ * @param {Object} condition
+ * @returns {{ minutes: number, polls: number }}
+ */
+function getLookback(condition) {
+  if (condition.type === 'trend') return { minutes: 0, polls: condition.polls + 1 };
+  if (condition.type === 'change') {
+    return { minutes: condition.window_minutes + LOOKBACK_MARGIN_MINUTES, polls: 0 };
+  }
+  if (condition.for_minutes) return { minutes: condition.for_minutes + LOOKBACK_MARGIN_MINUTES, polls: 0 };
+  return { minutes: 0, polls: condition.for_polls || 1 };
+}
+
+/**
+ * Loads one storage's per-snapshot samples of a group metric, oldest first.
+ *
+ * @param {number} cgId
+ * @param {string|null} storageDeviceId - Storage that reported the rows
+ *   (null for rows written before rows were tagged with their storage)
+ * @param {string} metric
+ * @param {{ since?: string, limit?: number }} options - since is a
+ *   datetime('now', ...) modifier; limit keeps only the newest samples
+ * @returns {Array<{ snapshotId: number, timestamp: string, time: number, value: number|null }>}
+ */
+function loadSeries(cgId, storageDeviceId, metric, { since = null, limit = null } = {}) {
+  const db = getDb();
+  const { aggregate } = METRICS[metric];
+
+  const rows = db.prepare(`
+    SELECT poll_snapshot_id, MAX(timestamp) as timestamp, ${aggregate}(${metric}) as value
+    FROM rpo_history
+    WHERE cg_id = ? AND storage_device_id IS ? AND poll_snapshot_id IS NOT NULL
+      AND (? IS NULL OR timestamp >= datetime('now', ?))
+    GROUP BY poll_snapshot_id
+    ORDER BY poll_snapshot_id DESC
+    LIMIT ?
+  `).all(cgId, storageDeviceId, since, since, limit || -1);
+
+  return rows.reverse().map((row) => ({
+    snapshotId: row.poll_snapshot_id,
+    timestamp: row.timestamp,
+    time: parseTimestamp(row.timestamp),
+    value: row.value,
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+/**
+ * Finds the newest sample at or before a point in time.
+ *
+ * @param {Array<Object>} series
+ * @param {number} index - Search from this sample backwards
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number} Sample index, or -1
+ */
+function findAnchor(series, index, time) {
+  for (let i = index; i >= 0; i--) {
+    if (series[i].time <= time) return i;
+  }
+  return -1;
+}
+
+/**
+ * Evaluates a condition at one sample of a series.
+ *
+ * @param {Object} condition - Validated condition
+ * @param {Array<Object>} series - From loadSeries(), oldest first
+ * @param {number} index - Sample to evaluate at
+ * @param {Object} thresholds - From getGroupThresholds()
+ * @returns {{ met: boolean, value: number, limit: number|null }|null} null
+ *   when there is not enough data or the relative threshold is unset
+ */
+function evaluateAt(condition, series, index, thresholds) {
+  const latest = series[index];
+  if (!latest || latest.value === null) return null;
+
+  if (condition.type === 'trend') {
+    if (index < condition.polls) return null;
+    const increasing = condition.direction === 'increasing';
+    let met = true;
+    for (let i = index - condition.polls + 1; i <= index; i++) {
+      const previous = series[i - 1].value;
+      const current = series[i].value;
+      if (previous === null || current === null || (increasing ? current <= previous : current >= previous)) {
+        met = false;
+        break;
+      }
+    }
+    return { met, value: latest.value, limit: null };
+  }
+
+  const compare = OPERATORS[condition.operator];
+
+  if (condition.type === 'change') {
+    const anchor = findAnchor(series, index - 1, latest.time - condition.window_minutes * 60 * 1000);
+    if (anchor < 0 || series[anchor].value === null) return null;
+
+    const base = series[anchor].value;
+    let change = latest.value - base;
+    if (condition.unit === 'percent') {
+      // Growth from zero has no percentage
+      if (base <= 0) return null;
+      change = Math.round((change / base) * 1000) / 10;
+    }
+    return { met: compare(change, condition.value), value: change, limit: condition.value };
+  }
+
+  let limit = condition.value;
+  if (condition.relative_to) {
+    const reference = thresholds[condition.relative_to];
+    if (reference === null || reference === undefined) return null;
+    limit = condition.value * reference;
+  }
+
+  let first = index;
+  if (condition.for_minutes) {
+    first = findAnchor(series, index, latest.time - condition.for_minutes * 60 * 1000);
+    if (first < 0) return null;
+  } else if (condition.for_polls) {
+    first = index - condition.for_polls + 1;
+    if (first < 0) return null;
+  }
+
+  let met = true;
+  for (let i = first; i <= index; i++) {
+    if (series[i].value === null || !compare(series[i].value, limit)) {
+      met = false;
+      break;
+    }
+  }
+  return { met, value: latest.value, limit };
+}
+
+/**
+ * Formats a rule alert message.
+ *
+ * @param {Object} rule - Parsed rule (condition as an object)
+ * @param {Object} result - From evaluateAt()
+ * @returns {string}
+ */
+function buildMessage(rule, result) {
+  const limit = result.limit !== null && rule.condition.relative_to
+    ? ` (Esik: ${Math.round(result.limit * 100) / 100})`
+    : '';
+  return `Kural "${rule.name}": ${describeCondition(rule.condition)}. ` +
+    `Son deger: ${Math.round(result.value * 100) / 100}${limit}`;
+}
+
+/**
+ * Parses an alert_rules row.
+ *
+ * @param {Object} row
+ * @returns {Object}
+ */
+function parseRule(row) {
+  return {
+    ...row,
+    is_enabled: !!row.is_enabled,
+    condition: JSON.parse(row.condition),
+    cg_ids: row.cg_ids ? row.cg_ids.split(',').map(Number) : [],
+  };
+}
+
+/**
+ * Tells whether a rule applies to a group.
+ *
+ * @param {Object} rule - Parsed rule
+ * @param {number} cgId
+ * @returns {boolean}
+ */
+function ruleAppliesTo(rule, cgId) {
+  return rule.cg_ids.length === 0 || rule.cg_ids.includes(cgId);
+}
+
+/**
+ * Evaluates every enabled rule for the groups polled in a snapshot.
+ *
+ * @param {number} snapshotId - Poll snapshot (poll run) ID of the cycle
+ * @returns {{ evaluatedCgIds: Set<number>, alertTypes: Array<string>,
+ *             matches: Array<{ cgId: number, alertType: string, severity: string, message: string }> }}
+ */
+function evaluateSnapshot(snapshotId) {
+  const db = getDb();
+  const rules = db.prepare('SELECT * FROM alert_rules WHERE is_enabled = 1').all().map(parseRule);
+  const cgIds = db.prepare(
+    'SELECT DISTINCT cg_id FROM rpo_history WHERE poll_snapshot_id = ?'
+  ).all(snapshotId).map((row) => row.cg_id);
+  const getStorageIds = db.prepare(
+    'SELECT DISTINCT storage_device_id FROM rpo_history WHERE cg_id = ? AND storage_device_id IS NOT NULL'
+  );
+
+  const result = {
+    evaluatedCgIds: new Set(cgIds),
+    alertTypes: rules.map((rule) => getRuleAlertType(rule.id)),
+    matches: [],
+  };
+
+  for (const cgId of cgIds) {
+    const applicable = rules.filter((rule) => ruleAppliesTo(rule, cgId));
+    if (applicable.length === 0) continue;
+    const thresholds = getGroupThresholds(cgId);
+    const storageIds = getStorageIds.all(cgId).map((row) => row.storage_device_id);
+
+    for (const rule of applicable) {
+      const lookback = getLookback(rule.condition);
+      for (const storageDeviceId of storageIds) {
+        const series = loadSeries(cgId, storageDeviceId, rule.condition.metric, {
+          since: lookback.minutes ? `-${lookback.minutes} minutes` : null,
+          limit: lookback.polls || null,
+        });
+        // Every storage is evaluated at its newest sample, so a snapshot
+        // that polled only the other side keeps this side's outcome
+        const index = series.length - 1;
+        if (index < 0) continue;
+
+        const outcome = evaluateAt(rule.condition, series, index, thresholds);
+        if (outcome && outcome.met) {
+          result.matches.push({
+            cgId,
+            alertType: getRuleAlertType(rule.id),
+            severity: rule.severity,
+            message: buildMessage(rule, outcome),
+          });
+          break;
+        }
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Replays a rule against stored history without raising alerts. Returns the
+ * periods during which the rule would have fired, per group and storage.
+ *
+ * @param {Object} rule - { name, severity, condition (validated), cg_ids }
+ * @param {number} hours - How far back to replay
+ * @returns {{ groups: Array<Object>, total_firing_samples: number }}
+ */
+function dryRun(rule, hours) {
+  const db = getDb();
+  const cgIds = db.prepare(
+    'SELECT DISTINCT cg_id FROM consistency_groups WHERE is_monitored = 1 ORDER BY cg_id'
+  ).all().map((row) => row.cg_id).filter((cgId) => ruleAppliesTo(rule, cgId));
+
+  const lookback = getLookback(rule.condition);
+  const windowStart = Date.now() - hours * 60 * 60 * 1000;
+  const since = `-${hours * 60 + lookback.minutes} minutes`;
+  const groups = [];
+  let totalFiring = 0;
+
+  const getStorageIds = db.prepare(`
+    SELECT DISTINCT storage_device_id FROM rpo_history
+    WHERE cg_id = ? AND timestamp >= datetime('now', ?)
+    ORDER BY storage_device_id
+  `);
+
+  for (const cgId of cgIds) {
+    const thresholds = getGroupThresholds(cgId);
+    for (const storageDeviceId of getStorageIds.all(cgId, since).map((row) => row.storage_device_id)) {
+      const series = loadSeries(cgId, storageDeviceId, rule.condition.metric, { since });
+
+      const periods = [];
+      let evaluated = 0;
+      let firing = 0;
+      let current = null;
+
+      for (let i = 0; i < series.length; i++) {
+        if (series[i].time < windowStart) continue;
+        const outcome = evaluateAt(rule.condition, series, i, thresholds);
+        if (!outcome) continue;
+        evaluated++;
+
+        if (outcome.met) {
+          firing++;
+          if (!current) {
+            current = { started_at: series[i].timestamp, ended_at: null, samples: 0, first_value: outcome.value };
+            periods.push(current);
+          }
+          current.samples++;
+          current.last_value = outcome.value;
+          current.last_seen_at = series[i].timestamp;
+        } else if (current) {
+          current.ended_at = series[i].timestamp;
+          current = null;
+        }
+      }
+
+      totalFiring += firing;
+      groups.push({
+        cg_id: cgId,
+        storage_device_id: storageDeviceId,
+        samples: series.filter((s) => s.time >= windowStart).length,
+        evaluated_samples: evaluated,
+        firing_samples: firing,
+        firing_now: !!current,
+        thresholds,
+        periods,
+      });
+    }
+  }
+
+  return { groups, total_firing_samples: totalFiring };
+}
+
+module.exports = {
+  METRICS,
+  OPERATORS,
+  CONDITION_TYPES,
+  RULE_SEVERITIES,
+  RELATIVE_TO,
+  getRuleAlertType,
+  validateCondition,
+  describeCondition,
+  parseRule,
+  evaluateSnapshot,
+  dryRun,
+};
@@ -0,0 +1,427 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const cron = require('node-cron');
+const database = require('../models/database');
+const poller = require('./poller');
+const retention = require('./retention');
+const sessionManager = require('./sessionManager');
+
+/**
+ * Database Backup Service
+ *
+ * Takes consistent online copies of rpo-monitor.db with SQLite's backup API
+ * (safe while the poller is writing), keeps the newest `backup_retention_count`
+ * files and restores a chosen copy.
+ *
+ * A restore stops the poller and retention job, saves the current database as
+ * a "pre_restore" backup, swaps the file in and reopens it. Reopening runs the
+ * usual migrations, so a backup from an older schema version is upgraded; a
+ * backup from a newer version is rejected before anything is touched.
+ */
+
+const BACKUP_DIR = path.join(database.DATA_DIR, 'backups');
+const BACKUP_FILE_PATTERN = /^rpo-monitor-\d{8}-\d{6}(?:-\d+)?-(manual|nightly|pre_restore)\.db$/;
+
+const DEFAULT_RETENTION_COUNT = 7;
+const DEFAULT_NIGHTLY_TIME = '02:00';
+const NIGHTLY_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+let nightlyJob = null;
+let nightlySchedule = null;
+let backupInProgress = null;
+let restoreInProgress = false;
+let lastBackup = null;
+let lastRestore = null;
+
+/**
+ * Creates an Error carrying a machine-readable code for the routes to map.
+ *
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function backupError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Reads a setting value, or null if it is not set.
+ *
+ * @param {string} key
+ * @returns {string|null}
+ */
+function getSetting(key) {
+  const row = database.getDb().prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  return row ? row.value : null;
+}
+
+/**
+ * Returns the backup settings with defaults applied.
+ *
+ * @returns {{ nightlyEnabled: boolean, nightlyTime: string, retentionCount: number }}
+ */
+function getBackupSettings() {
+  const time = getSetting('backup_nightly_time');
+  const count = parseInt(getSetting('backup_retention_count'), 10);
+
+  return {
+    nightlyEnabled: getSetting('backup_nightly_enabled') === 'true',
+    nightlyTime: NIGHTLY_TIME_PATTERN.test(time || '') ? time : DEFAULT_NIGHTLY_TIME,
+    retentionCount: Number.isFinite(count) && count > 0 ? count : DEFAULT_RETENTION_COUNT,
+  };
+}
+
+/**
+ * Returns true if a nightly backup time is a valid 'HH:MM' string.
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidNightlyTime(value) {
+  return NIGHTLY_TIME_PATTERN.test(String(value));
+}
+
+/**
+ * Builds a new backup file name, e.g. rpo-monitor-20250101-020000-nightly.db.
+ *
+ * @param {string} trigger - 'manual', 'nightly' or 'pre_restore'
+ * @returns {string}
+ */
+function buildBackupName(trigger) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+
+  let name = `rpo-monitor-${stamp}-${trigger}.db`;
+  for (let n = 2; fs.existsSync(path.join(BACKUP_DIR, name)); n++) {
+    name = `rpo-monitor-${stamp}-${n}-${trigger}.db`;
+  }
+  return name;
+}
+
+/**
+ * Resolves a backup name to its path, rejecting anything that is not a
+ * backup file in BACKUP_DIR.
+ *
+ * @param {string} name
+ * @returns {string}
+ * @throws {Error} code INVALID_NAME or NOT_FOUND
+ */
+function resolveBackupPath(name) {
+  if (!BACKUP_FILE_PATTERN.test(String(name))) {
+    throw backupError('INVALID_NAME', `Invalid backup name: ${name}`);
+  }
+  const filePath = path.join(BACKUP_DIR, name);
+  if (!fs.existsSync(filePath)) {
+    throw backupError('NOT_FOUND', `Backup not found: ${name}`);
+  }
+  return filePath;
+}
+
+/**
+ * Opens a backup read-only and checks it is an intact database whose schema
+ * history this build can restore.
+ *
+ * @param {string} filePath
+ * @returns {{ schemaVersion: number }}
+ * @throws {Error} code INVALID_BACKUP or SCHEMA_MISMATCH
+ */
+function inspectBackup(filePath) {
+  let conn;
+  try {
+    conn = new Database(filePath, { readonly: true, fileMustExist: true });
+  } catch (err) {
+    throw backupError('INVALID_BACKUP', `Cannot open backup: ${err.message}`);
+  }
+
+  try {
+    let integrity;
+    try {
+      integrity = conn.pragma('quick_check', { simple: true });
+    } catch (err) {
+      throw backupError('INVALID_BACKUP', `Backup is not a readable database: ${err.message}`);
+    }
+    if (integrity !== 'ok') {
+      throw backupError('INVALID_BACKUP', `Backup failed the integrity check: ${integrity}`);
+    }
+
+    const schemaVersion = database.getSchemaVersion(conn);
+    if (schemaVersion === 0) {
+      throw backupError('INVALID_BACKUP', 'Backup has no schema version.');
+    }
+
+    try {
+      database.verifySchemaHistory(conn);
+    } catch (err) {
+      throw backupError('SCHEMA_MISMATCH', err.message);
+    }
+
+    return { schemaVersion };
+  } finally {
+    conn.close();
+  }
+}
+
+/**
+ * Lists existing backups, newest first.
+ *
+ * @returns {Array<{ name: string, trigger: string, sizeBytes: number, createdAt: string }>}
+ */
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+
+  return fs.readdirSync(BACKUP_DIR)
+    .filter((name) => BACKUP_FILE_PATTERN.test(name))
+    .map((name) => {
+      const stat = fs.statSync(path.join(BACKUP_DIR, name));
+      return {
+        name,
+        trigger: name.match(BACKUP_FILE_PATTERN)[1],
+        sizeBytes: stat.size,
+        createdAt: stat.mtime.toISOString(),
+      };
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.name.localeCompare(a.name));
+}
+
+/**
+ * Deletes the oldest backups beyond the configured retention count.
+ *
+ * @returns {Array<string>} Names of the deleted backups
+ */
+function applyRetention() {
+  const { retentionCount } = getBackupSettings();
+  const expired = listBackups().slice(retentionCount);
+
+  for (const backup of expired) {
+    fs.unlinkSync(path.join(BACKUP_DIR, backup.name));
+  }
+  if (expired.length > 0) {
+    console.log(`[backup] Deleted ${expired.length} backup(s) beyond the retention count of ${retentionCount}.`);
+  }
+  return expired.map((b) => b.name);
+}
+
+/**
+ * Takes an online backup of the live database into BACKUP_DIR. The copy is
+ * written under a temporary name and renamed once complete, so a listed
+ * backup is never partial.
+ *
+ * @param {string} [trigger='manual'] - 'manual', 'nightly' or 'pre_restore'
+ * @returns {Promise<Object>} The new backup's list entry plus its schema version
+ * @throws {Error} code IN_PROGRESS if a backup or restore is already running
+ */
+async function createBackup(trigger = 'manual') {
+  if (backupInProgress || (restoreInProgress && trigger !== 'pre_restore')) {
+    throw backupError('IN_PROGRESS', 'A backup or restore is already in progress.');
+  }
+
+  const run = async () => {
+    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+    const name = buildBackupName(trigger);
+    const filePath = path.join(BACKUP_DIR, name);
+    const tmpPath = `${filePath}.tmp`;
+    const startTime = Date.now();
+
+    try {
+      await database.getDb().backup(tmpPath);
+
+      // The copy inherits WAL mode; switch it back so opening it later
+      // (inspection, restore) does not leave -wal/-shm files beside it
+      const copy = new Database(tmpPath);
+      copy.pragma('journal_mode = DELETE');
+      copy.close();
+
+      fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+      fs.rmSync(tmpPath, { force: true });
+      throw err;
+    }
+
+    const stat = fs.statSync(filePath);
+    const backup = {
+      name,
+      trigger,
+      sizeBytes: stat.size,
+      createdAt: stat.mtime.toISOString(),
+      schemaVersion: database.getSchemaVersion(),
+      durationMs: Date.now() - startTime,
+    };
+    lastBackup = backup;
+
+    console.log(`[backup] Backup ${name} created (${stat.size} bytes) in ${backup.durationMs}ms.`);
+
+    // Pruning during a restore could delete the backup being restored;
+    // the next regular backup applies the retention count instead.
+    if (trigger !== 'pre_restore') {
+      applyRetention();
+    }
+    return backup;
+  };
+
+  backupInProgress = run();
+  try {
+    return await backupInProgress;
+  } finally {
+    backupInProgress = null;
+  }
+}
+
+/**
+ * Replaces the live database with the file at filePath and reopens it.
+ *
+ * @param {string} filePath
+ */
+function swapDatabaseFile(filePath) {
+  database.closeDatabase();
+  fs.copyFileSync(filePath, database.DB_PATH);
+  fs.rmSync(`${database.DB_PATH}-wal`, { force: true });
+  fs.rmSync(`${database.DB_PATH}-shm`, { force: true });
+  database.initDatabase();
+}
+
+/**
+ * Restores a backup over the live database. The backup is validated first;
+ * the current database is saved as a pre_restore backup and put back if the
+ * restored file fails to open.
+ *
+ * @param {string} name - Backup file name from listBackups()
+ * @returns {Promise<Object>} Summary of the restore
+ * @throws {Error} code INVALID_NAME, NOT_FOUND, INVALID_BACKUP, SCHEMA_MISMATCH,
+ *   IN_PROGRESS or BUSY (the poller did not drain)
+ */
+async function restoreBackup(name) {
+  const filePath = resolveBackupPath(name);
+  const { schemaVersion } = inspectBackup(filePath);
+
+  if (restoreInProgress || backupInProgress) {
+    throw backupError('IN_PROGRESS', 'A backup or restore is already in progress.');
+  }
+  restoreInProgress = true;
+
+  const startTime = Date.now();
+  let safetyBackup = null;
+  let collectorsStopped = false;
+
+  try {
+    safetyBackup = await createBackup('pre_restore');
+
+    console.log(`[backup] Restoring ${name} (schema version ${schemaVersion})...`);
+    stopNightly();
+    retention.stop();
+    collectorsStopped = true;
+
+    if (!(await poller.shutdown())) {
+      throw backupError('BUSY', 'The poller did not finish its current cycle.');
+    }
+    await sessionManager.cleanupAllSessions();
+
+    try {
+      swapDatabaseFile(filePath);
+    } catch (err) {
+      console.error(`[backup] Restored database failed to open: ${err.message}. Putting back the previous database.`);
+      swapDatabaseFile(path.join(BACKUP_DIR, safetyBackup.name));
+      throw backupError('INVALID_BACKUP', `Restored database failed to open: ${err.message}`);
+    }
+
+    lastRestore = {
+      name,
+      restoredAt: new Date().toISOString(),
+      fromSchemaVersion: schemaVersion,
+      schemaVersion: database.getSchemaVersion(),
+      safetyBackup: safetyBackup.name,
+      durationMs: Date.now() - startTime,
+    };
+    console.log(`[backup] Restore of ${name} completed in ${lastRestore.durationMs}ms.`);
+    return lastRestore;
+  } finally {
+    restoreInProgress = false;
+    if (collectorsStopped) {
+      poller.startSupervisor();
+      retention.start();
+      startNightly();
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Nightly schedule
+// ---------------------------------------------------------------------------
+
+/**
+ * Runs the nightly backup, logging instead of throwing.
+ */
+async function runNightly() {
+  try {
+    await createBackup('nightly');
+  } catch (err) {
+    console.error(`[backup] Nightly backup failed: ${err.message}`);
+  }
+}
+
+/**
+ * Schedules the nightly backup if it is enabled in settings.
+ */
+function startNightly() {
+  if (nightlyJob) return;
+
+  const settings = getBackupSettings();
+  if (!settings.nightlyEnabled) return;
+
+  const [hour, minute] = settings.nightlyTime.split(':').map((v) => parseInt(v, 10));
+  nightlySchedule = `${minute} ${hour} * * *`;
+  nightlyJob = cron.schedule(nightlySchedule, runNightly);
+
+  console.log(`[backup] Nightly backup scheduled at ${settings.nightlyTime} (cron: ${nightlySchedule}).`);
+}
+
+/**
+ * Cancels the nightly backup.
+ */
+function stopNightly() {
+  if (nightlyJob) {
+    nightlyJob.stop();
+    nightlyJob = null;
+    nightlySchedule = null;
+  }
+}
+
+/**
+ * Re-reads the backup settings and re-arms the nightly backup.
+ */
+function rescheduleNightly() {
+  stopNightly();
+  startNightly();
+}
+
+/**
+ * Returns the backup configuration and recent activity.
+ *
+ * @returns {Object}
+ */
+function getStatus() {
+  return {
+    directory: BACKUP_DIR,
+    settings: getBackupSettings(),
+    nightlySchedule,
+    backupInProgress: !!backupInProgress,
+    restoreInProgress,
+    lastBackup,
+    lastRestore,
+  };
+}
+
+module.exports = {
+  createBackup,
+  listBackups,
+  restoreBackup,
+  inspectBackup,
+  resolveBackupPath,
+  isValidNightlyTime,
+  startNightly,
+  stopNightly,
+  rescheduleNightly,
+  getStatus,
+};
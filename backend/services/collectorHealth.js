@@ -0,0 +1,301 @@
+const { getDb } = require('../models/database');
+const notifier = require('./notifier');
+const maintenance = require('./maintenance');
+const alertEvents = require('./alertEvents');
+
+/**
+ * Collector Health Alerts
+ *
+ * System-level alerts about the collector itself rather than a consistency
+ * group: a storage that stays unreachable, a storage whose credentials are
+ * rejected, a storage without a successful poll for too long, and a failed
+ * Protector login. They are stored in `alerts` with cg_id NULL and the
+ * storage in storage_device_id (NULL for Protector), and resolve as soon as
+ * the condition recovers.
+ */
+
+// System alert type → severity
+const SYSTEM_ALERT_SEVERITIES = {
+  storage_unreachable: 'critical',
+  storage_auth_failed: 'critical',
+  poll_stale: 'warning',
+  protector_login_failed: 'warning',
+};
+
+const DEFAULT_UNREACHABLE_POLLS = 2;
+const DEFAULT_STALE_MINUTES = 15;
+// A storage is stale after this many of its poll intervals without success
+const STALE_INTERVAL_FACTOR = 2;
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+
+// storageDeviceId → consecutive failed polls
+const failureCounts = new Map();
+// storageDeviceId → time of the last successful poll (ms)
+const lastSuccessAt = new Map();
+// Storages polled before their first success are measured from here
+let trackingSince = Date.now();
+
+let staleTimer = null;
+
+/**
+ * Reads a positive integer setting, falling back to a default.
+ *
+ * @param {string} key
+ * @param {number} fallback
+ * @returns {number}
+ */
+function getIntSetting(key, fallback) {
+  const db = getDb();
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  const value = row ? parseInt(row.value, 10) : NaN;
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Returns the collector health settings.
+ *
+ * @returns {{ unreachablePolls: number, staleMinutes: number }}
+ */
+function getSettings() {
+  return {
+    unreachablePolls: getIntSetting('collector_unreachable_polls', DEFAULT_UNREACHABLE_POLLS),
+    staleMinutes: getIntSetting('collector_stale_minutes', DEFAULT_STALE_MINUTES),
+  };
+}
+
+/**
+ * Tells whether a session creation (login) error is the storage rejecting
+ * the stored credentials. A 401 on a data call only means the session
+ * expired and is not checked with this.
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isAuthError(err) {
+  const status = err && err.response ? err.response.status : null;
+  return status === 401 || status === 403;
+}
+
+/**
+ * Opens a system alert, or refreshes the open one of the same type and
+ * storage with the latest message.
+ *
+ * @param {string} alertType - Key of SYSTEM_ALERT_SEVERITIES
+ * @param {string|null} storageDeviceId
+ * @param {string} message
+ */
+function raiseSystemAlert(alertType, storageDeviceId, message) {
+  const db = getDb();
+  const severity = SYSTEM_ALERT_SEVERITIES[alertType];
+
+  const existing = db.prepare(`
+    SELECT id, suppressed FROM alerts
+    WHERE cg_id IS NULL AND alert_type = ? AND storage_device_id IS ? AND status != 'resolved'
+    ORDER BY created_at DESC LIMIT 1
+  `).get(alertType, storageDeviceId);
+
+  const suppression = maintenance.findSuppression({ cgId: null, alertType, storageDeviceId });
+
+  if (existing) {
+    db.prepare(`
+      UPDATE alerts SET message = ?, last_seen_at = datetime('now'), clear_poll_count = 0
+      WHERE id = ?
+    `).run(message, existing.id);
+
+    // The window or silence ended while the condition persists: notify now
+    if (existing.suppressed && !suppression) {
+      db.prepare('UPDATE alerts SET suppressed = 0 WHERE id = ?').run(existing.id);
+      alertEvents.recordAlertEvent(existing.id, 'unsuppressed');
+      console.log(`[collectorHealth] Alert ${existing.id} no longer suppressed: [${severity}] ${message}`);
+      notifier.notifyAlert(existing.id);
+    }
+    return;
+  }
+
+  const info = db.prepare(`
+    INSERT INTO alerts
+      (cg_id, alert_type, severity, message, storage_device_id, last_seen_at, suppressed, suppression_reason)
+    VALUES (NULL, ?, ?, ?, ?, datetime('now'), ?, ?)
+  `).run(alertType, severity, message, storageDeviceId, suppression ? 1 : 0, suppression);
+  alertEvents.recordAlertEvent(Number(info.lastInsertRowid), 'created', {
+    details: suppression ? { suppression_reason: suppression } : null,
+  });
+
+  console.log(
+    `[collectorHealth] Alert created: [${severity}] ${message}` +
+    (suppression ? ` (suppressed - ${suppression})` : '')
+  );
+  notifier.notifyAlert(Number(info.lastInsertRowid));
+}
+
+/**
+ * Resolves the open system alert of a type and storage, if any.
+ *
+ * @param {string} alertType
+ * @param {string|null} storageDeviceId
+ * @returns {number} Number of alerts resolved
+ */
+function resolveSystemAlert(alertType, storageDeviceId) {
+  const db = getDb();
+  const open = db.prepare(`
+    SELECT id FROM alerts
+    WHERE cg_id IS NULL AND alert_type = ? AND storage_device_id IS ? AND status != 'resolved'
+  `).all(alertType, storageDeviceId);
+
+  const resolve = db.prepare(`
+    UPDATE alerts
+    SET status = 'resolved', resolved_at = datetime('now'), resolved_by = NULL
+    WHERE id = ?
+  `);
+  for (const alert of open) {
+    resolve.run(alert.id);
+    alertEvents.recordAlertEvent(alert.id, 'resolved');
+  }
+
+  if (open.length > 0) {
+    console.log(
+      `[collectorHealth] ${alertType} resolved${storageDeviceId ? ` for storage ${storageDeviceId}` : ''}.`
+    );
+  }
+  return open.length;
+}
+
+/**
+ * Updates the collector health alerts of a storage from its poll result.
+ * A poll that reached the storage resolves the unreachable and credential
+ * alerts; one that also refreshed the cache and read the journals counts as
+ * a successful poll and resolves the stale alert.
+ *
+ * @param {Object} result - Storage result from the poller
+ */
+function recordStorageResult(result) {
+  const storageDeviceId = result.storageDeviceId;
+  if (result.status === 'aborted') return;
+
+  const reachable = result.status === 'success' || result.status === 'partial';
+  if (reachable) {
+    failureCounts.delete(storageDeviceId);
+    resolveSystemAlert('storage_unreachable', storageDeviceId);
+    resolveSystemAlert('storage_auth_failed', storageDeviceId);
+
+    if (result.steps.journals.status === 'ok' && result.steps.cacheRefresh.status === 'ok') {
+      lastSuccessAt.set(storageDeviceId, Date.now());
+      resolveSystemAlert('poll_stale', storageDeviceId);
+    }
+    return;
+  }
+
+  const lastError = result.errors.length > 0 ? result.errors[result.errors.length - 1] : 'bilinmeyen hata';
+
+  if (result.authFailed) {
+    raiseSystemAlert(
+      'storage_auth_failed',
+      storageDeviceId,
+      `Depolama ${storageDeviceId} kimlik bilgilerini reddetti. ` +
+      `Depolama sistemini yeniden dogrulayin. Hata: ${lastError}`
+    );
+    return;
+  }
+
+  const failures = (failureCounts.get(storageDeviceId) || 0) + 1;
+  failureCounts.set(storageDeviceId, failures);
+
+  const { unreachablePolls } = getSettings();
+  if (failures >= unreachablePolls) {
+    raiseSystemAlert(
+      'storage_unreachable',
+      storageDeviceId,
+      `Depolama ${storageDeviceId} art arda ${failures} yoklamada erisilemedi. Son hata: ${lastError}`
+    );
+  }
+}
+
+/**
+ * Raises a stale alert for every authenticated storage without a successful
+ * poll within its stale threshold: collector_stale_minutes, or two of the
+ * storage's poll intervals when that is longer, so a storage polled every
+ * 15 minutes or more is not reported stale between its normal polls.
+ */
+function checkStale() {
+  const db = getDb();
+  const { staleMinutes } = getSettings();
+  const storages = db.prepare(
+    'SELECT storage_device_id FROM storage_credentials WHERE is_authenticated = 1'
+  ).all();
+  // Required here: the poller requires this module at load time
+  const intervals = require('./poller').getStorageIntervals();
+
+  const now = Date.now();
+  for (const { storage_device_id: storageDeviceId } of storages) {
+    const intervalSeconds = intervals.get(storageDeviceId) || 0;
+    const thresholdMinutes = Math.max(staleMinutes, Math.ceil((STALE_INTERVAL_FACTOR * intervalSeconds) / 60));
+    const since = lastSuccessAt.get(storageDeviceId) || trackingSince;
+    const minutes = Math.floor((now - since) / 60000);
+    if (minutes >= thresholdMinutes) {
+      raiseSystemAlert(
+        'poll_stale',
+        storageDeviceId,
+        `Depolama ${storageDeviceId} icin ${minutes} dakikadir basarili yoklama yok ` +
+        `(Esik: ${thresholdMinutes} dk).`
+      );
+    }
+  }
+}
+
+/**
+ * Records the outcome of a Protector login.
+ *
+ * @param {Error|null} err - The login error, or null on success
+ */
+function recordProtectorLogin(err) {
+  if (!err) {
+    resolveSystemAlert('protector_login_failed', null);
+    return;
+  }
+
+  raiseSystemAlert(
+    'protector_login_failed',
+    null,
+    `Protector girisi basarisiz: ${err.message}`
+  );
+}
+
+/**
+ * Starts the periodic stale-poll check. It runs on its own timer so a
+ * stopped scheduler is noticed too.
+ */
+function start() {
+  if (staleTimer) return;
+
+  trackingSince = Date.now();
+  staleTimer = setInterval(() => {
+    try {
+      checkStale();
+    } catch (err) {
+      console.error(`[collectorHealth] Stale poll check failed: ${err.message}`);
+    }
+  }, STALE_CHECK_INTERVAL_MS);
+  if (staleTimer.unref) {
+    staleTimer.unref();
+  }
+
+  console.log('[collectorHealth] Stale poll check started.');
+}
+
+/**
+ * Stops the stale-poll check.
+ */
+function stop() {
+  clearInterval(staleTimer);
+  staleTimer = null;
+}
+
+module.exports = {
+  SYSTEM_ALERT_SEVERITIES,
+  isAuthError,
+  recordStorageResult,
+  recordProtectorLogin,
+  checkStale,
+  start,
+  stop,
+};
@@ -1,6 +1,7 @@
 const { getDb } = require('../models/database');
 const hitachiApi = require('./hitachiApi');
 const protectorApi = require('./protectorApi');
+const collectorHealth = require('./collectorHealth');
 const sessionManager = require('./sessionManager');
 const { decrypt } = require('../utils/encryption');
 
@@ -417,13 +418,20 @@ async function discoverViaProtector() {
   try {
     console.log('[discovery] Protector uzerinden kesif baslatiliyor...');
 
-    const cookie = await protectorApi.authenticate(
-      apiConfig.protectorHost,
-      apiConfig.protectorPort,
-      protectorCreds.username,
-      protectorCreds.password,
-      apiConfig.acceptSelfSigned
-    );
+    let cookie;
+    try {
+      cookie = await protectorApi.authenticate(
+        apiConfig.protectorHost,
+        apiConfig.protectorPort,
+        protectorCreds.username,
+        protectorCreds.password,
+        apiConfig.acceptSelfSigned
+      );
+      collectorHealth.recordProtectorLogin(null);
+    } catch (err) {
+      collectorHealth.recordProtectorLogin(err);
+      throw err;
+    }
 
     const results = await protectorApi.discoverFromProtector(
       apiConfig.protectorHost,
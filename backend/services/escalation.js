@@ -0,0 +1,204 @@
+const { getDb } = require('../models/database');
+const { parseTimestamp, parseList } = require('../utils/sqlite');
+const maintenance = require('./maintenance');
+const alertEvents = require('./alertEvents');
+
+/**
+ * Alert Escalation Policies
+ *
+ * A policy applies to new alerts of the given severities (and consistency
+ * groups, when it has a group filter). The first enabled matching policy,
+ * lowest ID first, takes the alert:
+ *
+ *   - level 1 channels are notified straight away, next to the channels
+ *     the alert reaches through their own filters;
+ *   - if the alert is still unacknowledged after escalate_after_minutes,
+ *     the level 2 channels are notified too;
+ *   - while it stays unacknowledged, the channels of the level reached are
+ *     notified again every repeat_interval_minutes.
+ *
+ * Acknowledging or resolving the alert stops both. Escalations and repeats
+ * are held back while a maintenance window or silence covers the alert.
+ * Notifications are queued as notification_deliveries with event
+ * 'escalation' or 'reminder' and sent by the notifier.
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Tells whether an alert falls under a policy. A group filter limits the
+ * policy to those groups, so it does not take system alerts.
+ *
+ * @param {Object} policy - escalation_policies row
+ * @param {Object} alert - alerts row
+ * @returns {boolean}
+ */
+function policyMatches(policy, alert) {
+  if (!policy.is_enabled) return false;
+  if (!parseList(policy.severities).includes(alert.severity)) return false;
+
+  const cgIds = parseList(policy.cg_ids).map(Number);
+  if (cgIds.length > 0 && !cgIds.includes(alert.cg_id)) return false;
+  return true;
+}
+
+/**
+ * Returns the channels notified at a level: level 2 adds its channels to
+ * those of level 1.
+ *
+ * @param {Object} policy - escalation_policies row
+ * @param {number} level
+ * @returns {Array<number>}
+ */
+function getLevelChannelIds(policy, level) {
+  const ids = parseList(policy.level1_channel_ids).map(Number);
+  if (level >= 2) ids.push(...parseList(policy.level2_channel_ids).map(Number));
+  return [...new Set(ids)];
+}
+
+/**
+ * Queues a delivery of an alert to each enabled channel of a list.
+ *
+ * @param {number} alertId
+ * @param {Array<number>} channelIds
+ * @param {string} event - 'alert', 'escalation' or 'reminder'
+ * @returns {number} Number of deliveries queued
+ */
+function queueChannels(alertId, channelIds, event) {
+  if (channelIds.length === 0) return 0;
+
+  const db = getDb();
+  const channels = db.prepare(`
+    SELECT id FROM notification_channels
+    WHERE is_enabled = 1 AND id IN (${channelIds.map(() => '?').join(', ')})
+  `).all(...channelIds);
+
+  const insert = db.prepare(`
+    INSERT INTO notification_deliveries (channel_id, alert_id, event, status, next_attempt_at)
+    VALUES (?, ?, ?, 'pending', datetime('now'))
+  `);
+  db.transaction(() => {
+    for (const channel of channels) {
+      insert.run(channel.id, alertId, event);
+    }
+  })();
+  return channels.length;
+}
+
+// ---------------------------------------------------------------------------
+// Escalation
+// ---------------------------------------------------------------------------
+
+/**
+ * Puts a newly notified alert under the first matching policy and queues
+ * its level 1 channels, except those already notified by their own filters.
+ *
+ * @param {Object} alert - alerts row
+ * @param {Array<number>} notifiedChannelIds - Channels already queued for the alert
+ * @returns {number} Number of deliveries queued
+ */
+function startEscalation(alert, notifiedChannelIds) {
+  const db = getDb();
+  const policy = db.prepare('SELECT * FROM escalation_policies WHERE is_enabled = 1 ORDER BY id').all()
+    .find((p) => policyMatches(p, alert));
+  if (!policy) return 0;
+
+  db.prepare(`
+    UPDATE alerts
+    SET escalation_policy_id = ?, escalation_level = 1, escalation_started_at = datetime('now'),
+        escalated_at = NULL, last_notified_at = datetime('now'), reminder_count = 0
+    WHERE id = ?
+  `).run(policy.id, alert.id);
+
+  const notified = new Set(notifiedChannelIds);
+  return queueChannels(
+    alert.id,
+    getLevelChannelIds(policy, 1).filter((id) => !notified.has(id)),
+    'alert'
+  );
+}
+
+/**
+ * Escalates the unacknowledged alerts that have waited long enough at
+ * level 1 and queues the repeat notifications that are due.
+ *
+ * @param {number} [now] - Milliseconds since epoch
+ * @returns {number} Number of deliveries queued
+ */
+function processEscalations(now = Date.now()) {
+  const db = getDb();
+  const candidates = db.prepare(`
+    SELECT a.id, a.cg_id, a.alert_type, a.severity, a.storage_device_id,
+           a.escalation_level, a.escalation_started_at, a.last_notified_at, a.reminder_count,
+           p.name as policy_name, p.level1_channel_ids, p.level2_channel_ids,
+           p.escalate_after_minutes, p.repeat_interval_minutes
+    FROM alerts a
+    JOIN escalation_policies p ON p.id = a.escalation_policy_id
+    WHERE a.status = 'open' AND a.suppressed = 0 AND p.is_enabled = 1
+  `).all();
+
+  const escalate = db.prepare(`
+    UPDATE alerts
+    SET escalation_level = 2, escalated_at = datetime('now'), last_notified_at = datetime('now')
+    WHERE id = ?
+  `);
+  const remind = db.prepare(`
+    UPDATE alerts
+    SET last_notified_at = datetime('now'), reminder_count = reminder_count + 1
+    WHERE id = ?
+  `);
+
+  let queued = 0;
+  for (const alert of candidates) {
+    const escalateAt = parseTimestamp(alert.escalation_started_at) + (alert.escalate_after_minutes || 0) * 60 * 1000;
+    const canEscalate = alert.escalation_level < 2 && alert.escalate_after_minutes &&
+      parseList(alert.level2_channel_ids).length > 0;
+    const remindAt = parseTimestamp(alert.last_notified_at) + (alert.repeat_interval_minutes || 0) * 60 * 1000;
+    const isEscalationDue = canEscalate && now >= escalateAt;
+    const isReminderDue = !!alert.repeat_interval_minutes && now >= remindAt;
+    if (!isEscalationDue && !isReminderDue) continue;
+
+    // Held back, not skipped: once the window or silence ends it goes out
+    if (maintenance.findSuppression({
+      cgId: alert.cg_id,
+      alertType: alert.alert_type,
+      storageDeviceId: alert.storage_device_id,
+    })) {
+      continue;
+    }
+
+    if (isEscalationDue) {
+      escalate.run(alert.id);
+      alertEvents.recordAlertEvent(alert.id, 'escalated', {
+        details: { level: 2, policy: alert.policy_name, after_minutes: alert.escalate_after_minutes },
+      });
+      // Level 1 channels already have the alert; only level 2 is told now
+      const level1 = new Set(getLevelChannelIds(alert, 1));
+      queued += queueChannels(
+        alert.id,
+        getLevelChannelIds(alert, 2).filter((id) => !level1.has(id)),
+        'escalation'
+      );
+      console.log(
+        `[escalation] Alert ${alert.id} escalated to level 2 by policy "${alert.policy_name}" ` +
+        `(unacknowledged for ${alert.escalate_after_minutes} min).`
+      );
+    } else {
+      remind.run(alert.id);
+      queued += queueChannels(alert.id, getLevelChannelIds(alert, alert.escalation_level), 'reminder');
+      console.log(
+        `[escalation] Alert ${alert.id} still unacknowledged, repeat notification ` +
+        `#${alert.reminder_count + 1} (level ${alert.escalation_level}).`
+      );
+    }
+  }
+  return queued;
+}
+
+module.exports = {
+  policyMatches,
+  startEscalation,
+  processEscalations,
+};
@@ -0,0 +1,374 @@
+const { getDb } = require('../models/database');
+const { parseTimestamp, toSqliteTimestamp } = require('../utils/sqlite');
+const retention = require('./retention');
+const { loadGroupSeries } = require('./latestState');
+
+/**
+ * Grafana JSON Datasource
+ *
+ * Backs the endpoints of the Grafana JSON / SimpleJSON datasource plugins
+ * (routes/grafana.js), so RPO history can be charted next to other
+ * infrastructure:
+ *
+ *   - search: lists the queryable targets, one per consistency group and
+ *     metric ("cg5:usage_rate");
+ *   - query: returns rpo_history series for any time range. Ranges reaching
+ *     back past the raw retention are served from the hourly/daily rollups,
+ *     like the dashboard history;
+ *   - annotations: alerts (as regions until they resolve) and pair status
+ *     changes within the range.
+ *
+ * Target syntax: cg<id>:<metric>[:<stat>], or *:<metric>[:<stat>] for
+ * every group. <stat> (avg, min, max, p95; default avg) picks the rollup
+ * column when the range is served from rollups; raw samples ignore it.
+ */
+
+// Metric → per-snapshot aggregate over a group's journals and rollup column
+// prefix (null when not rolled up)
+const SERIES_METRICS = {
+  usage_rate: { aggregate: 'MAX', rollup: 'usage_rate' },
+  q_count: { aggregate: 'MAX', rollup: 'q_count' },
+  pending_data_bytes: { aggregate: 'SUM', rollup: 'pending_bytes' },
+  estimated_rpo_seconds: { aggregate: 'MAX', rollup: 'rpo_seconds' },
+  lag_seconds: { aggregate: 'MAX', rollup: null },
+  block_delta_bytes: { aggregate: 'SUM', rollup: null },
+  q_marker_delta: { aggregate: 'MAX', rollup: null },
+};
+
+const ROLLUP_STATS = ['avg', 'min', 'max', 'p95'];
+
+const ANNOTATION_SOURCES = ['alerts', 'pairs'];
+const MAX_ANNOTATIONS = 1000;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates a validation error with err.code 'INVALID_GRAFANA_REQUEST', which
+ * the route turns into a 400 response.
+ *
+ * @param {string} message
+ * @returns {Error}
+ */
+function invalidRequest(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_GRAFANA_REQUEST';
+  return err;
+}
+
+/**
+ * Reads the { from, to } range of a Grafana request.
+ *
+ * @param {Object} range - { from, to } as ISO strings
+ * @returns {{ fromMs: number, toMs: number, from: string, to: string }}
+ */
+function parseRange(range) {
+  const fromMs = Date.parse(range && range.from);
+  const toMsValue = Date.parse(range && range.to);
+  if (!Number.isFinite(fromMs) || !Number.isFinite(toMsValue) || toMsValue < fromMs) {
+    throw invalidRequest('Geçerli bir zaman aralığı (range.from, range.to) gereklidir.');
+  }
+  return {
+    fromMs,
+    toMs: toMsValue,
+    from: toSqliteTimestamp(fromMs),
+    to: toSqliteTimestamp(toMsValue),
+  };
+}
+
+/**
+ * Returns every consistency group once, with its display name.
+ *
+ * @returns {Array<{ cg_id: number, name: string }>}
+ */
+function listGroups() {
+  const db = getDb();
+  const rows = db.prepare('SELECT cg_id, name FROM consistency_groups ORDER BY cg_id, id').all();
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.get(row.cg_id)) groups.set(row.cg_id, row.name || `CG-${row.cg_id}`);
+  }
+  return [...groups].map(([cgId, name]) => ({ cg_id: cgId, name }));
+}
+
+/**
+ * Parses a query target.
+ *
+ * @param {string} target - cg<id>:<metric>[:<stat>] or *:<metric>[:<stat>]
+ * @returns {{ cgId: number|null, metric: string, stat: string }} cgId null for every group
+ */
+function parseTarget(target) {
+  const match = /^(?:cg(\d+)|\*):([a-z_]+)(?::([a-z0-9]+))?$/.exec(String(target || '').trim());
+  if (!match) {
+    throw invalidRequest(`Geçersiz hedef: "${target}". Biçim: cg<id>:<metrik>[:<istatistik>]`);
+  }
+  const [, cgId, metric, stat = 'avg'] = match;
+  if (!SERIES_METRICS[metric]) {
+    throw invalidRequest(`Bilinmeyen metrik: ${metric}. Geçerli değerler: ${Object.keys(SERIES_METRICS).join(', ')}`);
+  }
+  if (!ROLLUP_STATS.includes(stat)) {
+    throw invalidRequest(`Geçersiz istatistik: ${stat}. Geçerli değerler: ${ROLLUP_STATS.join(', ')}`);
+  }
+  return { cgId: cgId !== undefined ? parseInt(cgId, 10) : null, metric, stat };
+}
+
+/**
+ * Thins a series to at most maxPoints points, keeping the highest value of
+ * each run of points so short RPO spikes stay visible.
+ *
+ * @param {Array<[number, number]>} datapoints - [value, time ms]
+ * @param {number} maxPoints
+ * @returns {Array<[number, number]>}
+ */
+function downsample(datapoints, maxPoints) {
+  if (!maxPoints || datapoints.length <= maxPoints) return datapoints;
+  const size = Math.ceil(datapoints.length / maxPoints);
+  const result = [];
+  for (let i = 0; i < datapoints.length; i += size) {
+    const chunk = datapoints.slice(i, i + size);
+    const peak = chunk.reduce((best, point) => (best === null || point[0] > best[0] ? point : best), null);
+    result.push([peak[0], chunk[0][1]]);
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Search and query
+// ---------------------------------------------------------------------------
+
+/**
+ * Lists the query targets matching a search text (case-insensitive).
+ *
+ * @param {string} [text]
+ * @returns {Array<{ text: string, value: string }>}
+ */
+function search(text = '') {
+  const needle = String(text || '').trim().toLowerCase();
+  const targets = [];
+  for (const group of listGroups()) {
+    for (const metric of Object.keys(SERIES_METRICS)) {
+      targets.push({ text: `${group.name} ${metric}`, value: `cg${group.cg_id}:${metric}` });
+    }
+  }
+  for (const metric of Object.keys(SERIES_METRICS)) {
+    targets.push({ text: `Tum gruplar ${metric}`, value: `*:${metric}` });
+  }
+  return needle
+    ? targets.filter((t) => t.text.toLowerCase().includes(needle) || t.value.includes(needle))
+    : targets;
+}
+
+/**
+ * Loads one group's series of a metric over a range.
+ *
+ * @param {number} cgId
+ * @param {string} metric
+ * @param {string} stat
+ * @param {Object} range - From parseRange
+ * @param {string} resolution - raw, hourly or daily
+ * @returns {Array<[number, number]>} [value, time ms]
+ */
+function loadSeries(cgId, metric, stat, range, resolution) {
+  const definition = SERIES_METRICS[metric];
+
+  let rows;
+  if (resolution !== 'raw' && definition.rollup) {
+    // Buckets not rolled up yet (and the current one) come from raw samples
+    rows = retention.loadRollups(cgId, resolution, { from: range.from, to: range.to }).map((row) => ({
+      timestamp: row.bucket_start,
+      value: row[`${definition.rollup}_${stat}`],
+    }));
+  } else {
+    // One point per poll snapshot, aggregated over the group's journals with
+    // each storage's latest sample carried into the other storage's snapshots
+    rows = loadGroupSeries(cgId, { value: { column: metric, aggregate: definition.aggregate } }, {
+      from: range.from,
+      to: range.to,
+    });
+  }
+
+  const datapoints = [];
+  for (const row of rows) {
+    if (row.value !== null) datapoints.push([row.value, parseTimestamp(row.timestamp)]);
+  }
+  return datapoints;
+}
+
+/**
+ * Answers a Grafana query request.
+ *
+ * @param {Object} body - { range, targets: [{ target, refId, type? }], maxDataPoints? }
+ * @returns {Array<Object>} Time series ({ target, datapoints }) or, for
+ *   targets of type 'table', tables ({ type, columns, rows })
+ */
+function query(body = {}) {
+  const range = parseRange(body.range);
+  const targets = (Array.isArray(body.targets) ? body.targets : [])
+    .filter((t) => t && t.target && !t.hide);
+  const maxDataPoints = parseInt(body.maxDataPoints, 10) || 0;
+
+  // Pick the resolution from how far back the range starts, so data older
+  // than the raw retention still comes from the rollups
+  const resolution = retention.pickResolution(Math.max((Date.now() - range.fromMs) / 1000, 0));
+  const groups = listGroups();
+
+  const results = [];
+  for (const target of targets) {
+    const { cgId, metric, stat } = parseTarget(target.target);
+    const selected = cgId === null ? groups : groups.filter((g) => g.cg_id === cgId);
+    if (cgId !== null && selected.length === 0) {
+      throw invalidRequest(`Tutarlılık grubu bulunamadı: ${cgId}`);
+    }
+
+    for (const group of selected) {
+      const datapoints = downsample(loadSeries(group.cg_id, metric, stat, range, resolution), maxDataPoints);
+      const name = `${group.name} ${metric}`;
+      if (target.type === 'table') {
+        results.push({
+          type: 'table',
+          refId: target.refId,
+          columns: [{ text: 'Time', type: 'time' }, { text: name, type: 'number' }],
+          rows: datapoints.map(([value, time]) => [time, value]),
+        });
+      } else {
+        results.push({ target: name, refId: target.refId, datapoints });
+      }
+    }
+  }
+  return results;
+}
+
+// ---------------------------------------------------------------------------
+// Annotations
+// ---------------------------------------------------------------------------
+
+/**
+ * Parses an annotation query: space or comma separated tokens choosing the
+ * sources (alerts, pairs; both when neither is given), cg:<id> and
+ * severity:<level>.
+ *
+ * @param {string} text
+ * @returns {{ sources: Array<string>, cgId: number|null, severity: string|null }}
+ */
+function parseAnnotationQuery(text) {
+  const filter = { sources: [], cgId: null, severity: null };
+  for (const token of String(text || '').toLowerCase().split(/[\s,]+/).filter(Boolean)) {
+    if (ANNOTATION_SOURCES.includes(token)) {
+      filter.sources.push(token);
+    } else if (/^cg:\d+$/.test(token)) {
+      filter.cgId = parseInt(token.slice(3), 10);
+    } else if (/^severity:(info|warning|critical)$/.test(token)) {
+      filter.severity = token.slice(9);
+    } else {
+      throw invalidRequest(
+        `Geçersiz açıklama sorgusu: "${token}". Geçerli değerler: alerts, pairs, cg:<id>, severity:<seviye>`
+      );
+    }
+  }
+  if (filter.sources.length === 0) filter.sources = [...ANNOTATION_SOURCES];
+  return filter;
+}
+
+/**
+ * Alerts active within the range, as regions from creation to resolution.
+ *
+ * @param {Object} range - From parseRange
+ * @param {Object} filter - From parseAnnotationQuery
+ * @returns {Array<Object>}
+ */
+function alertAnnotations(range, filter) {
+  const db = getDb();
+  let sql = `
+    SELECT id, cg_id, alert_type, severity, message, status, storage_device_id, created_at, resolved_at
+    FROM alerts
+    WHERE created_at <= ? AND COALESCE(resolved_at, datetime('now')) >= ?`;
+  const params = [range.to, range.from];
+  if (filter.cgId !== null) {
+    sql += ' AND cg_id = ?';
+    params.push(filter.cgId);
+  }
+  if (filter.severity) {
+    sql += ' AND severity = ?';
+    params.push(filter.severity);
+  }
+  sql += ' ORDER BY created_at ASC LIMIT ?';
+  params.push(MAX_ANNOTATIONS);
+
+  return db.prepare(sql).all(...params).map((alert) => {
+    const source = alert.cg_id !== null ? `CG-${alert.cg_id}` : alert.storage_device_id || 'Sistem';
+    const annotation = {
+      time: parseTimestamp(alert.created_at),
+      title: `[${alert.severity}] ${source} ${alert.alert_type}`,
+      text: alert.message,
+      tags: ['alert', alert.severity, alert.status, alert.alert_type],
+    };
+    if (alert.resolved_at) annotation.timeEnd = parseTimestamp(alert.resolved_at);
+    return annotation;
+  });
+}
+
+/**
+ * Pair status changes within the range.
+ *
+ * @param {Object} range - From parseRange
+ * @param {Object} filter - From parseAnnotationQuery
+ * @returns {Array<Object>}
+ */
+function pairAnnotations(range, filter) {
+  const db = getDb();
+  let sql = `
+    SELECT cg_id, storage_device_id, pvol_ldev_id, svol_ldev_id, volume,
+           from_status, to_status, severity, created_at
+    FROM pair_status_events
+    WHERE created_at >= ? AND created_at <= ?`;
+  const params = [range.from, range.to];
+  if (filter.cgId !== null) {
+    sql += ' AND cg_id = ?';
+    params.push(filter.cgId);
+  }
+  if (filter.severity) {
+    sql += ' AND severity = ?';
+    params.push(filter.severity);
+  }
+  sql += ' ORDER BY created_at ASC LIMIT ?';
+  params.push(MAX_ANNOTATIONS);
+
+  return db.prepare(sql).all(...params).map((event) => {
+    const ldev = event.volume === 'svol' ? event.svol_ldev_id : event.pvol_ldev_id;
+    const volume = event.volume === 'svol' ? 'S-VOL' : 'P-VOL';
+    return {
+      time: parseTimestamp(event.created_at),
+      title: `CG-${event.cg_id} ${volume} ${ldev}: ${event.from_status || '-'} -> ${event.to_status || '-'}`,
+      text: `Depolama ${event.storage_device_id}, P-VOL ${event.pvol_ldev_id} / S-VOL ${event.svol_ldev_id}`,
+      tags: ['pair', event.severity, event.to_status].filter(Boolean),
+    };
+  });
+}
+
+/**
+ * Answers a Grafana annotation request.
+ *
+ * @param {Object} body - { range, annotation: { name, query, ... } }
+ * @returns {Array<Object>} { annotation, time, timeEnd?, title, text, tags }
+ */
+function annotations(body = {}) {
+  const range = parseRange(body.range);
+  const annotation = body.annotation || {};
+  const filter = parseAnnotationQuery(annotation.query);
+
+  const items = [];
+  if (filter.sources.includes('alerts')) items.push(...alertAnnotations(range, filter));
+  if (filter.sources.includes('pairs')) items.push(...pairAnnotations(range, filter));
+
+  return items
+    .sort((a, b) => a.time - b.time)
+    .map((item) => ({ annotation, ...item }));
+}
+
+module.exports = {
+  SERIES_METRICS,
+  search,
+  query,
+  annotations,
+};
@@ -12,6 +12,114 @@ const https = require('https');
 const MAX_RETRIES = 3;
 const BASE_RETRY_DELAY_MS = 1000; // 1 second, doubles each retry
 
+/**
+ * Running count of HTTP requests sent to Ops Center (retries included),
+ * by operation (e.g. "GET /ldevs/:id") and by storage device ID.
+ * Consumers snapshot it before and after a unit of work and diff the two.
+ */
+const callCounters = {
+  total: 0,
+  byOperation: {},
+  byStorage: {},
+};
+
+// Upper bounds (seconds) of the request latency histogram buckets
+const LATENCY_BUCKETS_SECONDS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Request latency per operation since start-up, as a cumulative histogram
+ * (Prometheus style): bucket counts, sum and count, plus failed requests.
+ */
+const callLatency = {};
+
+/**
+ * Splits a request into its operation name and storage device ID.
+ *
+ * @param {string} method
+ * @param {string} url - Path relative to the Configuration Manager base URL
+ * @returns {{ operation: string, storageDeviceId: string|null }}
+ */
+function describeCall(method, url) {
+  const path = (url || '').split('?')[0];
+  const storageMatch = path.match(/^\/objects\/storages\/([^/]+)/);
+  const storageDeviceId = storageMatch ? storageMatch[1] : null;
+
+  // "/objects/storages/938000412345/ldevs/17" -> "GET /ldevs/:id"
+  const operationPath = storageDeviceId
+    ? path.slice(storageMatch[0].length) || '/'
+    : path;
+  const operation = `${(method || 'get').toUpperCase()} ${operationPath.replace(/\/\d+(?=\/|$)/g, '/:id')}`;
+  return { operation, storageDeviceId };
+}
+
+/**
+ * Records one outgoing request in callCounters.
+ *
+ * @param {string} method
+ * @param {string} url - Path relative to the Configuration Manager base URL
+ * @returns {string} Operation name
+ */
+function recordCall(method, url) {
+  const { operation, storageDeviceId } = describeCall(method, url);
+
+  callCounters.total++;
+  callCounters.byOperation[operation] = (callCounters.byOperation[operation] || 0) + 1;
+  if (storageDeviceId) {
+    callCounters.byStorage[storageDeviceId] = (callCounters.byStorage[storageDeviceId] || 0) + 1;
+  }
+  return operation;
+}
+
+/**
+ * Records how long a finished request took in callLatency.
+ *
+ * @param {Object} requestConfig - axios config with the callOperation and
+ *   callStartedAt set by the request interceptor
+ * @param {boolean} failed - Whether the request errored or timed out
+ */
+function recordLatency(requestConfig, failed) {
+  if (!requestConfig || !requestConfig.callOperation) return;
+  const seconds = (Date.now() - requestConfig.callStartedAt) / 1000;
+
+  let entry = callLatency[requestConfig.callOperation];
+  if (!entry) {
+    entry = { buckets: LATENCY_BUCKETS_SECONDS.map(() => 0), sum: 0, count: 0, errors: 0 };
+    callLatency[requestConfig.callOperation] = entry;
+  }
+  LATENCY_BUCKETS_SECONDS.forEach((bound, i) => {
+    if (seconds <= bound) entry.buckets[i]++;
+  });
+  entry.sum += seconds;
+  entry.count++;
+  if (failed) entry.errors++;
+}
+
+/**
+ * Returns a copy of the request counters.
+ *
+ * @returns {{ total: number, byOperation: Object<string, number>, byStorage: Object<string, number> }}
+ */
+function getCallCounters() {
+  return {
+    total: callCounters.total,
+    byOperation: { ...callCounters.byOperation },
+    byStorage: { ...callCounters.byStorage },
+  };
+}
+
+/**
+ * Returns a copy of the request latency histograms.
+ *
+ * @returns {{ bucketsSeconds: Array<number>, byOperation: Object<string, { buckets: Array<number>, sum: number, count: number, errors: number }> }}
+ */
+function getCallLatency() {
+  const byOperation = {};
+  for (const [operation, entry] of Object.entries(callLatency)) {
+    byOperation[operation] = { ...entry, buckets: [...entry.buckets] };
+  }
+  return { bucketsSeconds: [...LATENCY_BUCKETS_SECONDS], byOperation };
+}
+
 /**
  * Builds the base URL for the Ops Center API.
  *
@@ -54,17 +162,37 @@ function createClient(host, port, useSsl, acceptSelfSigned = false) {
     });
   }
 
-  return axios.create(config);
+  const client = axios.create(config);
+  client.interceptors.request.use((requestConfig) => {
+    requestConfig.callOperation = recordCall(requestConfig.method, requestConfig.url);
+    requestConfig.callStartedAt = Date.now();
+    return requestConfig;
+  });
+  client.interceptors.response.use(
+    (response) => {
+      recordLatency(response.config, false);
+      return response;
+    },
+    (err) => {
+      recordLatency(err.config, true);
+      return Promise.reject(err);
+    }
+  );
+
+  return client;
 }
 
 /**
  * Executes a request with retry logic. Retries up to MAX_RETRIES times
  * with exponential backoff for network errors and 5xx status codes.
  *
+ * A request cancelled through its AbortSignal is not retried.
+ *
  * @param {Function} requestFn - Async function that performs the axios request
+ * @param {AbortSignal} [signal] - Signal passed to the request
  * @returns {Promise<any>} Response data
  */
-async function withRetry(requestFn) {
+async function withRetry(requestFn, signal) {
   let lastError;
 
   for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
@@ -74,6 +202,11 @@ async function withRetry(requestFn) {
     } catch (error) {
       lastError = error;
 
+      // A cancelled request stays cancelled
+      if (axios.isCancel(error) || (signal && signal.aborted)) {
+        throw signal && signal.reason instanceof Error ? signal.reason : error;
+      }
+
       // Do not retry on client errors (4xx) except 408 (Request Timeout) and 429 (Too Many Requests)
       if (error.response) {
         const status = error.response.status;
@@ -186,21 +319,24 @@ async function deleteSession(host, port, useSsl, storageDeviceId, sessionId, tok
  * @param {string} storageDeviceId
  * @param {string} token
  * @param {boolean} [acceptSelfSigned=false]
+ * @param {AbortSignal} [signal] - Cancels the request (e.g. on poll timeout)
  * @returns {Promise<Object>}
  */
-async function refreshCache(host, port, useSsl, storageDeviceId, token, acceptSelfSigned = false) {
+async function refreshCache(host, port, useSsl, storageDeviceId, token, acceptSelfSigned = false, signal = undefined) {
   const client = createClient(host, port, useSsl, acceptSelfSigned);
 
-  return withRetry(() =>
-    client.put(
+  return withRetry(
+    () => client.put(
       `/objects/storages/${storageDeviceId}/views/actions/refresh/invoke`,
       {},
       {
+        signal,
         headers: {
           Authorization: `Session ${token}`,
         },
       }
-    )
+    ),
+    signal
   );
 }
 
@@ -214,21 +350,24 @@ async function refreshCache(host, port, useSsl, storageDeviceId, token, acceptSe
  * @param {string} token
  * @param {'basic'|'detail'|'timer'} [infoType='basic'] - Level of journal detail
  * @param {boolean} [acceptSelfSigned=false]
+ * @param {AbortSignal} [signal] - Cancels the request (e.g. on poll timeout)
  * @returns {Promise<Object>} Journal data
  */
-async function getJournals(host, port, useSsl, storageDeviceId, token, infoType = 'basic', acceptSelfSigned = false) {
+async function getJournals(host, port, useSsl, storageDeviceId, token, infoType = 'basic', acceptSelfSigned = false, signal = undefined) {
   const client = createClient(host, port, useSsl, acceptSelfSigned);
 
-  return withRetry(() =>
-    client.get(
+  return withRetry(
+    () => client.get(
       `/objects/storages/${storageDeviceId}/journals`,
       {
         params: { journalInfo: infoType },
+        signal,
         headers: {
           Authorization: `Session ${token}`,
         },
       }
-    )
+    ),
+    signal
   );
 }
 
@@ -244,25 +383,28 @@ async function getJournals(host, port, useSsl, storageDeviceId, token, infoType
  * @param {string} localToken - Session token for the local storage
  * @param {string} remoteToken - Session token for the remote storage
  * @param {boolean} [acceptSelfSigned=false]
+ * @param {AbortSignal} [signal] - Cancels the request (e.g. on poll timeout)
  * @returns {Promise<Object>} Remote copy groups with pair details
  */
-async function getRemoteCopyGroups(host, port, useSsl, storageDeviceId, remoteStorageDeviceId, localToken, remoteToken, acceptSelfSigned = false) {
+async function getRemoteCopyGroups(host, port, useSsl, storageDeviceId, remoteStorageDeviceId, localToken, remoteToken, acceptSelfSigned = false, signal = undefined) {
   const client = createClient(host, port, useSsl, acceptSelfSigned);
 
-  return withRetry(() =>
-    client.get(
+  return withRetry(
+    () => client.get(
       `/objects/storages/${storageDeviceId}/remote-mirror-copygroups`,
       {
         params: {
           remoteStorageDeviceId,
           detailInfoType: 'pair',
         },
+        signal,
         headers: {
           Authorization: `Session ${localToken}`,
           'Remote-Authorization': `Session ${remoteToken}`,
         },
       }
-    )
+    ),
+    signal
   );
 }
 
@@ -279,13 +421,14 @@ async function getRemoteCopyGroups(host, port, useSsl, storageDeviceId, remoteSt
  * @param {number} [headLdevId=0] - Starting LDEV ID for pagination
  * @param {number} [count=500] - Max number of pairs to return (API max is 500)
  * @param {boolean} [acceptSelfSigned=false]
+ * @param {AbortSignal} [signal] - Cancels the request (e.g. on poll timeout)
  * @returns {Promise<Object>} Remote copy pairs
  */
-async function getRemoteCopyPairs(host, port, useSsl, storageDeviceId, token, headLdevId = 0, count = 500, acceptSelfSigned = false) {
+async function getRemoteCopyPairs(host, port, useSsl, storageDeviceId, token, headLdevId = 0, count = 500, acceptSelfSigned = false, signal = undefined) {
   const client = createClient(host, port, useSsl, acceptSelfSigned);
 
-  return withRetry(() =>
-    client.get(
+  return withRetry(
+    () => client.get(
       `/objects/storages/${storageDeviceId}/remote-copypairs`,
       {
         params: {
@@ -293,11 +436,13 @@ async function getRemoteCopyPairs(host, port, useSsl, storageDeviceId, token, he
           headLdevId,
           count,
         },
+        signal,
         headers: {
           Authorization: `Session ${token}`,
         },
       }
-    )
+    ),
+    signal
   );
 }
 
@@ -312,20 +457,60 @@ async function getRemoteCopyPairs(host, port, useSsl, storageDeviceId, token, he
  * @param {string} token
  * @param {number} ldevId - LDEV ID to query
  * @param {boolean} [acceptSelfSigned=false]
+ * @param {AbortSignal} [signal] - Cancels the request (e.g. on poll timeout)
  * @returns {Promise<Object>} LDEV information
  */
-async function getLdevInfo(host, port, useSsl, storageDeviceId, token, ldevId, acceptSelfSigned = false) {
+async function getLdevInfo(host, port, useSsl, storageDeviceId, token, ldevId, acceptSelfSigned = false, signal = undefined) {
   const client = createClient(host, port, useSsl, acceptSelfSigned);
 
-  return withRetry(() =>
-    client.get(
+  return withRetry(
+    () => client.get(
       `/objects/storages/${storageDeviceId}/ldevs/${ldevId}`,
       {
+        signal,
         headers: {
           Authorization: `Session ${token}`,
         },
       }
-    )
+    ),
+    signal
+  );
+}
+
+/**
+ * Retrieves a range of LDEVs in one request. Used to collect numOfUsedBlock
+ * for many P-VOLs/S-VOLs without one call per volume.
+ * Supports pagination via headLdevId and count.
+ *
+ * @param {string} host
+ * @param {number} port
+ * @param {boolean} useSsl
+ * @param {string} storageDeviceId
+ * @param {string} token
+ * @param {number} [headLdevId=0] - First LDEV ID of the range
+ * @param {number} [count=1000] - Max number of LDEVs to return
+ * @param {boolean} [acceptSelfSigned=false]
+ * @param {AbortSignal} [signal] - Cancels the request (e.g. on poll timeout)
+ * @returns {Promise<Object>} LDEV list
+ */
+async function getLdevs(host, port, useSsl, storageDeviceId, token, headLdevId = 0, count = 1000, acceptSelfSigned = false, signal = undefined) {
+  const client = createClient(host, port, useSsl, acceptSelfSigned);
+
+  return withRetry(
+    () => client.get(
+      `/objects/storages/${storageDeviceId}/ldevs`,
+      {
+        params: {
+          headLdevId,
+          count,
+        },
+        signal,
+        headers: {
+          Authorization: `Session ${token}`,
+        },
+      }
+    ),
+    signal
   );
 }
 
@@ -340,4 +525,7 @@ module.exports = {
   getRemoteCopyGroups,
   getRemoteCopyPairs,
   getLdevInfo,
+  getLdevs,
+  getCallCounters,
+  getCallLatency,
 };
@@ -0,0 +1,148 @@
+const { getDb } = require('../models/database');
+
+/**
+ * Latest State of a Consistency Group
+ *
+ * The master and DR storages of a group report rows for the same cg_id, and
+ * with per-storage poll intervals they usually do so in different poll
+ * snapshots. The newest snapshot of a group therefore holds only one side's
+ * journals; a group's current state is the newest snapshot of each storage.
+ *
+ * rpo_history rows written before they were tagged with their storage
+ * (storage_device_id NULL) are treated as one storage, and only until the
+ * group has tagged rows.
+ */
+
+// Latest rpo_history rows of a group, one snapshot per storage. Bind @cgId.
+const LATEST_RPO_ROWS = `
+  SELECT h.*
+  FROM rpo_history h
+  JOIN (
+    SELECT storage_device_id, MAX(poll_snapshot_id) as snapshot_id
+    FROM rpo_history
+    WHERE cg_id = @cgId AND poll_snapshot_id IS NOT NULL
+    GROUP BY storage_device_id
+  ) latest ON latest.storage_device_id IS h.storage_device_id
+    AND latest.snapshot_id = h.poll_snapshot_id
+  WHERE h.cg_id = @cgId
+    AND (h.storage_device_id IS NOT NULL OR NOT EXISTS (
+      SELECT 1 FROM rpo_history WHERE cg_id = @cgId AND storage_device_id IS NOT NULL
+    ))`;
+
+// Latest volume_history rows of a group, one snapshot per source storage. Bind @cgId.
+const LATEST_VOLUME_ROWS = `
+  SELECT v.*
+  FROM volume_history v
+  JOIN (
+    SELECT source_storage_id, MAX(poll_snapshot_id) as snapshot_id
+    FROM volume_history
+    WHERE cg_id = @cgId AND poll_snapshot_id IS NOT NULL
+    GROUP BY source_storage_id
+  ) latest ON latest.source_storage_id IS v.source_storage_id
+    AND latest.snapshot_id = v.poll_snapshot_id
+  WHERE v.cg_id = @cgId`;
+
+/**
+ * Combines per-storage values the way a group aggregates its journals.
+ *
+ * @param {Iterable<number|null>} values
+ * @param {'MAX'|'SUM'} aggregate
+ * @returns {number|null} null when no storage has a value
+ */
+function combine(values, aggregate) {
+  let result = null;
+  for (const value of values) {
+    if (value === null || value === undefined) continue;
+    if (result === null) result = value;
+    else result = aggregate === 'SUM' ? result + value : Math.max(result, value);
+  }
+  return result;
+}
+
+/**
+ * Loads a group's series of rpo_history metrics, one point per poll
+ * snapshot. Each point combines the newest values of every storage as of
+ * that snapshot, so a snapshot that polled only one side of the group
+ * carries the other side's last sample instead of dropping it.
+ *
+ * @param {number} cgId
+ * @param {Object<string, { column: string, aggregate: 'MAX'|'SUM' }>} metrics -
+ *   Output key → rpo_history column (or expression) and how journals and
+ *   storages are combined
+ * @param {{ since?: string, from?: string, to?: string, limit?: number }} [options] -
+ *   since is a datetime('now', ...) modifier; from/to bound the timestamps
+ *   ('YYYY-MM-DD HH:MM:SS'); limit keeps only the newest points
+ * @returns {Array<Object>} { snapshotId, timestamp, ...metric values }, oldest first
+ */
+function loadGroupSeries(cgId, metrics, { since = null, from = null, to = null, limit = null } = {}) {
+  const db = getDb();
+  const keys = Object.keys(metrics);
+  const columns = keys
+    .map((key) => `${metrics[key].aggregate}(${metrics[key].column}) as "${key}"`)
+    .join(', ');
+
+  const snapshots = db.prepare(`
+    SELECT poll_snapshot_id
+    FROM rpo_history
+    WHERE cg_id = ? AND poll_snapshot_id IS NOT NULL
+      AND (? IS NULL OR timestamp >= datetime('now', ?))
+      AND (? IS NULL OR timestamp >= ?) AND (? IS NULL OR timestamp <= ?)
+    GROUP BY poll_snapshot_id
+    ORDER BY poll_snapshot_id DESC
+    LIMIT ?
+  `).all(cgId, since, since, from, from, to, to, limit || -1);
+  if (snapshots.length === 0) return [];
+
+  const firstSnapshotId = snapshots[snapshots.length - 1].poll_snapshot_id;
+  const lastSnapshotId = snapshots[0].poll_snapshot_id;
+
+  // Each storage's values from before the window, so the first points are complete
+  const seed = db.prepare(`
+    SELECT h.storage_device_id, ${columns}
+    FROM rpo_history h
+    JOIN (
+      SELECT storage_device_id, MAX(poll_snapshot_id) as snapshot_id
+      FROM rpo_history
+      WHERE cg_id = ? AND poll_snapshot_id < ?
+      GROUP BY storage_device_id
+    ) previous ON previous.storage_device_id IS h.storage_device_id
+      AND previous.snapshot_id = h.poll_snapshot_id
+    WHERE h.cg_id = ?
+    GROUP BY h.storage_device_id
+  `).all(cgId, firstSnapshotId, cgId);
+
+  const rows = db.prepare(`
+    SELECT poll_snapshot_id, storage_device_id, MIN(timestamp) as timestamp, ${columns}
+    FROM rpo_history
+    WHERE cg_id = ? AND poll_snapshot_id BETWEEN ? AND ?
+    GROUP BY poll_snapshot_id, storage_device_id
+    ORDER BY poll_snapshot_id ASC
+  `).all(cgId, firstSnapshotId, lastSnapshotId);
+
+  const state = new Map(seed.map((row) => [row.storage_device_id, row]));
+  if (seed.some((row) => row.storage_device_id !== null)) state.delete(null);
+
+  const series = [];
+  for (const row of rows) {
+    if (row.storage_device_id !== null) state.delete(null);
+    state.set(row.storage_device_id, row);
+
+    let point = series[series.length - 1];
+    if (!point || point.snapshotId !== row.poll_snapshot_id) {
+      point = { snapshotId: row.poll_snapshot_id, timestamp: row.timestamp };
+      series.push(point);
+    } else if (row.timestamp < point.timestamp) {
+      point.timestamp = row.timestamp;
+    }
+    for (const key of keys) {
+      point[key] = combine([...state.values()].map((sample) => sample[key]), metrics[key].aggregate);
+    }
+  }
+  return series;
+}
+
+module.exports = {
+  LATEST_RPO_ROWS,
+  LATEST_VOLUME_ROWS,
+  loadGroupSeries,
+};
@@ -0,0 +1,242 @@
+const { getDb } = require('../models/database');
+const { parseTimestamp, toSqliteTimestamp, parseList } = require('../utils/sqlite');
+
+/**
+ * Maintenance Windows and Alert Silences
+ *
+ * A maintenance window is a planned period (one-off, or repeating daily or
+ * weekly) scoped to storages and/or consistency groups, with no scope
+ * meaning everything. A silence is an ad-hoc mute with an expiry and a
+ * reason, matching a consistency group, a storage and/or an alert type.
+ *
+ * Alerts raised while a window or silence covers them are still recorded,
+ * but flagged as suppressed and not sent to the notification channels.
+ *
+ * Window times are UTC SQLite timestamps. A recurring window repeats its
+ * first occurrence (starts_at to ends_at) every day or week until
+ * recurrence_until, if set.
+ */
+
+const RECURRENCE_PERIODS_MS = {
+  none: null,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+const RECURRENCES = Object.keys(RECURRENCE_PERIODS_MS);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns the storages a consistency group spans.
+ *
+ * @param {number} cgId
+ * @returns {Set<string>}
+ */
+function getGroupStorages(cgId) {
+  const db = getDb();
+  const storages = new Set();
+  const rows = db.prepare(
+    'SELECT source_storage_id, target_storage_id FROM consistency_groups WHERE cg_id = ?'
+  ).all(cgId);
+  for (const row of rows) {
+    if (row.source_storage_id) storages.add(row.source_storage_id);
+    if (row.target_storage_id) storages.add(row.target_storage_id);
+  }
+  return storages;
+}
+
+// ---------------------------------------------------------------------------
+// Windows
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns the occurrence of a window that is running at `now`, if any.
+ *
+ * @param {Object} window - maintenance_windows row
+ * @param {number} [now] - Milliseconds since epoch
+ * @returns {{ startsAt: number, endsAt: number }|null}
+ */
+function getCurrentOccurrence(window, now = Date.now()) {
+  const start = parseTimestamp(window.starts_at);
+  const end = parseTimestamp(window.ends_at);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || now < start) return null;
+
+  const period = RECURRENCE_PERIODS_MS[window.recurrence];
+  if (!period) {
+    return now < end ? { startsAt: start, endsAt: end } : null;
+  }
+
+  const occurrenceStart = start + Math.floor((now - start) / period) * period;
+  const until = parseTimestamp(window.recurrence_until);
+  if (Number.isFinite(until) && occurrenceStart > until) return null;
+
+  const occurrenceEnd = occurrenceStart + (end - start);
+  return now < occurrenceEnd ? { startsAt: occurrenceStart, endsAt: occurrenceEnd } : null;
+}
+
+/**
+ * Returns the next occurrence of a window that starts after `now`, if any.
+ *
+ * @param {Object} window - maintenance_windows row
+ * @param {number} [now] - Milliseconds since epoch
+ * @returns {{ startsAt: number, endsAt: number }|null}
+ */
+function getNextOccurrence(window, now = Date.now()) {
+  const start = parseTimestamp(window.starts_at);
+  const end = parseTimestamp(window.ends_at);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return null;
+  if (now < start) return { startsAt: start, endsAt: end };
+
+  const period = RECURRENCE_PERIODS_MS[window.recurrence];
+  if (!period) return null;
+
+  const occurrenceStart = start + (Math.floor((now - start) / period) + 1) * period;
+  const until = parseTimestamp(window.recurrence_until);
+  if (Number.isFinite(until) && occurrenceStart > until) return null;
+  return { startsAt: occurrenceStart, endsAt: occurrenceStart + (end - start) };
+}
+
+/**
+ * Tells whether a window's scope covers a consistency group or storage.
+ * A window without storages or groups covers everything; a storage covers
+ * every group that replicates from or to it.
+ *
+ * @param {Object} window - maintenance_windows row
+ * @param {{ cgId: number|null, storageDeviceId: string|null, groupStorages?: Set<string> }} target
+ * @returns {boolean}
+ */
+function windowCovers(window, { cgId, storageDeviceId, groupStorages }) {
+  const storageIds = parseList(window.storage_device_ids);
+  const cgIds = parseList(window.cg_ids).map(Number);
+  if (storageIds.length === 0 && cgIds.length === 0) return true;
+
+  if (cgId !== null && cgId !== undefined && cgIds.includes(cgId)) return true;
+  if (storageDeviceId && storageIds.includes(storageDeviceId)) return true;
+  if (groupStorages && storageIds.some((id) => groupStorages.has(id))) return true;
+  return false;
+}
+
+/**
+ * Lists the windows running at `now`, with their current occurrence.
+ *
+ * @param {number} [now] - Milliseconds since epoch
+ * @returns {Array<Object>} maintenance_windows rows with `occurrence`
+ */
+function getActiveWindows(now = Date.now()) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM maintenance_windows').all()
+    .map((window) => ({ ...window, occurrence: getCurrentOccurrence(window, now) }))
+    .filter((window) => window.occurrence);
+}
+
+// ---------------------------------------------------------------------------
+// Silences
+// ---------------------------------------------------------------------------
+
+/**
+ * Lists the silences that have not expired yet.
+ *
+ * @returns {Array<Object>} alert_silences rows
+ */
+function getActiveSilences() {
+  const db = getDb();
+  return db.prepare(
+    "SELECT * FROM alert_silences WHERE expires_at > datetime('now') ORDER BY expires_at"
+  ).all();
+}
+
+/**
+ * Tells whether a silence matches an alert. Every field the silence sets
+ * must match; a silence without any field matches every alert.
+ *
+ * @param {Object} silence - alert_silences row
+ * @param {{ cgId: number|null, alertType?: string, storageDeviceId: string|null }} alert
+ * @returns {boolean}
+ */
+function silenceMatches(silence, { cgId, alertType, storageDeviceId }) {
+  if (silence.cg_id !== null && silence.cg_id !== cgId) return false;
+  if (silence.storage_device_id !== null && silence.storage_device_id !== storageDeviceId) return false;
+  if (silence.alert_type !== null && silence.alert_type !== alertType) return false;
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Suppression
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns why an alert should be suppressed right now, or null when no
+ * maintenance window or silence covers it.
+ *
+ * @param {{ cgId: number|null, alertType: string, storageDeviceId: string|null }} alert
+ * @returns {string|null} Suppression reason for the alert record
+ */
+function findSuppression(alert) {
+  const cgId = alert.cgId ?? null;
+  const storageDeviceId = alert.storageDeviceId || null;
+  const groupStorages = cgId !== null ? getGroupStorages(cgId) : null;
+
+  const window = getActiveWindows().find((w) => windowCovers(w, { cgId, storageDeviceId, groupStorages }));
+  if (window) {
+    return `Bakim penceresi: ${window.name}`;
+  }
+
+  const silence = getActiveSilences().find((s) => silenceMatches(s, { ...alert, cgId, storageDeviceId }));
+  if (silence) {
+    return `Sessize alindi: ${silence.reason}`;
+  }
+  return null;
+}
+
+/**
+ * Returns the active maintenance windows and silences that apply to a
+ * consistency group, for the dashboard badge. Silences limited to one alert
+ * type or to one of the group's storages are listed too, since they mute
+ * the group in part.
+ *
+ * @param {number} cgId
+ * @param {{ windows?: Array<Object>, silences?: Array<Object> }} [active] -
+ *   Pre-fetched getActiveWindows()/getActiveSilences() results
+ * @returns {{ windows: Array<Object>, silences: Array<Object> }|null}
+ */
+function getGroupMaintenance(cgId, active = {}) {
+  const groupStorages = getGroupStorages(cgId);
+
+  const windows = (active.windows || getActiveWindows())
+    .filter((w) => windowCovers(w, { cgId, storageDeviceId: null, groupStorages }))
+    .map((w) => ({
+      id: w.id,
+      name: w.name,
+      reason: w.reason,
+      starts_at: toSqliteTimestamp(w.occurrence.startsAt),
+      ends_at: toSqliteTimestamp(w.occurrence.endsAt),
+    }));
+
+  const silences = (active.silences || getActiveSilences())
+    .filter((s) => (s.cg_id !== null
+      ? s.cg_id === cgId
+      : s.storage_device_id === null || groupStorages.has(s.storage_device_id)))
+    .map((s) => ({
+      id: s.id,
+      reason: s.reason,
+      alert_type: s.alert_type,
+      expires_at: s.expires_at,
+    }));
+
+  if (windows.length === 0 && silences.length === 0) return null;
+  return { windows, silences };
+}
+
+module.exports = {
+  RECURRENCES,
+  RECURRENCE_PERIODS_MS,
+  getCurrentOccurrence,
+  getNextOccurrence,
+  getActiveWindows,
+  getActiveSilences,
+  findSuppression,
+  getGroupMaintenance,
+};
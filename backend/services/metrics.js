@@ -0,0 +1,342 @@
+const { getDb } = require('../models/database');
+const { parseTimestamp } = require('../utils/sqlite');
+const hitachiApi = require('./hitachiApi');
+const sessionManager = require('./sessionManager');
+const poller = require('./poller');
+const { LATEST_RPO_ROWS, LATEST_VOLUME_ROWS } = require('./latestState');
+
+/**
+ * Prometheus Metrics
+ *
+ * Renders the monitor's state in the Prometheus text exposition format
+ * (version 0.0.4) for GET /metrics:
+ *
+ *   - per consistency group, storage and journal, the latest poll sample: usage
+ *     rate, q_count, pending bytes, estimated RPO, lag and block delta;
+ *   - per UR pair, the latest P-VOL and S-VOL status as a labelled gauge
+ *     (value 1, status in the "status" label);
+ *   - the collector: last poll cycle, per-storage poll outcome, Ops Center
+ *     API request counts and latency, and open API sessions.
+ *
+ * Everything is read at scrape time; nothing is kept between scrapes
+ * except the API counters, which hitachiApi holds since start-up.
+ */
+
+const METRIC_PREFIX = 'hds_rpo';
+
+// rpo_history column → metric. A NULL column (no reading) is not exported.
+const JOURNAL_METRICS = [
+  { column: 'usage_rate', name: 'journal_usage_rate_percent', help: 'Journal usage rate in percent.' },
+  { column: 'q_count', name: 'journal_q_count', help: 'Journal qCount (outstanding journal entries).' },
+  { column: 'pending_data_bytes', name: 'journal_pending_bytes', help: 'Data waiting in the journal to be sent, in bytes.' },
+  { column: 'estimated_rpo_seconds', name: 'journal_estimated_rpo_seconds', help: 'Estimated RPO in seconds.' },
+  { column: 'lag_seconds', name: 'journal_lag_seconds', help: 'Replication lag in seconds, when measurable.' },
+  { column: 'block_delta_bytes', name: 'journal_block_delta_bytes', help: 'P-VOL/S-VOL block allocation difference in bytes.' },
+];
+
+// ---------------------------------------------------------------------------
+// Exposition format helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Escapes a label value (backslash, double quote and newline).
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a label set, skipping null and undefined values.
+ *
+ * @param {Object} labels
+ * @returns {string} e.g. '{cg_id="5",journal_id="1"}', or '' when empty
+ */
+function formatLabels(labels = {}) {
+  const parts = Object.entries(labels)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Formats a sample value the way Prometheus parses it.
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Appends one metric family (HELP, TYPE and samples) to the output lines.
+ * Families without samples are left out.
+ *
+ * @param {Array<string>} lines
+ * @param {string} name - Without the prefix
+ * @param {'gauge'|'counter'|'histogram'} type
+ * @param {string} help
+ * @param {Array<{ labels?: Object, value: number, suffix?: string }>} samples
+ */
+function writeMetric(lines, name, type, help, samples) {
+  if (samples.length === 0) return;
+  const fullName = `${METRIC_PREFIX}_${name}`;
+  lines.push(`# HELP ${fullName} ${help}`);
+  lines.push(`# TYPE ${fullName} ${type}`);
+  for (const sample of samples) {
+    lines.push(`${fullName}${sample.suffix || ''}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+  }
+}
+
+/**
+ * Converts a SQLite UTC timestamp ('YYYY-MM-DD HH:MM:SS') or an ISO string
+ * to Unix seconds.
+ *
+ * @param {string|null} timestamp
+ * @returns {number|null}
+ */
+function toUnixSeconds(timestamp) {
+  const ms = parseTimestamp(timestamp);
+  return Number.isFinite(ms) ? ms / 1000 : null;
+}
+
+// ---------------------------------------------------------------------------
+// Collectors
+// ---------------------------------------------------------------------------
+
+/**
+ * Latest poll sample of every consistency group, one series per journal of
+ * each storage (a group's master and DR storages are polled separately).
+ *
+ * @param {Array<string>} lines
+ */
+function collectJournalMetrics(lines) {
+  const db = getDb();
+  const groups = db.prepare(
+    'SELECT cg_id, name, source_storage_id, target_storage_id, is_monitored FROM consistency_groups ORDER BY cg_id'
+  ).all();
+  const getLatest = db.prepare(`
+    SELECT storage_device_id, journal_id, mu_number,
+           ${JOURNAL_METRICS.map((m) => m.column).join(', ')}, timestamp
+    FROM (${LATEST_RPO_ROWS})
+    ORDER BY storage_device_id, journal_id, mu_number
+  `);
+
+  const groupInfo = groups.map((group) => ({
+    labels: {
+      cg_id: group.cg_id,
+      cg_name: group.name || `CG-${group.cg_id}`,
+      source_storage_id: group.source_storage_id,
+      target_storage_id: group.target_storage_id,
+    },
+    value: group.is_monitored ? 1 : 0,
+  }));
+  // A group has a row per storage pair it spans; its samples are exported once
+  const groupNames = new Map();
+  for (const group of groups) {
+    if (!groupNames.get(group.cg_id)) groupNames.set(group.cg_id, group.name || `CG-${group.cg_id}`);
+  }
+
+  const samples = Object.fromEntries(JOURNAL_METRICS.map((m) => [m.name, []]));
+  const sampleTimes = [];
+
+  for (const [cgId, cgName] of groupNames) {
+    const groupLabels = { cg_id: cgId, cg_name: cgName };
+    const rows = getLatest.all({ cgId });
+    const seen = new Set();
+    let latestAt = null;
+    for (const row of rows) {
+      // Repeated rows of one journal within a snapshot would only
+      // duplicate the series
+      const key = `${row.storage_device_id}:${row.journal_id}:${row.mu_number}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const labels = {
+        ...groupLabels,
+        storage_id: row.storage_device_id,
+        journal_id: row.journal_id,
+        mu_number: row.mu_number,
+      };
+      for (const metric of JOURNAL_METRICS) {
+        const value = row[metric.column];
+        if (value !== null) samples[metric.name].push({ labels, value });
+      }
+      latestAt = Math.max(latestAt || 0, toUnixSeconds(row.timestamp) || 0);
+    }
+    if (latestAt) sampleTimes.push({ labels: groupLabels, value: latestAt });
+  }
+
+  writeMetric(lines, 'consistency_group_info', 'gauge',
+    'Known consistency groups; 1 when monitored, 0 when monitoring is off.', groupInfo);
+  for (const metric of JOURNAL_METRICS) {
+    writeMetric(lines, metric.name, 'gauge', metric.help, samples[metric.name]);
+  }
+  writeMetric(lines, 'consistency_group_last_sample_timestamp_seconds', 'gauge',
+    'Unix time of the latest poll sample of the consistency group.', sampleTimes);
+}
+
+/**
+ * Latest P-VOL and S-VOL status of every UR pair.
+ *
+ * @param {Array<string>} lines
+ */
+function collectPairMetrics(lines) {
+  const db = getDb();
+  const cgIds = db.prepare('SELECT DISTINCT cg_id FROM consistency_groups ORDER BY cg_id').all();
+  const getPairs = db.prepare(`
+    SELECT source_storage_id, target_storage_id, journal_id, pvol_ldev_id, svol_ldev_id,
+           pvol_status, svol_status
+    FROM (${LATEST_VOLUME_ROWS})
+    ORDER BY source_storage_id, pvol_ldev_id
+  `);
+
+  const samples = [];
+  for (const { cg_id: cgId } of cgIds) {
+    const seen = new Set();
+    for (const pair of getPairs.all({ cgId })) {
+      const key = `${pair.source_storage_id}:${pair.pvol_ldev_id}:${pair.svol_ldev_id}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const labels = {
+        cg_id: cgId,
+        source_storage_id: pair.source_storage_id,
+        target_storage_id: pair.target_storage_id,
+        journal_id: pair.journal_id,
+        pvol_ldev_id: pair.pvol_ldev_id,
+        svol_ldev_id: pair.svol_ldev_id,
+      };
+      if (pair.pvol_status) samples.push({ labels: { ...labels, volume: 'pvol', status: pair.pvol_status }, value: 1 });
+      if (pair.svol_status) samples.push({ labels: { ...labels, volume: 'svol', status: pair.svol_status }, value: 1 });
+    }
+  }
+
+  writeMetric(lines, 'pair_status', 'gauge',
+    'Current UR pair status of a volume (always 1; the status is in the "status" label).', samples);
+}
+
+/**
+ * Poll cycle and per-storage poll outcome.
+ *
+ * @param {Array<string>} lines
+ */
+function collectPollerMetrics(lines) {
+  const db = getDb();
+  const status = poller.getStatus();
+
+  const lastRun = db.prepare(`
+    SELECT status, finished_at, duration_ms, storage_count, failed_storage_count, api_call_count
+    FROM poll_runs WHERE finished_at IS NOT NULL ORDER BY id DESC LIMIT 1
+  `).get();
+
+  writeMetric(lines, 'poller_running', 'gauge', '1 while the poll scheduler is active.', [
+    { value: status.isRunning ? 1 : 0 },
+  ]);
+  if (lastRun) {
+    writeMetric(lines, 'poll_duration_seconds', 'gauge', 'Duration of the last finished poll cycle.', [
+      { value: (lastRun.duration_ms || 0) / 1000 },
+    ]);
+    writeMetric(lines, 'poll_last_run_timestamp_seconds', 'gauge', 'Unix time the last poll cycle finished.', [
+      { value: toUnixSeconds(lastRun.finished_at) || 0 },
+    ]);
+    writeMetric(lines, 'poll_last_run_status', 'gauge',
+      'Outcome of the last poll cycle (always 1; the outcome is in the "status" label).', [
+        { labels: { status: lastRun.status }, value: 1 },
+      ]);
+    writeMetric(lines, 'poll_last_run_failed_storages', 'gauge', 'Storages that failed in the last poll cycle.', [
+      { value: lastRun.failed_storage_count || 0 },
+    ]);
+    writeMetric(lines, 'poll_last_run_api_calls', 'gauge', 'Ops Center API requests made by the last poll cycle.', [
+      { value: lastRun.api_call_count || 0 },
+    ]);
+  }
+
+  const storages = Object.entries(status.storages || {});
+  writeMetric(lines, 'storage_poll_success', 'gauge',
+    '1 when the last poll of the storage succeeded (fully or partly), 0 when it failed.',
+    storages.map(([storageDeviceId, s]) => ({
+      labels: { storage_device_id: storageDeviceId },
+      value: s.status === 'success' || s.status === 'partial' ? 1 : 0,
+    })));
+  writeMetric(lines, 'storage_poll_duration_seconds', 'gauge', 'Duration of the last poll of the storage.',
+    storages.map(([storageDeviceId, s]) => ({
+      labels: { storage_device_id: storageDeviceId },
+      value: (s.durationMs || 0) / 1000,
+    })));
+  writeMetric(lines, 'storage_last_poll_timestamp_seconds', 'gauge', 'Unix time the last poll of the storage started.',
+    storages.map(([storageDeviceId, s]) => ({
+      labels: { storage_device_id: storageDeviceId },
+      value: Date.parse(s.startedAt) / 1000,
+    })));
+}
+
+/**
+ * Ops Center API request counts, latency and sessions.
+ *
+ * @param {Array<string>} lines
+ */
+function collectApiMetrics(lines) {
+  const counters = hitachiApi.getCallCounters();
+  const latency = hitachiApi.getCallLatency();
+
+  writeMetric(lines, 'opscenter_api_requests_total', 'counter',
+    'Ops Center API requests since start-up (retries included), by operation.',
+    Object.entries(counters.byOperation).map(([operation, value]) => ({ labels: { operation }, value })));
+  writeMetric(lines, 'opscenter_api_storage_requests_total', 'counter',
+    'Ops Center API requests since start-up, by storage.',
+    Object.entries(counters.byStorage).map(([storageDeviceId, value]) => ({
+      labels: { storage_device_id: storageDeviceId },
+      value,
+    })));
+  writeMetric(lines, 'opscenter_api_request_errors_total', 'counter',
+    'Ops Center API requests that failed or timed out, by operation.',
+    Object.entries(latency.byOperation).map(([operation, entry]) => ({ labels: { operation }, value: entry.errors })));
+
+  const histogram = [];
+  for (const [operation, entry] of Object.entries(latency.byOperation)) {
+    latency.bucketsSeconds.forEach((bound, i) => {
+      histogram.push({ suffix: '_bucket', labels: { operation, le: bound }, value: entry.buckets[i] });
+    });
+    histogram.push({ suffix: '_bucket', labels: { operation, le: '+Inf' }, value: entry.count });
+    histogram.push({ suffix: '_sum', labels: { operation }, value: entry.sum });
+    histogram.push({ suffix: '_count', labels: { operation }, value: entry.count });
+  }
+  writeMetric(lines, 'opscenter_api_request_duration_seconds', 'histogram',
+    'Ops Center API request latency, by operation.', histogram);
+
+  const sessions = sessionManager.getSessionSummary();
+  writeMetric(lines, 'opscenter_sessions_active', 'gauge', 'Open Ops Center API sessions.', [
+    { value: sessions.length },
+  ]);
+  writeMetric(lines, 'opscenter_session_age_seconds', 'gauge', 'Age of the open Ops Center API session, by storage.',
+    sessions.map((s) => ({ labels: { storage_device_id: s.storageDeviceId }, value: s.ageSeconds })));
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Renders all metrics in the Prometheus text exposition format.
+ *
+ * @returns {string}
+ */
+function renderMetrics() {
+  const lines = [];
+  collectJournalMetrics(lines);
+  collectPairMetrics(lines);
+  collectPollerMetrics(lines);
+  collectApiMetrics(lines);
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  renderMetrics,
+};
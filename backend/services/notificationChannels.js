@@ -0,0 +1,304 @@
+const dgram = require('dgram');
+const https = require('https');
+const net = require('net');
+const os = require('os');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+/**
+ * Notification Channel Transports
+ *
+ * One transport per channel type. Each validates its channel config and
+ * delivers a rendered notification:
+ *   - smtp:    e-mail through an SMTP server (nodemailer)
+ *   - webhook: HTTP POST/PUT with a JSON body rendered from a template
+ *   - syslog:  RFC 5424 message over UDP or TCP (RFC 6587 octet counting)
+ *
+ * The channel secret (SMTP password, webhook Authorization header value) is
+ * stored encrypted by the caller and passed in decrypted.
+ */
+
+const SEND_TIMEOUT_MS = 10000;
+
+// Syslog: RFC 5424 severities and our alert severities
+const SYSLOG_SEVERITIES = { critical: 2, warning: 4, info: 6 };
+const SYSLOG_APP_NAME = 'rpo-monitor';
+// Structured data ID; 32473 is the enterprise number reserved for examples
+const SYSLOG_SD_ID = 'rpo@32473';
+const DEFAULT_SYSLOG_FACILITY = 16; // local0
+
+// Webhook body when the channel has no template: the alert itself
+const DEFAULT_WEBHOOK_TEMPLATE = JSON.stringify({
+  id: '{{id}}',
+  severity: '{{severity}}',
+  alert_type: '{{alert_type}}',
+  cg_id: '{{cg_id}}',
+  storage_device_id: '{{storage_device_id}}',
+  message: '{{message}}',
+  created_at: '{{created_at}}',
+  title: '{{title}}',
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds a channel config error (reported as 400 by the routes).
+ *
+ * @param {string} message
+ * @returns {Error}
+ */
+function configError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_CONFIG';
+  return err;
+}
+
+/**
+ * Validates a TCP/UDP port number.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidPort(value) {
+  const port = Number(value);
+  return Number.isInteger(port) && port > 0 && port < 65536;
+}
+
+/**
+ * Renders a JSON webhook template. Each {{field}} placeholder is replaced
+ * with the notification field, escaped for use inside a JSON string.
+ *
+ * @param {string} template
+ * @param {Object} notification
+ * @returns {Object} Parsed body
+ */
+function renderTemplate(template, notification) {
+  const rendered = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_match, field) => {
+    const value = notification[field];
+    if (value === null || value === undefined) return '';
+    return JSON.stringify(String(value)).slice(1, -1);
+  });
+  return JSON.parse(rendered);
+}
+
+/**
+ * Escapes a structured data parameter value (RFC 5424 section 6.3.3).
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeSdValue(value) {
+  return String(value ?? '').replace(/[\\"\]]/g, (c) => `\\${c}`);
+}
+
+/**
+ * Formats an RFC 5424 syslog message.
+ *
+ * @param {Object} notification
+ * @param {number} facility
+ * @returns {string}
+ */
+function formatSyslogMessage(notification, facility) {
+  const severity = SYSLOG_SEVERITIES[notification.severity] ?? SYSLOG_SEVERITIES.info;
+  const pri = facility * 8 + severity;
+  const timestamp = new Date().toISOString();
+  const hostname = os.hostname() || '-';
+  const msgId = (notification.alert_type || 'alert').slice(0, 32);
+  const structuredData =
+    `[${SYSLOG_SD_ID} alertId="${escapeSdValue(notification.id)}" ` +
+    `cgId="${escapeSdValue(notification.cg_id)}" ` +
+    `severity="${escapeSdValue(notification.severity)}"]`;
+
+  return `<${pri}>1 ${timestamp} ${hostname} ${SYSLOG_APP_NAME} ${process.pid} ${msgId} ` +
+    `${structuredData} ${notification.title}: ${notification.message}`;
+}
+
+// ---------------------------------------------------------------------------
+// Transports
+// ---------------------------------------------------------------------------
+
+const TRANSPORTS = {
+  smtp: {
+    /**
+     * @param {Object} config - { host, port, secure, username, from, to, accept_self_signed }
+     */
+    validate(config) {
+      if (!config.host) throw configError('SMTP sunucusu gereklidir.');
+      if (!isValidPort(config.port)) throw configError('Geçersiz SMTP portu.');
+      if (!config.from) throw configError('Gönderen adresi gereklidir.');
+      const recipients = Array.isArray(config.to) ? config.to : String(config.to || '').split(',');
+      if (recipients.map((r) => r.trim()).filter(Boolean).length === 0) {
+        throw configError('En az bir alıcı adresi gereklidir.');
+      }
+    },
+
+    async send(config, secret, notification) {
+      const transporter = nodemailer.createTransport({
+        host: config.host,
+        port: Number(config.port),
+        secure: !!config.secure,
+        auth: config.username ? { user: config.username, pass: secret || '' } : undefined,
+        tls: { rejectUnauthorized: !config.accept_self_signed },
+        connectionTimeout: SEND_TIMEOUT_MS,
+        greetingTimeout: SEND_TIMEOUT_MS,
+        socketTimeout: SEND_TIMEOUT_MS,
+      });
+
+      const info = await transporter.sendMail({
+        from: config.from,
+        to: config.to,
+        subject: notification.title,
+        text: `${notification.message}\n\n` +
+          `Seviye: ${notification.severity}\n` +
+          `Uyari tipi: ${notification.alert_type}\n` +
+          (notification.cg_id !== null && notification.cg_id !== undefined
+            ? `Tutarlilik grubu: CG-${notification.cg_id}\n`
+            : '') +
+          (notification.storage_device_id ? `Depolama: ${notification.storage_device_id}\n` : '') +
+          `Zaman: ${notification.created_at} (UTC)\n`,
+      });
+      return `SMTP ${info.response || 'OK'}`;
+    },
+  },
+
+  webhook: {
+    /**
+     * @param {Object} config - { url, method, headers, template, accept_self_signed }
+     */
+    validate(config) {
+      let url;
+      try {
+        url = new URL(config.url);
+      } catch {
+        throw configError('Geçerli bir webhook URL\'si gereklidir.');
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw configError('Webhook URL\'si http veya https olmalıdır.');
+      }
+      if (config.method && !['POST', 'PUT'].includes(config.method)) {
+        throw configError('Webhook yöntemi POST veya PUT olmalıdır.');
+      }
+      if (config.headers && (typeof config.headers !== 'object' || Array.isArray(config.headers))) {
+        throw configError('Webhook başlıkları bir nesne olmalıdır.');
+      }
+      if (config.template) {
+        try {
+          renderTemplate(config.template, {
+            id: 0, severity: 'warning', alert_type: 'test', cg_id: 0,
+            storage_device_id: '', message: 'x"y', created_at: '', title: '',
+          });
+        } catch (err) {
+          throw configError(`Webhook şablonu geçerli JSON üretmiyor: ${err.message}`);
+        }
+      }
+    },
+
+    async send(config, secret, notification) {
+      const body = renderTemplate(config.template || DEFAULT_WEBHOOK_TEMPLATE, notification);
+      const headers = { 'Content-Type': 'application/json', ...(config.headers || {}) };
+      if (secret) {
+        headers.Authorization = secret;
+      }
+
+      const response = await axios.request({
+        method: config.method || 'POST',
+        url: config.url,
+        data: body,
+        headers,
+        timeout: SEND_TIMEOUT_MS,
+        httpsAgent: config.accept_self_signed
+          ? new https.Agent({ rejectUnauthorized: false })
+          : undefined,
+      });
+      return `HTTP ${response.status}`;
+    },
+  },
+
+  syslog: {
+    /**
+     * @param {Object} config - { host, port, protocol, facility }
+     */
+    validate(config) {
+      if (!config.host) throw configError('Syslog sunucusu gereklidir.');
+      if (!isValidPort(config.port)) throw configError('Geçersiz syslog portu.');
+      if (config.protocol && !['udp', 'tcp'].includes(config.protocol)) {
+        throw configError('Syslog protokolü udp veya tcp olmalıdır.');
+      }
+      if (config.facility !== undefined && config.facility !== null && config.facility !== '') {
+        const facility = Number(config.facility);
+        if (!Number.isInteger(facility) || facility < 0 || facility > 23) {
+          throw configError('Syslog facility 0-23 arasında olmalıdır.');
+        }
+      }
+    },
+
+    send(config, _secret, notification) {
+      const facility = config.facility !== undefined && config.facility !== null && config.facility !== ''
+        ? Number(config.facility)
+        : DEFAULT_SYSLOG_FACILITY;
+      const message = Buffer.from(formatSyslogMessage(notification, facility), 'utf8');
+      const port = Number(config.port);
+
+      if (config.protocol === 'tcp') {
+        return new Promise((resolve, reject) => {
+          const socket = net.createConnection({ host: config.host, port }, () => {
+            // RFC 6587 octet-counting framing
+            socket.end(Buffer.concat([Buffer.from(`${message.length} `), message]));
+          });
+          socket.setTimeout(SEND_TIMEOUT_MS, () => socket.destroy(new Error('Syslog TCP zaman aşımı')));
+          socket.on('error', reject);
+          socket.on('close', (hadError) => {
+            if (!hadError) resolve(`TCP ${message.length} bayt`);
+          });
+        });
+      }
+
+      return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(net.isIPv6(config.host) ? 'udp6' : 'udp4');
+        socket.send(message, port, config.host, (err) => {
+          socket.close();
+          if (err) reject(err);
+          else resolve(`UDP ${message.length} bayt`);
+        });
+      });
+    },
+  },
+};
+
+const CHANNEL_TYPES = Object.keys(TRANSPORTS);
+
+/**
+ * Validates a channel config for its type.
+ *
+ * @param {string} type
+ * @param {Object} config
+ * @throws {Error} code INVALID_CONFIG
+ */
+function validateConfig(type, config) {
+  const transport = TRANSPORTS[type];
+  if (!transport) {
+    throw configError(`Geçersiz kanal tipi. Geçerli değerler: ${CHANNEL_TYPES.join(', ')}`);
+  }
+  transport.validate(config || {});
+}
+
+/**
+ * Delivers a notification through a channel.
+ *
+ * @param {string} type
+ * @param {Object} config
+ * @param {string|null} secret - Decrypted channel secret
+ * @param {Object} notification - From notifier.buildNotification()
+ * @returns {Promise<string>} Short transport response for the delivery log
+ */
+function send(type, config, secret, notification) {
+  return TRANSPORTS[type].send(config || {}, secret, notification);
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  validateConfig,
+  send,
+};
@@ -0,0 +1,335 @@
+const { getDb } = require('../models/database');
+const { decrypt } = require('../utils/encryption');
+const { toSqliteTimestamp, parseList } = require('../utils/sqlite');
+const notificationChannels = require('./notificationChannels');
+const escalation = require('./escalation');
+
+/**
+ * Alert Notifier
+ *
+ * Sends new alerts to the configured notification channels. Every alert
+ * that passes a channel's severity and consistency group filters becomes a
+ * row in notification_deliveries, which doubles as the delivery log and as
+ * a persistent queue: failed deliveries are retried with exponential
+ * backoff until MAX_ATTEMPTS, also across restarts.
+ *
+ * The same timer runs the escalation policies (see escalation.js), whose
+ * escalations and repeat notifications go through this queue as well.
+ */
+
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_SECONDS = 30;
+const QUEUE_INTERVAL_MS = 30 * 1000;
+const QUEUE_BATCH_SIZE = 50;
+
+const SEVERITY_LABELS = {
+  critical: 'KRITIK',
+  warning: 'UYARI',
+  info: 'BILGI',
+};
+
+// Title prefixes of escalation policy notifications
+const EVENT_LABELS = {
+  escalation: 'ESKALASYON',
+  reminder: 'HATIRLATMA',
+};
+
+let queueTimer = null;
+let isProcessing = false;
+let processAgain = false;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Decrypts a channel's secret, if it has one.
+ *
+ * @param {Object} channel - notification_channels row
+ * @returns {string|null}
+ */
+function getChannelSecret(channel) {
+  if (!channel.encrypted_secret) return null;
+  return decrypt(channel.encrypted_secret, channel.secret_iv, channel.secret_auth_tag);
+}
+
+/**
+ * Tells whether an alert passes a channel's filters.
+ *
+ * @param {Object} channel - notification_channels row
+ * @param {Object} alert - alerts row
+ * @returns {boolean}
+ */
+function channelMatches(channel, alert) {
+  if (!channel.is_enabled) return false;
+  if (!parseList(channel.severities).includes(alert.severity)) return false;
+
+  // A group filter limits the channel to those groups (no system alerts)
+  const cgIds = parseList(channel.cg_ids).map(Number);
+  if (cgIds.length > 0 && !cgIds.includes(alert.cg_id)) return false;
+  return true;
+}
+
+/**
+ * Builds the notification fields from an alert.
+ *
+ * @param {Object} alert - alerts row
+ * @param {string} [event] - Delivery event; escalations and reminders are
+ *   marked in the title
+ * @returns {Object}
+ */
+function buildNotification(alert, event = 'alert') {
+  const scope = alert.cg_id !== null && alert.cg_id !== undefined ? `CG-${alert.cg_id}` : 'Sistem';
+  const prefix = EVENT_LABELS[event] ? `${EVENT_LABELS[event]} - ` : '';
+  return {
+    id: alert.id,
+    cg_id: alert.cg_id,
+    alert_type: alert.alert_type,
+    severity: alert.severity,
+    message: alert.message,
+    storage_device_id: alert.storage_device_id || null,
+    created_at: alert.created_at,
+    title: `[RPO Monitor] ${prefix}${SEVERITY_LABELS[alert.severity] || alert.severity} - ${scope}: ${alert.alert_type}`,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Queue
+// ---------------------------------------------------------------------------
+
+/**
+ * Attempts one queued delivery and records the outcome.
+ *
+ * @param {Object} delivery - notification_deliveries row joined with its channel
+ */
+async function attemptDelivery(delivery) {
+  const db = getDb();
+  const attempts = delivery.attempts + 1;
+
+  try {
+    const alert = db.prepare('SELECT * FROM alerts WHERE id = ?').get(delivery.alert_id);
+    if (!alert) {
+      throw new Error('Uyari artik mevcut degil.');
+    }
+
+    const response = await notificationChannels.send(
+      delivery.type,
+      JSON.parse(delivery.config || '{}'),
+      getChannelSecret(delivery),
+      buildNotification(alert, delivery.event)
+    );
+
+    db.prepare(`
+      UPDATE notification_deliveries
+      SET status = 'sent', attempts = ?, response = ?, last_error = NULL,
+          next_attempt_at = NULL, sent_at = datetime('now')
+      WHERE id = ?
+    `).run(attempts, response, delivery.id);
+  } catch (err) {
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    const delaySeconds = BASE_RETRY_DELAY_SECONDS * Math.pow(2, attempts - 1);
+    db.prepare(`
+      UPDATE notification_deliveries
+      SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?
+      WHERE id = ?
+    `).run(
+      exhausted ? 'failed' : 'pending',
+      attempts,
+      err.message,
+      exhausted ? null : toSqliteTimestamp(new Date(Date.now() + delaySeconds * 1000)),
+      delivery.id
+    );
+
+    console.warn(
+      `[notifier] Delivery ${delivery.id} via channel "${delivery.name}" failed ` +
+      `(attempt ${attempts}/${MAX_ATTEMPTS}): ${err.message}` +
+      (exhausted ? '. Giving up.' : `. Retrying in ${delaySeconds}s.`)
+    );
+  }
+}
+
+/**
+ * Sends every queued delivery that is due. Runs one pass at a time; a call
+ * during a pass schedules another pass right after it.
+ *
+ * @returns {Promise<void>}
+ */
+async function processQueue() {
+  if (isProcessing) {
+    processAgain = true;
+    return;
+  }
+
+  isProcessing = true;
+  try {
+    do {
+      processAgain = false;
+      const db = getDb();
+      const due = db.prepare(`
+        SELECT d.*, c.name, c.type, c.config, c.encrypted_secret, c.secret_iv, c.secret_auth_tag
+        FROM notification_deliveries d
+        JOIN notification_channels c ON c.id = d.channel_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= datetime('now')
+        ORDER BY d.next_attempt_at, d.id
+        LIMIT ?
+      `).all(QUEUE_BATCH_SIZE);
+
+      for (const delivery of due) {
+        await attemptDelivery(delivery);
+      }
+      if (due.length === QUEUE_BATCH_SIZE) processAgain = true;
+    } while (processAgain);
+  } catch (err) {
+    console.error(`[notifier] Delivery queue pass failed: ${err.message}`);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Queues a new alert for every channel whose filters it passes, and for the
+ * level 1 channels of its escalation policy, then starts sending in the
+ * background. Suppressed alerts are skipped. Never throws: a notification
+ * problem must not break the code path that raised the alert.
+ *
+ * @param {number} alertId
+ * @returns {number} Number of deliveries queued
+ */
+function notifyAlert(alertId) {
+  try {
+    const db = getDb();
+    const alert = db.prepare('SELECT * FROM alerts WHERE id = ?').get(alertId);
+    // Alerts raised during a maintenance window or silence are not sent
+    if (!alert || alert.suppressed) return 0;
+
+    const channels = db.prepare('SELECT * FROM notification_channels WHERE is_enabled = 1').all()
+      .filter((channel) => channelMatches(channel, alert));
+
+    const insert = db.prepare(`
+      INSERT INTO notification_deliveries (channel_id, alert_id, event, status, next_attempt_at)
+      VALUES (?, ?, 'alert', 'pending', datetime('now'))
+    `);
+    db.transaction(() => {
+      for (const channel of channels) {
+        insert.run(channel.id, alert.id);
+      }
+    })();
+
+    const queued = channels.length + escalation.startEscalation(alert, channels.map((c) => c.id));
+    if (queued > 0) setImmediate(processQueue);
+    return queued;
+  } catch (err) {
+    console.error(`[notifier] Could not queue notifications for alert ${alertId}: ${err.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Sends a test notification through a channel right away (one attempt, no
+ * retries) and logs it as a 'test' delivery.
+ *
+ * @param {number} channelId
+ * @returns {Promise<{ success: boolean, response?: string, error?: string }>}
+ */
+async function sendTest(channelId) {
+  const db = getDb();
+  const channel = db.prepare('SELECT * FROM notification_channels WHERE id = ?').get(channelId);
+  if (!channel) {
+    const err = new Error(`Channel ${channelId} not found`);
+    err.code = 'NOT_FOUND';
+    throw err;
+  }
+
+  const notification = buildNotification({
+    id: 0,
+    cg_id: null,
+    alert_type: 'test',
+    severity: 'info',
+    message: `"${channel.name}" bildirim kanali icin test mesaji.`,
+    storage_device_id: null,
+    created_at: toSqliteTimestamp(new Date()),
+  });
+
+  const insert = db.prepare(`
+    INSERT INTO notification_deliveries
+      (channel_id, alert_id, event, status, attempts, response, last_error, sent_at)
+    VALUES (?, NULL, 'test', ?, 1, ?, ?, ?)
+  `);
+
+  try {
+    const response = await notificationChannels.send(
+      channel.type, JSON.parse(channel.config || '{}'), getChannelSecret(channel), notification
+    );
+    insert.run(channel.id, 'sent', response, null, toSqliteTimestamp(new Date()));
+    return { success: true, response };
+  } catch (err) {
+    insert.run(channel.id, 'failed', null, err.message, null);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Puts a failed delivery back in the queue with a fresh set of attempts.
+ *
+ * @param {number} deliveryId
+ * @returns {boolean} False when the delivery does not exist or cannot be retried
+ */
+function retryDelivery(deliveryId) {
+  const db = getDb();
+  const info = db.prepare(`
+    UPDATE notification_deliveries
+    SET status = 'pending', attempts = 0, next_attempt_at = datetime('now')
+    WHERE id = ? AND status = 'failed' AND event != 'test'
+  `).run(deliveryId);
+
+  if (info.changes === 0) return false;
+  setImmediate(processQueue);
+  return true;
+}
+
+/**
+ * Queues the escalations and repeat notifications that are due, then sends
+ * the queue.
+ */
+function runTimer() {
+  try {
+    escalation.processEscalations();
+  } catch (err) {
+    console.error(`[notifier] Escalation pass failed: ${err.message}`);
+  }
+  processQueue();
+}
+
+/**
+ * Starts the retry and escalation timer. Deliveries left pending by a
+ * restart are sent on the first pass.
+ */
+function start() {
+  if (queueTimer) return;
+
+  queueTimer = setInterval(runTimer, QUEUE_INTERVAL_MS);
+  if (queueTimer.unref) {
+    queueTimer.unref();
+  }
+  setImmediate(runTimer);
+
+  console.log('[notifier] Notification delivery queue started.');
+}
+
+/**
+ * Stops the retry and escalation timer.
+ */
+function stop() {
+  clearInterval(queueTimer);
+  queueTimer = null;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  notifyAlert,
+  sendTest,
+  retryDelivery,
+  processQueue,
+  start,
+  stop,
+};
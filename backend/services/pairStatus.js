@@ -0,0 +1,153 @@
+const { getDb } = require('../models/database');
+
+/**
+ * Pair Status Tracking
+ *
+ * Every poll reads the P-VOL and S-VOL status of each UR pair. This module
+ * compares them with the statuses stored for the pair on the previous poll
+ * (volume_history) and records each change in pair_status_events, so a
+ * consistency group's suspensions, errors and recoveries can be shown as a
+ * timeline. It also classifies statuses into alert conditions; the alerts
+ * themselves are raised by the poller.
+ */
+
+// Hitachi UR pair statuses that raise an alert, by severity
+const ERROR_STATUSES = ['PSUE', 'SSUE', 'PFUS', 'SFUS'];
+const SUSPENDED_STATUSES = ['PSUS', 'SSUS', 'SSWS', 'PFUL', 'SFUL'];
+
+// Alert type raised per pair condition
+const PAIR_ALERT_TYPES = {
+  critical: 'pair_error',
+  warning: 'pair_suspended',
+};
+
+/**
+ * Classifies a pair status.
+ *
+ * @param {string|null} status - P-VOL or S-VOL status from the API
+ * @returns {'critical'|'warning'|'info'}
+ */
+function classifyStatus(status) {
+  if (ERROR_STATUSES.includes(status)) return 'critical';
+  if (SUSPENDED_STATUSES.includes(status)) return 'warning';
+  return 'info';
+}
+
+/**
+ * Returns the statuses stored for a pair on its most recent earlier poll.
+ *
+ * @param {string} storageDeviceId - Storage the pair was read from
+ * @param {Object} pair - UR pair from the API
+ * @returns {{ pvol_status: string|null, svol_status: string|null }|undefined}
+ */
+function getPreviousStatus(storageDeviceId, pair) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT pvol_status, svol_status FROM volume_history
+    WHERE source_storage_id = ? AND pvol_ldev_id = ? AND svol_ldev_id IS ? AND cg_id = ?
+    ORDER BY id DESC LIMIT 1
+  `).get(storageDeviceId, pair.pvolLdevId ?? null, pair.svolLdevId ?? null, pair.consistencyGroupId);
+}
+
+/**
+ * Records the P-VOL/S-VOL status changes of a pair since its previous poll.
+ * Must run before this poll's volume_history row is stored. A pair seen for
+ * the first time has no previous state and records nothing.
+ *
+ * @param {string} storageDeviceId - Storage the pair was read from
+ * @param {Object} pair - UR pair from the API, with remoteStorageId resolved
+ * @param {number|null} snapshotId - Poll snapshot ID of this cycle
+ * @returns {Array<Object>} The recorded transitions
+ */
+function recordTransitions(storageDeviceId, pair, snapshotId) {
+  const previous = getPreviousStatus(storageDeviceId, pair);
+  if (!previous) return [];
+
+  const db = getDb();
+  const insert = db.prepare(`
+    INSERT INTO pair_status_events
+      (cg_id, storage_device_id, remote_storage_id, pvol_ldev_id, svol_ldev_id,
+       volume, from_status, to_status, severity, poll_snapshot_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const transitions = [];
+  const sides = [
+    ['pvol', previous.pvol_status, pair.pvolStatus || null],
+    ['svol', previous.svol_status, pair.svolStatus || null],
+  ];
+  for (const [volume, fromStatus, toStatus] of sides) {
+    // A side the API stopped reporting is not a transition
+    if (!toStatus || fromStatus === toStatus) continue;
+
+    const transition = {
+      cgId: pair.consistencyGroupId,
+      pvolLdevId: pair.pvolLdevId ?? null,
+      svolLdevId: pair.svolLdevId ?? null,
+      volume,
+      fromStatus,
+      toStatus,
+      severity: classifyStatus(toStatus),
+    };
+    insert.run(
+      transition.cgId, storageDeviceId, pair.remoteStorageId || null,
+      transition.pvolLdevId, transition.svolLdevId, volume,
+      fromStatus, toStatus, transition.severity, snapshotId
+    );
+    transitions.push(transition);
+
+    console.log(
+      `[pairStatus] CG-${transition.cgId} pair ${transition.pvolLdevId}->${transition.svolLdevId} ` +
+      `${volume.toUpperCase()}: ${fromStatus || '-'} -> ${toStatus}`
+    );
+  }
+  return transitions;
+}
+
+/**
+ * Returns the alert condition of a pair: the worse of its P-VOL and S-VOL
+ * status, or null when neither side is suspended or in error.
+ *
+ * @param {Object} pair - UR pair from the API
+ * @returns {{ alertType: string, severity: string, status: string }|null}
+ */
+function getAlertCondition(pair) {
+  let worst = null;
+  for (const status of [pair.pvolStatus, pair.svolStatus]) {
+    const severity = classifyStatus(status);
+    if (severity === 'info') continue;
+    if (!worst || (severity === 'critical' && worst.severity !== 'critical')) {
+      worst = { alertType: PAIR_ALERT_TYPES[severity], severity, status };
+    }
+  }
+  return worst;
+}
+
+/**
+ * Lists a consistency group's pair status events, newest first.
+ *
+ * @param {number} cgId
+ * @param {{ since?: string, limit?: number }} [options] - since is a
+ *   datetime('now', ...) modifier
+ * @returns {Array<Object>}
+ */
+function listEvents(cgId, { since = null, limit = 100 } = {}) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT id, cg_id, storage_device_id, remote_storage_id, pvol_ldev_id, svol_ldev_id,
+           volume, from_status, to_status, severity, poll_snapshot_id, created_at
+    FROM pair_status_events
+    WHERE cg_id = ?
+      AND (? IS NULL OR created_at >= datetime('now', ?))
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `).all(cgId, since, since, limit);
+}
+
+module.exports = {
+  PAIR_ALERT_TYPES,
+  classifyStatus,
+  recordTransitions,
+  getAlertCondition,
+  listEvents,
+};
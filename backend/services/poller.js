@@ -1,9 +1,14 @@
-const cron = require('node-cron');
 const { getDb } = require('../models/database');
 const hitachiApi = require('./hitachiApi');
 const sessionManager = require('./sessionManager');
 const rpoCalculator = require('./rpoCalculator');
 const discovery = require('./discovery');
+const pairStatus = require('./pairStatus');
+const collectorHealth = require('./collectorHealth');
+const notifier = require('./notifier');
+const maintenance = require('./maintenance');
+const alertRules = require('./alertRules');
+const alertEvents = require('./alertEvents');
 
 /**
  * Background Polling Service
@@ -16,10 +21,80 @@ const discovery = require('./discovery');
  * If one storage fails, the others continue to be polled.
  */
 
-let cronJob = null;
+// Number of earlier qMarker samples used to estimate the time-based lag
+const MARKER_HISTORY_SAMPLES = 60;
+
+// Ranged LDEV collection: max LDEVs per /ldevs request, and the largest gap
+// between two wanted IDs that is still read as part of the same range
+const LDEV_PAGE_SIZE = 1000;
+const LDEV_RANGE_MAX_GAP = 64;
+
+// Concurrency defaults, overridable through the settings table
+const DEFAULT_POLL_CONCURRENCY = 4;
+const DEFAULT_STORAGE_CONCURRENCY = 4;
+const DEFAULT_STORAGE_TIMEOUT_SECONDS = 120;
+
+// Scheduler state: one timer armed for the earliest due poll target
+const MIN_POLL_INTERVAL_SECONDS = 5;
+const DEFAULT_POLL_INTERVAL_SECONDS = 300;
+const MAX_SCHEDULER_SLEEP_MS = 60 * 1000;
+const DUE_TOLERANCE_MS = 500;
+
+// Incident cadence: storages with a degraded CG are polled faster until the
+// group has been normal for the cooldown period
+const DEFAULT_INCIDENT_INTERVAL_SECONDS = 30;
+const DEFAULT_INCIDENT_COOLDOWN_MINUTES = 15;
+const TREND_SAMPLES = 6;
+const RECENT_CADENCE_EVENTS = 20;
+
+// storageDeviceId → { cadence, since, lastDegradedAt, degraded }
+const cadenceState = new Map();
+
+// Alert lifecycle: an alert resolves once its condition has been clear for
+// this many consecutive polls of the storage that last reported it
+const DEFAULT_AUTO_RESOLVE_POLLS = 3;
+const THRESHOLD_ALERT_TYPES = [
+  'usage_rate_warning', 'usage_rate_critical',
+  'rpo_seconds_warning', 'rpo_seconds_critical',
+  'lag_seconds_warning', 'lag_seconds_critical',
+  'rpo_sla_breach',
+  'journal_status_error',
+];
+
+// Time-based RPO thresholds when none are configured (same as /api/alerts/thresholds)
+const DEFAULT_RPO_WARNING_SECONDS = 3600;
+const DEFAULT_RPO_CRITICAL_SECONDS = 7200;
+
+let schedulerActive = false;
+let schedulerTimer = null;
+// target key → { dueAt, intervalSeconds }
+const scheduleState = new Map();
+
 let isPolling = false;
 let lastPollTime = null;
 let lastPollError = null;
+let lastRunId = null;
+let lastCycleApiCalls = null;
+// storageDeviceId → timing of that storage's most recent poll
+const storageTimings = new Map();
+
+// Promise of the cycle currently in flight, so shutdown can wait for it to drain
+let currentCycle = null;
+
+// Supervisor state: keeps the scheduler alive and restarts it after crashes
+const SUPERVISOR_CHECK_INTERVAL_MS = 30000;
+const BASE_RESTART_DELAY_MS = 5000;
+const MAX_RESTART_DELAY_MS = 5 * 60 * 1000;
+const DEFAULT_DRAIN_TIMEOUT_MS = 5000;
+
+let supervisorActive = false;
+let supervisorTimer = null;
+let isShuttingDown = false;
+let restartCount = 0;
+let consecutiveCrashes = 0;
+let lastCrashTime = null;
+let lastCrashError = null;
+let nextRestartAt = null;
 
 /**
  * Retrieves the Ops Center API configuration from the database.
@@ -55,14 +130,155 @@ function getSetting(key) {
 }
 
 /**
- * Returns the configured RPO alert thresholds.
+ * Returns the configured RPO alert thresholds: usage rate in percent and
+ * time-based RPO (estimated RPO and lag) in seconds.
  *
- * @returns {{ warningPercent: number, criticalPercent: number }}
+ * @returns {{ warningPercent: number, criticalPercent: number,
+ *             warningSeconds: number, criticalSeconds: number }}
  */
 function getThresholds() {
   const warning = parseInt(getSetting('rpo_threshold_warning_percent') || '5', 10);
   const critical = parseInt(getSetting('rpo_threshold_critical_percent') || '20', 10);
-  return { warningPercent: warning, criticalPercent: critical };
+  const warningSeconds = parseFloat(getSetting('rpo_threshold_warning_seconds')) || DEFAULT_RPO_WARNING_SECONDS;
+  const criticalSeconds = parseFloat(getSetting('rpo_threshold_critical_seconds')) || DEFAULT_RPO_CRITICAL_SECONDS;
+  return { warningPercent: warning, criticalPercent: critical, warningSeconds, criticalSeconds };
+}
+
+/**
+ * Loads the per-group threshold overrides and SLA targets, keyed by CG ID.
+ * Only groups with at least one override are included.
+ *
+ * @returns {Map<number, Object>}
+ */
+function getGroupThresholdOverrides() {
+  const db = getDb();
+  const rows = db.prepare(
+    `SELECT cg_id, usage_rate_warning, usage_rate_critical,
+            rpo_seconds_warning, rpo_seconds_critical, target_rpo_seconds
+     FROM consistency_groups
+     WHERE usage_rate_warning IS NOT NULL OR usage_rate_critical IS NOT NULL
+        OR rpo_seconds_warning IS NOT NULL OR rpo_seconds_critical IS NOT NULL
+        OR target_rpo_seconds IS NOT NULL`
+  ).all();
+
+  const overrides = new Map();
+  for (const row of rows) {
+    if (!overrides.has(row.cg_id)) overrides.set(row.cg_id, row);
+  }
+  return overrides;
+}
+
+/**
+ * Returns the effective thresholds for one group: its overrides where set,
+ * the global thresholds otherwise, plus its target RPO (SLA).
+ *
+ * @param {Object} thresholds - From getThresholds()
+ * @param {Object} [override] - Entry from getGroupThresholdOverrides()
+ * @returns {Object} getThresholds() shape plus targetRpoSeconds (null when unset)
+ */
+function applyGroupOverrides(thresholds, override) {
+  if (!override) return { ...thresholds, targetRpoSeconds: null };
+
+  const pick = (value, fallback) => (value !== null && value !== undefined ? value : fallback);
+  return {
+    warningPercent: pick(override.usage_rate_warning, thresholds.warningPercent),
+    criticalPercent: pick(override.usage_rate_critical, thresholds.criticalPercent),
+    warningSeconds: pick(override.rpo_seconds_warning, thresholds.warningSeconds),
+    criticalSeconds: pick(override.rpo_seconds_critical, thresholds.criticalSeconds),
+    targetRpoSeconds: pick(override.target_rpo_seconds, null),
+  };
+}
+
+/**
+ * Returns the achieved RPO of a sample when it breaches the group's SLA:
+ * the measured lag when known, the estimated RPO otherwise.
+ *
+ * @param {Object} rpoData - Journal sample with estimatedRpoSeconds and lagSeconds
+ * @param {{ targetRpoSeconds: number|null }} thresholds
+ * @returns {number|null} Achieved RPO in seconds, or null when within SLA or unknown
+ */
+function getSlaBreach(rpoData, thresholds) {
+  if (!thresholds.targetRpoSeconds) return null;
+
+  const achieved = rpoData.lagSeconds !== null && rpoData.lagSeconds !== undefined
+    ? rpoData.lagSeconds
+    : rpoData.estimatedRpoSeconds;
+  if (achieved === null || achieved === undefined) return null;
+  return achieved > thresholds.targetRpoSeconds ? achieved : null;
+}
+
+/**
+ * Compares a time-based RPO value with the seconds thresholds.
+ *
+ * @param {number|null} seconds - Estimated RPO or lag; null when unknown
+ * @param {{ warningSeconds: number, criticalSeconds: number }} thresholds
+ * @returns {'critical'|'warning'|null}
+ */
+function getSecondsSeverity(seconds, thresholds) {
+  if (seconds === null || seconds === undefined) return null;
+  if (seconds >= thresholds.criticalSeconds) return 'critical';
+  if (seconds >= thresholds.warningSeconds) return 'warning';
+  return null;
+}
+
+/**
+ * Returns the configured poll concurrency limits. The per-storage request
+ * limit never exceeds the number of sessions a storage accepts.
+ *
+ * @returns {{ pollConcurrency: number, storageConcurrency: number, storageTimeoutMs: number }}
+ */
+function getConcurrencySettings() {
+  const readInt = (key, fallback) => {
+    const value = parseInt(getSetting(key), 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+  };
+
+  return {
+    pollConcurrency: readInt('poll_concurrency', DEFAULT_POLL_CONCURRENCY),
+    storageConcurrency: Math.min(
+      readInt('poll_storage_concurrency', DEFAULT_STORAGE_CONCURRENCY),
+      sessionManager.MAX_SESSIONS_PER_STORAGE
+    ),
+    storageTimeoutMs: readInt('poll_storage_timeout_seconds', DEFAULT_STORAGE_TIMEOUT_SECONDS) * 1000,
+  };
+}
+
+/**
+ * Parses a polling interval in seconds, enforcing the minimum.
+ *
+ * @param {any} value
+ * @returns {number|null} null when the value is not set or not a number
+ */
+function parseIntervalSeconds(value) {
+  const seconds = parseInt(value, 10);
+  if (!Number.isFinite(seconds) || seconds <= 0) return null;
+  return Math.max(MIN_POLL_INTERVAL_SECONDS, seconds);
+}
+
+/**
+ * Returns the global polling interval in seconds.
+ *
+ * @returns {number}
+ */
+function getGlobalIntervalSeconds() {
+  return parseIntervalSeconds(getSetting('polling_interval_seconds')) || DEFAULT_POLL_INTERVAL_SECONDS;
+}
+
+/**
+ * Returns the incident cadence settings.
+ *
+ * @returns {{ intervalSeconds: number, cooldownMs: number }}
+ */
+function getIncidentSettings() {
+  const cooldownMinutes = parseFloat(getSetting('incident_cooldown_minutes'));
+
+  return {
+    intervalSeconds: parseIntervalSeconds(getSetting('incident_poll_interval_seconds'))
+      || DEFAULT_INCIDENT_INTERVAL_SECONDS,
+    cooldownMs: (Number.isFinite(cooldownMinutes) && cooldownMinutes >= 0
+      ? cooldownMinutes
+      : DEFAULT_INCIDENT_COOLDOWN_MINUTES) * 60 * 1000,
+  };
 }
 
 /**
@@ -96,69 +312,390 @@ function getMonitoredGroups() {
  */
 function storeRpoDataPoint(data) {
   const db = getDb();
-  db.prepare(`
+  const info = db.prepare(`
     INSERT INTO rpo_history
       (cg_id, journal_id, mu_number, usage_rate, q_count, q_marker,
        pending_data_bytes, estimated_rpo_seconds, block_delta_bytes,
-       copy_speed, journal_status, pair_status)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       copy_speed, journal_status, pair_status,
+       q_marker_delta, dr_journal_id, dr_q_marker, lag_seconds, poll_snapshot_id,
+       storage_device_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     data.cgId,
-    data.journalId || null,
-    data.muNumber || null,
-    data.usageRate || null,
-    data.qCount || null,
-    data.qMarker || null,
-    data.pendingDataBytes || null,
-    data.estimatedRpoSeconds || null,
-    data.blockDeltaBytes || null,
-    data.copySpeed || null,
+    data.journalId ?? null,
+    data.muNumber ?? null,
+    data.usageRate ?? null,
+    data.qCount ?? null,
+    data.qMarker ?? null,
+    data.pendingDataBytes ?? null,
+    data.estimatedRpoSeconds ?? null,
+    data.blockDeltaBytes ?? null,
+    data.copySpeed ?? null,
     data.journalStatus || null,
-    data.pairStatus || null
+    data.pairStatus || null,
+    data.qMarkerDelta ?? null,
+    data.drJournalId ?? null,
+    data.drQMarker ?? null,
+    data.lagSeconds ?? null,
+    data.snapshotId ?? null,
+    data.storageDeviceId || null
+  );
+  return Number(info.lastInsertRowid);
+}
+
+/**
+ * Stores the block allocation delta of a single P-VOL/S-VOL pair.
+ *
+ * @param {Object} data
+ */
+function storeVolumeDataPoint(data) {
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO volume_history
+      (cg_id, source_storage_id, target_storage_id, journal_id,
+       pvol_ldev_id, svol_ldev_id, pvol_used_blocks, svol_used_blocks,
+       block_delta_bytes, pvol_status, svol_status, poll_snapshot_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    data.cgId,
+    data.sourceStorageId,
+    data.targetStorageId ?? null,
+    data.journalId ?? null,
+    data.pvolLdevId ?? null,
+    data.svolLdevId ?? null,
+    data.pvolUsedBlocks ?? null,
+    data.svolUsedBlocks ?? null,
+    data.blockDeltaBytes ?? null,
+    data.pvolStatus || null,
+    data.svolStatus || null,
+    data.snapshotId ?? null
+  );
+}
+
+/**
+ * Returns the remote (S-VOL side) storage recorded by discovery for each
+ * P-VOL of a storage. Used when a pair record lacks remoteStorageDeviceId.
+ *
+ * @param {string} storageDeviceId
+ * @returns {Map<number, string>} P-VOL LDEV ID → remote storage device ID
+ */
+function getRemoteStorageByPvol(storageDeviceId) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT pvol_ldev_id, target_storage_id FROM cg_volumes
+    WHERE source_storage_id = ? AND pvol_ldev_id IS NOT NULL AND target_storage_id IS NOT NULL
+  `).all(storageDeviceId);
+
+  return new Map(rows.map((row) => [row.pvol_ldev_id, row.target_storage_id]));
+}
+
+/**
+ * Picks the pair status to show for a journal: the first status other than
+ * PAIR if any pair deviates, otherwise PAIR.
+ *
+ * @param {Array<string>} statuses
+ * @returns {string|null}
+ */
+function summarizePairStatus(statuses) {
+  const known = statuses.filter(Boolean);
+  return known.find((status) => status !== 'PAIR') || known[0] || null;
+}
+
+/**
+ * Returns earlier qMarker samples of a paired master journal, oldest first,
+ * for the time-based lag calculation.
+ *
+ * @param {number} cgId
+ * @param {number} journalId - Master journal ID
+ * @param {number} drJournalId - Paired restore journal ID
+ * @returns {Array<{ timestampMs: number, qMarker: string }>}
+ */
+function getMarkerHistory(cgId, journalId, drJournalId) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT q_marker, timestamp FROM rpo_history
+    WHERE cg_id = ? AND journal_id = ? AND dr_journal_id = ? AND q_marker IS NOT NULL
+    ORDER BY id DESC LIMIT ?
+  `).all(cgId, journalId, drJournalId, MARKER_HISTORY_SAMPLES);
+
+  // rpo_history timestamps are UTC 'YYYY-MM-DD HH:MM:SS'
+  return rows.reverse().map((row) => ({
+    timestampMs: Date.parse(row.timestamp.replace(' ', 'T') + 'Z'),
+    qMarker: row.q_marker,
+  }));
+}
+
+/**
+ * Returns the master → restore journal pairing discovered for a storage,
+ * built from the pvol/svol journal IDs and remote storage recorded in
+ * cg_volumes. Keyed by `${cgId}:${pvolJournalId}`.
+ *
+ * @param {string} storageDeviceId - Master (P-VOL side) storage
+ * @returns {Map<string, { drStorageId: string, drJournalId: number }>}
+ */
+function getJournalPairings(storageDeviceId) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT DISTINCT cg_id, pvol_journal_id, svol_journal_id, target_storage_id
+    FROM cg_volumes
+    WHERE source_storage_id = ?
+      AND pvol_journal_id IS NOT NULL
+      AND svol_journal_id IS NOT NULL
+      AND target_storage_id IS NOT NULL
+      AND target_storage_id != source_storage_id
+  `).all(storageDeviceId);
+
+  const pairings = new Map();
+  for (const row of rows) {
+    pairings.set(`${row.cg_id}:${row.pvol_journal_id}`, {
+      drStorageId: row.target_storage_id,
+      drJournalId: row.svol_journal_id,
+    });
+  }
+  return pairings;
+}
+
+/**
+ * Queries the journals of every DR storage referenced by the pairings, using
+ * that storage's own session. The DR cache is refreshed first so the restore
+ * journal qMarker is sampled as close as possible to the master's.
+ *
+ * A DR storage that cannot be reached is skipped; the master journals are
+ * then stored without a qMarker delta.
+ *
+ * @param {Map<string, Object>} pairings - From getJournalPairings
+ * @param {Object} apiConfig
+ * @param {Object} cycle - From createCycleContext
+ * @param {AbortSignal} [signal] - Cancels the requests (master storage poll timeout)
+ * @returns {Promise<Map<string, Array<Object>>>} DR storage ID → journal list
+ */
+async function fetchDrJournals(pairings, apiConfig, cycle, signal = null) {
+  const drStorageIds = [...new Set([...pairings.values()].map((p) => p.drStorageId))];
+  const drJournals = new Map();
+  const errors = [];
+
+  await Promise.all(drStorageIds.map(async (drStorageId) => {
+    try {
+      const session = await sessionManager.getSession(drStorageId);
+
+      try {
+        await callStorage(cycle, drStorageId, () =>
+          hitachiApi.refreshCache(
+            apiConfig.host, apiConfig.port, apiConfig.useSsl,
+            drStorageId, session.token, apiConfig.acceptSelfSigned, signal
+          ), signal
+        );
+      } catch (err) {
+        console.warn(`[poller] Cache refresh failed for DR storage ${drStorageId}: ${err.message}`);
+      }
+
+      const result = await callStorage(cycle, drStorageId, () =>
+        hitachiApi.getJournals(
+          apiConfig.host, apiConfig.port, apiConfig.useSsl,
+          drStorageId, session.token, 'basic', apiConfig.acceptSelfSigned, signal
+        ), signal
+      );
+      const list = result.data || result || [];
+      drJournals.set(drStorageId, Array.isArray(list) ? list : []);
+    } catch (err) {
+      console.warn(`[poller] Failed to query DR journals on ${drStorageId}: ${err.message}`);
+      errors.push(`${drStorageId}: ${err.message}`);
+    }
+  }));
+
+  if (errors.length > 0 && drJournals.size === 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  return drJournals;
+}
+
+/**
+ * Finds the restore journal on the DR side that pairs with a master journal.
+ * A journal ID can appear once per mirror unit, so the entry in the same
+ * consistency group is preferred.
+ *
+ * @param {Array<Object>|undefined} drJournalList
+ * @param {number} drJournalId
+ * @param {number} cgId
+ * @returns {Object|null}
+ */
+function findRestoreJournal(drJournalList, drJournalId, cgId) {
+  if (!drJournalList) return null;
+
+  const candidates = drJournalList.filter(
+    (j) => j.journalId === drJournalId && j.journalStatus !== 'SMPL'
   );
+  return candidates.find((j) => j.consistencyGroupId === cgId) || candidates[0] || null;
 }
 
 /**
- * Creates an alert record when a threshold is breached.
+ * Creates an alert record when a threshold is breached. While an alert for
+ * the same condition is still open or acknowledged, it is refreshed instead:
+ * its clear-poll count resets and it is attributed to the reporting storage.
  *
  * @param {number} cgId - Consistency group ID
  * @param {string} alertType - Type of alert (e.g., 'usage_rate_warning', 'journal_error')
  * @param {string} severity - 'warning' | 'critical' | 'info'
  * @param {string} message - Human-readable alert message
+ * @param {string|null} [storageDeviceId=null] - Storage whose data raised the alert
  */
-function createAlert(cgId, alertType, severity, message) {
+function createAlert(cgId, alertType, severity, message, storageDeviceId = null) {
   const db = getDb();
 
-  // Check if an identical unacknowledged alert already exists to avoid duplicates
+  // Check if an identical unresolved alert already exists to avoid duplicates
   const existing = db.prepare(`
-    SELECT id FROM alerts
-    WHERE cg_id = ? AND alert_type = ? AND severity = ? AND is_acknowledged = 0
+    SELECT id, suppressed FROM alerts
+    WHERE cg_id = ? AND alert_type = ? AND severity = ? AND status != 'resolved'
     ORDER BY created_at DESC LIMIT 1
   `).get(cgId, alertType, severity);
 
-  if (!existing) {
+  const suppression = maintenance.findSuppression({ cgId, alertType, storageDeviceId });
+
+  if (existing) {
     db.prepare(`
-      INSERT INTO alerts (cg_id, alert_type, severity, message)
-      VALUES (?, ?, ?, ?)
-    `).run(cgId, alertType, severity, message);
+      UPDATE alerts
+      SET last_seen_at = datetime('now'),
+          clear_poll_count = 0,
+          storage_device_id = COALESCE(?, storage_device_id)
+      WHERE id = ?
+    `).run(storageDeviceId, existing.id);
+
+    // The window or silence ended while the condition persists: notify now
+    if (existing.suppressed && !suppression) {
+      db.prepare('UPDATE alerts SET suppressed = 0 WHERE id = ?').run(existing.id);
+      alertEvents.recordAlertEvent(existing.id, 'unsuppressed');
+      console.log(`[poller] Alert ${existing.id} no longer suppressed: [${severity}] CG-${cgId}: ${message}`);
+      notifier.notifyAlert(existing.id);
+    }
+    return;
+  }
+
+  const info = db.prepare(`
+    INSERT INTO alerts
+      (cg_id, alert_type, severity, message, storage_device_id, last_seen_at, suppressed, suppression_reason)
+    VALUES (?, ?, ?, ?, ?, datetime('now'), ?, ?)
+  `).run(cgId, alertType, severity, message, storageDeviceId, suppression ? 1 : 0, suppression);
+  alertEvents.recordAlertEvent(Number(info.lastInsertRowid), 'created', {
+    details: suppression ? { suppression_reason: suppression } : null,
+  });
+
+  console.log(
+    `[poller] Alert created: [${severity}] CG-${cgId}: ${message}` +
+    (suppression ? ` (suppressed - ${suppression})` : '')
+  );
+  notifier.notifyAlert(Number(info.lastInsertRowid));
+}
+
+/**
+ * Returns how many consecutive clear polls resolve an alert.
+ *
+ * @returns {number}
+ */
+function getAutoResolvePolls() {
+  const polls = parseInt(getSetting('alert_auto_resolve_polls'), 10);
+  return Number.isFinite(polls) && polls > 0 ? polls : DEFAULT_AUTO_RESOLVE_POLLS;
+}
+
+/**
+ * Counts a clear poll against every unresolved alert whose condition was
+ * evaluated by this storage poll but no longer holds, and resolves those
+ * that have been clear for `alert_auto_resolve_polls` polls in a row.
+ *
+ * Only alerts last reported by this storage (or legacy alerts without one)
+ * are counted, so a healthy DR journal cannot resolve an alert that the
+ * master journal keeps raising.
+ *
+ * @param {string} storageDeviceId - Storage that was polled
+ * @param {Set<number>} evaluatedCgIds - CGs whose conditions were evaluated
+ * @param {Array<string>} alertTypes - Alert types the evaluation covers
+ * @param {Set<string>} activeKeys - `${cgId}:${alertType}` conditions still present
+ * @returns {number} Number of alerts resolved
+ */
+function resolveClearedAlerts(storageDeviceId, evaluatedCgIds, alertTypes, activeKeys) {
+  if (evaluatedCgIds.size === 0) return 0;
+
+  const db = getDb();
+  const requiredPolls = getAutoResolvePolls();
+
+  const candidates = db.prepare(`
+    SELECT id, cg_id, alert_type, severity, clear_poll_count FROM alerts
+    WHERE status != 'resolved'
+      AND alert_type IN (${alertTypes.map(() => '?').join(', ')})
+      AND (storage_device_id = ? OR storage_device_id IS NULL)
+  `).all(...alertTypes, storageDeviceId);
+
+  const countClear = db.prepare('UPDATE alerts SET clear_poll_count = ? WHERE id = ?');
+  const resolve = db.prepare(`
+    UPDATE alerts
+    SET status = 'resolved', resolved_at = datetime('now'), resolved_by = NULL, clear_poll_count = ?
+    WHERE id = ?
+  `);
+
+  let resolved = 0;
+  for (const alert of candidates) {
+    if (!evaluatedCgIds.has(alert.cg_id) || activeKeys.has(`${alert.cg_id}:${alert.alert_type}`)) {
+      continue;
+    }
+
+    const clearPolls = alert.clear_poll_count + 1;
+    if (clearPolls >= requiredPolls) {
+      resolve.run(clearPolls, alert.id);
+      alertEvents.recordAlertEvent(alert.id, 'resolved', { details: { clear_polls: clearPolls } });
+      resolved++;
+      console.log(
+        `[poller] Alert ${alert.id} resolved: [${alert.severity}] CG-${alert.cg_id} ${alert.alert_type} ` +
+        `clear for ${clearPolls} poll(s).`
+      );
+    } else {
+      countClear.run(clearPolls, alert.id);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Evaluates the user-defined alert rules against the history written by
+ * this cycle, raising an alert per matching rule and group and counting a
+ * clear poll against the rule alerts that no longer match.
+ *
+ * @param {number} snapshotId - Poll snapshot ID of the cycle
+ */
+function evaluateAlertRules(snapshotId) {
+  const { evaluatedCgIds, alertTypes, matches } = alertRules.evaluateSnapshot(snapshotId);
+  if (alertTypes.length === 0) return;
 
-    console.log(`[poller] Alert created: [${severity}] CG-${cgId}: ${message}`);
+  const activeKeys = new Set();
+  for (const match of matches) {
+    activeKeys.add(`${match.cgId}:${match.alertType}`);
+    createAlert(match.cgId, match.alertType, match.severity, match.message);
   }
+  resolveClearedAlerts(null, evaluatedCgIds, alertTypes, activeKeys);
 }
 
 /**
- * Checks RPO thresholds and creates alerts when breached.
+ * Checks RPO thresholds and creates alerts when breached: usage rate,
+ * estimated RPO seconds, lag seconds (when a DR marker was available), the
+ * group's target RPO and journal error states.
  *
- * @param {Object} rpoData - Calculated RPO metrics from rpoCalculator
+ * @param {Object} rpoData - Calculated RPO metrics from rpoCalculator, plus
+ *   lagSeconds from the qMarker progression (null when unknown)
+ * @param {string|null} storageDeviceId - Storage the journal was read from
+ * @param {Object} thresholds - Effective group thresholds (applyGroupOverrides)
+ * @returns {Array<string>} Alert types whose condition holds for this journal
  */
-function checkThresholds(rpoData) {
-  const thresholds = getThresholds();
+function checkThresholds(rpoData, storageDeviceId, thresholds) {
   const cgId = rpoData.consistencyGroupId;
+  const active = [];
+
+  const raise = (alertType, severity, message) => {
+    active.push(alertType);
+    createAlert(cgId, alertType, severity, message, storageDeviceId);
+  };
 
   // Check usageRate thresholds
   if (rpoData.usageRate >= thresholds.criticalPercent) {
-    createAlert(
-      cgId,
+    raise(
       'usage_rate_critical',
       'critical',
       `Journal kullanim orani kritik seviyede: %${rpoData.usageRate} ` +
@@ -166,8 +703,7 @@ function checkThresholds(rpoData) {
       `Journal ID: ${rpoData.journalId}, Bekleyen veri: ${rpoCalculator.formatBytes(rpoData.pendingDataBytes)}`
     );
   } else if (rpoData.usageRate >= thresholds.warningPercent) {
-    createAlert(
-      cgId,
+    raise(
       'usage_rate_warning',
       'warning',
       `Journal kullanim orani uyari seviyesinde: %${rpoData.usageRate} ` +
@@ -176,97 +712,456 @@ function checkThresholds(rpoData) {
     );
   }
 
+  // Check time-based RPO thresholds
+  const secondsChecks = [
+    ['rpo_seconds', rpoData.estimatedRpoSeconds, 'Tahmini RPO suresi'],
+    ['lag_seconds', rpoData.lagSeconds, 'Replikasyon gecikmesi (lag)'],
+  ];
+  for (const [prefix, seconds, label] of secondsChecks) {
+    const severity = getSecondsSeverity(seconds, thresholds);
+    if (!severity) continue;
+
+    const limit = severity === 'critical' ? thresholds.criticalSeconds : thresholds.warningSeconds;
+    raise(
+      `${prefix}_${severity}`,
+      severity,
+      `${label} ${severity === 'critical' ? 'kritik' : 'uyari'} seviyesinde: ` +
+      `${rpoCalculator.formatDuration(seconds)} (Esik: ${rpoCalculator.formatDuration(limit)}). ` +
+      `Journal ID: ${rpoData.journalId}`
+    );
+  }
+
+  // Check the group's target RPO (SLA)
+  const achievedRpo = getSlaBreach(rpoData, thresholds);
+  if (achievedRpo !== null) {
+    raise(
+      'rpo_sla_breach',
+      'critical',
+      `RPO hedefi (SLA) asildi: ${rpoCalculator.formatDuration(achievedRpo)} ` +
+      `(Hedef: ${rpoCalculator.formatDuration(thresholds.targetRpoSeconds)}). ` +
+      `Journal ID: ${rpoData.journalId}`
+    );
+  }
+
   // Check journal status for error conditions
   const errorStatuses = ['PJNF', 'SJNF', 'PJSF', 'SJSF', 'PJSE', 'SJSE', 'PJES', 'SJES'];
   if (rpoData.journalStatus && errorStatuses.includes(rpoData.journalStatus)) {
-    createAlert(
-      cgId,
+    raise(
       'journal_status_error',
       'critical',
       `Journal durumu hata: ${rpoData.journalStatus}. ` +
       `Journal ID: ${rpoData.journalId}, MU: ${rpoData.muNumber}`
     );
   }
+
+  return active;
 }
 
 /**
- * Polls a single storage system: refreshes cache, queries journals and pairs,
- * calculates RPO metrics, and stores results.
+ * Creates a limiter that runs at most `limit` async tasks at a time.
+ * Further tasks wait in FIFO order for a free slot.
  *
- * @param {string} storageDeviceId
- * @param {Object} apiConfig
+ * @param {number} limit
+ * @returns {function(Function): Promise<any>} Runs the task once a slot is free
  */
-async function pollStorage(storageDeviceId, apiConfig) {
-  console.log(`[poller] Polling storage ${storageDeviceId}...`);
+function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
 
-  try {
-    // Get session for this storage
-    const session = await sessionManager.getSession(storageDeviceId);
+  const release = () => {
+    active--;
+    if (waiting.length > 0) {
+      waiting.shift()();
+    }
+  };
 
-    // Step 1: Refresh cache
+  return async function runLimited(task) {
+    if (active >= limit) {
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+    active++;
     try {
-      await hitachiApi.refreshCache(
-        apiConfig.host, apiConfig.port, apiConfig.useSsl,
-        storageDeviceId, session.token, apiConfig.acceptSelfSigned
-      );
-    } catch (err) {
-      console.warn(`[poller] Cache refresh failed for ${storageDeviceId}: ${err.message}`);
-      // Continue anyway -- stale data is better than no data
+      return await task();
+    } finally {
+      release();
     }
+  };
+}
 
-    // Step 2: Query journal info (basic and detail)
-    let journalsBasic = { data: [] };
-    let journalsDetail = { data: [] };
+/**
+ * Creates the state shared by all storages within one poll cycle.
+ * ldevCache holds LDEV records keyed by `${storageDeviceId}:${ldevId}`
+ * (null for IDs that were requested but not returned), so an LDEV is read
+ * at most once per cycle even when several storages reference it.
+ * storageLimiters caps the parallel API requests sent to each storage,
+ * including requests made on behalf of another storage's poll (DR journals,
+ * remote S-VOLs).
+ *
+ * snapshotId tags every row the cycle writes, so readers can group one
+ * cycle's rows even when the writes span several seconds.
+ *
+ * @param {number} [storageConcurrency]
+ * @param {number|null} [snapshotId] - poll_runs ID of the cycle
+ * @returns {{ snapshotId: number|null, ldevCache: Map<string, Object|null>, storageConcurrency: number, storageLimiters: Map<string, Function> }}
+ */
+function createCycleContext(storageConcurrency = DEFAULT_STORAGE_CONCURRENCY, snapshotId = null) {
+  return {
+    snapshotId,
+    ldevCache: new Map(),
+    storageConcurrency,
+    storageLimiters: new Map(),
+  };
+}
 
+/**
+ * Runs one API request against a storage within that storage's request limit.
+ * A request still waiting for a slot when `signal` aborts is not sent. A 401
+ * drops the storage's pooled session, so the next poll logs in again instead
+ * of reusing a token the storage no longer accepts.
+ *
+ * @param {Object} cycle - From createCycleContext
+ * @param {string} storageDeviceId
+ * @param {Function} request - Async function issuing the request
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<any>}
+ */
+function callStorage(cycle, storageDeviceId, request, signal = null) {
+  if (!cycle.storageLimiters.has(storageDeviceId)) {
+    cycle.storageLimiters.set(storageDeviceId, createLimiter(cycle.storageConcurrency));
+  }
+  return cycle.storageLimiters.get(storageDeviceId)(async () => {
+    if (signal) signal.throwIfAborted();
     try {
-      const [basicResult, detailResult] = await Promise.all([
-        hitachiApi.getJournals(
-          apiConfig.host, apiConfig.port, apiConfig.useSsl,
-          storageDeviceId, session.token, 'basic', apiConfig.acceptSelfSigned
-        ),
-        hitachiApi.getJournals(
-          apiConfig.host, apiConfig.port, apiConfig.useSsl,
-          storageDeviceId, session.token, 'detail', apiConfig.acceptSelfSigned
-        ),
-      ]);
-      journalsBasic = basicResult;
-      journalsDetail = detailResult;
+      return await request();
     } catch (err) {
-      console.error(`[poller] Failed to query journals for ${storageDeviceId}: ${err.message}`);
-      return; // Cannot calculate RPO without journal data
-    }
-
-    // Build a map of journal detail by journalId for quick lookup
-    const detailMap = new Map();
-    const journalDetailList = journalsDetail.data || journalsDetail || [];
-    if (Array.isArray(journalDetailList)) {
-      for (const detail of journalDetailList) {
-        detailMap.set(detail.journalId, detail);
+      if (err.response && err.response.status === 401) {
+        sessionManager.invalidateSession(storageDeviceId);
       }
+      throw err;
     }
+  });
+}
 
-    // Step 3: Process each journal entry (basic)
-    const journalList = journalsBasic.data || journalsBasic || [];
-    if (!Array.isArray(journalList)) {
-      console.warn(`[poller] Unexpected journal data format for ${storageDeviceId}`);
-      return;
+/**
+ * Groups sorted LDEV IDs into ranges that can each be fetched with one
+ * /ldevs query. Neighbouring IDs are merged while the gap between them is
+ * small, since reading a few unused LDEVs is cheaper than another request.
+ *
+ * @param {Array<number>} ldevIds
+ * @returns {Array<{ head: number, last: number }>}
+ */
+function buildLdevRanges(ldevIds) {
+  const sorted = [...new Set(ldevIds)].sort((a, b) => a - b);
+  const ranges = [];
+
+  for (const id of sorted) {
+    const current = ranges[ranges.length - 1];
+    if (current && id - current.last <= LDEV_RANGE_MAX_GAP && id - current.head < LDEV_PAGE_SIZE) {
+      current.last = id;
+    } else {
+      ranges.push({ head: id, last: id });
     }
+  }
+  return ranges;
+}
 
-    for (const journal of journalList) {
-      // Skip journals that are not in use (SMPL = mirror not configured)
-      if (journal.journalStatus === 'SMPL') {
-        continue;
-      }
+/**
+ * Loads the given LDEVs of one storage into the cycle cache using ranged
+ * /ldevs queries. IDs already cached are not requested again. Ranges are
+ * fetched in parallel within the storage's request limit.
+ *
+ * @param {string} storageDeviceId - Storage that owns the LDEVs
+ * @param {Array<number>} ldevIds
+ * @param {Object} apiConfig
+ * @param {Object} cycle - From createCycleContext
+ * @param {AbortSignal} [signal] - Cancels the requests (polling storage timeout)
+ */
+async function loadLdevs(storageDeviceId, ldevIds, apiConfig, cycle, signal = null) {
+  const { ldevCache } = cycle;
+  const missing = ldevIds.filter((id) => !ldevCache.has(`${storageDeviceId}:${id}`));
+  if (missing.length === 0) return;
 
-      // Get copy speed from detail info
-      const detail = detailMap.get(journal.journalId);
+  const session = await sessionManager.getSession(storageDeviceId);
+
+  await Promise.all(buildLdevRanges(missing).map(async (range) => {
+    let headLdevId = range.head;
+
+    while (headLdevId <= range.last) {
+      const count = Math.min(LDEV_PAGE_SIZE, range.last - headLdevId + 1);
+      const ldevResult = await callStorage(cycle, storageDeviceId, () =>
+        hitachiApi.getLdevs(
+          apiConfig.host, apiConfig.port, apiConfig.useSsl,
+          storageDeviceId, session.token, headLdevId, count, apiConfig.acceptSelfSigned, signal
+        ), signal
+      );
+
+      const ldevs = ldevResult.data || ldevResult || [];
+      if (!Array.isArray(ldevs) || ldevs.length === 0) break;
+
+      for (const ldev of ldevs) {
+        ldevCache.set(`${storageDeviceId}:${ldev.ldevId}`, ldev);
+      }
+
+      // Undefined LDEVs are omitted, so continue after the last one returned
+      const lastLdevId = ldevs[ldevs.length - 1].ldevId;
+      if (typeof lastLdevId !== 'number' || lastLdevId < headLdevId) break;
+      headLdevId = lastLdevId + 1;
+    }
+  }));
+
+  // Remember IDs the storage did not return so they are not queried again
+  for (const id of missing) {
+    const key = `${storageDeviceId}:${id}`;
+    if (!ldevCache.has(key)) {
+      ldevCache.set(key, null);
+    }
+  }
+}
+
+/**
+ * Returns the difference between two hitachiApi call counter snapshots.
+ *
+ * @param {Object} before - From hitachiApi.getCallCounters()
+ * @param {Object} after - From hitachiApi.getCallCounters()
+ * @returns {{ total: number, byOperation: Object<string, number>, byStorage: Object<string, number> }}
+ */
+function diffCallCounters(before, after) {
+  const diffMap = (a, b) => {
+    const out = {};
+    for (const [key, value] of Object.entries(b)) {
+      const delta = value - (a[key] || 0);
+      if (delta > 0) out[key] = delta;
+    }
+    return out;
+  };
+
+  return {
+    total: after.total - before.total,
+    byOperation: diffMap(before.byOperation, after.byOperation),
+    byStorage: diffMap(before.byStorage, after.byStorage),
+  };
+}
+
+/**
+ * Creates an empty per-storage result record for the poll run journal.
+ *
+ * @param {string} storageDeviceId
+ * @returns {Object}
+ */
+function createStorageResult(storageDeviceId) {
+  return {
+    storageDeviceId,
+    status: 'success',
+    durationMs: 0,
+    journalCount: 0,
+    pairCount: 0,
+    steps: {
+      cacheRefresh: { status: 'skipped' },
+      journals: { status: 'skipped' },
+      pairs: { status: 'skipped' },
+      drJournals: { status: 'skipped' },
+      ldevs: { status: 'skipped', succeeded: 0, failed: 0 },
+    },
+    authFailed: false,
+    degraded: [],
+    errors: [],
+  };
+}
+
+/**
+ * Runs one collection step and records its outcome and duration on the
+ * storage result. Errors are recorded and re-thrown to the caller, which
+ * decides whether the step is fatal for the storage.
+ *
+ * @param {Object} result - Per-storage result from createStorageResult
+ * @param {string} stepName - Key in result.steps
+ * @param {Function} fn - Async step implementation
+ * @returns {Promise<any>}
+ */
+async function runStep(result, stepName, fn) {
+  const stepStart = Date.now();
+  try {
+    const value = await fn();
+    result.steps[stepName] = {
+      ...result.steps[stepName],
+      status: 'ok',
+      durationMs: Date.now() - stepStart,
+    };
+    return value;
+  } catch (err) {
+    result.steps[stepName] = {
+      ...result.steps[stepName],
+      status: 'failed',
+      durationMs: Date.now() - stepStart,
+      error: err.message,
+    };
+    result.errors.push(`${stepName}: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Polls a single storage system: refreshes cache, queries journals and pairs,
+ * calculates RPO metrics, and stores results.
+ *
+ * Never throws; failures are reported through the returned result so the
+ * cycle can journal them alongside the storages that succeeded.
+ *
+ * When `signal` is aborted (per-storage timeout) its in-flight API requests
+ * are cancelled, no further step is started and nothing more is written for
+ * this storage.
+ *
+ * @param {string} storageDeviceId
+ * @param {Object} apiConfig
+ * @param {Object} [cycle] - Per-cycle state shared between storages (see createCycleContext)
+ * @param {AbortSignal} [signal]
+ * @param {Set<number>|null} [cgIds] - Store data only for these consistency groups (null = all)
+ * @returns {Promise<Object>} Per-storage result (status, duration, step outcomes, errors)
+ */
+async function pollStorage(
+  storageDeviceId, apiConfig, cycle = createCycleContext(), signal = null, cgIds = null
+) {
+  const scope = cgIds ? ` (CG ${[...cgIds].join(', ')})` : '';
+  console.log(`[poller] Polling storage ${storageDeviceId}${scope}...`);
+
+  const result = createStorageResult(storageDeviceId);
+  result.cgIds = cgIds ? [...cgIds] : null;
+  const inScope = (cgId) => !cgIds || cgIds.has(cgId);
+  const storageStart = Date.now();
+  const step = (stepName, fn) => {
+    if (signal) signal.throwIfAborted();
+    return runStep(result, stepName, fn);
+  };
+  const request = (fn) => callStorage(cycle, storageDeviceId, fn, signal);
+
+  try {
+    // Get session for this storage. Only a rejected login means the stored
+    // credentials are wrong; a 401 on a data call is an expired session
+    // (see callStorage).
+    let session;
+    try {
+      session = await sessionManager.getSession(storageDeviceId);
+    } catch (err) {
+      result.authFailed = collectorHealth.isAuthError(err);
+      throw err;
+    }
+
+    // Step 1: Refresh cache
+    try {
+      await step('cacheRefresh', () =>
+        request(() => hitachiApi.refreshCache(
+          apiConfig.host, apiConfig.port, apiConfig.useSsl,
+          storageDeviceId, session.token, apiConfig.acceptSelfSigned, signal
+        ))
+      );
+    } catch (err) {
+      console.warn(`[poller] Cache refresh failed for ${storageDeviceId}: ${err.message}`);
+      // Continue anyway -- stale data is better than no data
+    }
+
+    // Step 2: Query journal info (basic and detail). Restore journals on the
+    // DR storages are queried concurrently so both qMarkers are sampled together.
+    let journalsBasic = { data: [] };
+    let journalsDetail = { data: [] };
+
+    const pairings = getJournalPairings(storageDeviceId);
+    const drJournalsPromise = pairings.size > 0
+      ? step('drJournals', () => fetchDrJournals(pairings, apiConfig, cycle, signal))
+        .catch(() => new Map())
+      : Promise.resolve(new Map());
+
+    try {
+      const [basicResult, detailResult] = await step('journals', () =>
+        Promise.all([
+          request(() => hitachiApi.getJournals(
+            apiConfig.host, apiConfig.port, apiConfig.useSsl,
+            storageDeviceId, session.token, 'basic', apiConfig.acceptSelfSigned, signal
+          )),
+          request(() => hitachiApi.getJournals(
+            apiConfig.host, apiConfig.port, apiConfig.useSsl,
+            storageDeviceId, session.token, 'detail', apiConfig.acceptSelfSigned, signal
+          )),
+        ])
+      );
+      journalsBasic = basicResult;
+      journalsDetail = detailResult;
+    } catch (err) {
+      console.error(`[poller] Failed to query journals for ${storageDeviceId}: ${err.message}`);
+      await drJournalsPromise;
+      result.status = 'failed';
+      return result; // Cannot calculate RPO without journal data
+    }
+
+    const drJournals = await drJournalsPromise;
+    const sampledAt = Date.now();
+    // The writes below run without awaiting, so a timed-out poll stops here
+    // or after the LDEV step and never writes for a finished cycle
+    if (signal) signal.throwIfAborted();
+
+    // Build a map of journal detail by journalId for quick lookup
+    const detailMap = new Map();
+    const journalDetailList = journalsDetail.data || journalsDetail || [];
+    if (Array.isArray(journalDetailList)) {
+      for (const detail of journalDetailList) {
+        detailMap.set(detail.journalId, detail);
+      }
+    }
+
+    // Step 3: Process each journal entry (basic)
+    const journalList = journalsBasic.data || journalsBasic || [];
+    if (!Array.isArray(journalList)) {
+      console.warn(`[poller] Unexpected journal data format for ${storageDeviceId}`);
+      result.status = 'failed';
+      result.steps.journals.status = 'failed';
+      result.errors.push('journals: unexpected response format');
+      return result;
+    }
+
+    // rpo_history row inserted this cycle per `${cgId}:${journalId}`, so
+    // block deltas land on the right journal rather than the latest row
+    const journalRows = new Map();
+    const globalThresholds = getThresholds();
+    const groupOverrides = getGroupThresholdOverrides();
+
+    // Alert conditions seen this poll, for auto-resolving the cleared ones
+    const evaluatedCgIds = new Set();
+    const activeAlertKeys = new Set();
+
+    for (const journal of journalList) {
+      // Skip journals that are not in use (SMPL = mirror not configured)
+      if (journal.journalStatus === 'SMPL' || !inScope(journal.consistencyGroupId)) {
+        continue;
+      }
+
+      // Get copy speed from detail info
+      const detail = detailMap.get(journal.journalId);
       const copySpeed = detail ? detail.copySpeed || 0 : 0;
 
+      // Pair the master journal with its restore journal on the DR storage
+      const pairing = pairings.get(`${journal.consistencyGroupId}:${journal.journalId}`);
+      const restoreJournal = pairing
+        ? findRestoreJournal(drJournals.get(pairing.drStorageId), pairing.drJournalId, journal.consistencyGroupId)
+        : null;
+
       // Calculate journal-based RPO (Method 1)
-      const rpoData = rpoCalculator.calculateJournalRpo(journal, copySpeed);
+      const rpoData = rpoCalculator.calculateJournalRpo(
+        journal,
+        copySpeed,
+        restoreJournal ? restoreJournal.qMarker : null
+      );
+
+      // Time-based RPO from the master's qMarker progression
+      let lagSeconds = null;
+      if (restoreJournal) {
+        const samples = getMarkerHistory(
+          journal.consistencyGroupId, journal.journalId, restoreJournal.journalId
+        );
+        samples.push({ timestampMs: sampledAt, qMarker: rpoData.qMarker });
+        lagSeconds = rpoCalculator.calculateLagSeconds(samples, restoreJournal.qMarker).lagSeconds;
+      }
 
       // Store data point
-      storeRpoDataPoint({
+      const rowId = storeRpoDataPoint({
         cgId: journal.consistencyGroupId,
         journalId: journal.journalId,
         muNumber: journal.muNumber,
@@ -275,112 +1170,393 @@ async function pollStorage(storageDeviceId, apiConfig) {
         qMarker: rpoData.qMarker,
         pendingDataBytes: rpoData.pendingDataBytes,
         estimatedRpoSeconds: rpoData.estimatedRpoSeconds,
+        lagSeconds,
         copySpeed: rpoData.copySpeed,
         journalStatus: rpoData.journalStatus,
         pairStatus: null, // Filled from pair query below
+        qMarkerDelta: rpoData.qMarkerDelta,
+        drJournalId: restoreJournal ? restoreJournal.journalId : null,
+        drQMarker: restoreJournal ? restoreJournal.qMarker : null,
+        snapshotId: cycle.snapshotId,
+        storageDeviceId,
       });
+      journalRows.set(`${journal.consistencyGroupId}:${journal.journalId}`, rowId);
+      result.journalCount++;
 
       // Check thresholds and generate alerts
-      checkThresholds(rpoData);
+      const sample = { ...rpoData, lagSeconds };
+      const thresholds = applyGroupOverrides(globalThresholds, groupOverrides.get(journal.consistencyGroupId));
+      evaluatedCgIds.add(journal.consistencyGroupId);
+      for (const alertType of checkThresholds(sample, storageDeviceId, thresholds)) {
+        activeAlertKeys.add(`${journal.consistencyGroupId}:${alertType}`);
+      }
+
+      const degradedReason = assessJournalCondition(sample, thresholds);
+      if (degradedReason) {
+        result.degraded.push({
+          cgId: journal.consistencyGroupId,
+          journalId: journal.journalId,
+          reason: degradedReason,
+        });
+      }
     }
 
-    // Step 4: Query remote copy pairs for pair status and block delta (Method 2)
+    resolveClearedAlerts(storageDeviceId, evaluatedCgIds, THRESHOLD_ALERT_TYPES, activeAlertKeys);
+
+    // Step 4: Query remote copy pairs for pair status
+    const urPairs = [];
+    let pairsLoaded = false;
     try {
-      let headLdevId = 0;
-      let hasMore = true;
-      const BATCH_SIZE = 500;
+      await step('pairs', async () => {
+        let headLdevId = 0;
+        let hasMore = true;
+        const BATCH_SIZE = 500;
 
-      while (hasMore) {
-        const pairsResult = await hitachiApi.getRemoteCopyPairs(
-          apiConfig.host, apiConfig.port, apiConfig.useSsl,
-          storageDeviceId, session.token, headLdevId, BATCH_SIZE, apiConfig.acceptSelfSigned
-        );
+        while (hasMore) {
+          const pairsResult = await request(() => hitachiApi.getRemoteCopyPairs(
+            apiConfig.host, apiConfig.port, apiConfig.useSsl,
+            storageDeviceId, session.token, headLdevId, BATCH_SIZE, apiConfig.acceptSelfSigned, signal
+          ));
 
-        const pairs = pairsResult.data || pairsResult || [];
-        if (!Array.isArray(pairs) || pairs.length === 0) {
-          hasMore = false;
-          break;
+          const pairs = pairsResult.data || pairsResult || [];
+          if (!Array.isArray(pairs) || pairs.length === 0) {
+            hasMore = false;
+            break;
+          }
+
+          urPairs.push(...pairs.filter(
+            (pair) => pair.replicationType === 'UR' && inScope(pair.consistencyGroupId)
+          ));
+
+          // Pagination: if we got a full batch, there may be more
+          if (pairs.length < BATCH_SIZE) {
+            hasMore = false;
+          } else {
+            // Next page starts after the last LDEV ID in this batch
+            const lastPair = pairs[pairs.length - 1];
+            headLdevId = (lastPair.pvolLdevId || 0) + 1;
+          }
         }
+      });
+      pairsLoaded = true;
+    } catch (err) {
+      console.warn(`[poller] Pair query failed for ${storageDeviceId}: ${err.message}`);
+      // Non-fatal: we already have journal-based RPO data
+    }
+    result.pairCount = urPairs.length;
+
+    // Step 5: Block allocation delta (Method 2). numOfUsedBlock is collected
+    // for all P-VOLs and S-VOLs with ranged LDEV queries. The S-VOL normally
+    // lives on the remote storage, so it is read through that storage's session.
+    const remoteByPvol = getRemoteStorageByPvol(storageDeviceId);
+    const ldevIdsByStorage = new Map();
+    const wantLdev = (ownerStorageId, ldevId) => {
+      if (ldevId === undefined || ldevId === null) return;
+      if (!ldevIdsByStorage.has(ownerStorageId)) {
+        ldevIdsByStorage.set(ownerStorageId, new Set());
+      }
+      ldevIdsByStorage.get(ownerStorageId).add(ldevId);
+    };
+
+    for (const pair of urPairs) {
+      pair.remoteStorageId = pair.remoteStorageDeviceId
+        || remoteByPvol.get(pair.pvolLdevId)
+        || null;
+      wantLdev(storageDeviceId, pair.pvolLdevId);
+      if (pair.remoteStorageId) {
+        wantLdev(pair.remoteStorageId, pair.svolLdevId);
+      }
+    }
 
-        for (const pair of pairs) {
-          if (pair.replicationType !== 'UR') continue;
-
-          // Try to get LDEV info for block delta calculation (Method 2)
-          try {
-            const [pvolInfo, svolInfo] = await Promise.all([
-              hitachiApi.getLdevInfo(
-                apiConfig.host, apiConfig.port, apiConfig.useSsl,
-                storageDeviceId, session.token, pair.pvolLdevId, apiConfig.acceptSelfSigned
-              ),
-              // Note: svolLdevId may be on a different storage; if so we would need
-              // a remote session. For now, try the local storage.
-              hitachiApi.getLdevInfo(
-                apiConfig.host, apiConfig.port, apiConfig.useSsl,
-                storageDeviceId, session.token, pair.svolLdevId, apiConfig.acceptSelfSigned
-              ).catch(() => null), // S-VOL may not be on this storage
-            ]);
-
-            if (pvolInfo && svolInfo) {
-              const blockDelta = rpoCalculator.calculateBlockDelta(
-                pvolInfo.numOfUsedBlock,
-                svolInfo.numOfUsedBlock
-              );
-
-              // Update the most recent rpo_history entry for this CG with block delta
-              const db = getDb();
-              db.prepare(`
-                UPDATE rpo_history
-                SET block_delta_bytes = ?, pair_status = ?
-                WHERE cg_id = ? AND journal_id IS NOT NULL
-                ORDER BY id DESC LIMIT 1
-              `).run(
-                blockDelta.blockDeltaBytes,
-                pair.pvolStatus || pair.svolStatus || null,
-                pair.consistencyGroupId
-              );
-            }
-          } catch (err) {
-            // Block delta is supplementary; log but do not fail
-            console.warn(
-              `[poller] Block delta calculation failed for LDEV ${pair.pvolLdevId}: ${err.message}`
-            );
+    if (ldevIdsByStorage.size > 0) {
+      try {
+        await step('ldevs', async () => {
+          const outcomes = await Promise.allSettled(
+            [...ldevIdsByStorage].map(([ownerStorageId, ldevIds]) =>
+              loadLdevs(ownerStorageId, [...ldevIds], apiConfig, cycle, signal)
+            )
+          );
+          const failures = outcomes.filter((o) => o.status === 'rejected');
+          if (failures.length > 0) {
+            throw new Error(failures.map((f) => f.reason.message).join('; '));
           }
+        });
+      } catch (err) {
+        console.warn(`[poller] LDEV query failed for ${storageDeviceId}: ${err.message}`);
+      }
+    }
+
+    if (signal) signal.throwIfAborted();
+
+    // Store one volume_history row per pair and roll the deltas up onto
+    // this cycle's journal rows
+    const journalDeltas = new Map();
+    const ldevStep = result.steps.ldevs;
+
+    // Worst suspended/error pair per `${cgId}:${alertType}`
+    const pairConditions = new Map();
+
+    for (const pair of urPairs) {
+      // Compare with the previous poll before this poll's row is stored
+      pairStatus.recordTransitions(storageDeviceId, pair, cycle.snapshotId);
+      const condition = pairStatus.getAlertCondition(pair);
+      if (condition) {
+        const conditionKey = `${pair.consistencyGroupId}:${condition.alertType}`;
+        if (!pairConditions.has(conditionKey)) {
+          pairConditions.set(conditionKey, { ...condition, cgId: pair.consistencyGroupId, pairs: [] });
         }
+        pairConditions.get(conditionKey).pairs.push(pair);
+      }
+
+      const journalKey = `${pair.consistencyGroupId}:${pair.pvolJournalId}`;
+      if (!journalDeltas.has(journalKey)) {
+        journalDeltas.set(journalKey, { blockDeltaBytes: null, statuses: [] });
+      }
+      const journalDelta = journalDeltas.get(journalKey);
+      journalDelta.statuses.push(pair.pvolStatus || pair.svolStatus);
 
-        // Pagination: if we got a full batch, there may be more
-        if (pairs.length < BATCH_SIZE) {
-          hasMore = false;
-        } else {
-          // Next page starts after the last LDEV ID in this batch
-          const lastPair = pairs[pairs.length - 1];
-          headLdevId = (lastPair.pvolLdevId || 0) + 1;
+      const volumePoint = {
+        snapshotId: cycle.snapshotId,
+        cgId: pair.consistencyGroupId,
+        sourceStorageId: storageDeviceId,
+        targetStorageId: pair.remoteStorageId,
+        journalId: pair.pvolJournalId,
+        pvolLdevId: pair.pvolLdevId,
+        svolLdevId: pair.svolLdevId,
+        pvolStatus: pair.pvolStatus,
+        svolStatus: pair.svolStatus,
+      };
+
+      const pvolInfo = cycle.ldevCache.get(`${storageDeviceId}:${pair.pvolLdevId}`);
+      const svolInfo = pair.remoteStorageId
+        ? cycle.ldevCache.get(`${pair.remoteStorageId}:${pair.svolLdevId}`)
+        : null;
+
+      if (pvolInfo && svolInfo) {
+        const blockDelta = rpoCalculator.calculateBlockDelta(
+          pvolInfo.numOfUsedBlock,
+          svolInfo.numOfUsedBlock
+        );
+        volumePoint.pvolUsedBlocks = blockDelta.pvolUsedBlocks;
+        volumePoint.svolUsedBlocks = blockDelta.svolUsedBlocks;
+        volumePoint.blockDeltaBytes = blockDelta.blockDeltaBytes;
+        journalDelta.blockDeltaBytes = (journalDelta.blockDeltaBytes || 0) + blockDelta.blockDeltaBytes;
+        ldevStep.succeeded++;
+      } else {
+        ldevStep.failed++;
+      }
+
+      storeVolumeDataPoint(volumePoint);
+    }
+
+    if (journalDeltas.size > 0) {
+      const db = getDb();
+      const updateJournalRow = db.prepare(
+        'UPDATE rpo_history SET block_delta_bytes = ?, pair_status = ? WHERE id = ?'
+      );
+      for (const [journalKey, delta] of journalDeltas) {
+        const rowId = journalRows.get(journalKey);
+        if (rowId) {
+          updateJournalRow.run(delta.blockDeltaBytes, summarizePairStatus(delta.statuses), rowId);
         }
       }
-    } catch (err) {
-      console.warn(`[poller] Pair query failed for ${storageDeviceId}: ${err.message}`);
-      // Non-fatal: we already have journal-based RPO data
+    }
+
+    // Pair alerts: one per group and condition while any pair is in it
+    for (const condition of pairConditions.values()) {
+      const [first] = condition.pairs;
+      createAlert(
+        condition.cgId,
+        condition.alertType,
+        condition.severity,
+        `${condition.pairs.length} replikasyon cifti ` +
+        `${condition.severity === 'critical' ? 'hata durumunda' : 'askiya alinmis'}: ` +
+        `${condition.status} (P-VOL ${first.pvolLdevId}: ${first.pvolStatus || '-'}, ` +
+        `S-VOL ${first.svolLdevId}: ${first.svolStatus || '-'})`,
+        storageDeviceId
+      );
+    }
+    if (pairsLoaded) {
+      const pairCgIds = new Set([...evaluatedCgIds, ...urPairs.map((pair) => pair.consistencyGroupId)]);
+      resolveClearedAlerts(
+        storageDeviceId, pairCgIds, Object.values(pairStatus.PAIR_ALERT_TYPES), new Set(pairConditions.keys())
+      );
+    }
+
+    // Pairs without LDEV data on both sides get no block delta
+    if (ldevStep.failed > 0) {
+      if (ldevStep.status === 'ok') {
+        result.errors.push(`ldevs: no LDEV data for ${ldevStep.failed} pair(s)`);
+      }
+      ldevStep.status = ldevStep.succeeded > 0 ? 'partial' : 'failed';
+    }
+
+    if (result.errors.length > 0) {
+      result.status = 'partial';
     }
 
     console.log(`[poller] Polling complete for storage ${storageDeviceId}`);
   } catch (err) {
     console.error(`[poller] Error polling storage ${storageDeviceId}: ${err.message}`);
-    throw err;
+    result.status = 'failed';
+    result.errors.push(err.message);
+  } finally {
+    result.durationMs = Date.now() - storageStart;
+  }
+
+  return result;
+}
+
+/**
+ * Polls one storage with a time limit so a hung storage cannot hold up the
+ * cycle. On timeout the storage is reported as 'timeout', its in-flight
+ * requests are cancelled and the poll stops before writing anything more.
+ *
+ * @param {string} storageDeviceId
+ * @param {Object} apiConfig
+ * @param {Object} cycle - From createCycleContext
+ * @param {number} timeoutMs
+ * @param {Set<number>|null} [cgIds] - Poll only these consistency groups
+ * @returns {Promise<Object>} Per-storage result
+ */
+async function pollStorageWithTimeout(storageDeviceId, apiConfig, cycle, timeoutMs, cgIds = null) {
+  const controller = new AbortController();
+  const startedAt = Date.now();
+  let timer = null;
+
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      const message = `Storage poll timed out after ${Math.round(timeoutMs / 1000)}s`;
+      controller.abort(new Error(message));
+      console.warn(`[poller] ${message} (${storageDeviceId})`);
+      resolve({
+        ...createStorageResult(storageDeviceId),
+        status: 'timeout',
+        durationMs: Date.now() - startedAt,
+        errors: [message],
+      });
+    }, timeoutMs);
+  });
+
+  try {
+    const result = await Promise.race([
+      pollStorage(storageDeviceId, apiConfig, cycle, controller.signal, cgIds),
+      timeout,
+    ]);
+    storageTimings.set(storageDeviceId, {
+      status: result.status,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: result.durationMs,
+      journalCount: result.journalCount,
+      pairCount: result.pairCount,
+      error: result.errors.length > 0 ? result.errors[result.errors.length - 1] : null,
+    });
+    return result;
+  } finally {
+    clearTimeout(timer);
   }
 }
 
+/**
+ * Opens a poll_runs row for a starting cycle. Its ID doubles as the
+ * poll_snapshot_id of every rpo_history/volume_history row the cycle writes.
+ *
+ * @param {Object} run
+ * @returns {number} The new poll_runs row ID
+ */
+function startPollRun(run) {
+  const db = getDb();
+  const info = db.prepare(
+    'INSERT INTO poll_runs (trigger, status, started_at) VALUES (?, ?, ?)'
+  ).run(run.trigger, 'running', run.startedAt);
+  return Number(info.lastInsertRowid);
+}
+
+/**
+ * Writes the outcome of a finished poll cycle to its poll_runs row.
+ *
+ * @param {Object} run - Must carry the id from startPollRun
+ */
+function finishPollRun(run) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE poll_runs
+    SET status = ?, finished_at = ?, duration_ms = ?,
+        storage_count = ?, failed_storage_count = ?, storage_results = ?, error = ?,
+        api_call_count = ?, api_calls = ?
+    WHERE id = ?
+  `).run(
+    run.status,
+    run.finishedAt,
+    run.durationMs,
+    run.storageResults.length,
+    run.storageResults.filter((r) => r.status === 'failed' || r.status === 'timeout').length,
+    JSON.stringify(run.storageResults),
+    run.error || null,
+    run.apiCalls ? run.apiCalls.total : null,
+    run.apiCalls ? JSON.stringify(run.apiCalls) : null,
+    run.id
+  );
+}
+
 /**
  * Runs a single poll cycle across all authenticated storage systems.
  * Errors on individual storages do not stop the cycle from completing.
+ * Every cycle that starts is journaled to poll_runs, including skipped ones.
+ *
+ * A plan limits the cycle to some storages, and optionally to some
+ * consistency groups within a storage. Without a plan every authenticated
+ * storage is polled in full.
+ *
+ * @param {'scheduled'|'manual'|'initial'} [trigger='scheduled']
+ * @param {Map<string, Set<number>|null>} [plan] - storageDeviceId → CG IDs to poll (null = all)
+ * @returns {Promise<Object|undefined>} Run summary, or undefined if a cycle was already running
  */
-async function pollCycle() {
+async function pollCycle(trigger = 'scheduled', plan = null) {
   if (isPolling) {
     console.log('[poller] Poll cycle already in progress, skipping.');
-    return;
+    return undefined;
+  }
+
+  if (isShuttingDown) {
+    console.log('[poller] Shutdown in progress, not starting a new poll cycle.');
+    return undefined;
   }
 
   isPolling = true;
+  currentCycle = runPollCycle(trigger, plan).finally(() => {
+    isPolling = false;
+    currentCycle = null;
+  });
+  return currentCycle;
+}
+
+/**
+ * Body of a poll cycle. Separated from pollCycle() so the in-flight promise
+ * can be tracked for draining on shutdown.
+ *
+ * @param {string} trigger
+ * @param {Map<string, Set<number>|null>|null} plan
+ * @returns {Promise<Object>}
+ */
+async function runPollCycle(trigger, plan) {
   lastPollError = null;
   const startTime = Date.now();
+  const callsBefore = hitachiApi.getCallCounters();
+  const limits = getConcurrencySettings();
+  const run = {
+    trigger,
+    status: 'success',
+    startedAt: new Date(startTime).toISOString(),
+    finishedAt: null,
+    durationMs: 0,
+    storageResults: [],
+    apiCalls: null,
+    error: null,
+  };
+  run.id = startPollRun(run);
+  lastRunId = run.id;
+  const cycle = createCycleContext(limits.storageConcurrency, run.id);
 
   console.log('[poller] Starting poll cycle...');
 
@@ -388,101 +1564,623 @@ async function pollCycle() {
     const apiConfig = getApiConfig();
     if (!apiConfig) {
       console.warn('[poller] No API configuration found. Skipping poll cycle.');
-      return;
+      run.status = 'skipped';
+      run.error = 'No API configuration found';
+      return run;
     }
 
-    const storages = getAuthenticatedStorages();
+    const storages = getAuthenticatedStorages()
+      .filter((s) => !plan || plan.has(s.storage_device_id));
     if (storages.length === 0) {
       console.warn('[poller] No authenticated storages found. Skipping poll cycle.');
-      return;
+      run.status = 'skipped';
+      run.error = 'No authenticated storages found';
+      return run;
     }
 
-    const errors = [];
+    // Poll storage systems in parallel, at most pollConcurrency at a time
+    const runLimited = createLimiter(limits.pollConcurrency);
+    run.storageResults = await Promise.all(storages.map((storage) =>
+      runLimited(() => {
+        if (isShuttingDown) {
+          return {
+            ...createStorageResult(storage.storage_device_id),
+            status: 'aborted',
+            errors: ['Shutdown in progress'],
+          };
+        }
+        return pollStorageWithTimeout(
+          storage.storage_device_id, apiConfig, cycle, limits.storageTimeoutMs,
+          plan ? plan.get(storage.storage_device_id) : null
+        );
+      })
+    ));
 
-    // Poll each storage system independently
-    for (const storage of storages) {
-      try {
-        await pollStorage(storage.storage_device_id, apiConfig);
-      } catch (err) {
-        errors.push({
-          storageDeviceId: storage.storage_device_id,
-          error: err.message,
-        });
-      }
+    for (const storageResult of run.storageResults) {
+      updateCadence(storageResult);
+      collectorHealth.recordStorageResult(storageResult);
+    }
+
+    try {
+      evaluateAlertRules(run.id);
+    } catch (err) {
+      console.error(`[poller] Alert rule evaluation failed: ${err.message}`);
+    }
+
+    const failed = run.storageResults.filter((r) => r.status !== 'success' && r.status !== 'partial');
+    const partial = run.storageResults.filter((r) => r.status === 'partial');
+
+    if (failed.length === run.storageResults.length) {
+      run.status = 'failed';
+    } else if (failed.length > 0 || partial.length > 0) {
+      run.status = 'partial';
     }
 
-    if (errors.length > 0) {
-      lastPollError = `${errors.length} storage(s) failed: ${errors.map(e => e.storageDeviceId).join(', ')}`;
+    if (failed.length > 0) {
+      lastPollError = `${failed.length} storage(s) failed: ${failed.map(e => e.storageDeviceId).join(', ')}`;
+      run.error = lastPollError;
       console.warn(`[poller] Poll cycle completed with errors: ${lastPollError}`);
     }
 
     lastPollTime = new Date().toISOString();
-    const duration = Date.now() - startTime;
-    console.log(`[poller] Poll cycle finished in ${duration}ms.`);
   } catch (err) {
     lastPollError = err.message;
+    run.status = 'failed';
+    run.error = err.message;
     console.error(`[poller] Poll cycle failed: ${err.message}`);
   } finally {
-    isPolling = false;
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.now() - startTime;
+    run.apiCalls = diffCallCounters(callsBefore, hitachiApi.getCallCounters());
+    lastCycleApiCalls = run.apiCalls;
+    console.log(
+      `[poller] Poll cycle finished in ${run.durationMs}ms (${run.status}, ` +
+      `${run.apiCalls.total} API call(s)).`
+    );
+
+    // A failure to journal the run propagates to the supervisor as a crash
+    finishPollRun(run);
   }
+
+  return run;
 }
 
+// ---------------------------------------------------------------------------
+// Adaptive cadence
+// ---------------------------------------------------------------------------
+
 /**
- * Starts the background polling service with the configured interval.
- * Reads the interval from the settings table (polling_interval_seconds).
+ * Decides whether a journal sample shows a degraded consistency group:
+ * usage rate or time-based RPO at warning/critical, a breached target RPO,
+ * or a qCount that keeps increasing.
+ *
+ * @param {Object} rpoData - From rpoCalculator.calculateJournalRpo, plus lagSeconds
+ * @param {Object} thresholds - Effective group thresholds (applyGroupOverrides)
+ * @returns {string|null} Reason, or null when the journal looks normal
  */
-function startPolling() {
-  if (cronJob) {
-    console.log('[poller] Polling is already running.');
+function assessJournalCondition(rpoData, thresholds) {
+  if (rpoData.usageRate >= thresholds.criticalPercent) return 'usage_rate_critical';
+  if (rpoData.usageRate >= thresholds.warningPercent) return 'usage_rate_warning';
+
+  const rpoSeverity = getSecondsSeverity(rpoData.estimatedRpoSeconds, thresholds);
+  if (rpoSeverity) return `rpo_seconds_${rpoSeverity}`;
+  const lagSeverity = getSecondsSeverity(rpoData.lagSeconds, thresholds);
+  if (lagSeverity) return `lag_seconds_${lagSeverity}`;
+  if (getSlaBreach(rpoData, thresholds) !== null) return 'rpo_sla_breach';
+
+  const db = getDb();
+  const rows = db.prepare(
+    `SELECT q_count FROM rpo_history
+     WHERE cg_id = ? AND journal_id = ? AND q_count IS NOT NULL
+     ORDER BY id DESC LIMIT ?`
+  ).all(rpoData.consistencyGroupId, rpoData.journalId, TREND_SAMPLES);
+
+  const qCounts = rows.map((r) => r.q_count).reverse();
+  if (rpoCalculator.determineTrend(qCounts).trend === 'increasing') {
+    return 'q_count_increasing';
+  }
+  return null;
+}
+
+/**
+ * Returns the current cadence of a storage.
+ *
+ * @param {string} storageDeviceId
+ * @returns {'normal'|'incident'}
+ */
+function getCadence(storageDeviceId) {
+  const state = cadenceState.get(storageDeviceId);
+  return state ? state.cadence : 'normal';
+}
+
+/**
+ * Records a cadence change in poll_cadence_events.
+ *
+ * @param {string} storageDeviceId
+ * @param {string} fromCadence
+ * @param {string} toCadence
+ * @param {number} intervalSeconds - Interval that applies from now on
+ * @param {string} reason
+ * @param {Array<number>} cgIds
+ */
+function recordCadenceEvent(storageDeviceId, fromCadence, toCadence, intervalSeconds, reason, cgIds) {
+  const db = getDb();
+  db.prepare(
+    `INSERT INTO poll_cadence_events
+      (storage_device_id, from_cadence, to_cadence, interval_seconds, reason, cg_ids)
+    VALUES (?, ?, ?, ?, ?, ?)`
+  ).run(storageDeviceId, fromCadence, toCadence, intervalSeconds, reason, JSON.stringify(cgIds));
+
+  console.log(
+    `[poller] Storage ${storageDeviceId} cadence ${fromCadence} → ${toCadence} ` +
+    `(${intervalSeconds}s): ${reason}`
+  );
+}
+
+/**
+ * Moves a storage between normal and incident cadence after a poll.
+ *
+ * Any degraded journal switches the storage to incident cadence. Only a
+ * successful full poll (not a CG-scoped one) can show that every group is
+ * normal again; the storage returns to its normal interval once that has
+ * held for the cooldown period.
+ *
+ * @param {Object} result - Per-storage result from pollStorage
+ */
+function updateCadence(result) {
+  if (result.status !== 'success' && result.status !== 'partial') return;
+
+  const storageDeviceId = result.storageDeviceId;
+  const now = Date.now();
+  const state = cadenceState.get(storageDeviceId)
+    || { cadence: 'normal', since: new Date(now).toISOString(), lastDegradedAt: null, degraded: [] };
+  cadenceState.set(storageDeviceId, state);
+
+  if (result.degraded.length > 0) {
+    state.lastDegradedAt = now;
+    state.degraded = result.degraded;
+
+    if (state.cadence !== 'incident') {
+      const cgIds = [...new Set(result.degraded.map((d) => d.cgId))];
+      const reasons = [...new Set(result.degraded.map((d) => d.reason))];
+      state.cadence = 'incident';
+      state.since = new Date(now).toISOString();
+      recordCadenceEvent(
+        storageDeviceId, 'normal', 'incident', getIncidentSettings().intervalSeconds,
+        `CG ${cgIds.join(', ')}: ${reasons.join(', ')}`, cgIds
+      );
+    }
     return;
   }
 
-  const intervalSeconds = parseInt(getSetting('polling_interval_seconds') || '300', 10);
-  const intervalMinutes = Math.max(1, Math.round(intervalSeconds / 60));
+  if (state.cadence !== 'incident' || result.cgIds) return;
+
+  const { cooldownMs } = getIncidentSettings();
+  if (now - state.lastDegradedAt < cooldownMs) return;
+
+  const cgIds = [...new Set(state.degraded.map((d) => d.cgId))];
+  state.cadence = 'normal';
+  state.since = new Date(now).toISOString();
+  state.degraded = [];
+
+  const storage = getDb().prepare(
+    'SELECT poll_interval_seconds FROM storage_credentials WHERE storage_device_id = ?'
+  ).get(storageDeviceId);
+  recordCadenceEvent(
+    storageDeviceId, 'incident', 'normal',
+    parseIntervalSeconds(storage && storage.poll_interval_seconds) || getGlobalIntervalSeconds(),
+    `Normal for ${Math.round(cooldownMs / 1000)}s cooldown`, cgIds
+  );
+}
+
+/**
+ * Returns the cadence of every storage and the most recent cadence events.
+ *
+ * @returns {Object}
+ */
+function getCadenceStatus() {
+  const incident = getIncidentSettings();
+  const storages = {};
+  for (const [storageDeviceId, state] of cadenceState) {
+    storages[storageDeviceId] = {
+      cadence: state.cadence,
+      since: state.since,
+      lastDegradedAt: state.lastDegradedAt ? new Date(state.lastDegradedAt).toISOString() : null,
+      degraded: state.degraded,
+    };
+  }
+
+  const events = getDb().prepare(
+    'SELECT * FROM poll_cadence_events ORDER BY id DESC LIMIT ?'
+  ).all(RECENT_CADENCE_EVENTS).map((event) => ({
+    ...event,
+    cg_ids: event.cg_ids ? JSON.parse(event.cg_ids) : [],
+  }));
+
+  return {
+    incidentIntervalSeconds: incident.intervalSeconds,
+    cooldownMinutes: incident.cooldownMs / 60000,
+    storages,
+    events,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Scheduler
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds the list of poll targets with their effective intervals.
+ *
+ * Every authenticated storage is a target, polled at its own
+ * poll_interval_seconds or the global interval, or at the incident interval
+ * while it is in incident cadence (see updateCadence). A monitored consistency
+ * group with a shorter poll_interval_seconds of its own becomes an extra
+ * target that polls just that group in between full storage polls.
+ *
+ * @returns {Array<{ key: string, storageDeviceId: string, cgId: number|null, intervalSeconds: number }>}
+ */
+function getScheduleTargets() {
+  const db = getDb();
+  const globalInterval = getGlobalIntervalSeconds();
+  const incident = getIncidentSettings();
+  const targets = [];
+  const storageIntervals = new Map();
+
+  const storages = db.prepare(
+    'SELECT storage_device_id, poll_interval_seconds FROM storage_credentials WHERE is_authenticated = 1'
+  ).all();
+
+  for (const storage of storages) {
+    let intervalSeconds = parseIntervalSeconds(storage.poll_interval_seconds) || globalInterval;
+    if (getCadence(storage.storage_device_id) === 'incident') {
+      intervalSeconds = Math.min(intervalSeconds, incident.intervalSeconds);
+    }
+    storageIntervals.set(storage.storage_device_id, intervalSeconds);
+    targets.push({
+      key: `storage:${storage.storage_device_id}`,
+      storageDeviceId: storage.storage_device_id,
+      cgId: null,
+      intervalSeconds,
+    });
+  }
+
+  const groups = db.prepare(
+    `SELECT cg_id, source_storage_id, poll_interval_seconds
+     FROM consistency_groups
+     WHERE is_monitored = 1 AND poll_interval_seconds IS NOT NULL`
+  ).all();
 
-  // Build cron expression: every N minutes
-  const cronExpression = `*/${intervalMinutes} * * * *`;
+  for (const group of groups) {
+    const storageInterval = storageIntervals.get(group.source_storage_id);
+    const intervalSeconds = parseIntervalSeconds(group.poll_interval_seconds);
+    if (!storageInterval || !intervalSeconds || intervalSeconds >= storageInterval) continue;
 
-  cronJob = cron.schedule(cronExpression, () => {
-    pollCycle().catch((err) => {
-      console.error('[poller] Unhandled error in poll cycle:', err.message);
+    targets.push({
+      key: `cg:${group.source_storage_id}:${group.cg_id}`,
+      storageDeviceId: group.source_storage_id,
+      cgId: group.cg_id,
+      intervalSeconds,
     });
-  });
+  }
+
+  return targets;
+}
+
+/**
+ * Returns the effective full-poll interval of every authenticated storage,
+ * as the scheduler applies it.
+ *
+ * @returns {Map<string, number>} storageDeviceId → interval in seconds
+ */
+function getStorageIntervals() {
+  const intervals = new Map();
+  for (const target of getScheduleTargets()) {
+    if (target.cgId === null) intervals.set(target.storageDeviceId, target.intervalSeconds);
+  }
+  return intervals;
+}
+
+/**
+ * Syncs the schedule with the current targets and arms the timer for the
+ * earliest due target. New targets become due one interval from now; a
+ * target whose interval was shortened is pulled forward accordingly.
+ */
+function armScheduler() {
+  if (!schedulerActive) return;
+
+  clearTimeout(schedulerTimer);
+  schedulerTimer = null;
+
+  const now = Date.now();
+  let targets;
+  try {
+    targets = getScheduleTargets();
+  } catch (err) {
+    console.error(`[poller] Failed to load poll schedule: ${err.message}`);
+    targets = [];
+  }
+
+  const activeKeys = new Set();
+  for (const target of targets) {
+    activeKeys.add(target.key);
+    const intervalMs = target.intervalSeconds * 1000;
+    const entry = scheduleState.get(target.key);
+
+    if (!entry) {
+      scheduleState.set(target.key, { ...target, dueAt: now + intervalMs });
+    } else {
+      entry.dueAt = Math.min(entry.dueAt, now + intervalMs);
+      entry.intervalSeconds = target.intervalSeconds;
+    }
+  }
+  for (const key of [...scheduleState.keys()]) {
+    if (!activeKeys.has(key)) scheduleState.delete(key);
+  }
+
+  // Wake at least once a minute so newly authenticated storages are picked up
+  let sleepMs = MAX_SCHEDULER_SLEEP_MS;
+  for (const entry of scheduleState.values()) {
+    sleepMs = Math.min(sleepMs, Math.max(0, entry.dueAt - now));
+  }
+
+  schedulerTimer = setTimeout(() => runDueTargets('scheduled'), sleepMs);
+  if (schedulerTimer.unref) {
+    schedulerTimer.unref();
+  }
+}
+
+/**
+ * Polls every target that is due, as one cycle, then re-arms the timer.
+ * A full storage poll also covers that storage's CG targets.
+ *
+ * @param {'scheduled'|'initial'} trigger
+ */
+function runDueTargets(trigger) {
+  if (!schedulerActive) return;
+
+  // Never overlap cycles: check again shortly after the running one ends
+  if (isPolling) {
+    clearTimeout(schedulerTimer);
+    schedulerTimer = setTimeout(() => runDueTargets(trigger), 1000);
+    if (schedulerTimer.unref) {
+      schedulerTimer.unref();
+    }
+    return;
+  }
+
+  const now = Date.now();
+  const due = [...scheduleState.values()].filter((entry) => entry.dueAt <= now + DUE_TOLERANCE_MS);
+
+  if (due.length === 0) {
+    armScheduler();
+    return;
+  }
+
+  const plan = new Map();
+  for (const entry of due.filter((e) => e.cgId === null)) {
+    plan.set(entry.storageDeviceId, null);
+  }
+  for (const entry of due.filter((e) => e.cgId !== null)) {
+    if (plan.has(entry.storageDeviceId) && plan.get(entry.storageDeviceId) === null) continue;
+    if (!plan.has(entry.storageDeviceId)) plan.set(entry.storageDeviceId, new Set());
+    plan.get(entry.storageDeviceId).add(entry.cgId);
+  }
+
+  // Advance every target this cycle covers, including CG targets of fully polled storages
+  for (const entry of scheduleState.values()) {
+    const scope = plan.get(entry.storageDeviceId);
+    const covered = plan.has(entry.storageDeviceId)
+      && (scope === null || (entry.cgId !== null && scope.has(entry.cgId)));
+    if (covered) {
+      entry.dueAt = now + entry.intervalSeconds * 1000;
+    }
+  }
+
+  Promise.resolve(pollCycle(trigger, plan))
+    .then(handleCycleSuccess, handleCycleCrash)
+    .finally(armScheduler);
+}
+
+/**
+ * Starts the background polling scheduler. Every target is polled once
+ * immediately, then at its own interval (see getScheduleTargets).
+ */
+function startPolling() {
+  if (schedulerActive) {
+    console.log('[poller] Polling is already running.');
+    return;
+  }
+
+  schedulerActive = true;
+  scheduleState.clear();
+  armScheduler();
 
   console.log(
-    `[poller] Background polling started with interval: every ${intervalMinutes} minute(s) ` +
-    `(cron: ${cronExpression})`
+    `[poller] Background polling started (default interval: ${getGlobalIntervalSeconds()}s, ` +
+    `${scheduleState.size} target(s)).`
   );
 
   // Run an initial poll immediately
-  pollCycle().catch((err) => {
-    console.error('[poller] Error in initial poll cycle:', err.message);
-  });
+  for (const entry of scheduleState.values()) {
+    entry.dueAt = Date.now();
+  }
+  runDueTargets('initial');
 }
 
 /**
- * Stops the background polling service.
+ * Stops the background polling scheduler.
  */
 function stopPolling() {
-  if (cronJob) {
-    cronJob.stop();
-    cronJob = null;
+  if (schedulerActive) {
+    schedulerActive = false;
+    clearTimeout(schedulerTimer);
+    schedulerTimer = null;
+    scheduleState.clear();
     console.log('[poller] Background polling stopped.');
   }
 }
 
+/**
+ * Re-reads the polling intervals and re-arms the scheduler without a
+ * restart. Called after settings, storage or group intervals change.
+ */
+function reschedule() {
+  if (!schedulerActive) return;
+  armScheduler();
+  console.log(`[poller] Poll schedule re-armed (${scheduleState.size} target(s)).`);
+}
+
 /**
  * Triggers an immediate poll cycle (manual refresh).
  *
- * @returns {Promise<void>}
+ * @returns {Promise<Object|undefined>} Run summary from the poll_runs journal
  */
 async function pollNow() {
   console.log('[poller] Manual poll triggered.');
-  await pollCycle();
+  const run = await pollCycle('manual');
+  return run ? { run_id: run.id, status: run.status, duration_ms: run.durationMs } : undefined;
 }
 
+// ---------------------------------------------------------------------------
+// Supervisor
+// ---------------------------------------------------------------------------
+
 /**
- * Updates the polling interval. Restarts the cron job if currently running.
+ * Resets the crash counter after a scheduled cycle completes.
+ */
+function handleCycleSuccess() {
+  consecutiveCrashes = 0;
+}
+
+/**
+ * Handles an error that escaped a poll cycle. Stops the scheduler and lets
+ * the supervisor restart it after an exponential backoff.
+ *
+ * @param {Error} err
+ */
+function handleCycleCrash(err) {
+  consecutiveCrashes++;
+  lastCrashTime = new Date().toISOString();
+  lastCrashError = err.message;
+
+  const delay = Math.min(
+    BASE_RESTART_DELAY_MS * Math.pow(2, consecutiveCrashes - 1),
+    MAX_RESTART_DELAY_MS
+  );
+  nextRestartAt = Date.now() + delay;
+
+  console.error(
+    `[poller] Poll cycle crashed (${consecutiveCrashes} in a row): ${err.message}. ` +
+    `Restarting in ${delay}ms.`
+  );
+
+  stopPolling();
+  scheduleSupervisorCheck(delay);
+}
+
+/**
+ * Returns true when there is enough configuration to poll: an Ops Center
+ * API configuration and at least one authenticated storage.
+ *
+ * @returns {boolean}
+ */
+function canPoll() {
+  return !!getApiConfig() && getAuthenticatedStorages().length > 0;
+}
+
+/**
+ * One supervisor pass: starts the scheduler once polling is possible and
+ * restarts it after a crash once the backoff has elapsed.
+ */
+function superviseOnce() {
+  if (isShuttingDown || schedulerActive) return;
+  if (nextRestartAt && Date.now() < nextRestartAt) return;
+
+  try {
+    if (!canPoll()) return;
+
+    if (nextRestartAt) {
+      restartCount++;
+      console.log(`[poller] Supervisor restarting polling (restart #${restartCount}).`);
+    }
+    nextRestartAt = null;
+    startPolling();
+  } catch (err) {
+    console.error(`[poller] Supervisor check failed: ${err.message}`);
+  }
+}
+
+/**
+ * Schedules the next supervisor pass.
+ *
+ * @param {number} [delayMs=SUPERVISOR_CHECK_INTERVAL_MS]
+ */
+function scheduleSupervisorCheck(delayMs = SUPERVISOR_CHECK_INTERVAL_MS) {
+  if (!supervisorActive) return;
+
+  clearTimeout(supervisorTimer);
+  supervisorTimer = setTimeout(() => {
+    superviseOnce();
+    scheduleSupervisorCheck();
+  }, delayMs);
+
+  // Prevent the timer from keeping Node.js alive during shutdown
+  if (supervisorTimer.unref) {
+    supervisorTimer.unref();
+  }
+}
+
+/**
+ * Starts the supervisor. Polling begins as soon as an API configuration and
+ * at least one authenticated storage exist, and is restarted after crashes.
+ */
+function startSupervisor() {
+  if (supervisorActive) return;
+
+  isShuttingDown = false;
+  supervisorActive = true;
+  console.log('[poller] Supervisor started.');
+
+  superviseOnce();
+  scheduleSupervisorCheck();
+}
+
+/**
+ * Stops the supervisor, the scheduler and waits for an in-flight poll cycle
+ * to finish (up to timeoutMs). Used during graceful shutdown.
+ *
+ * @param {number} [timeoutMs=DEFAULT_DRAIN_TIMEOUT_MS]
+ * @returns {Promise<boolean>} true if the poller drained within the timeout
+ */
+async function shutdown(timeoutMs = DEFAULT_DRAIN_TIMEOUT_MS) {
+  isShuttingDown = true;
+  supervisorActive = false;
+
+  clearTimeout(supervisorTimer);
+  supervisorTimer = null;
+  stopPolling();
+
+  if (!currentCycle) return true;
+
+  console.log('[poller] Waiting for in-flight poll cycle to finish...');
+  let timer;
+  const drained = await Promise.race([
+    currentCycle.then(() => true, () => true),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    }),
+  ]);
+  clearTimeout(timer);
+
+  if (!drained) {
+    console.warn(`[poller] Poll cycle did not finish within ${timeoutMs}ms.`);
+  }
+  return drained;
+}
+
+/**
+ * Updates the global polling interval and re-arms the scheduler.
  *
  * @param {number} minutes - New interval in minutes (minimum 1)
  */
@@ -494,12 +2192,7 @@ function setInterval(minutes) {
     .run(String(validMinutes * 60), 'polling_interval_seconds');
 
   console.log(`[poller] Polling interval updated to ${validMinutes} minute(s).`);
-
-  // Restart with new interval if currently running
-  if (cronJob) {
-    stopPolling();
-    startPolling();
-  }
+  reschedule();
 }
 
 /**
@@ -508,22 +2201,50 @@ function setInterval(minutes) {
  * @returns {Object}
  */
 function getStatus() {
-  const intervalSeconds = parseInt(getSetting('polling_interval_seconds') || '300', 10);
+  const intervalSeconds = getGlobalIntervalSeconds();
+  const schedule = [...scheduleState.values()]
+    .sort((a, b) => a.dueAt - b.dueAt)
+    .map((entry) => ({
+      storageDeviceId: entry.storageDeviceId,
+      cgId: entry.cgId,
+      intervalSeconds: entry.intervalSeconds,
+      nextPollAt: new Date(entry.dueAt).toISOString(),
+    }));
 
   return {
-    isRunning: !!cronJob,
+    isRunning: schedulerActive,
     isPolling,
     lastPollTime,
     lastPollError,
     intervalSeconds,
     intervalMinutes: Math.round(intervalSeconds / 60),
+    nextPollAt: schedule.length > 0 ? schedule[0].nextPollAt : null,
+    schedule,
+    lastRunId,
+    lastCycleApiCalls,
+    concurrency: getConcurrencySettings(),
+    storages: Object.fromEntries(storageTimings),
+    cadence: getCadenceStatus(),
+    supervisor: {
+      isActive: supervisorActive,
+      isShuttingDown,
+      restartCount,
+      consecutiveCrashes,
+      lastCrashTime,
+      lastCrashError,
+      nextRestartAt: nextRestartAt ? new Date(nextRestartAt).toISOString() : null,
+    },
   };
 }
 
 module.exports = {
   startPolling,
   stopPolling,
+  reschedule,
   pollNow,
   setInterval,
   getStatus,
+  getStorageIntervals,
+  startSupervisor,
+  shutdown,
 };
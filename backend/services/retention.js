@@ -0,0 +1,390 @@
+const cron = require('node-cron');
+const { getDb } = require('../models/database');
+const { toSqliteTimestamp } = require('../utils/sqlite');
+const { loadGroupSeries } = require('./latestState');
+
+/**
+ * Data Retention Service
+ *
+ * Keeps the SQLite file from growing without bound. Raw rpo_history samples
+ * are kept for `data_retention_days`; before they expire they are rolled up
+ * into rpo_history_hourly and rpo_history_daily, which keep min/max/avg/p95
+ * of usage rate, qCount, pending bytes and estimated RPO per consistency
+ * group. The rollups are kept much longer, so long-range charts can read a
+ * few hundred rows instead of every raw sample.
+ *
+ * A rollup bucket is built from per-snapshot values (worst-case usage rate,
+ * qCount and RPO, summed pending bytes across the group's journals and
+ * storages), the same series the raw history endpoint returns. Buckets not
+ * rolled up yet, including the current one, are built from the raw samples
+ * when read (see loadRollups).
+ */
+
+const DEFAULT_RAW_RETENTION_DAYS = 30;
+const DEFAULT_HOURLY_RETENTION_DAYS = 90;
+const DEFAULT_DAILY_RETENTION_DAYS = 730;
+
+// Minute 5 of every hour, once the previous hour is complete
+const RETENTION_SCHEDULE = '5 * * * *';
+const STARTUP_DELAY_MS = 60 * 1000;
+
+const RESOLUTIONS = {
+  hourly: { table: 'rpo_history_hourly', bucketLength: 13, bucketSuffix: ':00:00' },
+  daily: { table: 'rpo_history_daily', bucketLength: 10, bucketSuffix: ' 00:00:00' },
+};
+
+// Rolled-up metrics: rollup column prefix → per-snapshot value key
+const METRICS = {
+  usage_rate: 'usageRate',
+  q_count: 'qCount',
+  pending_bytes: 'pendingBytes',
+  rpo_seconds: 'rpoSeconds',
+};
+
+// Per-snapshot value key → rpo_history column and aggregation (loadGroupSeries)
+const SAMPLE_METRICS = {
+  usageRate: { column: 'usage_rate', aggregate: 'MAX' },
+  qCount: { column: 'q_count', aggregate: 'MAX' },
+  pendingBytes: { column: 'pending_data_bytes', aggregate: 'SUM' },
+  rpoSeconds: { column: 'estimated_rpo_seconds', aggregate: 'MAX' },
+};
+
+const STATS = ['min', 'max', 'avg', 'p95'];
+
+let cronJob = null;
+let startupTimer = null;
+let isRunning = false;
+let lastRun = null;
+
+/**
+ * Reads a positive integer setting, falling back to a default.
+ *
+ * @param {string} key
+ * @param {number} fallback
+ * @returns {number}
+ */
+function getDaysSetting(key, fallback) {
+  const db = getDb();
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  const days = row ? parseInt(row.value, 10) : NaN;
+  return Number.isFinite(days) && days > 0 ? days : fallback;
+}
+
+/**
+ * Returns the configured retention periods in days.
+ *
+ * @returns {{ rawDays: number, hourlyDays: number, dailyDays: number }}
+ */
+function getRetentionSettings() {
+  return {
+    rawDays: getDaysSetting('data_retention_days', DEFAULT_RAW_RETENTION_DAYS),
+    hourlyDays: getDaysSetting('rollup_hourly_retention_days', DEFAULT_HOURLY_RETENTION_DAYS),
+    dailyDays: getDaysSetting('rollup_daily_retention_days', DEFAULT_DAILY_RETENTION_DAYS),
+  };
+}
+
+/**
+ * Returns the start of the bucket containing a timestamp.
+ *
+ * @param {string} timestamp - SQLite UTC timestamp
+ * @param {Object} resolution - Entry from RESOLUTIONS
+ * @returns {string}
+ */
+function bucketStart(timestamp, resolution) {
+  return timestamp.slice(0, resolution.bucketLength) + resolution.bucketSuffix;
+}
+
+/**
+ * Returns the p-th percentile of a list of numbers (nearest-rank method).
+ *
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Summarises one metric's values within a bucket.
+ *
+ * @param {Array<number|null>} values
+ * @returns {{ min: number|null, max: number|null, avg: number|null, p95: number|null }}
+ */
+function summarize(values) {
+  const present = values.filter((v) => v !== null && v !== undefined).sort((a, b) => a - b);
+  if (present.length === 0) {
+    return { min: null, max: null, avg: null, p95: null };
+  }
+
+  const sum = present.reduce((acc, v) => acc + v, 0);
+  return {
+    min: present[0],
+    max: present[present.length - 1],
+    avg: Math.round((sum / present.length) * 100) / 100,
+    p95: percentile(present, 95),
+  };
+}
+
+/**
+ * Returns the start of the newest stored bucket of a resolution.
+ *
+ * @param {Object} resolution - Entry from RESOLUTIONS
+ * @returns {string|null} null when nothing has been rolled up yet
+ */
+function getLastBucket(resolution) {
+  const db = getDb();
+  const last = db.prepare(`SELECT MAX(bucket_start) as bucket_start FROM ${resolution.table}`).get();
+  return last && last.bucket_start ? last.bucket_start : null;
+}
+
+/**
+ * Builds rollup rows of one group from its raw samples, one row per bucket
+ * (rollup table columns). The samples are the group's per-snapshot values
+ * with each storage's latest sample carried into the other storage's
+ * snapshots, so a bucket never mixes one-sided samples.
+ *
+ * @param {number} cgId
+ * @param {Object} resolution - Entry from RESOLUTIONS
+ * @param {{ after?: string|null, from?: string|null, to?: string|null, before?: string|null }} bounds -
+ *   Bucket starts after `after` and before `before` (exclusive), samples
+ *   from `from` to `to` (inclusive); SQLite UTC timestamps
+ * @returns {Array<Object>} Oldest bucket first
+ */
+function buildBuckets(cgId, resolution, { after = null, from = null, to = null, before = null } = {}) {
+  const lower = after && (!from || after > from) ? after : from;
+  const series = loadGroupSeries(cgId, SAMPLE_METRICS, { from: lower, to });
+
+  const buckets = new Map();
+  for (const sample of series) {
+    const start = bucketStart(sample.timestamp, resolution);
+    if ((after && start <= after) || (from && start < from) || (before && start >= before)) continue;
+
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(sample);
+  }
+
+  return [...buckets].map(([start, samples]) => {
+    const row = { cg_id: cgId, bucket_start: start, sample_count: samples.length };
+    for (const [prefix, key] of Object.entries(METRICS)) {
+      const stats = summarize(samples.map((sample) => sample[key]));
+      for (const stat of STATS) row[`${prefix}_${stat}`] = stats[stat];
+    }
+    return row;
+  });
+}
+
+/**
+ * Rolls raw samples up into one resolution for every completed bucket after
+ * the last one stored. Stored buckets are never rebuilt: by then part of
+ * their raw samples may already have expired.
+ *
+ * @param {'hourly'|'daily'} resolutionName
+ * @param {Date} now
+ * @returns {number} Number of buckets written
+ */
+function rollUp(resolutionName, now) {
+  const db = getDb();
+  const resolution = RESOLUTIONS[resolutionName];
+
+  // Only completed buckets: everything before the start of the current one
+  const until = bucketStart(toSqliteTimestamp(now), resolution);
+  const lastBucket = getLastBucket(resolution);
+
+  const cgIds = db.prepare(`
+    SELECT DISTINCT cg_id FROM rpo_history
+    WHERE timestamp >= ? AND timestamp < ?
+  `).all(lastBucket || '0000-00-00 00:00:00', until).map((row) => row.cg_id);
+
+  const columns = Object.keys(METRICS).flatMap((prefix) => STATS.map((stat) => `${prefix}_${stat}`));
+  const upsert = db.prepare(`
+    INSERT OR REPLACE INTO ${resolution.table}
+      (cg_id, bucket_start, sample_count, ${columns.join(', ')})
+    VALUES (@cg_id, @bucket_start, @sample_count, ${columns.map((c) => `@${c}`).join(', ')})
+  `);
+
+  let written = 0;
+  const writeAll = db.transaction((rows) => {
+    for (const row of rows) upsert.run(row);
+  });
+  for (const cgId of cgIds) {
+    const rows = buildBuckets(cgId, resolution, { after: lastBucket, to: until, before: until });
+    writeAll(rows);
+    written += rows.length;
+  }
+
+  return written;
+}
+
+/**
+ * Loads a group's rollup rows of one resolution within a time range. Buckets
+ * after the last rolled-up one (not rolled up yet, or still in progress) are
+ * built from the raw samples, so the range is covered up to the newest poll.
+ *
+ * @param {number} cgId
+ * @param {'hourly'|'daily'} resolutionName
+ * @param {{ from?: string|null, to?: string|null }} [range] - Bucket start
+ *   bounds (inclusive), SQLite UTC timestamps
+ * @returns {Array<Object>} Rollup table rows, oldest bucket first
+ */
+function loadRollups(cgId, resolutionName, { from = null, to = null } = {}) {
+  const db = getDb();
+  const resolution = RESOLUTIONS[resolutionName];
+
+  const stored = db.prepare(`
+    SELECT * FROM ${resolution.table}
+    WHERE cg_id = ?
+      AND (? IS NULL OR bucket_start >= ?) AND (? IS NULL OR bucket_start <= ?)
+    ORDER BY bucket_start ASC
+  `).all(cgId, from, from, to, to);
+
+  const pending = buildBuckets(cgId, resolution, { after: getLastBucket(resolution), from, to });
+  return stored.concat(pending);
+}
+
+/**
+ * Deletes rows older than the given number of days.
+ *
+ * @param {string} table
+ * @param {string} column - Timestamp column
+ * @param {number} days
+ * @returns {number} Rows deleted
+ */
+function pruneTable(table, column, days) {
+  const db = getDb();
+  const info = db.prepare(
+    `DELETE FROM ${table} WHERE ${column} < datetime('now', ?)`
+  ).run(`-${days} days`);
+  return info.changes;
+}
+
+/**
+ * Runs one retention pass: rolls up completed hours and days, then deletes
+ * raw samples past `data_retention_days` and rollups past their own
+ * retention. Rolling up first guarantees no raw sample expires unsummarised.
+ *
+ * @returns {Object} Summary of the pass
+ */
+function runRetention() {
+  if (isRunning) {
+    console.log('[retention] Retention pass already in progress, skipping.');
+    return null;
+  }
+
+  isRunning = true;
+  const startTime = Date.now();
+
+  try {
+    const settings = getRetentionSettings();
+    const now = new Date();
+
+    const summary = {
+      startedAt: now.toISOString(),
+      hourlyBuckets: rollUp('hourly', now),
+      dailyBuckets: rollUp('daily', now),
+      deleted: {
+        rpoHistory: pruneTable('rpo_history', 'timestamp', settings.rawDays),
+        volumeHistory: pruneTable('volume_history', 'timestamp', settings.rawDays),
+        pollRuns: pruneTable('poll_runs', 'started_at', settings.rawDays),
+        notificationDeliveries: pruneTable('notification_deliveries', 'created_at', settings.rawDays),
+        hourly: pruneTable('rpo_history_hourly', 'bucket_start', settings.hourlyDays),
+        daily: pruneTable('rpo_history_daily', 'bucket_start', settings.dailyDays),
+        // Transitions are rare and kept as long as the daily rollups
+        pairStatusEvents: pruneTable('pair_status_events', 'created_at', settings.dailyDays),
+        alertSilences: pruneTable('alert_silences', 'expires_at', settings.rawDays),
+      },
+      durationMs: 0,
+      error: null,
+    };
+    summary.durationMs = Date.now() - startTime;
+    lastRun = summary;
+
+    console.log(
+      `[retention] Rolled up ${summary.hourlyBuckets} hourly / ${summary.dailyBuckets} daily bucket(s); ` +
+      `deleted ${summary.deleted.rpoHistory} raw sample(s) older than ${settings.rawDays} day(s) ` +
+      `in ${summary.durationMs}ms.`
+    );
+    return summary;
+  } catch (err) {
+    console.error(`[retention] Retention pass failed: ${err.message}`);
+    lastRun = {
+      startedAt: new Date(startTime).toISOString(),
+      durationMs: Date.now() - startTime,
+      error: err.message,
+    };
+    return lastRun;
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Starts the hourly retention job. The first pass runs shortly after
+ * startup so a long downtime does not leave expired data behind.
+ */
+function start() {
+  if (cronJob) return;
+
+  cronJob = cron.schedule(RETENTION_SCHEDULE, runRetention);
+  startupTimer = setTimeout(runRetention, STARTUP_DELAY_MS);
+  if (startupTimer.unref) {
+    startupTimer.unref();
+  }
+
+  console.log(`[retention] Retention job scheduled (cron: ${RETENTION_SCHEDULE}).`);
+}
+
+/**
+ * Stops the retention job.
+ */
+function stop() {
+  clearTimeout(startupTimer);
+  startupTimer = null;
+  if (cronJob) {
+    cronJob.stop();
+    cronJob = null;
+  }
+}
+
+/**
+ * Chooses the history resolution for a time range: raw samples while the
+ * range fits inside the raw retention (and is short enough to chart), hourly
+ * rollups up to their retention, daily rollups beyond that.
+ *
+ * @param {number} rangeSeconds
+ * @returns {'raw'|'hourly'|'daily'}
+ */
+function pickResolution(rangeSeconds) {
+  const settings = getRetentionSettings();
+  const rangeDays = rangeSeconds / 86400;
+
+  if (rangeDays <= Math.min(7, settings.rawDays)) return 'raw';
+  if (rangeDays <= Math.min(90, settings.hourlyDays)) return 'hourly';
+  return 'daily';
+}
+
+/**
+ * Returns the state of the retention job for diagnostics.
+ *
+ * @returns {Object}
+ */
+function getStatus() {
+  return {
+    isScheduled: !!cronJob,
+    isRunning,
+    settings: getRetentionSettings(),
+    lastRun,
+  };
+}
+
+module.exports = {
+  start,
+  stop,
+  runRetention,
+  pickResolution,
+  loadRollups,
+  getStatus,
+  RESOLUTIONS,
+};
@@ -7,6 +7,9 @@
  * Method 1 (Primary): Journal-based using qMarker, qCount, and usageRate.
  *   This captures ALL data changes including overwrites to existing blocks.
  *
+ *   Successive qMarker samples additionally give a time-based lag: how long
+ *   ago the master issued the sequence number the DR side is applying now.
+ *
  * Method 2 (Supplementary): LDEV numOfUsedBlock comparison.
  *   Only detects new block allocations. Useful for initial copy tracking
  *   and storage vMotion, but NOT reliable for general RPO (misses overwrites).
@@ -106,7 +109,9 @@ function calculateJournalRpo(journalData, copySpeed, drQMarker = null) {
     const masterMarkerDec = parseInt(qMarker, 16);
     const drMarkerDec = parseInt(drQMarker, 16);
     if (!isNaN(masterMarkerDec) && !isNaN(drMarkerDec)) {
-      qMarkerDelta = masterMarkerDec - drMarkerDec;
+      // The two journals are queried separately, so the DR marker can be
+      // sampled slightly later than the master's. It cannot really be ahead.
+      qMarkerDelta = Math.max(0, masterMarkerDec - drMarkerDec);
     }
   }
 
@@ -170,6 +175,100 @@ function calculateBlockDelta(pvolUsedBlocks, svolUsedBlocks) {
   };
 }
 
+/**
+ * Parses qMarker samples into numeric points and keeps only the newest run of
+ * non-decreasing markers, so a counter reset does not distort the result.
+ *
+ * @param {Array<{ timestampMs: number, qMarker: string }>} samples - Ordered oldest first
+ * @returns {Array<{ t: number, marker: number }>}
+ */
+function toMarkerPoints(samples) {
+  const points = (samples || [])
+    .map((s) => ({ t: s.timestampMs, marker: parseInt(s.qMarker, 16) }))
+    .filter((p) => !isNaN(p.t) && !isNaN(p.marker));
+
+  let start = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].marker < points[i - 1].marker || points[i].t < points[i - 1].t) {
+      start = i;
+    }
+  }
+  return points.slice(start);
+}
+
+/**
+ * Estimates how many journal sequence numbers are issued per second from
+ * successive qMarker samples of one journal.
+ *
+ * @param {Array<{ timestampMs: number, qMarker: string }>} samples - Ordered oldest first
+ * @returns {number|null} Sequence numbers per second, or null with fewer than two usable samples
+ */
+function calculateMarkerRate(samples) {
+  const points = toMarkerPoints(samples);
+  if (points.length < 2) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const elapsedSeconds = (last.t - first.t) / 1000;
+  if (elapsedSeconds <= 0) return null;
+
+  return (last.marker - first.marker) / elapsedSeconds;
+}
+
+/**
+ * Time-based RPO: how many seconds ago the master journal issued the
+ * sequence number the DR restore journal holds now.
+ *
+ * The master's qMarker history is searched for the interval in which it
+ * passed the DR marker, and the crossing time is linearly interpolated.
+ * If the DR marker is older than the whole history window, the crossing
+ * time is extrapolated from the master's sequence rate.
+ *
+ * @param {Array<{ timestampMs: number, qMarker: string }>} masterSamples - Master qMarker
+ *   samples ordered oldest first; the last entry is the current sample
+ * @param {string} drQMarker - Current qMarker of the DR restore journal
+ * @returns {{ lagSeconds: number|null, masterRate: number|null }}
+ */
+function calculateLagSeconds(masterSamples, drQMarker) {
+  const points = toMarkerPoints(masterSamples);
+  const drMarker = parseInt(drQMarker, 16);
+  const masterRate = calculateMarkerRate(masterSamples);
+
+  if (points.length === 0 || isNaN(drMarker)) {
+    return { lagSeconds: null, masterRate };
+  }
+
+  const current = points[points.length - 1];
+  if (drMarker >= current.marker) {
+    return { lagSeconds: 0, masterRate };
+  }
+
+  // Most recent sample at which the master had not yet passed the DR marker
+  for (let i = points.length - 2; i >= 0; i--) {
+    const older = points[i];
+    if (older.marker <= drMarker) {
+      const newer = points[i + 1];
+      const fraction = (drMarker - older.marker) / (newer.marker - older.marker);
+      const crossedAt = older.t + (newer.t - older.t) * fraction;
+      return {
+        lagSeconds: Math.round((current.t - crossedAt) / 10) / 100,
+        masterRate,
+      };
+    }
+  }
+
+  // DR marker predates the history window: extrapolate backwards
+  if (masterRate && masterRate > 0) {
+    const crossedAt = points[0].t - ((points[0].marker - drMarker) / masterRate) * 1000;
+    return {
+      lagSeconds: Math.round((current.t - crossedAt) / 10) / 100,
+      masterRate,
+    };
+  }
+
+  return { lagSeconds: null, masterRate };
+}
+
 /**
  * Aggregates RPO data across multiple volumes in a consistency group.
  * Uses worst-case (maximum) values to represent the group's RPO.
@@ -331,6 +430,8 @@ module.exports = {
   parseByteFormatCapacity,
   calculateJournalRpo,
   calculateBlockDelta,
+  calculateMarkerRate,
+  calculateLagSeconds,
   aggregateGroupRpo,
   determineTrend,
   formatBytes,
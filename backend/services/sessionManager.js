@@ -30,6 +30,13 @@ const RENEWAL_MARGIN_SECONDS = 60; // Renew session 60 seconds before timeout
  */
 const sessions = new Map();
 
+/**
+ * Session creations in flight.
+ * Key: storageDeviceId
+ * Value: Promise<{ token: string, sessionId: number }>
+ */
+const pendingSessions = new Map();
+
 /**
  * Retrieves the Ops Center API configuration from the database.
  *
@@ -129,24 +136,27 @@ function scheduleRenewal(storageDeviceId) {
 }
 
 /**
- * Renews a session by creating a new one and deleting the old one.
+ * Opens a new session for a storage device and replaces the pooled one. The
+ * previous session (if any) is deleted on the storage afterwards, best effort,
+ * so an expired or renewed session never lingers on the session array.
  *
  * @param {string} storageDeviceId
+ * @returns {Promise<{ token: string, sessionId: number }>}
  */
-async function renewSession(storageDeviceId) {
+async function openSession(storageDeviceId) {
   const apiConfig = getApiConfig();
   if (!apiConfig) {
-    throw new Error('API configuration not found');
+    throw new Error('API configuration not found. Please configure the Ops Center connection first.');
   }
 
   const credentials = getStorageCredentials(storageDeviceId);
   if (!credentials) {
-    throw new Error(`No valid credentials for storage ${storageDeviceId}`);
+    throw new Error(
+      `No authenticated credentials found for storage ${storageDeviceId}. ` +
+      'Please authenticate the storage system first.'
+    );
   }
 
-  const oldSession = sessions.get(storageDeviceId);
-
-  // Create a new session
   const result = await hitachiApi.createSession(
     apiConfig.host,
     apiConfig.port,
@@ -158,7 +168,11 @@ async function renewSession(storageDeviceId) {
     DEFAULT_ALIVE_TIME
   );
 
-  // Store the new session
+  const oldSession = sessions.get(storageDeviceId);
+  if (oldSession && oldSession.renewalTimer) {
+    clearTimeout(oldSession.renewalTimer);
+  }
+
   sessions.set(storageDeviceId, {
     token: result.token,
     sessionId: result.sessionId,
@@ -167,7 +181,7 @@ async function renewSession(storageDeviceId) {
     renewalTimer: null,
   });
 
-  // Schedule renewal for the new session
+  // Schedule automatic renewal
   scheduleRenewal(storageDeviceId);
 
   // Delete the old session (best effort)
@@ -191,6 +205,40 @@ async function renewSession(storageDeviceId) {
     }
   }
 
+  return {
+    token: result.token,
+    sessionId: result.sessionId,
+  };
+}
+
+/**
+ * Starts opening a session for a storage device, or joins the one already in
+ * flight. Storages are polled concurrently, so several callers can miss the pool
+ * at the same moment; sharing the pending promise keeps it to one session per
+ * storage instead of one per caller. The entry is cleared once it settles.
+ *
+ * @param {string} storageDeviceId
+ * @returns {Promise<{ token: string, sessionId: number }>}
+ */
+function openSessionOnce(storageDeviceId) {
+  const pending = pendingSessions.get(storageDeviceId);
+  if (pending) return pending;
+
+  const promise = openSession(storageDeviceId).finally(() => {
+    pendingSessions.delete(storageDeviceId);
+  });
+  pendingSessions.set(storageDeviceId, promise);
+  return promise;
+}
+
+/**
+ * Renews a session by creating a new one and deleting the old one.
+ *
+ * @param {string} storageDeviceId
+ */
+async function renewSession(storageDeviceId) {
+  const result = await openSessionOnce(storageDeviceId);
+
   console.log(
     `[sessionManager] Session renewed for storage ${storageDeviceId} ` +
     `(sessionId: ${result.sessionId})`
@@ -199,6 +247,7 @@ async function renewSession(storageDeviceId) {
 
 /**
  * Returns an existing valid session for a storage device, or creates a new one.
+ * Concurrent callers that find no valid session share a single creation.
  *
  * @param {string} storageDeviceId
  * @returns {Promise<{ token: string, sessionId: number }>}
@@ -218,17 +267,9 @@ async function getSession(storageDeviceId) {
     // Session is about to expire or has expired, create a new one below
   }
 
-  const apiConfig = getApiConfig();
-  if (!apiConfig) {
-    throw new Error('API configuration not found. Please configure the Ops Center connection first.');
-  }
-
-  const credentials = getStorageCredentials(storageDeviceId);
-  if (!credentials) {
-    throw new Error(
-      `No authenticated credentials found for storage ${storageDeviceId}. ` +
-      'Please authenticate the storage system first.'
-    );
+  // Another caller is already creating this storage's session
+  if (pendingSessions.has(storageDeviceId)) {
+    return pendingSessions.get(storageDeviceId);
   }
 
   // Check session count limit
@@ -241,37 +282,14 @@ async function getSession(storageDeviceId) {
   }
 
   // Create new session
-  const result = await hitachiApi.createSession(
-    apiConfig.host,
-    apiConfig.port,
-    apiConfig.useSsl,
-    storageDeviceId,
-    credentials.username,
-    credentials.password,
-    apiConfig.acceptSelfSigned,
-    DEFAULT_ALIVE_TIME
-  );
-
-  sessions.set(storageDeviceId, {
-    token: result.token,
-    sessionId: result.sessionId,
-    createdAt: Date.now(),
-    aliveTime: DEFAULT_ALIVE_TIME,
-    renewalTimer: null,
-  });
-
-  // Schedule automatic renewal
-  scheduleRenewal(storageDeviceId);
+  const result = await openSessionOnce(storageDeviceId);
 
   console.log(
     `[sessionManager] New session created for storage ${storageDeviceId} ` +
     `(sessionId: ${result.sessionId})`
   );
 
-  return {
-    token: result.token,
-    sessionId: result.sessionId,
-  };
+  return result;
 }
 
 /**
@@ -297,6 +315,28 @@ async function getRemoteSession(localStorageId, remoteStorageId) {
   };
 }
 
+/**
+ * Drops a storage's pooled session without deleting it on the storage. Used
+ * when the storage stops accepting the session token (401), e.g. because the
+ * session expired on the array before its renewal; the next getSession call
+ * then logs in again.
+ *
+ * @param {string} storageDeviceId
+ */
+function invalidateSession(storageDeviceId) {
+  const session = sessions.get(storageDeviceId);
+  if (!session) return;
+
+  if (session.renewalTimer) {
+    clearTimeout(session.renewalTimer);
+  }
+  sessions.delete(storageDeviceId);
+  console.warn(
+    `[sessionManager] Session ${session.sessionId} for storage ${storageDeviceId} ` +
+    'was rejected; a new session is opened on next use.'
+  );
+}
+
 /**
  * Deletes a single session and removes it from the pool.
  *
@@ -425,8 +465,10 @@ function getSessionSummary() {
 module.exports = {
   getSession,
   getRemoteSession,
+  invalidateSession,
   destroySession,
   cleanupAllSessions,
   getActiveSessionCount,
   getSessionSummary,
+  MAX_SESSIONS_PER_STORAGE,
 };
@@ -0,0 +1,45 @@
+/**
+ * SQLite column value helpers
+ *
+ * Timestamps are stored as SQLite UTC text ('YYYY-MM-DD HH:MM:SS', as written
+ * by datetime('now')) and multi-valued columns as comma-separated lists.
+ */
+
+/**
+ * Parses a SQLite UTC timestamp ('YYYY-MM-DD HH:MM:SS') or ISO string.
+ * Values without a zone are read as UTC.
+ *
+ * @param {string|null} value
+ * @returns {number} Milliseconds since epoch, NaN when missing or invalid
+ */
+function parseTimestamp(value) {
+  if (!value) return NaN;
+  const text = String(value).trim().replace(' ', 'T');
+  return Date.parse(/Z$|[+-]\d\d:?\d\d$/.test(text) ? text : `${text}Z`);
+}
+
+/**
+ * Formats a time as a SQLite UTC timestamp ('YYYY-MM-DD HH:MM:SS').
+ *
+ * @param {number|Date} time - Milliseconds since epoch or a Date
+ * @returns {string}
+ */
+function toSqliteTimestamp(time) {
+  return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Parses a comma-separated list column.
+ *
+ * @param {string|null} value
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+  return value ? value.split(',').map((v) => v.trim()).filter(Boolean) : [];
+}
+
+module.exports = {
+  parseTimestamp,
+  toSqliteTimestamp,
+  parseList,
+};
@@ -12,11 +12,13 @@ import {
   Menu,
   X,
   KeyRound,
+  Bell,
 } from 'lucide-react';
 
 import Login from './pages/Login';
 import Setup from './pages/Setup';
 import Dashboard from './pages/Dashboard';
+import Alerts from './pages/Alerts';
 import SettingsPage from './pages/Settings';
 
 // --- Auth Context ---
@@ -230,6 +232,7 @@ function Sidebar({ collapsed, onToggle }) {
 
   const navItems = [
     { path: '/dashboard', label: 'Kontrol Paneli', icon: LayoutDashboard },
+    { path: '/alerts', label: 'Uyarilar', icon: Bell },
     { path: '/setup', label: 'Kurulum', icon: Database },
     { path: '/settings', label: 'Ayarlar', icon: Settings },
   ];
@@ -345,6 +348,16 @@ export default function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/alerts"
+          element={
+            <ProtectedRoute>
+              <AppLayout>
+                <Alerts />
+              </AppLayout>
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/setup"
           element={
@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import {
+  X,
+  Loader2,
+  Check,
+  CheckCircle2,
+  MessageSquare,
+  UserPlus,
+  ArrowUpCircle,
+  PlusCircle,
+  BellRing,
+  Send,
+} from 'lucide-react';
+import { formatDuration, formatUtc, getAlertSeverityColor } from '../utils/formatters';
+
+/**
+ * History event type → label and icon.
+ */
+const EVENT_TYPES = {
+  created: { label: 'Uyari olustu', icon: PlusCircle, color: 'text-slate-400' },
+  unsuppressed: { label: 'Bastirma sona erdi', icon: BellRing, color: 'text-purple-400' },
+  acknowledged: { label: 'Onaylandi', icon: Check, color: 'text-blue-400' },
+  assigned: { label: 'Atandi', icon: UserPlus, color: 'text-cyan-400' },
+  unassigned: { label: 'Atama kaldirildi', icon: UserPlus, color: 'text-slate-400' },
+  escalated: { label: 'Eskale edildi', icon: ArrowUpCircle, color: 'text-orange-400' },
+  comment: { label: 'Yorum', icon: MessageSquare, color: 'text-slate-300' },
+  resolved: { label: 'Cozuldu', icon: CheckCircle2, color: 'text-green-400' },
+};
+
+const STATUS_LABELS = {
+  open: 'Acik',
+  acknowledged: 'Onaylandi',
+  resolved: 'Cozuldu',
+};
+
+/**
+ * Describes the details of a history event in a short line.
+ */
+function describeEvent(event) {
+  const d = event.details || {};
+  if (event.event_type === 'created' && d.suppression_reason) return `Bastirildi: ${d.suppression_reason}`;
+  if (event.event_type === 'assigned') return d.from ? `${d.from} → ${d.to}` : d.to;
+  if (event.event_type === 'unassigned') return d.from ? `${d.from} atamasi kaldirildi` : null;
+  if (event.event_type === 'escalated') return `Seviye ${d.level} (${d.policy}, ${d.after_minutes} dk)`;
+  if (event.event_type === 'resolved' && !event.username) {
+    return d.clear_polls ? `Otomatik: ${d.clear_polls} temiz yoklama` : 'Otomatik';
+  }
+  if (event.event_type === 'resolved' && d.rule_id) return `Kural #${d.rule_id} kaldirildi`;
+  if (d.bulk) return 'Toplu islem';
+  return null;
+}
+
+/**
+ * AlertDetailDrawer - Side panel with an alert's details and full history
+ * (state changes, assignments, escalations and comments), where the alert
+ * can be commented on, assigned, acknowledged and resolved.
+ *
+ * @param {Object} props
+ * @param {string|number} props.alertId
+ * @param {() => void} props.onClose
+ * @param {() => void} [props.onChange] - Called after the alert was changed
+ */
+export default function AlertDetailDrawer({ alertId, onClose, onChange }) {
+  const [alert, setAlert] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [assignees, setAssignees] = useState([]);
+  const [comment, setComment] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    load();
+    axios.get('/api/alerts/assignees')
+      .then((res) => setAssignees(res.data.assignees || []))
+      .catch(() => {});
+  }, [alertId]);
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get(`/api/alerts/${alertId}`);
+      setAlert(res.data.alert);
+      setEvents(res.data.events || []);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Uyari yuklenemedi.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Runs an alert action; the comment box, if filled, goes with it.
+   */
+  const runAction = async (path, body = {}) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await axios.post(`/api/alerts/${alertId}/${path}`, { ...body, comment: comment.trim() || undefined });
+      setComment('');
+      await load();
+      if (onChange) onChange();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Islem basarisiz oldu.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const colors = alert ? getAlertSeverityColor(alert.severity) : null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-black/50" onClick={onClose} />
+      <div className="relative w-full max-w-md h-full bg-slate-800 border-l border-slate-700 shadow-xl flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between px-4 py-3 border-b border-slate-700">
+          <span className="text-sm font-medium text-slate-200">Uyari #{alertId}</span>
+          <button onClick={onClose} className="p-1 text-slate-400 hover:text-white transition-colors">
+            <X size={16} />
+          </button>
+        </div>
+
+        {loading && !alert ? (
+          <div className="flex-1 flex items-center justify-center">
+            <Loader2 className="w-6 h-6 text-blue-400 animate-spin" />
+          </div>
+        ) : !alert ? (
+          <p className="p-4 text-sm text-red-400">{error}</p>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className={`px-4 py-3 border-b border-slate-700 ${colors.bg}`}>
+              <div className="flex items-center gap-2 mb-1 text-xs">
+                <span className={`font-medium ${colors.text}`}>{alert.severity}</span>
+                <span className="text-slate-400">{alert.cg_id !== null ? alert.group_name || `CG-${alert.cg_id}` : 'Sistem'}</span>
+                <span className="text-slate-500 font-mono">{alert.alert_type}</span>
+              </div>
+              <p className="text-sm text-slate-200 leading-snug">{alert.message}</p>
+              <p className="text-xs text-slate-500 mt-1">
+                {STATUS_LABELS[alert.status] || alert.status}
+                {` | ${alert.status === 'resolved' ? 'Sure' : 'Devam ediyor'}: ${formatDuration(alert.duration_seconds)}`}
+                {alert.escalation_level ? ` | Eskalasyon seviyesi ${alert.escalation_level}` : ''}
+                {alert.suppressed ? ` | Bastirildi (${alert.suppression_reason})` : ''}
+              </p>
+              <div className="flex items-center gap-2 mt-2">
+                <label className="text-xs text-slate-400">Atanan:</label>
+                <select
+                  value={alert.assigned_to || ''}
+                  disabled={busy}
+                  onChange={(e) => runAction('assign', { username: e.target.value || null })}
+                  className="flex-1 px-2 py-1 bg-slate-700 border border-slate-600 rounded text-xs text-white"
+                >
+                  <option value="">Atanmamis</option>
+                  {assignees.map((username) => (
+                    <option key={username} value={username}>{username}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {/* History */}
+            <div className="flex-1 overflow-y-auto px-4 py-3 space-y-3">
+              {events.map((event) => {
+                const type = EVENT_TYPES[event.event_type] || { label: event.event_type, icon: PlusCircle, color: 'text-slate-400' };
+                const Icon = type.icon;
+                const detail = describeEvent(event);
+                return (
+                  <div key={event.id} className="flex gap-2">
+                    <Icon size={14} className={`mt-0.5 flex-shrink-0 ${type.color}`} />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-xs text-slate-400">
+                        <span className={type.color}>{type.label}</span>
+                        {` - ${event.username || 'Sistem'} - ${formatUtc(event.created_at)}`}
+                      </p>
+                      {detail && <p className="text-xs text-slate-500">{detail}</p>}
+                      {event.comment && (
+                        <p className="mt-1 text-sm text-slate-200 bg-slate-900/50 rounded px-2 py-1 whitespace-pre-wrap break-words">
+                          {event.comment}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            {/* Comment and actions */}
+            <div className="border-t border-slate-700 p-4">
+              {error && <p className="mb-2 text-xs text-red-400">{error}</p>}
+              <textarea
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                rows={3}
+                maxLength={2000}
+                placeholder="Yorum veya devir notu"
+                className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <div className="flex flex-wrap gap-2 mt-2">
+                <button
+                  onClick={() => runAction('comments')}
+                  disabled={busy || !comment.trim()}
+                  className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white text-xs rounded-lg transition-colors"
+                >
+                  {busy ? <Loader2 size={12} className="animate-spin" /> : <Send size={12} />}
+                  Yorum Ekle
+                </button>
+                {alert.status === 'open' && (
+                  <button
+                    onClick={() => runAction('acknowledge')}
+                    disabled={busy}
+                    className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-slate-200 text-xs rounded-lg transition-colors"
+                  >
+                    <Check size={12} />
+                    Onayla
+                  </button>
+                )}
+                {alert.status !== 'resolved' && (
+                  <button
+                    onClick={() => runAction('resolve')}
+                    disabled={busy}
+                    className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-slate-200 text-xs rounded-lg transition-colors"
+                  >
+                    <CheckCircle2 size={12} />
+                    Coz
+                  </button>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
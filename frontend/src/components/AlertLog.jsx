@@ -6,8 +6,11 @@ import {
   Check,
   ChevronDown,
   ChevronUp,
+  MessageSquare,
+  User,
 } from 'lucide-react';
-import { formatTimestamp, getAlertSeverityColor } from '../utils/formatters';
+import { formatTimestamp, formatDuration, getAlertSeverityColor } from '../utils/formatters';
+import AlertDetailDrawer from './AlertDetailDrawer';
 
 /**
  * Severity → icon component mapping.
@@ -19,9 +22,9 @@ const SEVERITY_ICONS = {
 };
 
 /**
- * AlertItem - Single alert row.
+ * AlertItem - Single alert row. Clicking the content opens its details.
  */
-function AlertItem({ alert, onAcknowledge }) {
+function AlertItem({ alert, onAcknowledge, onSelect }) {
   const colors = getAlertSeverityColor(alert.severity);
   const IconComponent = SEVERITY_ICONS[alert.severity] || Info;
 
@@ -35,7 +38,7 @@ function AlertItem({ alert, onAcknowledge }) {
       </div>
 
       {/* Content */}
-      <div className="flex-1 min-w-0">
+      <div className="flex-1 min-w-0 cursor-pointer" onClick={() => onSelect(alert.id)}>
         <div className="flex items-center gap-2 mb-0.5">
           <span className="text-xs text-slate-500 font-mono">
             {formatTimestamp(alert.timestamp)}
@@ -45,12 +48,46 @@ function AlertItem({ alert, onAcknowledge }) {
               {alert.groupName}
             </span>
           )}
+          {alert.suppressed && (
+            <span
+              className="text-xs text-purple-400 bg-purple-500/10 px-1.5 rounded"
+              title={alert.suppressionReason || undefined}
+            >
+              Bastirildi
+            </span>
+          )}
+          {alert.escalationLevel > 1 && alert.status === 'open' && (
+            <span className="text-xs text-red-400 bg-red-500/10 px-1.5 rounded">
+              Eskale edildi
+            </span>
+          )}
         </div>
         <p className="text-sm text-slate-300 leading-snug">{alert.message}</p>
+        {(alert.durationSeconds != null || alert.assignedTo || alert.commentCount > 0) && (
+          <p className="flex items-center gap-3 text-xs text-slate-500 mt-0.5">
+            {alert.durationSeconds != null && (
+              <span>
+                {alert.status === 'resolved' ? 'Sure' : 'Devam ediyor'}: {formatDuration(alert.durationSeconds)}
+              </span>
+            )}
+            {alert.assignedTo && (
+              <span className="flex items-center gap-1">
+                <User size={10} />
+                {alert.assignedTo}
+              </span>
+            )}
+            {alert.commentCount > 0 && (
+              <span className="flex items-center gap-1">
+                <MessageSquare size={10} />
+                {alert.commentCount}
+              </span>
+            )}
+          </p>
+        )}
       </div>
 
       {/* Acknowledge button */}
-      {!alert.acknowledged && onAcknowledge && (
+      {!alert.acknowledged && alert.status !== 'resolved' && onAcknowledge && (
         <button
           onClick={() => onAcknowledge(alert.id)}
           className="flex-shrink-0 flex items-center gap-1 px-2 py-1 text-xs rounded
@@ -63,7 +100,12 @@ function AlertItem({ alert, onAcknowledge }) {
         </button>
       )}
 
-      {alert.acknowledged && (
+      {alert.status === 'resolved' ? (
+        <span className="flex-shrink-0 text-xs text-green-600 flex items-center gap-1">
+          <Check size={12} />
+          Cozuldu
+        </span>
+      ) : alert.acknowledged && (
         <span className="flex-shrink-0 text-xs text-slate-600 flex items-center gap-1">
           <Check size={12} />
           Onaylandi
@@ -83,13 +125,23 @@ function AlertItem({ alert, onAcknowledge }) {
  *   severity: 'info'|'warning'|'critical',
  *   groupName: string,
  *   message: string,
- *   acknowledged: boolean
+ *   acknowledged: boolean,
+ *   status?: 'open'|'acknowledged'|'resolved',
+ *   durationSeconds?: number,
+ *   suppressed?: boolean,
+ *   suppressionReason?: string,
+ *   escalationLevel?: number,
+ *   assignedTo?: string,
+ *   commentCount?: number
  * }>} props.alerts
  * @param {(id: string|number) => void} props.onAcknowledge
  * @param {() => void} [props.onViewAll]
+ * @param {() => void} [props.onAlertChange] - Called after an alert was
+ *   changed from its detail drawer
  */
-export default function AlertLog({ alerts = [], onAcknowledge, onViewAll }) {
+export default function AlertLog({ alerts = [], onAcknowledge, onViewAll, onAlertChange }) {
   const [expanded, setExpanded] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
 
   const displayAlerts = alerts.slice(0, 20);
   const hasMore = alerts.length > 20;
@@ -161,6 +213,7 @@ export default function AlertLog({ alerts = [], onAcknowledge, onViewAll }) {
                   key={alert.id}
                   alert={alert}
                   onAcknowledge={onAcknowledge}
+                  onSelect={setSelectedId}
                 />
               ))}
             </div>
@@ -179,6 +232,14 @@ export default function AlertLog({ alerts = [], onAcknowledge, onViewAll }) {
           )}
         </div>
       )}
+
+      {selectedId !== null && (
+        <AlertDetailDrawer
+          alertId={selectedId}
+          onClose={() => setSelectedId(null)}
+          onChange={onAlertChange}
+        />
+      )}
     </div>
   );
 }
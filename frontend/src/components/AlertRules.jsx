@@ -0,0 +1,613 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import {
+  Trash2,
+  CheckCircle2,
+  XCircle,
+  Loader2,
+  Save,
+  ToggleLeft,
+  ToggleRight,
+  RefreshCw,
+  Plus,
+  Pencil,
+  Play,
+} from 'lucide-react';
+import { formatUtc, splitList } from '../utils/formatters';
+
+const RULE_METRIC_LABELS = {
+  usage_rate: 'Journal kullanim orani (%)',
+  q_count: 'qCount',
+  pending_data_bytes: 'Bekleyen veri (bayt)',
+  estimated_rpo_seconds: 'Tahmini RPO (sn)',
+  lag_seconds: 'Gecikme (sn)',
+  block_delta_bytes: 'Blok farki (bayt)',
+  q_marker_delta: 'qMarker farki',
+};
+
+const RULE_TYPE_LABELS = {
+  threshold: 'Esik (sureli)',
+  trend: 'Egilim',
+  change: 'Degisim',
+};
+
+const RULE_RELATIVE_LABELS = {
+  usage_rate_warning: 'Kullanim uyari esigi',
+  usage_rate_critical: 'Kullanim kritik esigi',
+  rpo_seconds_warning: 'RPO uyari esigi',
+  rpo_seconds_critical: 'RPO kritik esigi',
+  target_rpo_seconds: 'Hedef RPO',
+};
+
+const RULE_SEVERITY_COLORS = {
+  info: 'text-blue-400',
+  warning: 'text-yellow-400',
+  critical: 'text-red-400',
+};
+
+const EMPTY_RULE_FORM = {
+  id: null,
+  name: '',
+  description: '',
+  severity: 'warning',
+  cg_ids: '',
+  type: 'threshold',
+  metric: 'usage_rate',
+  operator: '>=',
+  value: '',
+  relative_to: '',
+  duration_mode: 'polls',
+  duration: 3,
+  direction: 'increasing',
+  polls: 3,
+  window_minutes: 60,
+  unit: 'percent',
+};
+
+/**
+ * Builds the API rule body from the rule form.
+ */
+function buildRuleBody(form) {
+  let condition;
+  if (form.type === 'trend') {
+    condition = { type: 'trend', metric: form.metric, direction: form.direction, polls: Number(form.polls) };
+  } else if (form.type === 'change') {
+    condition = {
+      type: 'change',
+      metric: form.metric,
+      operator: form.operator,
+      value: Number(form.value),
+      unit: form.unit,
+      window_minutes: Number(form.window_minutes),
+    };
+  } else {
+    condition = { type: 'threshold', metric: form.metric, operator: form.operator, value: Number(form.value) };
+    if (form.relative_to) condition.relative_to = form.relative_to;
+    if (form.duration_mode === 'polls') condition.for_polls = Number(form.duration);
+    if (form.duration_mode === 'minutes') condition.for_minutes = Number(form.duration);
+  }
+  return {
+    name: form.name,
+    description: form.description || null,
+    severity: form.severity,
+    cg_ids: splitList(form.cg_ids).map(Number),
+    condition,
+  };
+}
+
+/**
+ * AlertRules - Custom alert rule list and editor with the dry-run preview,
+ * shown in the settings page.
+ */
+export default function AlertRules() {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [dryRun, setDryRun] = useState(null);
+  const [dryRunning, setDryRunning] = useState(false);
+  const [dryRunHours, setDryRunHours] = useState(24);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get('/api/alerts/rules');
+      setRules(res.data.rules || []);
+    } catch {
+      // ignore
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showMessage = (text) => {
+    setError(null);
+    setMessage(text);
+    setTimeout(() => setMessage(null), 3000);
+  };
+
+  const openNewRule = () => {
+    setError(null);
+    setDryRun(null);
+    setForm({ ...EMPTY_RULE_FORM });
+  };
+
+  const openEditRule = (rule) => {
+    const c = rule.condition;
+    setError(null);
+    setDryRun(null);
+    setForm({
+      ...EMPTY_RULE_FORM,
+      id: rule.id,
+      name: rule.name,
+      description: rule.description || '',
+      severity: rule.severity,
+      cg_ids: rule.cg_ids.join(', '),
+      type: c.type,
+      metric: c.metric,
+      operator: c.operator || EMPTY_RULE_FORM.operator,
+      value: c.value !== undefined ? String(c.value) : '',
+      relative_to: c.relative_to || '',
+      duration_mode: c.for_minutes ? 'minutes' : c.for_polls ? 'polls' : 'none',
+      duration: c.for_minutes || c.for_polls || EMPTY_RULE_FORM.duration,
+      direction: c.direction || EMPTY_RULE_FORM.direction,
+      polls: c.polls || EMPTY_RULE_FORM.polls,
+      window_minutes: c.window_minutes || EMPTY_RULE_FORM.window_minutes,
+      unit: c.unit || EMPTY_RULE_FORM.unit,
+    });
+  };
+
+  const updateForm = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const body = buildRuleBody(form);
+      if (form.id) {
+        await axios.put(`/api/alerts/rules/${form.id}`, body);
+      } else {
+        await axios.post('/api/alerts/rules', body);
+      }
+      setForm(null);
+      setDryRun(null);
+      showMessage('Uyari kurali kaydedildi.');
+      await loadRules();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Uyari kurali kaydedilemedi.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDryRun = async (rule = null) => {
+    setDryRunning(true);
+    setError(null);
+    try {
+      const url = rule ? `/api/alerts/rules/${rule.id}/dry-run` : '/api/alerts/rules/dry-run';
+      const res = await axios.post(url, rule ? {} : buildRuleBody(form), { params: { hours: dryRunHours } });
+      setDryRun({ ...res.data, name: rule ? rule.name : form.name });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Kural gecmis veride denenemedi.');
+    } finally {
+      setDryRunning(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      const res = await axios.put(`/api/alerts/rules/${rule.id}`, { is_enabled: !rule.is_enabled });
+      showMessage(
+        rule.is_enabled
+          ? `Kural devre disi birakildi${res.data.resolved_alerts ? `, ${res.data.resolved_alerts} uyari cozuldu` : ''}.`
+          : 'Kural etkinlestirildi.'
+      );
+      await loadRules();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Kural guncellenemedi.');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`"${rule.name}" kurali silinecek ve acik uyarilari cozulecek. Devam etmek istiyor musunuz?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/alerts/rules/${rule.id}`);
+      showMessage('Uyari kurali silindi.');
+      await loadRules();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Uyari kurali silinemedi.');
+    }
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  if (loading && rules.length === 0) {
+    return (
+      <div className="bg-slate-800 border border-slate-700 rounded-xl p-6 flex justify-center">
+        <Loader2 className="w-6 h-6 text-blue-400 animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-slate-800 border border-slate-700 rounded-xl p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-white">Uyari Kurallari</h2>
+        <div className="flex items-center gap-2">
+          {!form && (
+            <button
+              onClick={openNewRule}
+              className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-xs rounded-lg transition-colors"
+            >
+              <Plus className="w-3 h-3" />
+              Kural Ekle
+            </button>
+          )}
+          <button
+            onClick={loadRules}
+            className="p-2 bg-slate-700 hover:bg-slate-600 text-slate-400 hover:text-white rounded-lg transition-colors"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+      <p className="text-slate-400 text-sm mb-6">
+        Kurallar her yoklama dongusunden sonra RPO gecmisi uzerinde degerlendirilir. Kosul bir suredir
+        veya ardisik yoklamalarda saglaniyorsa uyari olusturulur; kosul kalktiginda uyari otomatik cozulur.
+      </p>
+
+      {message && (
+        <div className="mb-4 p-3 rounded-lg bg-green-500/10 border border-green-500/30 text-green-400 text-sm flex items-center gap-2">
+          <CheckCircle2 className="w-4 h-4" />
+          {message}
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      {form && (
+        <div className="mb-6 bg-slate-900/50 border border-slate-700 rounded-lg p-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Ad</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => updateForm('name', e.target.value)}
+                placeholder="Kalici journal dolulugu"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Aciklama</label>
+              <input
+                type="text"
+                value={form.description}
+                onChange={(e) => updateForm('description', e.target.value)}
+                placeholder="Istege bagli"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Onem</label>
+              <select
+                value={form.severity}
+                onChange={(e) => updateForm('severity', e.target.value)}
+                className={inputClass}
+              >
+                <option value="info">Bilgi</option>
+                <option value="warning">Uyari</option>
+                <option value="critical">Kritik</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Tutarlilik Gruplari (CG ID)</label>
+              <input
+                type="text"
+                value={form.cg_ids}
+                onChange={(e) => updateForm('cg_ids', e.target.value)}
+                placeholder="Bos birakilirsa tum gruplar"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Kosul Tipi</label>
+              <select
+                value={form.type}
+                onChange={(e) => updateForm('type', e.target.value)}
+                className={inputClass}
+              >
+                {Object.entries(RULE_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Metrik</label>
+              <select
+                value={form.metric}
+                onChange={(e) => updateForm('metric', e.target.value)}
+                className={inputClass}
+              >
+                {Object.entries(RULE_METRIC_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            {form.type === 'trend' ? (
+              <>
+                <div>
+                  <label className="block text-xs text-slate-400 mb-1">Yon</label>
+                  <select
+                    value={form.direction}
+                    onChange={(e) => updateForm('direction', e.target.value)}
+                    className={inputClass}
+                  >
+                    <option value="increasing">Artiyor</option>
+                    <option value="decreasing">Azaliyor</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs text-slate-400 mb-1">Ardisik Yoklama</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={form.polls}
+                    onChange={(e) => updateForm('polls', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="grid grid-cols-3 gap-2">
+                  <div>
+                    <label className="block text-xs text-slate-400 mb-1">Karsilastirma</label>
+                    <select
+                      value={form.operator}
+                      onChange={(e) => updateForm('operator', e.target.value)}
+                      className={inputClass}
+                    >
+                      {['>', '>=', '<', '<='].map((op) => (
+                        <option key={op} value={op}>{op}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="col-span-2">
+                    <label className="block text-xs text-slate-400 mb-1">
+                      {form.type === 'change' ? 'Degisim' : form.relative_to ? 'Carpan' : 'Deger'}
+                    </label>
+                    <input
+                      type="number"
+                      step="any"
+                      value={form.value}
+                      onChange={(e) => updateForm('value', e.target.value)}
+                      placeholder={form.relative_to ? 'Ornek: 0.8' : ''}
+                      className={inputClass}
+                    />
+                  </div>
+                </div>
+                {form.type === 'change' ? (
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="block text-xs text-slate-400 mb-1">Birim</label>
+                      <select
+                        value={form.unit}
+                        onChange={(e) => updateForm('unit', e.target.value)}
+                        className={inputClass}
+                      >
+                        <option value="percent">Yuzde</option>
+                        <option value="absolute">Mutlak</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-xs text-slate-400 mb-1">Pencere (dk)</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={form.window_minutes}
+                        onChange={(e) => updateForm('window_minutes', e.target.value)}
+                        className={inputClass}
+                      />
+                    </div>
+                  </div>
+                ) : (
+                  <>
+                    <div>
+                      <label className="block text-xs text-slate-400 mb-1">Gore (istege bagli)</label>
+                      <select
+                        value={form.relative_to}
+                        onChange={(e) => updateForm('relative_to', e.target.value)}
+                        className={inputClass}
+                      >
+                        <option value="">Sabit deger</option>
+                        {Object.entries(RULE_RELATIVE_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Sure</label>
+                        <select
+                          value={form.duration_mode}
+                          onChange={(e) => updateForm('duration_mode', e.target.value)}
+                          className={inputClass}
+                        >
+                          <option value="none">Tek yoklama</option>
+                          <option value="polls">Ardisik yoklama</option>
+                          <option value="minutes">Dakika</option>
+                        </select>
+                      </div>
+                      {form.duration_mode !== 'none' && (
+                        <div>
+                          <label className="block text-xs text-slate-400 mb-1">
+                            {form.duration_mode === 'polls' ? 'Yoklama' : 'Dakika'}
+                          </label>
+                          <input
+                            type="number"
+                            min="1"
+                            value={form.duration}
+                            onChange={(e) => updateForm('duration', e.target.value)}
+                            className={inputClass}
+                          />
+                        </div>
+                      )}
+                    </div>
+                  </>
+                )}
+              </>
+            )}
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white text-sm rounded-lg transition-colors"
+            >
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+              Kaydet
+            </button>
+            <button
+              onClick={() => handleDryRun()}
+              disabled={dryRunning}
+              className="flex items-center gap-2 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white text-sm rounded-lg transition-colors"
+            >
+              {dryRunning ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+              Gecmiste Dene
+            </button>
+            <select
+              value={dryRunHours}
+              onChange={(e) => setDryRunHours(Number(e.target.value))}
+              className="px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm"
+            >
+              {[6, 24, 72, 168].map((h) => (
+                <option key={h} value={h}>Son {h} saat</option>
+              ))}
+            </select>
+            <button
+              onClick={() => { setForm(null); setDryRun(null); }}
+              className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white text-sm rounded-lg transition-colors"
+            >
+              Vazgec
+            </button>
+          </div>
+        </div>
+      )}
+
+      {dryRun && (
+        <div className="mb-6 bg-slate-900/50 border border-slate-700 rounded-lg p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-sm font-semibold text-slate-300">
+              Deneme: {dryRun.name || 'Kural'} (son {dryRun.hours} saat)
+            </h3>
+            <button onClick={() => setDryRun(null)} className="text-slate-500 hover:text-white">
+              <XCircle className="w-4 h-4" />
+            </button>
+          </div>
+          <p className={`text-sm mb-3 ${dryRun.would_fire ? 'text-yellow-400' : 'text-green-400'}`}>
+            {dryRun.would_fire
+              ? `Kural ${dryRun.total_firing_samples} ornekte tetiklenirdi.`
+              : 'Kural bu surede hic tetiklenmezdi.'}
+          </p>
+          {dryRun.groups.length === 0 ? (
+            <p className="text-xs text-slate-500">Kurala uyan izlenen grup yok.</p>
+          ) : (
+            <div className="space-y-2">
+              {dryRun.groups.map((g) => (
+                <div key={`${g.cg_id}:${g.storage_device_id}`} className="text-xs">
+                  <p className="text-slate-300">
+                    CG-{g.cg_id}{g.storage_device_id && ` (${g.storage_device_id})`}: {g.evaluated_samples}/{g.samples} ornek degerlendirildi, {g.firing_samples} tetiklenme
+                    {g.firing_now && <span className="ml-2 text-yellow-400">Su an tetikleniyor</span>}
+                  </p>
+                  {g.periods.map((p, idx) => (
+                    <p key={idx} className="text-slate-500 ml-4">
+                      {formatUtc(p.started_at)} - {p.ended_at ? formatUtc(p.ended_at) : 'devam ediyor'}
+                      {` (${p.samples} ornek, son deger: ${p.last_value})`}
+                    </p>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {rules.length === 0 ? (
+        <p className="text-center py-4 text-slate-500 text-sm">Tanimli uyari kurali yok.</p>
+      ) : (
+        <div className="space-y-2">
+          {rules.map((rule) => (
+            <div
+              key={rule.id}
+              className={`flex items-center gap-3 p-3 rounded-lg border border-slate-700 bg-slate-900/40 ${
+                rule.is_enabled ? '' : 'opacity-50'
+              }`}
+            >
+              <button onClick={() => handleToggle(rule)} className="flex-shrink-0">
+                {rule.is_enabled ? (
+                  <ToggleRight className="w-6 h-6 text-blue-400" />
+                ) : (
+                  <ToggleLeft className="w-6 h-6 text-slate-500" />
+                )}
+              </button>
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-white truncate">
+                  {rule.name}
+                  <span className={`ml-2 text-xs ${RULE_SEVERITY_COLORS[rule.severity] || 'text-slate-400'}`}>
+                    {rule.severity}
+                  </span>
+                  {rule.open_alerts > 0 && (
+                    <span className="ml-2 text-xs text-red-400">{rule.open_alerts} acik uyari</span>
+                  )}
+                </p>
+                <p className="text-xs text-slate-500 mt-0.5 truncate">
+                  {rule.summary}
+                  {' | '}
+                  {rule.cg_ids.length > 0 ? rule.cg_ids.map((id) => `CG-${id}`).join(', ') : 'Tum gruplar'}
+                  {rule.description && ` | ${rule.description}`}
+                </p>
+              </div>
+              <button
+                onClick={() => handleDryRun(rule)}
+                disabled={dryRunning}
+                title="Gecmiste dene"
+                className="flex-shrink-0 p-1.5 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg transition-colors"
+              >
+                <Play className="w-3 h-3" />
+              </button>
+              <button
+                onClick={() => openEditRule(rule)}
+                className="flex-shrink-0 p-1.5 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg transition-colors"
+              >
+                <Pencil className="w-3 h-3" />
+              </button>
+              <button
+                onClick={() => handleDelete(rule)}
+                className="flex-shrink-0 p-1.5 bg-slate-700 hover:bg-red-600 text-slate-300 rounded-lg transition-colors"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,313 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import {
+  Trash2,
+  Loader2,
+  Save,
+  ToggleLeft,
+  ToggleRight,
+  Plus,
+  Pencil,
+} from 'lucide-react';
+import { splitList } from '../utils/formatters';
+
+/**
+ * EscalationPolicies - Escalation policy list and editor, shown in the
+ * notifications settings.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.channels - Notification channels a level can notify
+ * @param {function(string|null): void} props.onError - Shows (or clears) an error message
+ * @param {function(string|null): void} props.onMessage - Shows (or clears) a success message
+ */
+export default function EscalationPolicies({ channels, onError, onMessage }) {
+  const [policies, setPolicies] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadPolicies();
+  }, []);
+
+  const loadPolicies = async () => {
+    try {
+      const res = await axios.get('/api/notifications/escalation-policies');
+      setPolicies(res.data.policies || []);
+    } catch {
+      // ignore
+    }
+  };
+
+  const openNew = () => {
+    onError(null);
+    setForm({
+      id: null,
+      name: '',
+      is_enabled: true,
+      severities: ['critical'],
+      cg_ids: '',
+      level1_channel_ids: [],
+      level2_channel_ids: [],
+      escalate_after_minutes: '30',
+      repeat_interval_minutes: '',
+    });
+  };
+
+  const openEdit = (policy) => {
+    onError(null);
+    setForm({
+      ...policy,
+      cg_ids: policy.cg_ids.join(', '),
+      escalate_after_minutes: policy.escalate_after_minutes ? String(policy.escalate_after_minutes) : '',
+      repeat_interval_minutes: policy.repeat_interval_minutes ? String(policy.repeat_interval_minutes) : '',
+    });
+  };
+
+  const toggleInList = (field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter((v) => v !== value)
+        : [...prev[field], value],
+    }));
+  };
+
+  const handleSave = async () => {
+    const body = {
+      name: form.name,
+      is_enabled: form.is_enabled,
+      severities: form.severities,
+      cg_ids: splitList(form.cg_ids).map(Number),
+      level1_channel_ids: form.level1_channel_ids,
+      level2_channel_ids: form.level2_channel_ids,
+      escalate_after_minutes: form.escalate_after_minutes ? parseInt(form.escalate_after_minutes, 10) : null,
+      repeat_interval_minutes: form.repeat_interval_minutes ? parseInt(form.repeat_interval_minutes, 10) : null,
+    };
+
+    setSaving(true);
+    onError(null);
+    try {
+      if (form.id) {
+        await axios.put(`/api/notifications/escalation-policies/${form.id}`, body);
+      } else {
+        await axios.post('/api/notifications/escalation-policies', body);
+      }
+      setForm(null);
+      onMessage('Eskalasyon politikasi kaydedildi.');
+      await loadPolicies();
+    } catch (err) {
+      onError(err.response?.data?.error || 'Eskalasyon politikasi kaydedilemedi.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (policy) => {
+    try {
+      await axios.put(`/api/notifications/escalation-policies/${policy.id}`, { is_enabled: !policy.is_enabled });
+      await loadPolicies();
+    } catch (err) {
+      onError(err.response?.data?.error || 'Politika guncellenemedi.');
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    if (!window.confirm(`"${policy.name}" eskalasyon politikasi silinecek. Devam etmek istiyor musunuz?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/notifications/escalation-policies/${policy.id}`);
+      onMessage('Eskalasyon politikasi silindi.');
+      await loadPolicies();
+    } catch (err) {
+      onError(err.response?.data?.error || 'Politika silinemedi.');
+    }
+  };
+
+  const channelNames = (ids) =>
+    ids.map((id) => channels.find((c) => c.id === id)?.name || `#${id}`).join(', ') || '-';
+
+  const inputClass =
+    'w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  const renderChannelPicker = (field) => (
+    <div className="flex flex-wrap gap-3">
+      {channels.length === 0 && <span className="text-xs text-slate-500">Once bir kanal ekleyin.</span>}
+      {channels.map((channel) => (
+        <label key={channel.id} className="flex items-center gap-2 text-sm text-slate-300">
+          <input
+            type="checkbox"
+            checked={form[field].includes(channel.id)}
+            onChange={() => toggleInList(field, channel.id)}
+            className="rounded border-slate-600 bg-slate-700"
+          />
+          {channel.name}
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="mb-8">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-slate-300">Eskalasyon Politikalari</h3>
+        {!form && (
+          <button
+            onClick={openNew}
+            className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-xs rounded-lg transition-colors"
+          >
+            <Plus className="w-3 h-3" />
+            Politika Ekle
+          </button>
+        )}
+      </div>
+      <p className="text-xs text-slate-500 mb-3">
+        Yeni uyari 1. seviye kanallara hemen gonderilir. Belirtilen sure icinde onaylanmazsa 2. seviye
+        kanallara eskale edilir; onaylanana kadar tekrar araliginda yeniden gonderilir. Uyariya ilk uyan
+        etkin politika uygulanir.
+      </p>
+
+      {form && (
+        <div className="mb-4 bg-slate-900/50 border border-slate-700 rounded-lg p-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Ad</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm((p) => ({ ...p, name: e.target.value }))}
+                placeholder="Kritik uyarilar"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Tutarlilik Gruplari (CG ID)</label>
+              <input
+                type="text"
+                value={form.cg_ids}
+                onChange={(e) => setForm((p) => ({ ...p, cg_ids: e.target.value }))}
+                placeholder="Tum gruplar ve sistem uyarilari"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Onem Seviyeleri</label>
+              <div className="flex gap-4">
+                {['critical', 'warning', 'info'].map((severity) => (
+                  <label key={severity} className="flex items-center gap-2 text-sm text-slate-300">
+                    <input
+                      type="checkbox"
+                      checked={form.severities.includes(severity)}
+                      onChange={() => toggleInList('severities', severity)}
+                      className="rounded border-slate-600 bg-slate-700"
+                    />
+                    {severity}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block text-xs text-slate-400 mb-1">Eskalasyon (dk)</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={form.escalate_after_minutes}
+                  onChange={(e) => setForm((p) => ({ ...p, escalate_after_minutes: e.target.value }))}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-slate-400 mb-1">Tekrar (dk)</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={form.repeat_interval_minutes}
+                  onChange={(e) => setForm((p) => ({ ...p, repeat_interval_minutes: e.target.value }))}
+                  placeholder="Tekrar yok"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">1. Seviye Kanallar</label>
+              {renderChannelPicker('level1_channel_ids')}
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">2. Seviye Kanallar</label>
+              {renderChannelPicker('level2_channel_ids')}
+            </div>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white text-sm rounded-lg transition-colors"
+            >
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+              Kaydet
+            </button>
+            <button
+              onClick={() => setForm(null)}
+              className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white text-sm rounded-lg transition-colors"
+            >
+              Vazgec
+            </button>
+          </div>
+        </div>
+      )}
+
+      {policies.length === 0 ? (
+        <p className="text-center py-4 text-slate-500 text-sm">Tanimli eskalasyon politikasi yok.</p>
+      ) : (
+        <div className="space-y-2">
+          {policies.map((policy) => (
+            <div
+              key={policy.id}
+              className={`flex items-center gap-3 p-3 rounded-lg border border-slate-700 bg-slate-900/40 ${
+                policy.is_enabled ? '' : 'opacity-60'
+              }`}
+            >
+              <button onClick={() => handleToggle(policy)} className="flex-shrink-0">
+                {policy.is_enabled ? (
+                  <ToggleRight className="w-6 h-6 text-blue-400" />
+                ) : (
+                  <ToggleLeft className="w-6 h-6 text-slate-500" />
+                )}
+              </button>
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-white truncate">
+                  {policy.name}
+                  {policy.open_alerts > 0 && (
+                    <span className="ml-2 text-xs text-orange-400">{policy.open_alerts} onaysiz uyari</span>
+                  )}
+                </p>
+                <p className="text-xs text-slate-500 mt-0.5">
+                  {policy.severities.join(', ')}
+                  {' | '}
+                  {policy.cg_ids.length > 0 ? policy.cg_ids.map((id) => `CG-${id}`).join(', ') : 'Tum gruplar'}
+                  {` | 1. seviye: ${channelNames(policy.level1_channel_ids)}`}
+                  {policy.level2_channel_ids.length > 0 &&
+                    ` | ${policy.escalate_after_minutes} dk sonra 2. seviye: ${channelNames(policy.level2_channel_ids)}`}
+                  {policy.repeat_interval_minutes && ` | ${policy.repeat_interval_minutes} dk'da bir tekrar`}
+                </p>
+              </div>
+              <button
+                onClick={() => openEdit(policy)}
+                className="flex-shrink-0 p-1.5 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg transition-colors"
+              >
+                <Pencil className="w-3 h-3" />
+              </button>
+              <button
+                onClick={() => handleDelete(policy)}
+                className="flex-shrink-0 p-1.5 bg-slate-700 hover:bg-red-600 text-slate-300 rounded-lg transition-colors"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
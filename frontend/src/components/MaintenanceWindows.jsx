@@ -0,0 +1,538 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import {
+  Trash2,
+  CheckCircle2,
+  Loader2,
+  Save,
+  RefreshCw,
+  Plus,
+  Pencil,
+  Wrench,
+} from 'lucide-react';
+import { formatUtc, toLocalInput, splitList } from '../utils/formatters';
+
+const RECURRENCE_LABELS = {
+  none: 'Tek seferlik',
+  daily: 'Her gun',
+  weekly: 'Her hafta',
+};
+
+const SILENCE_DURATIONS = [
+  { label: '30 dk', minutes: 30 },
+  { label: '1 saat', minutes: 60 },
+  { label: '2 saat', minutes: 120 },
+  { label: '4 saat', minutes: 240 },
+  { label: '8 saat', minutes: 480 },
+  { label: '24 saat', minutes: 1440 },
+];
+
+/**
+ * MaintenanceWindows - Maintenance window and silence list and editor, shown
+ * in the settings page. Alerts raised inside a window or matching a silence
+ * are recorded as suppressed and not sent.
+ */
+export default function MaintenanceWindows() {
+  const [windows, setWindows] = useState([]);
+  const [silences, setSilences] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [silenceForm, setSilenceForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadAll();
+  }, []);
+
+  const loadAll = async () => {
+    setLoading(true);
+    try {
+      const [wRes, sRes] = await Promise.all([
+        axios.get('/api/maintenance/windows'),
+        axios.get('/api/maintenance/silences'),
+      ]);
+      setWindows(wRes.data.windows || []);
+      setSilences(sRes.data.silences || []);
+    } catch {
+      // ignore
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showMessage = (text) => {
+    setError(null);
+    setMessage(text);
+    setTimeout(() => setMessage(null), 3000);
+  };
+
+  const openNewWindow = () => {
+    setError(null);
+    setSilenceForm(null);
+    setForm({
+      id: null,
+      name: '',
+      reason: '',
+      storage_device_ids: '',
+      cg_ids: '',
+      starts_at: '',
+      ends_at: '',
+      recurrence: 'none',
+      recurrence_until: '',
+    });
+  };
+
+  const openEditWindow = (w) => {
+    setError(null);
+    setSilenceForm(null);
+    setForm({
+      id: w.id,
+      name: w.name,
+      reason: w.reason || '',
+      storage_device_ids: w.storage_device_ids.join(', '),
+      cg_ids: w.cg_ids.join(', '),
+      starts_at: toLocalInput(w.starts_at),
+      ends_at: toLocalInput(w.ends_at),
+      recurrence: w.recurrence,
+      recurrence_until: toLocalInput(w.recurrence_until),
+    });
+  };
+
+  const updateForm = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSaveWindow = async () => {
+    if (!form.starts_at || !form.ends_at) {
+      setError('Baslangic ve bitis zamani gereklidir.');
+      return;
+    }
+    const body = {
+      name: form.name,
+      reason: form.reason || null,
+      storage_device_ids: splitList(form.storage_device_ids),
+      cg_ids: splitList(form.cg_ids).map(Number),
+      // datetime-local values are local time; the API stores UTC
+      starts_at: new Date(form.starts_at).toISOString(),
+      ends_at: new Date(form.ends_at).toISOString(),
+      recurrence: form.recurrence,
+      recurrence_until: form.recurrence !== 'none' && form.recurrence_until
+        ? new Date(form.recurrence_until).toISOString()
+        : null,
+    };
+
+    setSaving(true);
+    setError(null);
+    try {
+      if (form.id) {
+        await axios.put(`/api/maintenance/windows/${form.id}`, body);
+      } else {
+        await axios.post('/api/maintenance/windows', body);
+      }
+      setForm(null);
+      showMessage('Bakim penceresi kaydedildi.');
+      await loadAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Bakim penceresi kaydedilemedi.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteWindow = async (w) => {
+    if (!window.confirm(`"${w.name}" bakim penceresi silinecek. Devam etmek istiyor musunuz?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/maintenance/windows/${w.id}`);
+      showMessage('Bakim penceresi silindi.');
+      await loadAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Bakim penceresi silinemedi.');
+    }
+  };
+
+  const openNewSilence = () => {
+    setError(null);
+    setForm(null);
+    setSilenceForm({ reason: '', cg_id: '', storage_device_id: '', alert_type: '', duration_minutes: 60 });
+  };
+
+  const handleSaveSilence = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await axios.post('/api/maintenance/silences', {
+        reason: silenceForm.reason,
+        cg_id: silenceForm.cg_id ? Number(silenceForm.cg_id) : null,
+        storage_device_id: silenceForm.storage_device_id || null,
+        alert_type: silenceForm.alert_type || null,
+        duration_minutes: silenceForm.duration_minutes,
+      });
+      setSilenceForm(null);
+      showMessage('Uyarilar sessize alindi.');
+      await loadAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Sessize alma olusturulamadi.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExpireSilence = async (silenceId) => {
+    try {
+      await axios.post(`/api/maintenance/silences/${silenceId}/expire`);
+      showMessage('Sessize alma sonlandirildi.');
+      await loadAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Sessize alma sonlandirilamadi.');
+    }
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  const describeScope = (storageIds, cgIds) => {
+    const parts = [
+      ...storageIds.map((id) => `Depolama ${id}`),
+      ...cgIds.map((id) => `CG-${id}`),
+    ];
+    return parts.length > 0 ? parts.join(', ') : 'Tum sistem';
+  };
+
+  if (loading && windows.length === 0 && silences.length === 0) {
+    return (
+      <div className="bg-slate-800 border border-slate-700 rounded-xl p-6 flex justify-center">
+        <Loader2 className="w-6 h-6 text-blue-400 animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-slate-800 border border-slate-700 rounded-xl p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-white">Bakim ve Sessize Alma</h2>
+        <button
+          onClick={loadAll}
+          className="p-2 bg-slate-700 hover:bg-slate-600 text-slate-400 hover:text-white rounded-lg transition-colors"
+        >
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+      <p className="text-slate-400 text-sm mb-6">
+        Bakim penceresi veya sessize alma sirasinda olusan uyarilar kaydedilir ancak bastirilmis
+        olarak isaretlenir ve bildirim gonderilmez. Pencere bittiginde devam eden uyarilar icin
+        bildirim gonderilir.
+      </p>
+
+      {message && (
+        <div className="mb-4 p-3 rounded-lg bg-green-500/10 border border-green-500/30 text-green-400 text-sm flex items-center gap-2">
+          <CheckCircle2 className="w-4 h-4" />
+          {message}
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      {/* Maintenance windows */}
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-slate-300">Bakim Pencereleri</h3>
+        {!form && (
+          <button
+            onClick={openNewWindow}
+            className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-xs rounded-lg transition-colors"
+          >
+            <Plus className="w-3 h-3" />
+            Pencere Ekle
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <div className="mb-4 bg-slate-900/50 border border-slate-700 rounded-lg p-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Ad</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => updateForm('name', e.target.value)}
+                placeholder="Hat bakimi"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Aciklama</label>
+              <input
+                type="text"
+                value={form.reason}
+                onChange={(e) => updateForm('reason', e.target.value)}
+                placeholder="Istege bagli"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Depolamalar</label>
+              <input
+                type="text"
+                value={form.storage_device_ids}
+                onChange={(e) => updateForm('storage_device_ids', e.target.value)}
+                placeholder="Ornek: 900001, 900002"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Tutarlilik Gruplari (CG ID)</label>
+              <input
+                type="text"
+                value={form.cg_ids}
+                onChange={(e) => updateForm('cg_ids', e.target.value)}
+                placeholder="Ornek: 1, 5"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Baslangic</label>
+              <input
+                type="datetime-local"
+                value={form.starts_at}
+                onChange={(e) => updateForm('starts_at', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Bitis</label>
+              <input
+                type="datetime-local"
+                value={form.ends_at}
+                onChange={(e) => updateForm('ends_at', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Tekrar</label>
+              <select
+                value={form.recurrence}
+                onChange={(e) => updateForm('recurrence', e.target.value)}
+                className={inputClass}
+              >
+                {Object.entries(RECURRENCE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {form.recurrence !== 'none' && (
+              <div>
+                <label className="block text-xs text-slate-400 mb-1">Tekrar Bitisi</label>
+                <input
+                  type="datetime-local"
+                  value={form.recurrence_until}
+                  onChange={(e) => updateForm('recurrence_until', e.target.value)}
+                  className={inputClass}
+                />
+                <p className="text-xs text-slate-500 mt-1">Bos birakilirsa suresiz tekrarlanir</p>
+              </div>
+            )}
+          </div>
+          <p className="text-xs text-slate-500 mb-4">
+            Depolama ve grup bos birakilirsa pencere tum sistemi kapsar. Bir depolama, ondan veya ona
+            replike olan tum gruplari kapsar.
+          </p>
+          <div className="flex gap-3">
+            <button
+              onClick={handleSaveWindow}
+              disabled={saving}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white text-sm rounded-lg transition-colors"
+            >
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+              Kaydet
+            </button>
+            <button
+              onClick={() => setForm(null)}
+              className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white text-sm rounded-lg transition-colors"
+            >
+              Vazgec
+            </button>
+          </div>
+        </div>
+      )}
+
+      {windows.length === 0 ? (
+        <p className="text-center py-4 text-slate-500 text-sm mb-6">Tanimli bakim penceresi yok.</p>
+      ) : (
+        <div className="space-y-2 mb-8">
+          {windows.map((w) => {
+            const occurrence = w.current_occurrence || w.next_occurrence;
+            return (
+              <div
+                key={w.id}
+                className={`flex items-center gap-3 p-3 rounded-lg border ${
+                  w.is_active
+                    ? 'border-purple-500/30 bg-purple-500/10'
+                    : 'border-slate-700 bg-slate-900/40'
+                } ${!w.is_active && !w.next_occurrence ? 'opacity-50' : ''}`}
+              >
+                <Wrench className={`w-4 h-4 flex-shrink-0 ${w.is_active ? 'text-purple-400' : 'text-slate-500'}`} />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-white truncate">
+                    {w.name}
+                    {w.is_active && <span className="ml-2 text-xs text-purple-400">Aktif</span>}
+                  </p>
+                  <p className="text-xs text-slate-500 mt-0.5">
+                    {describeScope(w.storage_device_ids, w.cg_ids)}
+                    {' | '}
+                    {RECURRENCE_LABELS[w.recurrence] || w.recurrence}
+                    {' | '}
+                    {occurrence
+                      ? `${w.is_active ? 'Simdiki' : 'Sonraki'}: ${formatUtc(occurrence.starts_at)} - ${formatUtc(occurrence.ends_at)}`
+                      : 'Sona erdi'}
+                    {w.reason && ` | ${w.reason}`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => openEditWindow(w)}
+                  className="flex-shrink-0 p-1.5 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg transition-colors"
+                >
+                  <Pencil className="w-3 h-3" />
+                </button>
+                <button
+                  onClick={() => handleDeleteWindow(w)}
+                  className="flex-shrink-0 p-1.5 bg-slate-700 hover:bg-red-600 text-slate-300 rounded-lg transition-colors"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Silences */}
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-slate-300">Aktif Sessize Almalar</h3>
+        {!silenceForm && (
+          <button
+            onClick={openNewSilence}
+            className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-xs rounded-lg transition-colors"
+          >
+            <Plus className="w-3 h-3" />
+            Sessize Al
+          </button>
+        )}
+      </div>
+
+      {silenceForm && (
+        <div className="mb-4 bg-slate-900/50 border border-slate-700 rounded-lg p-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div className="md:col-span-2">
+              <label className="block text-xs text-slate-400 mb-1">Neden</label>
+              <input
+                type="text"
+                value={silenceForm.reason}
+                onChange={(e) => setSilenceForm((p) => ({ ...p, reason: e.target.value }))}
+                placeholder="DR tatbikati"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">CG ID</label>
+              <input
+                type="number"
+                value={silenceForm.cg_id}
+                onChange={(e) => setSilenceForm((p) => ({ ...p, cg_id: e.target.value }))}
+                placeholder="Tum gruplar"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Depolama</label>
+              <input
+                type="text"
+                value={silenceForm.storage_device_id}
+                onChange={(e) => setSilenceForm((p) => ({ ...p, storage_device_id: e.target.value }))}
+                placeholder="Tum depolamalar"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Uyari Tipi</label>
+              <input
+                type="text"
+                value={silenceForm.alert_type}
+                onChange={(e) => setSilenceForm((p) => ({ ...p, alert_type: e.target.value }))}
+                placeholder="Ornek: usage_rate_warning"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Sure</label>
+              <select
+                value={silenceForm.duration_minutes}
+                onChange={(e) => setSilenceForm((p) => ({ ...p, duration_minutes: Number(e.target.value) }))}
+                className={inputClass}
+              >
+                {SILENCE_DURATIONS.map((d) => (
+                  <option key={d.minutes} value={d.minutes}>{d.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={handleSaveSilence}
+              disabled={saving || !silenceForm.reason.trim()}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white text-sm rounded-lg transition-colors"
+            >
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+              Kaydet
+            </button>
+            <button
+              onClick={() => setSilenceForm(null)}
+              className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white text-sm rounded-lg transition-colors"
+            >
+              Vazgec
+            </button>
+          </div>
+        </div>
+      )}
+
+      {silences.length === 0 ? (
+        <p className="text-center py-4 text-slate-500 text-sm">Aktif sessize alma yok.</p>
+      ) : (
+        <div className="space-y-2">
+          {silences.map((s) => (
+            <div
+              key={s.id}
+              className="flex items-center gap-3 p-3 rounded-lg border border-slate-700 bg-slate-900/40"
+            >
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-white truncate">{s.reason}</p>
+                <p className="text-xs text-slate-500 mt-0.5">
+                  {[
+                    s.cg_id !== null ? `CG-${s.cg_id}` : null,
+                    s.storage_device_id ? `Depolama ${s.storage_device_id}` : null,
+                    s.alert_type,
+                  ].filter(Boolean).join(', ') || 'Tum uyarilar'}
+                  {` | Bitis: ${formatUtc(s.expires_at)}`}
+                  {s.created_by && ` | ${s.created_by}`}
+                </p>
+              </div>
+              <button
+                onClick={() => handleExpireSilence(s.id)}
+                className="flex-shrink-0 px-3 py-1 bg-slate-700 hover:bg-slate-600 text-xs text-slate-300 rounded-lg transition-colors"
+              >
+                Sonlandir
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,650 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import {
+  Trash2,
+  CheckCircle2,
+  Loader2,
+  Save,
+  ToggleLeft,
+  ToggleRight,
+  RefreshCw,
+  RotateCcw,
+  Send,
+  Plus,
+  Pencil,
+} from 'lucide-react';
+import { formatUtc } from '../utils/formatters';
+import EscalationPolicies from './EscalationPolicies';
+
+const CHANNEL_TYPE_LABELS = {
+  smtp: 'E-posta (SMTP)',
+  webhook: 'Webhook',
+  syslog: 'Syslog',
+};
+
+const DEFAULT_CHANNEL_CONFIGS = {
+  smtp: { host: '', port: '587', secure: false, username: '', from: '', to: '', accept_self_signed: false },
+  webhook: { url: '', method: 'POST', headers: '', template: '', accept_self_signed: false },
+  syslog: { host: '', port: '514', protocol: 'udp', facility: '16' },
+};
+
+const DELIVERY_STATUS_LABELS = {
+  pending: 'Bekliyor',
+  sent: 'Gonderildi',
+  failed: 'Basarisiz',
+};
+
+const DELIVERY_EVENT_LABELS = {
+  escalation: 'Eskalasyon',
+  reminder: 'Hatirlatma',
+};
+
+const DELIVERY_STATUS_COLORS = {
+  pending: 'text-yellow-400',
+  sent: 'text-green-400',
+  failed: 'text-red-400',
+};
+
+/**
+ * NotificationChannels - Notification channel list and editor with the
+ * delivery history and escalation policies, shown in the settings page.
+ */
+export default function NotificationChannels() {
+  const [channels, setChannels] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState({});
+  const [retrying, setRetrying] = useState({});
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadAll();
+  }, []);
+
+  const loadAll = async () => {
+    setLoading(true);
+    try {
+      const [chRes, dlRes] = await Promise.all([
+        axios.get('/api/notifications/channels'),
+        axios.get('/api/notifications/deliveries', { params: { limit: 50 } }),
+      ]);
+      setChannels(chRes.data.channels || []);
+      setDeliveries(dlRes.data.deliveries || []);
+    } catch {
+      // ignore
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showMessage = (text) => {
+    setError(null);
+    setMessage(text);
+    setTimeout(() => setMessage(null), 3000);
+  };
+
+  const openNew = () => {
+    setError(null);
+    setForm({
+      id: null,
+      name: '',
+      type: 'webhook',
+      is_enabled: true,
+      config: { ...DEFAULT_CHANNEL_CONFIGS.webhook },
+      secret: '',
+      has_secret: false,
+      severities: ['warning', 'critical'],
+      cg_ids: '',
+    });
+  };
+
+  const openEdit = (channel) => {
+    const config = { ...DEFAULT_CHANNEL_CONFIGS[channel.type], ...channel.config };
+    if (channel.type === 'webhook') {
+      config.headers = channel.config.headers ? JSON.stringify(channel.config.headers) : '';
+    }
+    if (channel.type === 'smtp' && Array.isArray(config.to)) {
+      config.to = config.to.join(', ');
+    }
+    for (const key of ['port', 'facility']) {
+      if (config[key] !== undefined && config[key] !== null) config[key] = String(config[key]);
+    }
+    setError(null);
+    setForm({
+      id: channel.id,
+      name: channel.name,
+      type: channel.type,
+      is_enabled: channel.is_enabled,
+      config,
+      secret: '',
+      has_secret: channel.has_secret,
+      severities: channel.severities,
+      cg_ids: channel.cg_ids.join(', '),
+    });
+  };
+
+  const updateForm = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const updateConfig = (field, value) => {
+    setForm((prev) => ({ ...prev, config: { ...prev.config, [field]: value } }));
+  };
+
+  const changeType = (type) => {
+    setForm((prev) => ({ ...prev, type, config: { ...DEFAULT_CHANNEL_CONFIGS[type] } }));
+  };
+
+  const toggleSeverity = (severity) => {
+    setForm((prev) => ({
+      ...prev,
+      severities: prev.severities.includes(severity)
+        ? prev.severities.filter((s) => s !== severity)
+        : [...prev.severities, severity],
+    }));
+  };
+
+  const buildConfig = () => {
+    const config = { ...form.config };
+    config.port = parseInt(config.port, 10) || config.port;
+    if (form.type === 'syslog') {
+      config.facility = config.facility === '' ? undefined : parseInt(config.facility, 10);
+    }
+    if (form.type === 'webhook') {
+      delete config.port;
+      if (config.headers && config.headers.trim()) {
+        config.headers = JSON.parse(config.headers);
+      } else {
+        delete config.headers;
+      }
+      if (!config.template || !config.template.trim()) delete config.template;
+    }
+    return config;
+  };
+
+  const handleSave = async () => {
+    let config;
+    try {
+      config = buildConfig();
+    } catch {
+      setError('Ek basliklar gecerli bir JSON nesnesi olmalidir.');
+      return;
+    }
+
+    const body = {
+      name: form.name,
+      type: form.type,
+      is_enabled: form.is_enabled,
+      config,
+      severities: form.severities,
+      cg_ids: form.cg_ids
+        .split(',')
+        .map((id) => id.trim())
+        .filter(Boolean)
+        .map(Number),
+    };
+    // An empty secret on edit keeps the stored one
+    if (form.secret) body.secret = form.secret;
+
+    setSaving(true);
+    setError(null);
+    try {
+      if (form.id) {
+        await axios.put(`/api/notifications/channels/${form.id}`, body);
+      } else {
+        await axios.post('/api/notifications/channels', body);
+      }
+      setForm(null);
+      showMessage('Bildirim kanali kaydedildi.');
+      await loadAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Kanal kaydedilemedi.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (channel) => {
+    try {
+      await axios.put(`/api/notifications/channels/${channel.id}`, { is_enabled: !channel.is_enabled });
+      setChannels((prev) =>
+        prev.map((c) => (c.id === channel.id ? { ...c, is_enabled: !channel.is_enabled } : c))
+      );
+    } catch (err) {
+      setError(err.response?.data?.error || 'Kanal guncellenemedi.');
+    }
+  };
+
+  const handleDelete = async (channel) => {
+    if (!window.confirm(`"${channel.name}" kanali ve teslim gecmisi silinecek. Devam etmek istiyor musunuz?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/notifications/channels/${channel.id}`);
+      showMessage('Bildirim kanali silindi.');
+      await loadAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Kanal silinemedi.');
+    }
+  };
+
+  const handleTest = async (channel) => {
+    setTesting((prev) => ({ ...prev, [channel.id]: true }));
+    setError(null);
+    try {
+      await axios.post(`/api/notifications/channels/${channel.id}/test`);
+      showMessage(`"${channel.name}" kanalina test bildirimi gonderildi.`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Test bildirimi gonderilemedi.');
+    } finally {
+      setTesting((prev) => ({ ...prev, [channel.id]: false }));
+      await loadAll();
+    }
+  };
+
+  const handleRetry = async (deliveryId) => {
+    setRetrying((prev) => ({ ...prev, [deliveryId]: true }));
+    try {
+      await axios.post(`/api/notifications/deliveries/${deliveryId}/retry`);
+      showMessage('Teslim yeniden kuyruga alindi.');
+      await loadAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Teslim yeniden denenemedi.');
+    } finally {
+      setRetrying((prev) => ({ ...prev, [deliveryId]: false }));
+    }
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  const renderField = (label, field, props = {}) => (
+    <div>
+      <label className="block text-xs text-slate-400 mb-1">{label}</label>
+      <input
+        type="text"
+        value={form.config[field] ?? ''}
+        onChange={(e) => updateConfig(field, e.target.value)}
+        className={inputClass}
+        {...props}
+      />
+    </div>
+  );
+
+  const renderCheckbox = (label, field) => (
+    <label className="flex items-center gap-2 text-sm text-slate-300">
+      <input
+        type="checkbox"
+        checked={!!form.config[field]}
+        onChange={(e) => updateConfig(field, e.target.checked)}
+        className="rounded border-slate-600 bg-slate-700"
+      />
+      {label}
+    </label>
+  );
+
+  if (loading && channels.length === 0) {
+    return (
+      <div className="bg-slate-800 border border-slate-700 rounded-xl p-6 flex justify-center">
+        <Loader2 className="w-6 h-6 text-blue-400 animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-slate-800 border border-slate-700 rounded-xl p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-white">Bildirimler</h2>
+        <div className="flex gap-2">
+          <button
+            onClick={loadAll}
+            className="p-2 bg-slate-700 hover:bg-slate-600 text-slate-400 hover:text-white rounded-lg transition-colors"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+          {!form && (
+            <button
+              onClick={openNew}
+              className="flex items-center gap-2 px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg transition-colors"
+            >
+              <Plus className="w-4 h-4" />
+              Kanal Ekle
+            </button>
+          )}
+        </div>
+      </div>
+      <p className="text-slate-400 text-sm mb-6">
+        Yeni uyarilar secilen onem seviyesi ve tutarlilik grubu filtrelerine uyan kanallara
+        gonderilir. Basarisiz teslimler artan araliklarla otomatik olarak yeniden denenir.
+      </p>
+
+      {message && (
+        <div className="mb-4 p-3 rounded-lg bg-green-500/10 border border-green-500/30 text-green-400 text-sm flex items-center gap-2">
+          <CheckCircle2 className="w-4 h-4" />
+          {message}
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      {form && (
+        <div className="mb-6 bg-slate-900/50 border border-slate-700 rounded-lg p-4">
+          <h3 className="text-sm font-semibold text-slate-300 mb-4">
+            {form.id ? 'Kanali Duzenle' : 'Yeni Kanal'}
+          </h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Kanal Adi</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => updateForm('name', e.target.value)}
+                placeholder="Operasyon e-posta listesi"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Tip</label>
+              <select
+                value={form.type}
+                onChange={(e) => changeType(e.target.value)}
+                disabled={!!form.id}
+                className={`${inputClass} disabled:opacity-50`}
+              >
+                {Object.entries(CHANNEL_TYPE_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {form.type === 'smtp' && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              {renderField('SMTP Sunucusu', 'host', { placeholder: 'smtp.example.com' })}
+              {renderField('Port', 'port', { type: 'number', min: 1, max: 65535 })}
+              {renderField('Kullanici Adi', 'username', { placeholder: 'Kimlik dogrulama yoksa bos birakin' })}
+              <div>
+                <label className="block text-xs text-slate-400 mb-1">Sifre</label>
+                <input
+                  type="password"
+                  value={form.secret}
+                  onChange={(e) => updateForm('secret', e.target.value)}
+                  placeholder={form.has_secret ? 'Kayitli (degistirmek icin girin)' : ''}
+                  className={inputClass}
+                />
+              </div>
+              {renderField('Gonderen', 'from', { placeholder: 'rpo-monitor@example.com' })}
+              {renderField('Alicilar', 'to', { placeholder: 'ops@example.com, dba@example.com' })}
+              <div className="flex flex-col gap-2 md:col-span-2">
+                {renderCheckbox('Dogrudan TLS (genellikle port 465)', 'secure')}
+                {renderCheckbox('Kendinden imzali sertifikayi kabul et', 'accept_self_signed')}
+              </div>
+            </div>
+          )}
+
+          {form.type === 'webhook' && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div className="md:col-span-2">
+                {renderField('URL', 'url', { placeholder: 'https://hooks.example.com/rpo' })}
+              </div>
+              <div>
+                <label className="block text-xs text-slate-400 mb-1">Yontem</label>
+                <select
+                  value={form.config.method}
+                  onChange={(e) => updateConfig('method', e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="POST">POST</option>
+                  <option value="PUT">PUT</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs text-slate-400 mb-1">Authorization Basligi</label>
+                <input
+                  type="password"
+                  value={form.secret}
+                  onChange={(e) => updateForm('secret', e.target.value)}
+                  placeholder={form.has_secret ? 'Kayitli (degistirmek icin girin)' : 'Bearer ...'}
+                  className={inputClass}
+                />
+              </div>
+              <div className="md:col-span-2">
+                {renderField('Ek Basliklar (JSON)', 'headers', { placeholder: '{"X-Source": "rpo-monitor"}' })}
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-xs text-slate-400 mb-1">Govde Sablonu (JSON)</label>
+                <textarea
+                  rows={4}
+                  value={form.config.template || ''}
+                  onChange={(e) => updateConfig('template', e.target.value)}
+                  placeholder={'{"text": "{{title}}: {{message}}"}'}
+                  className={`${inputClass} font-mono`}
+                />
+                <p className="text-xs text-slate-500 mt-1">
+                  Bos birakilirsa uyarinin tum alanlari gonderilir. Kullanilabilir alanlar:
+                  {' {{id}} {{severity}} {{alert_type}} {{cg_id}} {{storage_device_id}} {{message}} {{created_at}} {{title}}'}
+                </p>
+              </div>
+              <div className="md:col-span-2">
+                {renderCheckbox('Kendinden imzali sertifikayi kabul et', 'accept_self_signed')}
+              </div>
+            </div>
+          )}
+
+          {form.type === 'syslog' && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              {renderField('Syslog Sunucusu', 'host', { placeholder: 'syslog.example.com' })}
+              {renderField('Port', 'port', { type: 'number', min: 1, max: 65535 })}
+              <div>
+                <label className="block text-xs text-slate-400 mb-1">Protokol</label>
+                <select
+                  value={form.config.protocol}
+                  onChange={(e) => updateConfig('protocol', e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="udp">UDP</option>
+                  <option value="tcp">TCP</option>
+                </select>
+              </div>
+              {renderField('Facility (0-23)', 'facility', { type: 'number', min: 0, max: 23 })}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Onem Seviyeleri</label>
+              <div className="flex gap-4 py-2">
+                {[
+                  ['critical', 'Kritik'],
+                  ['warning', 'Uyari'],
+                  ['info', 'Bilgi'],
+                ].map(([severity, label]) => (
+                  <label key={severity} className="flex items-center gap-2 text-sm text-slate-300">
+                    <input
+                      type="checkbox"
+                      checked={form.severities.includes(severity)}
+                      onChange={() => toggleSeverity(severity)}
+                      className="rounded border-slate-600 bg-slate-700"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Tutarlilik Gruplari (CG ID)</label>
+              <input
+                type="text"
+                value={form.cg_ids}
+                onChange={(e) => updateForm('cg_ids', e.target.value)}
+                placeholder="Tum gruplar ve sistem uyarilari"
+                className={inputClass}
+              />
+              <p className="text-xs text-slate-500 mt-1">Virgulle ayirin, ornek: 1, 5, 12</p>
+            </div>
+          </div>
+
+          <div className="mb-4">
+            <button
+              type="button"
+              onClick={() => updateForm('is_enabled', !form.is_enabled)}
+              className="flex items-center gap-2 text-sm text-slate-300"
+            >
+              {form.is_enabled ? (
+                <ToggleRight className="w-6 h-6 text-blue-400" />
+              ) : (
+                <ToggleLeft className="w-6 h-6 text-slate-500" />
+              )}
+              Etkin
+            </button>
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white text-sm rounded-lg transition-colors"
+            >
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+              Kaydet
+            </button>
+            <button
+              onClick={() => setForm(null)}
+              className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white text-sm rounded-lg transition-colors"
+            >
+              Vazgec
+            </button>
+          </div>
+        </div>
+      )}
+
+      {channels.length === 0 ? (
+        <p className="text-center py-6 text-slate-500 text-sm">Henuz bildirim kanali tanimlanmadi.</p>
+      ) : (
+        <div className="space-y-2 mb-8">
+          {channels.map((channel) => (
+            <div
+              key={channel.id}
+              className={`flex items-center gap-3 p-3 rounded-lg border border-slate-700 bg-slate-900/40 ${
+                channel.is_enabled ? '' : 'opacity-60'
+              }`}
+            >
+              <button onClick={() => handleToggle(channel)} className="flex-shrink-0">
+                {channel.is_enabled ? (
+                  <ToggleRight className="w-6 h-6 text-blue-400" />
+                ) : (
+                  <ToggleLeft className="w-6 h-6 text-slate-500" />
+                )}
+              </button>
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-white truncate">{channel.name}</p>
+                <p className="text-xs text-slate-500 mt-0.5">
+                  {CHANNEL_TYPE_LABELS[channel.type] || channel.type}
+                  {' | '}
+                  {channel.severities.join(', ')}
+                  {' | '}
+                  {channel.cg_ids.length > 0
+                    ? channel.cg_ids.map((id) => `CG-${id}`).join(', ')
+                    : 'Tum gruplar'}
+                  {channel.last_delivery && (
+                    <span className={DELIVERY_STATUS_COLORS[channel.last_delivery.status]}>
+                      {` | Son teslim: ${DELIVERY_STATUS_LABELS[channel.last_delivery.status] || channel.last_delivery.status}`}
+                    </span>
+                  )}
+                </p>
+              </div>
+              <button
+                onClick={() => handleTest(channel)}
+                disabled={testing[channel.id]}
+                className="flex-shrink-0 flex items-center gap-1.5 px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-xs text-slate-300 rounded-lg transition-colors"
+              >
+                {testing[channel.id] ? <Loader2 className="w-3 h-3 animate-spin" /> : <Send className="w-3 h-3" />}
+                Test
+              </button>
+              <button
+                onClick={() => openEdit(channel)}
+                className="flex-shrink-0 p-1.5 bg-slate-700 hover:bg-slate-600 text-slate-300 rounded-lg transition-colors"
+              >
+                <Pencil className="w-3 h-3" />
+              </button>
+              <button
+                onClick={() => handleDelete(channel)}
+                className="flex-shrink-0 p-1.5 bg-slate-700 hover:bg-red-600 text-slate-300 rounded-lg transition-colors"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <EscalationPolicies channels={channels} onError={setError} onMessage={showMessage} />
+
+      <h3 className="text-sm font-semibold text-slate-300 mb-3">Teslim Gecmisi</h3>
+      {deliveries.length === 0 ? (
+        <p className="text-center py-6 text-slate-500 text-sm">Henuz teslim kaydi yok.</p>
+      ) : (
+        <div className="overflow-x-auto max-h-[400px] overflow-y-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-slate-500 border-b border-slate-700">
+                <th className="py-2 pr-3 font-medium">Zaman</th>
+                <th className="py-2 pr-3 font-medium">Kanal</th>
+                <th className="py-2 pr-3 font-medium">Uyari</th>
+                <th className="py-2 pr-3 font-medium">Durum</th>
+                <th className="py-2 pr-3 font-medium">Deneme</th>
+                <th className="py-2 pr-3 font-medium">Yanit / Hata</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map((d) => (
+                <tr key={d.id} className="border-b border-slate-700/50 text-slate-300">
+                  <td className="py-2 pr-3 whitespace-nowrap">
+                    {formatUtc(d.created_at)}
+                  </td>
+                  <td className="py-2 pr-3">{d.channel_name}</td>
+                  <td className="py-2 pr-3">
+                    {d.event === 'test'
+                      ? 'Test'
+                      : `${d.cg_id !== null ? `CG-${d.cg_id}` : 'Sistem'} ${d.alert_type || ''}`}
+                    {DELIVERY_EVENT_LABELS[d.event] && (
+                      <span className="ml-1 text-orange-400">({DELIVERY_EVENT_LABELS[d.event]})</span>
+                    )}
+                  </td>
+                  <td className={`py-2 pr-3 ${DELIVERY_STATUS_COLORS[d.status] || ''}`}>
+                    {DELIVERY_STATUS_LABELS[d.status] || d.status}
+                  </td>
+                  <td className="py-2 pr-3">{d.attempts}</td>
+                  <td className="py-2 pr-3 max-w-[240px] truncate" title={d.last_error || d.response || ''}>
+                    {d.status === 'sent' ? d.response : d.last_error || '-'}
+                  </td>
+                  <td className="py-2 text-right">
+                    {d.status === 'failed' && d.event !== 'test' && (
+                      <button
+                        onClick={() => handleRetry(d.id)}
+                        disabled={retrying[d.id]}
+                        className="flex items-center gap-1 px-2 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-slate-300 rounded transition-colors"
+                      >
+                        {retrying[d.id] ? <Loader2 className="w-3 h-3 animate-spin" /> : <RotateCcw className="w-3 h-3" />}
+                        Tekrar
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
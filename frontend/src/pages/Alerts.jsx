@@ -0,0 +1,502 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Bell,
+  Search,
+  RefreshCw,
+  Loader2,
+  Check,
+  CheckCircle2,
+  ChevronLeft,
+  ChevronRight,
+  ArrowUp,
+  ArrowDown,
+  MessageSquare,
+  X,
+} from 'lucide-react';
+import AlertDetailDrawer from '../components/AlertDetailDrawer';
+import { formatDuration, formatUtc, getAlertSeverityColor } from '../utils/formatters';
+
+const PAGE_SIZES = [25, 50, 100];
+
+const STATUS_LABELS = {
+  open: 'Acik',
+  acknowledged: 'Onaylandi',
+  resolved: 'Cozuldu',
+};
+
+const SEVERITY_LABELS = {
+  critical: 'Kritik',
+  warning: 'Uyari',
+  info: 'Bilgi',
+};
+
+const SORTABLE_COLUMNS = [
+  { id: 'created_at', label: 'Zaman' },
+  { id: 'severity', label: 'Onem' },
+  { id: 'status', label: 'Durum' },
+  { id: 'duration_seconds', label: 'Sure' },
+];
+
+const EMPTY_FILTERS = {
+  q: '',
+  severity: '',
+  status: '',
+  alert_type: '',
+  storage_device_id: '',
+  assigned_to: '',
+  from: '',
+  to: '',
+};
+
+/**
+ * Turns the filter form into API filter params: empty fields are dropped
+ * and the local date range is sent as UTC.
+ */
+function toApiFilter(filters) {
+  const params = {};
+  for (const [key, value] of Object.entries(filters)) {
+    if (!value) continue;
+    params[key] = key === 'from' || key === 'to' ? new Date(value).toISOString() : value.trim();
+  }
+  return params;
+}
+
+/**
+ * Alerts - Searchable, paged alert log with bulk acknowledge and resolve,
+ * either for the selected alerts or for everything the filter matches.
+ */
+export default function Alerts() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState({ column: 'created_at', order: 'desc' });
+  const [pageSize, setPageSize] = useState(50);
+  const [offset, setOffset] = useState(0);
+  const [alerts, setAlerts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [selected, setSelected] = useState(new Set());
+  const [options, setOptions] = useState({ types: [], storages: [], assignees: [] });
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    Promise.all([
+      axios.get('/api/alerts/types').catch(() => null),
+      axios.get('/api/storages').catch(() => null),
+      axios.get('/api/alerts/assignees').catch(() => null),
+    ]).then(([typesRes, storagesRes, assigneesRes]) => {
+      setOptions({
+        types: typesRes?.data.types || [],
+        storages: storagesRes?.data.storages || [],
+        assignees: assigneesRes?.data.assignees || [],
+      });
+    });
+  }, []);
+
+  const loadAlerts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get('/api/alerts', {
+        params: {
+          ...toApiFilter(appliedFilters),
+          sort: sort.column,
+          order: sort.order,
+          limit: pageSize,
+          offset,
+        },
+      });
+      setAlerts(res.data.alerts || []);
+      setTotal(res.data.pagination?.total || 0);
+    } catch (err) {
+      setAlerts([]);
+      setTotal(0);
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Uyarilar yuklenemedi.' });
+    } finally {
+      setLoading(false);
+    }
+  }, [appliedFilters, sort, pageSize, offset]);
+
+  useEffect(() => {
+    loadAlerts();
+  }, [loadAlerts]);
+
+  const applyFilters = (e) => {
+    if (e) e.preventDefault();
+    setAppliedFilters(filters);
+    setOffset(0);
+    setSelected(new Set());
+    setMessage(null);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+    setOffset(0);
+    setSelected(new Set());
+  };
+
+  const toggleSort = (column) => {
+    setSort((prev) => ({
+      column,
+      order: prev.column === column && prev.order === 'desc' ? 'asc' : 'desc',
+    }));
+    setOffset(0);
+  };
+
+  const toggleSelected = (alertId) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(alertId)) next.delete(alertId);
+      else next.add(alertId);
+      return next;
+    });
+  };
+
+  const allOnPageSelected = alerts.length > 0 && alerts.every((a) => selected.has(a.id));
+
+  const toggleSelectPage = () => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      for (const alert of alerts) {
+        if (allOnPageSelected) next.delete(alert.id);
+        else next.add(alert.id);
+      }
+      return next;
+    });
+  };
+
+  /**
+   * Runs a bulk action on the selected alerts, or on every alert the
+   * applied filter matches when nothing is selected.
+   */
+  const runBulk = async (action) => {
+    const byFilter = selected.size === 0;
+    const filter = toApiFilter(appliedFilters);
+    if (byFilter && Object.keys(filter).length === 0) {
+      setMessage({ type: 'error', text: 'Toplu islem icin uyari secin veya bir filtre uygulayin.' });
+      return;
+    }
+    const verb = action === 'acknowledge' ? 'onaylanacak' : 'cozulecek';
+    const question = byFilter
+      ? `Filtreye uyan ${total} uyarinin tamami ${verb}. Devam edilsin mi?`
+      : `Secili ${selected.size} uyari ${verb}. Devam edilsin mi?`;
+    if (!window.confirm(question)) return;
+
+    setBusy(true);
+    setMessage(null);
+    try {
+      const res = await axios.post(
+        `/api/alerts/bulk/${action}`,
+        byFilter ? { filter } : { ids: [...selected] }
+      );
+      const { updated, skipped } = res.data;
+      setMessage({
+        type: 'success',
+        text: `${updated} uyari ${action === 'acknowledge' ? 'onaylandi' : 'cozuldu'}` +
+          (skipped > 0 ? `, ${skipped} uyari atlandi.` : '.'),
+      });
+      setSelected(new Set());
+      await loadAlerts();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Toplu islem basarisiz oldu.' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateFilter = (field) => (e) => setFilters((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const page = Math.floor(offset / pageSize) + 1;
+  const pageCount = Math.max(Math.ceil(total / pageSize), 1);
+  const inputClass = 'px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      <div className="flex items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold text-white">Uyarilar</h1>
+        <button
+          onClick={loadAlerts}
+          className="p-2 bg-slate-700 hover:bg-slate-600 text-slate-400 hover:text-white rounded-lg transition-colors"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {/* Filters */}
+      <form onSubmit={applyFilters} className="bg-slate-800 border border-slate-700 rounded-xl p-4 mb-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-3">
+          <div className="relative lg:col-span-2">
+            <Search className="absolute left-3 top-2.5 w-4 h-4 text-slate-400" />
+            <input
+              type="text"
+              value={filters.q}
+              onChange={updateFilter('q')}
+              placeholder="Mesaj veya uyari turunde ara"
+              className={`${inputClass} w-full pl-9 placeholder-slate-400`}
+            />
+          </div>
+          <select value={filters.severity} onChange={updateFilter('severity')} className={inputClass}>
+            <option value="">Tum onem dereceleri</option>
+            {Object.entries(SEVERITY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select value={filters.status} onChange={updateFilter('status')} className={inputClass}>
+            <option value="">Tum durumlar</option>
+            <option value="open,acknowledged">Cozulmemis</option>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select value={filters.alert_type} onChange={updateFilter('alert_type')} className={inputClass}>
+            <option value="">Tum uyari turleri</option>
+            {options.types.map((t) => (
+              <option key={t.alert_type} value={t.alert_type}>{t.alert_type} ({t.count})</option>
+            ))}
+          </select>
+          <select value={filters.storage_device_id} onChange={updateFilter('storage_device_id')} className={inputClass}>
+            <option value="">Tum depolamalar</option>
+            {options.storages.map((s) => (
+              <option key={s.storage_device_id} value={s.storage_device_id}>
+                {s.model ? `${s.model} (${s.serial_number})` : s.storage_device_id}
+              </option>
+            ))}
+          </select>
+          <select value={filters.assigned_to} onChange={updateFilter('assigned_to')} className={inputClass}>
+            <option value="">Tum atananlar</option>
+            <option value="none">Atanmamis</option>
+            {options.assignees.map((username) => (
+              <option key={username} value={username}>{username}</option>
+            ))}
+          </select>
+          <div className="flex items-center gap-2">
+            <input
+              type="datetime-local"
+              value={filters.from}
+              onChange={updateFilter('from')}
+              title="Baslangic"
+              className={`${inputClass} flex-1 min-w-0`}
+            />
+            <span className="text-slate-500">-</span>
+            <input
+              type="datetime-local"
+              value={filters.to}
+              onChange={updateFilter('to')}
+              title="Bitis"
+              className={`${inputClass} flex-1 min-w-0`}
+            />
+          </div>
+        </div>
+        <div className="flex justify-end gap-2 mt-3">
+          <button
+            type="button"
+            onClick={clearFilters}
+            className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-300 text-sm rounded-lg transition-colors"
+          >
+            <X className="w-4 h-4" />
+            Temizle
+          </button>
+          <button
+            type="submit"
+            className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg transition-colors"
+          >
+            <Search className="w-4 h-4" />
+            Ara
+          </button>
+        </div>
+      </form>
+
+      {/* Bulk actions */}
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <p className="text-sm text-slate-400">
+          {total} uyari bulundu
+          {selected.size > 0 && ` | ${selected.size} secili`}
+        </p>
+        <div className="flex items-center gap-2">
+          <span className="text-xs text-slate-500">
+            {selected.size > 0 ? 'Secili uyarilar:' : 'Filtreye uyan tum uyarilar:'}
+          </span>
+          <button
+            onClick={() => runBulk('acknowledge')}
+            disabled={busy || total === 0}
+            className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-slate-200 text-sm rounded-lg transition-colors"
+          >
+            {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+            Onayla
+          </button>
+          <button
+            onClick={() => runBulk('resolve')}
+            disabled={busy || total === 0}
+            className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-slate-200 text-sm rounded-lg transition-colors"
+          >
+            {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <CheckCircle2 className="w-4 h-4" />}
+            Coz
+          </button>
+        </div>
+      </div>
+
+      {message && (
+        <div
+          className={`mb-3 px-4 py-2 rounded-lg text-sm border ${
+            message.type === 'error'
+              ? 'bg-red-500/10 border-red-500/30 text-red-400'
+              : 'bg-green-500/10 border-green-500/30 text-green-400'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {/* Table */}
+      <div className="bg-slate-800 border border-slate-700 rounded-xl overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-700 text-left text-xs text-slate-400">
+              <th className="px-3 py-2 w-8">
+                <input type="checkbox" checked={allOnPageSelected} onChange={toggleSelectPage} />
+              </th>
+              {SORTABLE_COLUMNS.slice(0, 2).map((col) => (
+                <SortHeader key={col.id} column={col} sort={sort} onSort={toggleSort} />
+              ))}
+              <th className="px-3 py-2 font-medium">Kaynak</th>
+              <th className="px-3 py-2 font-medium">Mesaj</th>
+              {SORTABLE_COLUMNS.slice(2).map((col) => (
+                <SortHeader key={col.id} column={col} sort={sort} onSort={toggleSort} />
+              ))}
+              <th className="px-3 py-2 font-medium">Atanan</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading && alerts.length === 0 ? (
+              <tr>
+                <td colSpan={8} className="py-12 text-center">
+                  <Loader2 className="w-6 h-6 text-blue-400 animate-spin mx-auto" />
+                </td>
+              </tr>
+            ) : alerts.length === 0 ? (
+              <tr>
+                <td colSpan={8} className="py-12 text-center text-slate-500">
+                  <Bell className="w-10 h-10 mx-auto mb-2 opacity-50" />
+                  Aramaya uyan uyari bulunmuyor.
+                </td>
+              </tr>
+            ) : (
+              alerts.map((alert) => {
+                const colors = getAlertSeverityColor(alert.severity);
+                return (
+                  <tr
+                    key={alert.id}
+                    className={`border-b border-slate-700/50 hover:bg-slate-700/30 ${
+                      alert.status === 'resolved' ? 'opacity-60' : ''
+                    }`}
+                  >
+                    <td className="px-3 py-2">
+                      <input
+                        type="checkbox"
+                        checked={selected.has(alert.id)}
+                        onChange={() => toggleSelected(alert.id)}
+                      />
+                    </td>
+                    <td className="px-3 py-2 text-xs text-slate-400 whitespace-nowrap">{formatUtc(alert.created_at)}</td>
+                    <td className="px-3 py-2">
+                      <span className={`px-2 py-0.5 rounded text-xs border ${colors.bg} ${colors.text} ${colors.border}`}>
+                        {SEVERITY_LABELS[alert.severity] || alert.severity}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-xs text-slate-400 whitespace-nowrap">
+                      {alert.cg_id !== null ? `CG-${alert.cg_id}` : alert.storage_device_id || 'Sistem'}
+                    </td>
+                    <td className="px-3 py-2 cursor-pointer" onClick={() => setSelectedId(alert.id)}>
+                      <p className="text-slate-200 hover:text-white">{alert.message}</p>
+                      <p className="text-xs text-slate-500 font-mono">
+                        {alert.alert_type}
+                        {alert.comment_count > 0 && (
+                          <span className="ml-2 inline-flex items-center gap-0.5 font-sans">
+                            <MessageSquare className="w-3 h-3" />
+                            {alert.comment_count}
+                          </span>
+                        )}
+                      </p>
+                    </td>
+                    <td className="px-3 py-2 text-xs text-slate-300 whitespace-nowrap">
+                      {STATUS_LABELS[alert.status] || alert.status}
+                      {alert.suppressed ? <span className="ml-1 text-purple-400">(bastirildi)</span> : null}
+                    </td>
+                    <td className="px-3 py-2 text-xs text-slate-400 whitespace-nowrap">{formatDuration(alert.duration_seconds)}</td>
+                    <td className="px-3 py-2 text-xs text-slate-400">{alert.assigned_to || '-'}</td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Paging */}
+      <div className="flex items-center justify-between mt-3 text-sm text-slate-400">
+        <div className="flex items-center gap-2">
+          <span>Sayfa basina</span>
+          <select
+            value={pageSize}
+            onChange={(e) => {
+              setPageSize(Number(e.target.value));
+              setOffset(0);
+            }}
+            className="px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-xs"
+          >
+            {PAGE_SIZES.map((size) => (
+              <option key={size} value={size}>{size}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setOffset(Math.max(offset - pageSize, 0))}
+            disabled={offset === 0 || loading}
+            className="p-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg transition-colors"
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <span>{page} / {pageCount}</span>
+          <button
+            onClick={() => setOffset(offset + pageSize)}
+            disabled={page >= pageCount || loading}
+            className="p-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg transition-colors"
+          >
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {selectedId !== null && (
+        <AlertDetailDrawer
+          alertId={selectedId}
+          onClose={() => setSelectedId(null)}
+          onChange={loadAlerts}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Clickable column header that sorts the list, showing the current order.
+ */
+function SortHeader({ column, sort, onSort }) {
+  const isActive = sort.column === column.id;
+  const Arrow = sort.order === 'asc' ? ArrowUp : ArrowDown;
+  return (
+    <th className="px-3 py-2 font-medium">
+      <button
+        type="button"
+        onClick={() => onSort(column.id)}
+        className={`flex items-center gap-1 hover:text-white ${isActive ? 'text-blue-400' : ''}`}
+      >
+        {column.label}
+        {isActive && <Arrow className="w-3 h-3" />}
+      </button>
+    </th>
+  );
+}
@@ -19,6 +19,7 @@ import {
   HardDrive,
   ArrowRightLeft,
   Info,
+  Wrench,
 } from 'lucide-react';
 import {
   LineChart,
@@ -31,6 +32,7 @@ import {
   Area,
   AreaChart,
 } from 'recharts';
+import { formatUtc } from '../utils/formatters';
 
 const REFRESH_OPTIONS = [
   { label: '1 dk', value: 60000 },
@@ -64,7 +66,19 @@ const PAIR_STATUS_MAP = {
   PSUS: { label: 'Askiya Alindi (P)', color: 'red' },
   SSUS: { label: 'Askiya Alindi (S)', color: 'red' },
   PSUE: { label: 'Hata (Askiya Alindi)', color: 'red' },
+  SSUE: { label: 'Hata (Askiya Alindi)', color: 'red' },
   SSWS: { label: 'S-VOL Yazilabilir', color: 'orange' },
+  PFUL: { label: 'Journal Dolu', color: 'orange' },
+  SFUL: { label: 'Journal Dolu', color: 'orange' },
+  PFUS: { label: 'Journal Dolu (Askiya Alindi)', color: 'red' },
+  SFUS: { label: 'Journal Dolu (Askiya Alindi)', color: 'red' },
+};
+
+// Pair status event severity → color
+const PAIR_EVENT_COLORS = {
+  critical: 'red',
+  warning: 'orange',
+  info: 'green',
 };
 
 function getStatusColor(color) {
@@ -91,12 +105,30 @@ function getStatusBg(color) {
   return map[color] || 'bg-slate-500/10 border-slate-500/30';
 }
 
-function getUsageRateColor(rate) {
-  if (rate < 5) return 'green';
-  if (rate < 20) return 'yellow';
+// thresholds: the group's effective thresholds from /api/monitoring/groups
+function getUsageRateColor(rate, thresholds = {}) {
+  if (rate < (thresholds.usage_rate_warning ?? 5)) return 'green';
+  if (rate < (thresholds.usage_rate_critical ?? 20)) return 'yellow';
   return 'red';
 }
 
+// Backend severity (worst of usage rate, estimated RPO, lag and SLA) → color
+const SEVERITY_COLORS = {
+  normal: 'green',
+  warning: 'yellow',
+  critical: 'red',
+};
+
+const SEVERITY_LABELS = {
+  normal: 'Normal',
+  warning: 'Uyari',
+  critical: 'Kritik',
+};
+
+function getSeverityColor(severity, fallback = 'gray') {
+  return SEVERITY_COLORS[severity] || fallback;
+}
+
 function getTrendIcon(trend) {
   if (trend === 'decreasing') return <TrendingDown className="w-4 h-4 text-green-400" />;
   if (trend === 'increasing') return <TrendingUp className="w-4 h-4 text-red-400" />;
@@ -145,9 +177,12 @@ function formatTimestamp(ts) {
   });
 }
 
-function formatChartTime(ts) {
+function formatChartTime(ts, range) {
   if (!ts) return '';
   const d = new Date(ts);
+  if (['7d', '30d', '90d', '1y'].includes(range)) {
+    return d.toLocaleDateString('tr-TR', { day: '2-digit', month: '2-digit' });
+  }
   return d.toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' });
 }
 
@@ -167,7 +202,7 @@ export default function Dashboard() {
     try {
       const [groupsRes, alertsRes] = await Promise.all([
         axios.get('/api/monitoring/groups'),
-        axios.get('/api/alerts?acknowledged=false').catch(() => ({ data: { alerts: [] } })),
+        axios.get('/api/alerts?status=open&suppressed=false').catch(() => ({ data: { alerts: [] } })),
       ]);
       setGroups(groupsRes.data.groups || []);
       setAlerts(alertsRes.data.alerts || []);
@@ -362,6 +397,7 @@ function GroupCard({ group }) {
   const [trendData, setTrendData] = useState([]);
   const [volumes, setVolumes] = useState([]);
   const [volumesLoading, setVolumesLoading] = useState(false);
+  const [pairEvents, setPairEvents] = useState([]);
   const [trendDirection, setTrendDirection] = useState(null);
 
   const latestRpo = group.latest_rpo || {};
@@ -371,7 +407,18 @@ function GroupCard({ group }) {
     color: 'gray',
   };
 
-  const usageColor = getUsageRateColor(latestRpo.usage_rate || 0);
+  const dimensions = group.severity_dimensions || {};
+  const usageColor = getSeverityColor(
+    dimensions.usage_rate,
+    getUsageRateColor(latestRpo.usage_rate || 0, group.thresholds)
+  );
+  const rpoColor = getSeverityColor(dimensions.rpo_seconds, 'white');
+  const lagColor = getSeverityColor(dimensions.lag_seconds, 'white');
+  const slaColor = getSeverityColor(dimensions.sla, 'white');
+  const severityColor = getSeverityColor(group.severity);
+
+  const thresholds = group.thresholds || {};
+  const hasOverrides = Object.values(group.threshold_overrides || {}).some((v) => v != null);
 
   // Fetch volumes when expanded
   useEffect(() => {
@@ -387,7 +434,16 @@ function GroupCard({ group }) {
         setVolumesLoading(false);
       }
     };
+    const fetchPairEvents = async () => {
+      try {
+        const res = await axios.get(`/api/monitoring/groups/${group.cg_id}/pair-events?limit=50`);
+        setPairEvents(res.data.events || []);
+      } catch {
+        setPairEvents([]);
+      }
+    };
     fetchVolumes();
+    fetchPairEvents();
   }, [expanded, group.cg_id]);
 
   // Fetch trend data and actual trend direction
@@ -437,6 +493,43 @@ function GroupCard({ group }) {
           )}
         </div>
         <div className="flex items-center gap-3">
+          {SEVERITY_LABELS[group.severity] && (
+            <span
+              className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium border ${getStatusBg(
+                severityColor
+              )} ${getStatusColor(severityColor)}`}
+              title="Kullanim orani, tahmini RPO, gecikme ve RPO hedefinin en kotusu"
+            >
+              RPO: {SEVERITY_LABELS[group.severity]}
+            </span>
+          )}
+          {hasOverrides && (
+            <span
+              className="text-xs bg-slate-700 text-slate-300 px-2 py-0.5 rounded"
+              title={
+                `Kullanim: %${thresholds.usage_rate_warning} / %${thresholds.usage_rate_critical}, ` +
+                `RPO: ${formatTime(thresholds.rpo_seconds_warning)} / ${formatTime(thresholds.rpo_seconds_critical)}`
+              }
+            >
+              Ozel Esik
+            </span>
+          )}
+          {group.maintenance && (
+            <span
+              className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium border bg-purple-500/10 border-purple-500/30 text-purple-400"
+              title={[
+                ...group.maintenance.windows.map(
+                  (w) => `Bakim: ${w.name} (bitis ${formatUtc(w.ends_at)})`
+                ),
+                ...group.maintenance.silences.map(
+                  (s) => `Sessiz: ${s.reason}${s.alert_type ? ` [${s.alert_type}]` : ''} (bitis ${formatUtc(s.expires_at)})`
+                ),
+              ].join('\n')}
+            >
+              <Wrench className="w-3 h-3" />
+              {group.maintenance.windows.length > 0 ? 'Bakimda' : 'Sessizde'}
+            </span>
+          )}
           <span
             className={`inline-flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-medium border ${getStatusBg(
               journalStatus.color
@@ -473,12 +566,31 @@ function GroupCard({ group }) {
               {/* Estimated time */}
               <div className="flex items-center justify-between">
                 <span className="text-xs text-slate-400">Tahmini Sure</span>
-                <span className="text-sm font-semibold text-white">
+                <span className={`text-sm font-semibold ${rpoColor === 'white' ? 'text-white' : getStatusColor(rpoColor)}`}>
                   ~{latestRpo.estimated_rpo_seconds
                     ? formatTime(latestRpo.estimated_rpo_seconds)
                     : '-'}
                 </span>
               </div>
+              {/* Lag: time since the master issued the sequence the DR side holds */}
+              <div className="flex items-center justify-between">
+                <span className="text-xs text-slate-400">Gecikme (Lag)</span>
+                <span className={`text-sm font-semibold ${lagColor === 'white' ? 'text-white' : getStatusColor(lagColor)}`}>
+                  {latestRpo.lag_seconds != null
+                    ? formatTime(latestRpo.lag_seconds)
+                    : '-'}
+                </span>
+              </div>
+              {/* Target RPO (SLA) of this group */}
+              {thresholds.target_rpo_seconds != null && (
+                <div className="flex items-center justify-between">
+                  <span className="text-xs text-slate-400">Hedef RPO (SLA)</span>
+                  <span className={`text-sm font-semibold ${slaColor === 'white' ? 'text-white' : getStatusColor(slaColor)}`}>
+                    {formatTime(thresholds.target_rpo_seconds)}
+                    {dimensions.sla === 'critical' && ' - Asildi'}
+                  </span>
+                </div>
+              )}
               {/* qCount */}
               <div className="flex items-center justify-between">
                 <span className="text-xs text-slate-400">qCount</span>
@@ -519,8 +631,13 @@ function GroupCard({ group }) {
                   </span>
                 </div>
               </div>
-              {/* qMarker */}
-              {/* qMarker Delta - reserved for future use */}
+              {/* qMarker Delta: sequence gap between master and restore journals */}
+              <div className="flex items-center justify-between">
+                <span className="text-xs text-slate-400">qMarker Farki</span>
+                <span className="text-sm font-mono text-white">
+                  {formatNumber(latestRpo.q_marker_delta)}
+                </span>
+              </div>
             </div>
           </div>
 
@@ -567,7 +684,7 @@ function GroupCard({ group }) {
               RPO Trend Grafigi
             </h4>
             <div className="flex gap-1">
-              {['1h', '6h', '24h', '7d'].map((range) => (
+              {['1h', '6h', '24h', '7d', '30d', '90d', '1y'].map((range) => (
                 <button
                   key={range}
                   onClick={() => setTimeRange(range)}
@@ -594,7 +711,7 @@ function GroupCard({ group }) {
                 <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
                 <XAxis
                   dataKey="timestamp"
-                  tickFormatter={formatChartTime}
+                  tickFormatter={(ts) => formatChartTime(ts, timeRange)}
                   stroke="#64748b"
                   fontSize={10}
                 />
@@ -718,6 +835,45 @@ function GroupCard({ group }) {
             </table>
           </div>
         )}
+
+        {/* Pair status transitions, newest first */}
+        {expanded && (
+          <div className="mt-4">
+            <h4 className="text-sm font-medium text-slate-300 mb-2">
+              Cift Durum Gecmisi
+            </h4>
+            {pairEvents.length > 0 ? (
+              <ol className="relative border-l border-slate-700 ml-2 space-y-3">
+                {pairEvents.map((event) => {
+                  const color = PAIR_EVENT_COLORS[event.severity] || 'gray';
+                  const toStatus = PAIR_STATUS_MAP[event.to_status] || { label: event.to_status };
+                  return (
+                    <li key={event.id} className="ml-4">
+                      <span
+                        className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border ${getStatusBg(color)}`}
+                      />
+                      <div className="flex flex-wrap items-center gap-2 text-xs">
+                        <span className="text-slate-500">{formatTimestamp(event.created_at)}</span>
+                        <span className="font-mono text-slate-300">
+                          {event.volume === 'pvol' ? 'P-VOL' : 'S-VOL'} {event.volume === 'pvol' ? event.pvol_ldev_id : event.svol_ldev_id}
+                        </span>
+                        <span className="font-mono text-slate-400">
+                          {event.from_status || '-'} &rarr;
+                        </span>
+                        <span className={`font-mono font-semibold ${getStatusColor(color)}`}>
+                          {event.to_status}
+                        </span>
+                        <span className="text-slate-500">({toStatus.label})</span>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ol>
+            ) : (
+              <p className="text-xs text-slate-500">Durum degisikligi kaydedilmedi.</p>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -8,7 +8,6 @@ import {
   Gauge,
   Trash2,
   CheckCircle2,
-  XCircle,
   Loader2,
   Save,
   Eye,
@@ -17,11 +16,19 @@ import {
   ToggleLeft,
   ToggleRight,
   Check,
-  ChevronDown,
-  ChevronUp,
   Bell,
   RefreshCw,
+  Archive,
+  RotateCcw,
+  Send,
+  Wrench,
+  Activity,
 } from 'lucide-react';
+import { formatBytes, formatDuration } from '../utils/formatters';
+import AlertDetailDrawer from '../components/AlertDetailDrawer';
+import NotificationChannels from '../components/NotificationChannels';
+import MaintenanceWindows from '../components/MaintenanceWindows';
+import AlertRules from '../components/AlertRules';
 
 const TABS = [
   { id: 'api', label: 'API Yapilandirmasi', icon: Server },
@@ -29,6 +36,10 @@ const TABS = [
   { id: 'polling', label: 'Yoklama Ayarlari', icon: Clock },
   { id: 'thresholds', label: 'Esik Degerleri', icon: Gauge },
   { id: 'retention', label: 'Veri Saklama', icon: Trash2 },
+  { id: 'backup', label: 'Yedekleme', icon: Archive },
+  { id: 'notifications', label: 'Bildirimler', icon: Send },
+  { id: 'maintenance', label: 'Bakim ve Sessize Alma', icon: Wrench },
+  { id: 'rules', label: 'Uyari Kurallari', icon: Activity },
   { id: 'alerts', label: 'Uyari Gecmisi', icon: Bell },
 ];
 
@@ -71,6 +82,10 @@ export default function SettingsPage() {
           {activeTab === 'polling' && <PollingSettingsTab />}
           {activeTab === 'thresholds' && <ThresholdsTab />}
           {activeTab === 'retention' && <RetentionTab />}
+          {activeTab === 'backup' && <BackupTab />}
+          {activeTab === 'notifications' && <NotificationChannels />}
+          {activeTab === 'maintenance' && <MaintenanceWindows />}
+          {activeTab === 'rules' && <AlertRules />}
           {activeTab === 'alerts' && <AlertHistoryTab />}
         </div>
       </div>
@@ -380,7 +395,12 @@ function StorageCredentialsTab() {
 
 // --- Polling Settings Tab ---
 function PollingSettingsTab() {
-  const [interval, setInterval] = useState(5);
+  const [interval, setInterval] = useState(300);
+  const [pollConcurrency, setPollConcurrency] = useState(4);
+  const [storageConcurrency, setStorageConcurrency] = useState(4);
+  const [storageTimeout, setStorageTimeout] = useState(120);
+  const [incidentInterval, setIncidentInterval] = useState(30);
+  const [incidentCooldown, setIncidentCooldown] = useState(15);
   const [saving, setSaving] = useState(false);
   const [success, setSuccess] = useState(false);
 
@@ -388,8 +408,13 @@ function PollingSettingsTab() {
     const load = async () => {
       try {
         const res = await axios.get('/api/config/settings');
-        const pollingSeconds = parseInt(res.data.settings?.polling_interval_seconds || '300', 10);
-        setInterval(Math.max(1, Math.round(pollingSeconds / 60)));
+        const s = res.data.settings || {};
+        setInterval(Math.max(5, parseInt(s.polling_interval_seconds || '300', 10)));
+        setPollConcurrency(parseInt(s.poll_concurrency || '4', 10));
+        setStorageConcurrency(parseInt(s.poll_storage_concurrency || '4', 10));
+        setStorageTimeout(parseInt(s.poll_storage_timeout_seconds || '120', 10));
+        setIncidentInterval(parseInt(s.incident_poll_interval_seconds || '30', 10));
+        setIncidentCooldown(parseInt(s.incident_cooldown_minutes || '15', 10));
       } catch {
         // defaults
       }
@@ -400,7 +425,14 @@ function PollingSettingsTab() {
   const handleSave = async () => {
     setSaving(true);
     try {
-      await axios.put('/api/config/settings', { polling_interval_seconds: String(interval * 60) });
+      await axios.put('/api/config/settings', {
+        polling_interval_seconds: String(interval),
+        poll_concurrency: String(pollConcurrency),
+        poll_storage_concurrency: String(storageConcurrency),
+        poll_storage_timeout_seconds: String(storageTimeout),
+        incident_poll_interval_seconds: String(incidentInterval),
+        incident_cooldown_minutes: String(incidentCooldown),
+      });
       setSuccess(true);
       setTimeout(() => setSuccess(false), 3000);
     } catch {
@@ -419,17 +451,97 @@ function PollingSettingsTab() {
 
       <div className="max-w-xs mb-6">
         <label className="block text-sm font-medium text-slate-300 mb-1.5">
-          Yoklama Araligi (dakika)
+          Yoklama Araligi (saniye)
         </label>
         <input
           type="number"
-          min={1}
-          max={60}
+          min={5}
           value={interval}
-          onChange={(e) => setInterval(Math.max(1, parseInt(e.target.value, 10) || 1))}
+          onChange={(e) => setInterval(Math.max(5, parseInt(e.target.value, 10) || 5))}
           className="w-full px-4 py-2.5 bg-slate-700 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
         />
-        <p className="text-xs text-slate-500 mt-1">Minimum: 1 dakika, Varsayilan: 5 dakika</p>
+        <p className="text-xs text-slate-500 mt-1">
+          Minimum: 5 saniye, Varsayilan: 300 saniye. Degisiklik hemen uygulanir.
+          Storage ve tutarlilik grubu bazinda ayri aralik tanimlanabilir.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1.5">
+            Paralel Storage Sayisi
+          </label>
+          <input
+            type="number"
+            min={1}
+            max={32}
+            value={pollConcurrency}
+            onChange={(e) => setPollConcurrency(Math.max(1, parseInt(e.target.value, 10) || 1))}
+            className="w-full px-4 py-2.5 bg-slate-700 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="text-xs text-slate-500 mt-1">Ayni anda yoklanan storage sayisi. Varsayilan: 4</p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1.5">
+            Storage Basina Paralel Istek
+          </label>
+          <input
+            type="number"
+            min={1}
+            max={64}
+            value={storageConcurrency}
+            onChange={(e) => setStorageConcurrency(Math.min(64, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+            className="w-full px-4 py-2.5 bg-slate-700 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="text-xs text-slate-500 mt-1">En fazla 64 (storage oturum limiti). Varsayilan: 4</p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1.5">
+            Storage Zaman Asimi (saniye)
+          </label>
+          <input
+            type="number"
+            min={10}
+            value={storageTimeout}
+            onChange={(e) => setStorageTimeout(Math.max(10, parseInt(e.target.value, 10) || 10))}
+            className="w-full px-4 py-2.5 bg-slate-700 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="text-xs text-slate-500 mt-1">Yanit vermeyen storage dongunun geri kalanini bekletmez. Varsayilan: 120</p>
+        </div>
+      </div>
+
+      <h3 className="text-sm font-semibold text-white mb-1">Olay Modu</h3>
+      <p className="text-slate-400 text-sm mb-4">
+        Bir tutarlilik grubu uyari/kritik seviyeye ulastiginda veya qCount artis egiliminde oldugunda
+        ilgili storage daha sik yoklanir. Grup bekleme suresi boyunca normal kalirsa normal araliga donulur.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6 max-w-xl">
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1.5">
+            Olay Yoklama Araligi (saniye)
+          </label>
+          <input
+            type="number"
+            min={5}
+            value={incidentInterval}
+            onChange={(e) => setIncidentInterval(Math.max(5, parseInt(e.target.value, 10) || 5))}
+            className="w-full px-4 py-2.5 bg-slate-700 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="text-xs text-slate-500 mt-1">Varsayilan: 30 saniye</p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1.5">
+            Bekleme Suresi (dakika)
+          </label>
+          <input
+            type="number"
+            min={0}
+            value={incidentCooldown}
+            onChange={(e) => setIncidentCooldown(Math.max(0, parseInt(e.target.value, 10) || 0))}
+            className="w-full px-4 py-2.5 bg-slate-700 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="text-xs text-slate-500 mt-1">Varsayilan: 15 dakika</p>
+        </div>
       </div>
 
       {success && (
@@ -457,13 +569,19 @@ function ThresholdsTab() {
   const [usageCritical, setUsageCritical] = useState(20);
   const [rpoWarning, setRpoWarning] = useState(600);
   const [rpoCritical, setRpoCritical] = useState(1800);
+  const [autoResolvePolls, setAutoResolvePolls] = useState(3);
+  const [unreachablePolls, setUnreachablePolls] = useState(2);
+  const [staleMinutes, setStaleMinutes] = useState(15);
   const [saving, setSaving] = useState(false);
   const [success, setSuccess] = useState(false);
 
   useEffect(() => {
     const load = async () => {
       try {
-        const res = await axios.get('/api/alerts/thresholds');
+        const [res, settingsRes] = await Promise.all([
+          axios.get('/api/alerts/thresholds'),
+          axios.get('/api/config/settings'),
+        ]);
         const t = res.data?.thresholds;
         if (t) {
           setUsageWarning(t.usage_rate_warning || 5);
@@ -471,6 +589,10 @@ function ThresholdsTab() {
           setRpoWarning(t.rpo_seconds_warning || 600);
           setRpoCritical(t.rpo_seconds_critical || 1800);
         }
+        const s = settingsRes.data.settings || {};
+        setAutoResolvePolls(parseInt(s.alert_auto_resolve_polls || '3', 10));
+        setUnreachablePolls(parseInt(s.collector_unreachable_polls || '2', 10));
+        setStaleMinutes(parseInt(s.collector_stale_minutes || '15', 10));
       } catch {
         // defaults
       }
@@ -487,6 +609,11 @@ function ThresholdsTab() {
         rpo_seconds_warning: rpoWarning,
         rpo_seconds_critical: rpoCritical,
       });
+      await axios.put('/api/config/settings', {
+        alert_auto_resolve_polls: String(autoResolvePolls),
+        collector_unreachable_polls: String(unreachablePolls),
+        collector_stale_minutes: String(staleMinutes),
+      });
       setSuccess(true);
       setTimeout(() => setSuccess(false), 3000);
     } catch {
@@ -577,6 +704,66 @@ function ThresholdsTab() {
             </div>
           </div>
         </div>
+
+        {/* Auto-resolve */}
+        <div className="max-w-xs">
+          <h3 className="text-sm font-medium text-slate-300 mb-3">
+            Otomatik Cozum
+          </h3>
+          <label className="block text-xs text-slate-400 mb-1">
+            Temiz Yoklama Sayisi
+          </label>
+          <input
+            type="number"
+            min={1}
+            max={100}
+            value={autoResolvePolls}
+            onChange={(e) => setAutoResolvePolls(Math.max(1, parseInt(e.target.value, 10) || 3))}
+            className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="text-xs text-slate-500 mt-1">
+            Kosul art arda {autoResolvePolls} yoklamada gorulmezse uyari cozuldu olarak kapanir.
+          </p>
+        </div>
+
+        {/* Collector health */}
+        <div>
+          <h3 className="text-sm font-medium text-slate-300 mb-3">
+            Toplayici Sagligi
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">
+                Erisilemez Sayilmadan Once Basarisiz Yoklama
+              </label>
+              <input
+                type="number"
+                min={1}
+                max={100}
+                value={unreachablePolls}
+                onChange={(e) => setUnreachablePolls(Math.max(1, parseInt(e.target.value, 10) || 2))}
+                className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">
+                Basarili Yoklama Olmadan Gecen Sure (dk)
+              </label>
+              <input
+                type="number"
+                min={1}
+                value={staleMinutes}
+                onChange={(e) => setStaleMinutes(Math.max(1, parseInt(e.target.value, 10) || 15))}
+                className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-slate-500 mt-1">
+            Depolama erisilemediginde, kimlik bilgileri reddedildiginde veya uzun sure basarili
+            yoklama yapilamadiginda sistem uyarisi olusturulur; durum duzelince kendiliginden kapanir.
+            Yoklama araligi uzun olan depolamalarda sure, araligin iki katindan kisa olamaz.
+          </p>
+        </div>
       </div>
 
       {success && (
@@ -673,11 +860,250 @@ function RetentionTab() {
   );
 }
 
+// --- Backup Tab ---
+function BackupTab() {
+  const [nightlyEnabled, setNightlyEnabled] = useState(false);
+  const [nightlyTime, setNightlyTime] = useState('02:00');
+  const [retentionCount, setRetentionCount] = useState(7);
+  const [backups, setBackups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [restoring, setRestoring] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await axios.get('/api/config/settings');
+        const s = res.data.settings || {};
+        setNightlyEnabled(s.backup_nightly_enabled === 'true');
+        setNightlyTime(s.backup_nightly_time || '02:00');
+        setRetentionCount(parseInt(s.backup_retention_count || '7', 10));
+      } catch {
+        // defaults
+      }
+      await loadBackups();
+    };
+    load();
+  }, []);
+
+  const loadBackups = async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get('/api/backups');
+      setBackups(res.data.backups || []);
+    } catch {
+      // ignore
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showMessage = (text) => {
+    setError(null);
+    setMessage(text);
+    setTimeout(() => setMessage(null), 3000);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await axios.put('/api/config/settings', {
+        backup_nightly_enabled: String(nightlyEnabled),
+        backup_nightly_time: nightlyTime,
+        backup_retention_count: String(retentionCount),
+      });
+      showMessage('Yedekleme ayarlari kaydedildi.');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Ayarlar kaydedilemedi.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    setError(null);
+    try {
+      await axios.post('/api/backups');
+      showMessage('Yedek olusturuldu.');
+      await loadBackups();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Yedek olusturulamadi.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRestore = async (name) => {
+    if (!window.confirm(`${name} geri yuklenecek.\nMevcut veritabani once otomatik olarak yedeklenir ve yoklama kisa sureligine durur.\n\nDevam etmek istiyor musunuz?`)) {
+      return;
+    }
+    setRestoring(name);
+    setError(null);
+    try {
+      await axios.post(`/api/backups/${encodeURIComponent(name)}/restore`);
+      showMessage('Yedek geri yuklendi.');
+      await loadBackups();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Yedek geri yuklenemedi.');
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  const triggerLabels = {
+    manual: 'Manuel',
+    nightly: 'Gece',
+    pre_restore: 'Geri yukleme oncesi',
+  };
+
+  return (
+    <div className="bg-slate-800 border border-slate-700 rounded-xl p-6">
+      <h2 className="text-lg font-semibold text-white mb-4">Yedekleme</h2>
+      <p className="text-slate-400 text-sm mb-6">
+        Veritabani (gecmis veriler, uyarilar ve sifreli kimlik bilgileri) calisir durumdayken
+        tutarli bir sekilde yedeklenir. En yeni yedekler saklama sayisi kadar tutulur.
+      </p>
+
+      <div className="mb-6">
+        <button
+          type="button"
+          onClick={() => setNightlyEnabled(!nightlyEnabled)}
+          className="flex items-center gap-2 text-sm text-slate-300"
+        >
+          {nightlyEnabled ? (
+            <ToggleRight className="w-6 h-6 text-blue-400" />
+          ) : (
+            <ToggleLeft className="w-6 h-6 text-slate-500" />
+          )}
+          Gece Otomatik Yedekleme
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 max-w-lg mb-6">
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1.5">
+            Yedekleme Saati
+          </label>
+          <input
+            type="time"
+            value={nightlyTime}
+            disabled={!nightlyEnabled}
+            onChange={(e) => setNightlyTime(e.target.value)}
+            className="w-full px-4 py-2.5 bg-slate-700 border border-slate-600 rounded-lg text-white disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="text-xs text-slate-500 mt-1">Sunucu saatine gore</p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-1.5">
+            Saklanacak Yedek Sayisi
+          </label>
+          <input
+            type="number"
+            min={1}
+            max={365}
+            value={retentionCount}
+            onChange={(e) => setRetentionCount(Math.max(1, parseInt(e.target.value, 10) || 7))}
+            className="w-full px-4 py-2.5 bg-slate-700 border border-slate-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      </div>
+
+      {message && (
+        <div className="mb-4 p-3 rounded-lg bg-green-500/10 border border-green-500/30 text-green-400 text-sm flex items-center gap-2">
+          <CheckCircle2 className="w-4 h-4" />
+          {message}
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="flex gap-3 mb-8">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-800 text-white rounded-lg transition-colors"
+        >
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+          Kaydet
+        </button>
+        <button
+          onClick={handleCreate}
+          disabled={creating || !!restoring}
+          className="flex items-center gap-2 px-4 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-white rounded-lg transition-colors"
+        >
+          {creating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Archive className="w-4 h-4" />}
+          Simdi Yedekle
+        </button>
+      </div>
+
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-slate-300">Mevcut Yedekler</h3>
+        <button
+          onClick={loadBackups}
+          className="p-2 bg-slate-700 hover:bg-slate-600 text-slate-400 hover:text-white rounded-lg transition-colors"
+        >
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="w-6 h-6 text-blue-400 animate-spin" />
+        </div>
+      ) : backups.length === 0 ? (
+        <p className="text-center py-6 text-slate-500 text-sm">Henuz yedek bulunmuyor.</p>
+      ) : (
+        <div className="space-y-2">
+          {backups.map((b) => (
+            <div
+              key={b.name}
+              className="flex items-center gap-3 p-3 rounded-lg border border-slate-700 bg-slate-900/40"
+            >
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-white font-mono truncate">{b.name}</p>
+                <p className="text-xs text-slate-500 mt-0.5">
+                  {new Date(b.createdAt).toLocaleString('tr-TR')}
+                  {' | '}
+                  {formatBytes(b.sizeBytes)}
+                  {' | '}
+                  {triggerLabels[b.trigger] || b.trigger}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRestore(b.name)}
+                disabled={!!restoring || creating}
+                className="flex-shrink-0 flex items-center gap-1.5 px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-xs text-slate-300 rounded-lg transition-colors"
+              >
+                {restoring === b.name ? (
+                  <Loader2 className="w-3 h-3 animate-spin" />
+                ) : (
+                  <RotateCcw className="w-3 h-3" />
+                )}
+                Geri Yukle
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // --- Alert History Tab ---
 function AlertHistoryTab() {
   const [alerts, setAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [acknowledging, setAcknowledging] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
 
   useEffect(() => {
     loadAlerts();
@@ -700,7 +1126,7 @@ function AlertHistoryTab() {
     try {
       await axios.post(`/api/alerts/${alertId}/acknowledge`);
       setAlerts((prev) =>
-        prev.map((a) => (a.id === alertId ? { ...a, is_acknowledged: 1 } : a))
+        prev.map((a) => (a.id === alertId ? { ...a, status: 'acknowledged', is_acknowledged: 1 } : a))
       );
     } catch {
       // ignore
@@ -709,6 +1135,12 @@ function AlertHistoryTab() {
     }
   };
 
+  const STATUS_LABELS = {
+    open: 'Acik',
+    acknowledged: 'Onaylandi',
+    resolved: 'Cozuldu',
+  };
+
   const getSeverityColor = (severity) => {
     switch (severity) {
       case 'critical':
@@ -753,18 +1185,26 @@ function AlertHistoryTab() {
             <div
               key={alert.id}
               className={`flex items-start gap-3 p-3 rounded-lg border ${
-                alert.is_acknowledged ? 'opacity-50' : ''
+                alert.status !== 'open' ? 'opacity-50' : ''
               } ${getSeverityColor(alert.severity)}`}
             >
               <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
-              <div className="flex-1 min-w-0">
+              <div className="flex-1 min-w-0 cursor-pointer" onClick={() => setSelectedId(alert.id)}>
                 <p className="text-sm">{alert.message}</p>
                 <p className="text-xs opacity-60 mt-1">
                   {new Date(alert.created_at).toLocaleString('tr-TR')}
                   {alert.group_name && ` | ${alert.group_name}`}
+                  {` | ${STATUS_LABELS[alert.status] || alert.status}`}
+                  {alert.acknowledged_by && ` (${alert.acknowledged_by})`}
+                  {alert.suppressed ? ` | Bastirildi (${alert.suppression_reason})` : ''}
+                  {alert.escalation_level ? ` | Eskalasyon seviyesi ${alert.escalation_level}` : ''}
+                  {alert.reminder_count > 0 ? ` (${alert.reminder_count} hatirlatma)` : ''}
+                  {alert.assigned_to && ` | Atanan: ${alert.assigned_to}`}
+                  {alert.comment_count > 0 && ` | ${alert.comment_count} yorum`}
+                  {` | ${alert.status === 'resolved' ? 'Sure' : 'Devam ediyor'}: ${formatDuration(alert.duration_seconds)}`}
                 </p>
               </div>
-              {!alert.is_acknowledged && (
+              {alert.status === 'open' && (
                 <button
                   onClick={() => handleAcknowledge(alert.id)}
                   disabled={acknowledging[alert.id]}
@@ -777,13 +1217,17 @@ function AlertHistoryTab() {
                   )}
                 </button>
               )}
-              {alert.is_acknowledged && (
+              {alert.status !== 'open' && (
                 <Check className="w-4 h-4 text-green-500 flex-shrink-0" />
               )}
             </div>
           ))}
         </div>
       )}
+
+      {selectedId !== null && (
+        <AlertDetailDrawer alertId={selectedId} onClose={() => setSelectedId(null)} onChange={loadAlerts} />
+      )}
     </div>
   );
 }
@@ -174,6 +174,38 @@ export function formatChartTime(timestamp, timeframe) {
   return `${hours}:${minutes}`;
 }
 
+/**
+ * Format a UTC SQLite timestamp ("YYYY-MM-DD HH:MM:SS") in local time.
+ * @param {string|null} ts
+ * @returns {string}
+ */
+export function formatUtc(ts) {
+  return ts ? new Date(ts.replace(' ', 'T') + 'Z').toLocaleString('tr-TR') : '-';
+}
+
+/**
+ * Convert a UTC SQLite timestamp to a datetime-local input value (local time).
+ * @param {string|null} ts
+ * @returns {string}
+ */
+export function toLocalInput(ts) {
+  if (!ts) return '';
+  const d = new Date(ts.replace(' ', 'T') + 'Z');
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// --- Form Input Parsing ---
+
+/**
+ * Split a comma-separated input into trimmed, non-empty items.
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function splitList(value) {
+  return value.split(',').map((v) => v.trim()).filter(Boolean);
+}
+
 // --- Parse Hitachi Byte Format ---
 
 /**